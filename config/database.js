@@ -1,5 +1,6 @@
 // db.js
 import { Pool } from 'pg';
+import { schemaStatements } from './schema.js';
 
 let db;
 
@@ -14,6 +15,10 @@ export const initDatabase = async () => {
 
     // optional: test connection
     await db.query('SELECT 1');
+
+    for (const statement of schemaStatements) {
+      await db.query(statement);
+    }
   }
 
   return db;
@@ -26,4 +31,28 @@ export const getDatabase = () => {
   return db;
 };
 
-export default { initDatabase, getDatabase };
+// Run fn(client) inside BEGIN/COMMIT on a dedicated pool client
+export const withTransaction = async (fn) => {
+  const client = await getDatabase().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Release the pool so one-off scripts can exit
+export const closeDatabase = async () => {
+  if (db) {
+    await db.end();
+    db = undefined;
+  }
+};
+
+export default { initDatabase, getDatabase, withTransaction, closeDatabase };
@@ -0,0 +1,302 @@
+// Idempotent schema additions, applied in order on every startup.
+// The base tables (users, customers, projects, tasks) are managed outside
+// this repo; everything here must be safe to run against an existing DB.
+export const schemaStatements = [
+  // Issued (finalized) invoices: a frozen copy of everything the invoice showed
+  `CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    invoice_number TEXT NOT NULL,
+    invoice_date DATE NOT NULL,
+    locale TEXT NOT NULL DEFAULT 'en',
+    task_ids INTEGER[] NOT NULL DEFAULT '{}',
+    buyer JSONB NOT NULL,
+    seller JSONB NOT NULL,
+    items JSONB NOT NULL,
+    subtotal NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    vat_percent NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    vat_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    snapshot JSONB NOT NULL,
+    html TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'issued',
+    issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, invoice_number)
+  )`,
+  'CREATE INDEX IF NOT EXISTS invoices_project_idx ON invoices (user_id, project_id)',
+  // Credit notes (Gutschrift/Storno) live next to the invoices they refer to
+  `ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS document_type TEXT NOT NULL DEFAULT 'invoice',
+    ADD COLUMN IF NOT EXISTS original_invoice_id INTEGER REFERENCES invoices(id),
+    ADD COLUMN IF NOT EXISTS reason TEXT`,
+  // Per-user, per-document-type number sequences (see utils/sequences.js)
+  `CREATE TABLE IF NOT EXISTS number_sequences (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    next_value INTEGER NOT NULL DEFAULT 1,
+    reset TEXT NOT NULL DEFAULT 'yearly',
+    period TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, document_type)
+  )`,
+  // Counters of earlier years, so late-dated documents keep numbering there
+  "ALTER TABLE number_sequences ADD COLUMN IF NOT EXISTS period_values JSONB NOT NULL DEFAULT '{}'",
+  // VAT rules: §19 UStG small business flag and per-project / per-line rates
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS vat_exempt BOOLEAN NOT NULL DEFAULT false',
+  'ALTER TABLE projects ADD COLUMN IF NOT EXISTS vat_rate NUMERIC(5, 2)',
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS vat_rate NUMERIC(5, 2)',
+  // NULL when an invoice mixes several rates (see the stored snapshot)
+  'ALTER TABLE invoices ALTER COLUMN vat_percent DROP NOT NULL',
+  // Billing currency: customers default to EUR, projects may override
+  "ALTER TABLE customers ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'",
+  'ALTER TABLE projects ADD COLUMN IF NOT EXISTS currency TEXT',
+  "ALTER TABLE invoices ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'",
+  // E-invoicing: buyer reference (Leitweg-ID) and the seller's tax number for
+  // sellers without a VAT ID
+  'ALTER TABLE customers ADD COLUMN IF NOT EXISTS buyer_reference TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS tax_number TEXT',
+  // Payment lifecycle: draft -> sent -> partially_paid/paid, or cancelled
+  `ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS due_date DATE,
+    ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP`,
+  "ALTER TABLE invoices ALTER COLUMN status SET DEFAULT 'draft'",
+  "UPDATE invoices SET status = 'draft' WHERE status = 'issued'",
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS payment_terms_days INTEGER NOT NULL DEFAULT 14',
+  'ALTER TABLE customers ADD COLUMN IF NOT EXISTS payment_terms_days INTEGER',
+  `CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    amount NUMERIC(12, 2) NOT NULL,
+    paid_on DATE NOT NULL,
+    method TEXT NOT NULL DEFAULT 'bank_transfer',
+    reference TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS payments_invoice_idx ON payments (invoice_id)',
+  // Delivery log of invoices sent by email
+  `CREATE TABLE IF NOT EXISTS invoice_emails (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    recipients TEXT[] NOT NULL,
+    cc TEXT[] NOT NULL DEFAULT '{}',
+    bcc TEXT[] NOT NULL DEFAULT '{}',
+    subject TEXT NOT NULL,
+    message_id TEXT,
+    sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Dunning: per-user reminder levels and the reminders sent per invoice
+  `CREATE TABLE IF NOT EXISTS dunning_levels (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    level INTEGER NOT NULL,
+    name TEXT,
+    days_after_due INTEGER NOT NULL,
+    fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    interest_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    payment_days INTEGER NOT NULL DEFAULT 7,
+    UNIQUE (user_id, level)
+  )`,
+  `CREATE TABLE IF NOT EXISTS dunning_notices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    level INTEGER NOT NULL,
+    notice_date DATE NOT NULL,
+    payment_due DATE NOT NULL,
+    balance NUMERIC(12, 2) NOT NULL,
+    fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    interest NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(12, 2) NOT NULL,
+    html TEXT NOT NULL,
+    recipient TEXT,
+    emailed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (invoice_id, level)
+  )`,
+  // User-defined invoice templates; at most one default per user
+  `CREATE TABLE IF NOT EXISTS invoice_templates (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    html TEXT NOT NULL,
+    css TEXT NOT NULL DEFAULT '',
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS invoice_templates_default_idx
+    ON invoice_templates (user_id) WHERE is_default`,
+  // Company logo, kept out of users so SELECT * never drags the image along
+  `CREATE TABLE IF NOT EXISTS user_logos (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    mime_type TEXT NOT NULL,
+    data BYTEA NOT NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Expenses, materials and discounts billed next to a project's tasks
+  `CREATE TABLE IF NOT EXISTS line_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    quantity NUMERIC(12, 3) NOT NULL DEFAULT 1,
+    unit TEXT NOT NULL DEFAULT '',
+    unit_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    vat_rate NUMERIC(5, 2),
+    discount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    discount_type TEXT NOT NULL DEFAULT 'percent',
+    order_num INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS line_items_project_idx ON line_items (project_id)',
+  `ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS line_item_ids INTEGER[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS line_items JSONB NOT NULL DEFAULT '[]'`,
+  // Consolidated invoices bill several projects of a customer at once
+  "ALTER TABLE invoices ADD COLUMN IF NOT EXISTS project_ids INTEGER[] NOT NULL DEFAULT '{}'",
+  "UPDATE invoices SET project_ids = ARRAY[project_id] WHERE project_id IS NOT NULL AND project_ids = '{}'",
+  // Billed mark: the finalized invoice a task or line item was billed on
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL',
+  'ALTER TABLE line_items ADD COLUMN IF NOT EXISTS invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL',
+  `UPDATE tasks t SET invoice_id = i.id
+    FROM invoices i
+    WHERE t.invoice_id IS NULL AND t.id = ANY(i.task_ids)
+      AND i.document_type = 'invoice' AND i.status <> 'cancelled'`,
+  `UPDATE line_items li SET invoice_id = i.id
+    FROM invoices i
+    WHERE li.invoice_id IS NULL AND li.id = ANY(i.line_item_ids)
+      AND i.document_type = 'invoice' AND i.status <> 'cancelled'`,
+  // Recurring invoices: fixed line items billed every interval, and one log
+  // row per period (issued or skipped)
+  `CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    line_items JSONB NOT NULL DEFAULT '[]',
+    currency VARCHAR(3),
+    interval TEXT NOT NULL DEFAULT 'monthly',
+    day_of_month INTEGER NOT NULL DEFAULT 1,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_run_date DATE NOT NULL,
+    auto_send BOOLEAN NOT NULL DEFAULT false,
+    paused BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS recurring_invoices_next_run_idx ON recurring_invoices (next_run_date)',
+  `CREATE TABLE IF NOT EXISTS recurring_invoice_runs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recurring_invoice_id INTEGER NOT NULL REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    status TEXT NOT NULL,
+    invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+    emailed_at TIMESTAMP,
+    email_error TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (recurring_invoice_id, period_start)
+  )`,
+  // Quotes (Angebote): the quoted project with its tasks and line items,
+  // turned into a real project once accepted
+  `CREATE TABLE IF NOT EXISTS quotes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    quote_number TEXT NOT NULL,
+    quote_date DATE NOT NULL,
+    valid_until DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft',
+    title TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    pricing_type TEXT NOT NULL DEFAULT 'HOURLY',
+    hourly_rate NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    fixed_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    vat_rate NUMERIC(5, 2),
+    currency VARCHAR(3),
+    tasks JSONB NOT NULL DEFAULT '[]',
+    line_items JSONB NOT NULL DEFAULT '[]',
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    decided_at TIMESTAMP,
+    converted_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, quote_number)
+  )`,
+  // Invoice language per customer; NULL uses the user's locale
+  'ALTER TABLE customers ADD COLUMN IF NOT EXISTS locale TEXT',
+  // Logged time per task; a running timer has no end yet. Clock times keep
+  // their zone so entries from different devices line up.
+  `CREATE TABLE IF NOT EXISTS time_entries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ,
+    duration_seconds INTEGER,
+    note TEXT NOT NULL DEFAULT '',
+    billable BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS time_entries_task_idx ON time_entries (task_id)',
+  'CREATE INDEX IF NOT EXISTS time_entries_project_idx ON time_entries (project_id)',
+  // One running timer per user
+  `CREATE UNIQUE INDEX IF NOT EXISTS time_entries_running_idx
+    ON time_entries (user_id) WHERE ended_at IS NULL`,
+  // Billing by logged time: per-project basis and rounding of billed time
+  // (0 minutes bills it exactly), non-billable tasks stay off invoices
+  "ALTER TABLE projects ADD COLUMN IF NOT EXISTS billing_basis TEXT NOT NULL DEFAULT 'estimate'",
+  'ALTER TABLE projects ADD COLUMN IF NOT EXISTS time_rounding_minutes INTEGER NOT NULL DEFAULT 0',
+  "ALTER TABLE projects ADD COLUMN IF NOT EXISTS time_rounding_mode TEXT NOT NULL DEFAULT 'up'",
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS billable BOOLEAN NOT NULL DEFAULT true',
+  // Rate cards: hourly rates per role for all of a user's work, one customer
+  // or one project; tasks pick a role or override the rate themselves
+  `CREATE TABLE IF NOT EXISTS rate_cards (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    hourly_rate NUMERIC(10, 2) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (customer_id IS NULL OR project_id IS NULL)
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS rate_cards_role_idx
+    ON rate_cards (user_id, COALESCE(customer_id, 0), COALESCE(project_id, 0), lower(role))`,
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS role TEXT',
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS hourly_rate NUMERIC(10, 2)',
+  // Imported time entries remember their source row to skip re-imports
+  'ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS import_key TEXT',
+  `CREATE UNIQUE INDEX IF NOT EXISTS time_entries_import_idx
+    ON time_entries (user_id, import_key) WHERE import_key IS NOT NULL`,
+  // Secret token of the user's iCalendar feed (NULL = feed disabled)
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token TEXT',
+  `CREATE UNIQUE INDEX IF NOT EXISTS users_calendar_token_idx
+    ON users (calendar_token) WHERE calendar_token IS NOT NULL`,
+  // Task workflow: statuses per project workflow (NULL = all statuses, any
+  // move), due dates apart from the billed date, one level of subtasks
+  'ALTER TABLE projects ADD COLUMN IF NOT EXISTS task_workflow JSONB',
+  "ALTER TABLE tasks ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'todo'",
+  "UPDATE tasks SET status = 'done' WHERE completed <> 0 AND status = 'todo'",
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date DATE',
+  'ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE',
+  'CREATE INDEX IF NOT EXISTS tasks_parent_idx ON tasks (parent_id)'
+];
+
+export default schemaStatements;
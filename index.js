@@ -2,18 +2,37 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import { initDatabase } from './config/database.js';
+import { detectLocale } from './middleware/locale.js';
 import authRouter from './routes/auth.js';
 import customersRouter from './routes/customers.js';
 import projectsRouter from './routes/projects.js';
 import tasksRouter from './routes/tasks.js';
+import lineItemsRouter from './routes/line-items.js';
+import timeEntriesRouter from './routes/time-entries.js';
+import timerRouter from './routes/timer.js';
+import importsRouter from './routes/imports.js';
+import timesheetsRouter from './routes/timesheets.js';
 import invoicesRouter from './routes/invoices.js';
 import adminRoutes from './routes/admin.js';
+import sequencesRouter from './routes/sequences.js';
+import dunningRouter from './routes/dunning.js';
+import templatesRouter from './routes/templates.js';
+import recurringInvoicesRouter from './routes/recurring-invoices.js';
+import quotesRouter from './routes/quotes.js';
+import rateCardsRouter from './routes/rate-cards.js';
+import calendarRouter from './routes/calendar.js';
+import { runDunning } from './utils/dunning.js';
+import { runRecurringInvoices } from './utils/recurring-invoices.js';
+import { schedule } from './utils/scheduler.js';
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Tracker exports exceed the default body limit
+app.use('/api/customers/:customerId/imports', express.json({ limit: '5mb' }));
 app.use(express.json());
+app.use(detectLocale);
 
 // Initialize database
 await initDatabase();
@@ -24,7 +43,39 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/customers', customersRouter);
 app.use('/api/customers/:customerId/projects', projectsRouter);
 app.use('/api/customers/:customerId/projects/:projectId/tasks', tasksRouter);
+app.use(
+  '/api/customers/:customerId/projects/:projectId/line-items',
+  lineItemsRouter
+);
+app.use(
+  '/api/customers/:customerId/projects/:projectId/tasks/:taskId/time-entries',
+  timeEntriesRouter
+);
+app.use('/api/customers/:customerId/imports', importsRouter);
+app.use('/api/customers/:customerId/timesheet', timesheetsRouter);
+app.use('/api/timer', timerRouter);
 app.use('/api/invoices', invoicesRouter);
+app.use('/api/sequences', sequencesRouter);
+app.use('/api/dunning', dunningRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/recurring-invoices', recurringInvoicesRouter);
+app.use('/api/quotes', quotesRouter);
+app.use('/api/rate-cards', rateCardsRouter);
+app.use('/api/calendar', calendarRouter);
+
+// Background jobs (disabled unless an interval is configured)
+const dunningMinutes = Number(process.env.DUNNING_SCHEDULE_MINUTES || 0);
+if (dunningMinutes > 0) {
+  schedule('Dunning', dunningMinutes, () => runDunning());
+}
+const recurringMinutes = Number(
+  process.env.RECURRING_INVOICES_SCHEDULE_MINUTES || 0
+);
+if (recurringMinutes > 0) {
+  schedule('Recurring invoices', recurringMinutes, () =>
+    runRecurringInvoices()
+  );
+}
 
 // Start server
 const PORT = process.env.PORT || 3001;
@@ -0,0 +1,364 @@
+export default {
+  meta: { name: 'Deutsch', intl: 'de-DE' },
+
+  invoice: {
+    invoice: 'Rechnung',
+    creditNote: 'Gutschrift',
+    quote: 'Angebot',
+    date: 'Datum',
+    task: 'Aufgabe',
+    hours: 'Stunden',
+    rate: 'Satz',
+    cost: 'Kosten',
+    subtotal: 'Zwischensumme',
+    vat: 'MwSt. ({rate}%)',
+    total: 'Gesamt',
+    noTasks: 'Keine Aufgaben',
+    vatId: 'USt-IdNr.',
+    phone: 'Telefon',
+    email: 'E-Mail',
+    dueDate: 'Fällig am',
+    validUntil: 'Gültig bis',
+    reference: 'Bezug: Rechnung {number}',
+    vatRate: 'MwSt. %',
+    description: 'Beschreibung',
+    quantity: 'Menge',
+    unitPrice: 'Einzelpreis',
+    discount: 'Rabatt',
+    amount: 'Betrag',
+    services: 'Leistungen',
+    servicePeriod: 'Leistungszeitraum: {from} – {to}',
+    groupSubtotal: 'Zwischensumme {name}',
+    paymentQr:
+      'Scannen Sie den Code mit Ihrer Banking-App, um per Überweisung zu bezahlen.',
+    buyerVatId: 'USt-IdNr. des Leistungsempfängers',
+    vatNotes: {
+      standard: '',
+      reverse_charge:
+        'Steuerschuldnerschaft des Leistungsempfängers (Reverse Charge, § 13b UStG).',
+      exempt: 'Gemäß § 19 UStG wird keine Umsatzsteuer berechnet.'
+    }
+  },
+
+  mail: {
+    subject: '{title} {number}',
+    subjectFrom: '{title} {number} von {company}',
+    greeting: 'Guten Tag {name},',
+    greetingAnonymous: 'Sehr geehrte Damen und Herren,',
+    body: {
+      invoice: 'anbei erhalten Sie Rechnung {number} über {total}.',
+      credit_note: 'anbei erhalten Sie Gutschrift {number} über {total}.',
+      quote: 'anbei erhalten Sie Angebot {number} über {total}.'
+    },
+    due: 'Bitte überweisen Sie den Betrag bis zum {date}.',
+    closing: 'Mit freundlichen Grüßen'
+  },
+
+  dunning: {
+    titles: ['Zahlungserinnerung', '1. Mahnung', '2. Mahnung'],
+    intros: [
+      'sicher haben Sie es nur übersehen: Die folgende Rechnung ist noch offen.',
+      'trotz unserer Zahlungserinnerung konnten wir für die folgende Rechnung noch keinen Zahlungseingang feststellen.',
+      'trotz wiederholter Mahnung ist die folgende Rechnung weiterhin offen. Dies ist unsere letzte Mahnung, bevor wir die Forderung an ein Inkassounternehmen übergeben.'
+    ],
+    invoiceNo: 'Rechnung',
+    invoiceDate: 'Rechnungsdatum',
+    dueDate: 'Fällig am',
+    openAmount: 'Offener Betrag',
+    fees: 'Mahngebühren',
+    interest: 'Verzugszinsen ({rate} % p. a.)',
+    amountDue: 'Zu zahlender Betrag',
+    payBy: 'Bitte überweisen Sie den fälligen Betrag bis zum {date}.',
+    alreadyPaid:
+      'Sollten Sie die Zahlung bereits veranlasst haben, betrachten Sie dieses Schreiben bitte als gegenstandslos.'
+  },
+
+  timesheet: {
+    title: 'Stundennachweis',
+    week: 'Woche',
+    weekLabel: 'KW {week}/{year}',
+    date: 'Datum',
+    project: 'Projekt',
+    task: 'Tätigkeit',
+    hours: 'Stunden',
+    billableHours: 'Abrechenbare Stunden',
+    weekTotal: 'Summe {week}',
+    total: 'Gesamt',
+    period: '{from} – {to}'
+  },
+
+  calendar: {
+    name: 'Aufgaben und Fälligkeiten',
+    taskDescription: '{project} ({customer})',
+    taskDue: 'Fällig: {name}',
+    invoiceDue: 'Rechnung {number} fällig: {customer}',
+    invoiceBalance: 'Offener Betrag: {amount}'
+  },
+
+  errors: {
+    INTERNAL_ERROR: 'Interner Serverfehler',
+
+    TOKEN_REQUIRED: 'Zugriffstoken erforderlich',
+    TOKEN_INVALID: 'Ungültiges oder abgelaufenes Token',
+    AUTHENTICATION_FAILED: 'Authentifizierung fehlgeschlagen',
+    ADMIN_REQUIRED: 'Administratorrechte erforderlich',
+    FIELDS_REQUIRED: 'Alle Felder sind Pflichtfelder',
+    EMAIL_INVALID: 'Ungültiges E-Mail-Format',
+    PASSWORD_TOO_SHORT:
+      'Das Passwort muss mindestens {count} Zeichen lang sein',
+    USER_EXISTS: 'Es gibt bereits einen Benutzer mit dieser E-Mail-Adresse',
+    CREDENTIALS_REQUIRED: 'E-Mail und Passwort sind erforderlich',
+    CREDENTIALS_INVALID: 'Ungültige E-Mail oder ungültiges Passwort',
+    ACCOUNT_INACTIVE: 'Das Konto ist nicht aktiv',
+    NAME_REQUIRED: 'Vor- und Nachname sind erforderlich',
+    PASSWORDS_REQUIRED: 'Aktuelles und neues Passwort sind erforderlich',
+    NEW_PASSWORD_TOO_SHORT:
+      'Das neue Passwort muss mindestens {count} Zeichen lang sein',
+    PASSWORD_INCORRECT: 'Das aktuelle Passwort ist falsch',
+    ROLE_INVALID: 'Ungültige Rolle',
+    ACTIVE_INVALID: 'Ungültiger Wert für aktiv',
+    OWN_ADMIN_ROLE:
+      'Sie können sich die Administratorrolle nicht selbst entziehen',
+    NO_FIELDS: 'Keine Felder zum Aktualisieren',
+
+    USER_NOT_FOUND: 'Benutzer nicht gefunden',
+    CUSTOMER_NOT_FOUND: 'Kunde nicht gefunden oder kein Zugriff',
+    PROJECT_NOT_FOUND: 'Projekt nicht gefunden oder kein Zugriff',
+    TASK_NOT_FOUND: 'Aufgabe nicht gefunden oder kein Zugriff',
+    LINE_ITEM_NOT_FOUND: 'Position nicht gefunden oder kein Zugriff',
+    INVOICE_NOT_FOUND: 'Rechnung nicht gefunden oder kein Zugriff',
+    PAYMENT_NOT_FOUND: 'Zahlung nicht gefunden oder kein Zugriff',
+    REMINDER_NOT_FOUND: 'Mahnung nicht gefunden oder kein Zugriff',
+    TEMPLATE_NOT_FOUND: 'Vorlage nicht gefunden oder kein Zugriff',
+    RECURRING_INVOICE_NOT_FOUND:
+      'Wiederkehrende Rechnung nicht gefunden oder kein Zugriff',
+    QUOTE_NOT_FOUND: 'Angebot nicht gefunden oder kein Zugriff',
+    RATE_CARD_NOT_FOUND: 'Stundensatz nicht gefunden',
+    TIME_ENTRY_NOT_FOUND: 'Zeiteintrag nicht gefunden oder kein Zugriff',
+    LOGO_NOT_FOUND: 'Kein Logo hochgeladen',
+    DOCUMENT_TYPE_UNKNOWN: 'Unbekannter Belegtyp',
+
+    CURRENCY_INVALID: 'Ungültiger Währungscode',
+    LOCALE_INVALID: 'Die Sprache muss eine der folgenden sein: {locales}',
+    VAT_RATE_INVALID: 'Der MwSt.-Satz muss zwischen 0 und 100 liegen',
+    PAYMENT_TERMS_INVALID: {
+      one: 'Das Zahlungsziel muss zwischen 0 und {count} Tag liegen',
+      other: 'Das Zahlungsziel muss zwischen 0 und {count} Tagen liegen'
+    },
+    STATUS_INVALID: 'Der Status muss einer der folgenden sein: {statuses}',
+    TITLE_REQUIRED: 'Ein Titel ist erforderlich',
+    TITLE_NOT_TEXT: 'Der Titel muss Text sein',
+    DESCRIPTION_REQUIRED: 'Eine Beschreibung ist erforderlich',
+    DESCRIPTION_NOT_TEXT: 'Die Beschreibung muss Text sein',
+    AMOUNT_INVALID: 'Der Betrag muss eine positive Zahl sein',
+    HOURLY_RATE_INVALID: 'Der Stundensatz muss eine positive Zahl sein',
+    FIXED_PRICE_INVALID: 'Der Festpreis muss eine positive Zahl sein',
+    PRICING_TYPE_INVALID: 'Die Preisart muss eine der folgenden sein: {types}',
+    DATE_INVALID: 'Ungültiges Datum',
+    DATES_INVALID: 'Datumsangaben müssen im Format JJJJ-MM-TT erfolgen',
+    DATE_RANGE_INVALID: 'Der Zeitraum endet vor seinem Beginn',
+
+    CUSTOMER_NAME_REQUIRED: 'Ein Kundenname ist erforderlich',
+    PROJECT_NAME_REQUIRED: 'Ein Projektname ist erforderlich',
+    TASK_NAME_REQUIRED: 'Ein Aufgabenname ist erforderlich',
+    TASK_ORDER_INVALID: 'Die Reihenfolge muss ein Array von Aufgaben sein.',
+    LINE_ITEM_ORDER_INVALID:
+      'Die Reihenfolge muss ein Array von Positionen sein.',
+    INVOICE_LOCKED: 'Gesperrt durch festgeschriebene Rechnung {invoiceNumber}',
+    PROJECT_ALREADY_INVOICED:
+      'Für das Projekt gibt es bereits die festgeschriebene Rechnung {invoiceNumber}',
+    QUANTITY_INVALID: 'Die Menge muss eine Zahl sein',
+    UNIT_INVALID: 'Die Einheit muss Text mit höchstens {count} Zeichen sein',
+    UNIT_PRICE_INVALID: 'Der Einzelpreis muss eine Zahl sein',
+    DISCOUNT_TYPE_INVALID:
+      'Die Rabattart muss eine der folgenden sein: {types}',
+    DISCOUNT_INVALID:
+      'Der Rabatt muss ein positiver Betrag oder ein Prozentsatz bis 100 sein',
+    ESTIMATED_HOURS_INVALID:
+      'Die geschätzten Stunden müssen eine positive Zahl sein',
+    LINE_ITEM_INVALID: 'Position {index}: {reason}',
+    LINE_ITEMS_REQUIRED: 'Mindestens eine Position ist erforderlich',
+    LINE_ITEMS_NOT_ARRAY: 'Die Positionen müssen ein Array sein',
+    TASK_INVALID: 'Aufgabe {index}: {reason}',
+    TASKS_NOT_ARRAY: 'Die Aufgaben müssen ein Array sein',
+
+    RESET_INVALID: 'Das Zurücksetzen muss eines der folgenden sein: {modes}',
+    PATTERN_INVALID:
+      'Das Muster muss genau einen Zähler-Platzhalter wie {####} enthalten',
+    NEXT_VALUE_INVALID: 'Der nächste Wert muss eine positive ganze Zahl sein',
+
+    TEMPLATE_NAME_REQUIRED: 'Ein Vorlagenname ist erforderlich',
+    TEMPLATE_HTML_REQUIRED: 'Das HTML der Vorlage ist erforderlich',
+    TEMPLATE_CSS_INVALID:
+      'Das CSS der Vorlage muss Text mit höchstens {count} Zeichen sein',
+    TEMPLATE_NOT_STRING: 'Die Vorlage muss Text sein',
+    TEMPLATE_TOO_LARGE: 'Die Vorlage ist zu groß',
+    TEMPLATE_UNESCAPED_OUTPUT:
+      'Zeile {line}: Ausgabe ohne Escaping ({{{ }}}) wird nicht unterstützt',
+    TEMPLATE_BLOCK_INVALID: 'Zeile {line}: ungültiger Block {tag}',
+    TEMPLATE_CLOSE_UNEXPECTED: 'Zeile {line}: unerwartetes {tag}',
+    TEMPLATE_ELSE_UNEXPECTED: 'Zeile {line}: unerwartetes {{else}}',
+    TEMPLATE_PLACEHOLDER_INVALID: 'Zeile {line}: ungültiger Platzhalter {tag}',
+    TEMPLATE_BLOCK_NOT_CLOSED: 'Zeile {line}: {tag} wird nicht geschlossen',
+    LOGO_REQUIRED: 'Ein Logo-Bild ist erforderlich',
+    LOGO_TOO_LARGE: 'Das Logo darf höchstens {count} MB groß sein',
+    LOGO_TYPE_INVALID: 'Das Logo muss ein PNG-, JPEG- oder SVG-Bild sein',
+
+    INVOICE_DATE_INVALID: 'Ungültiges Rechnungsdatum',
+    INVOICE_NUMBER_USED:
+      'Die Rechnungsnummer {invoiceNumber} ist bereits vergeben',
+    NOTHING_TO_INVOICE: 'Keine offenen Aufgaben oder Positionen zum Abrechnen',
+    PROJECT_IDS_INVALID:
+      'Die Projekt-IDs müssen ein nicht leeres Array von IDs sein',
+    FIXED_PROJECT_ALONE:
+      'Das Festpreisprojekt „{name}“ muss einzeln abgerechnet werden',
+    CURRENCIES_MIXED:
+      'Projekte in unterschiedlichen Währungen können nicht auf einer Rechnung stehen',
+    EINVOICE_INCOMPLETE: 'Der E-Rechnung fehlen Pflichtangaben: {fields}',
+    EINVOICE_COUNTRY_UNKNOWN:
+      'Das Land „{country}“ ({field}) ist unbekannt; bitte einen ISO-3166-Code wie DE oder CH angeben',
+    INVOICE_PREVIEW_FAILED:
+      'Die Rechnungsvorschau konnte nicht erstellt werden',
+    INVOICE_ISSUE_FAILED: 'Die Rechnung konnte nicht ausgestellt werden',
+    INVOICE_PDF_FAILED: 'Das Rechnungs-PDF konnte nicht erstellt werden',
+    EINVOICE_FAILED: 'Die E-Rechnung konnte nicht erstellt werden',
+    PAYMENT_QR_FAILED: 'Der Zahlungscode konnte nicht erstellt werden',
+    PAYMENT_QR_UNAVAILABLE:
+      'Kein Zahlungscode für diese Rechnung (erfordert eine EUR-Rechnung, einen offenen Betrag und Ihre IBAN)',
+    INVOICE_UPDATE_FAILED: 'Die Rechnung konnte nicht aktualisiert werden',
+    INVOICE_CANCELLED: 'Die Rechnung ist storniert',
+    INVOICE_ALREADY_CANCELLED: 'Die Rechnung ist bereits storniert',
+
+    CREDIT_NOTE_FAILED: 'Die Gutschrift konnte nicht ausgestellt werden',
+    FIXED_CREDIT_BY_AMOUNT:
+      'Festpreisrechnungen können nur über einen Betrag gutgeschrieben werden',
+    INVOICE_LINE_MISSING: 'Die Rechnung hat keine Zeile {index}',
+    CREDIT_HOURS_INVALID: 'Ungültige Stunden für Zeile {index}',
+    INVOICE_LINE_ITEM_MISSING: 'Die Rechnung hat keine Position {index}',
+    CREDIT_QUANTITY_INVALID: 'Ungültige Menge für Position {index}',
+    NOTHING_TO_CREDIT: 'Keine Zeilen zum Gutschreiben',
+    INVOICE_PARTIALLY_CREDITED:
+      'Die Rechnung ist bereits teilweise gutgeschrieben; schreiben Sie die restlichen Zeilen oder einen Betrag gut',
+    CREDIT_EXCEEDS_INVOICE:
+      'Die Gutschrift übersteigt den verbleibenden Rechnungsbetrag',
+
+    PAYMENT_METHOD_INVALID:
+      'Die Zahlungsart muss eine der folgenden sein: {methods}',
+    PAYMENT_DATE_INVALID: 'Ungültiges Zahlungsdatum',
+    PAYMENT_EXCEEDS_BALANCE: 'Die Zahlung übersteigt den offenen Betrag',
+    PAYMENT_RECORD_FAILED: 'Die Zahlung konnte nicht erfasst werden',
+    PAYMENT_DELETE_FAILED: 'Die Zahlung konnte nicht gelöscht werden',
+
+    CUSTOMER_EMAIL_MISSING:
+      'Für den Kunden ist keine E-Mail-Adresse hinterlegt',
+    EMAIL_ADDRESS_INVALID: 'Ungültige E-Mail-Adresse: {address}',
+    EMAIL_SEND_FAILED: 'Die E-Mail konnte nicht gesendet werden: {reason}',
+    INVOICE_SEND_FAILED: 'Die Rechnung konnte nicht gesendet werden',
+
+    DUNNING_LEVELS_REQUIRED: 'Mindestens eine Mahnstufe ist erforderlich',
+    DUNNING_LEVEL_INVALID: 'Stufe {level}: ungültiger Wert für {field}',
+    DUNNING_LEVEL_ORDER:
+      'Stufe {level}: daysAfterDue muss größer sein als bei der vorherigen Stufe',
+    INVOICE_NOT_OPEN:
+      'Nur versendete, unbezahlte Rechnungen können gemahnt werden',
+    INVOICE_NOT_OVERDUE: 'Die Rechnung ist nicht überfällig',
+    DUNNING_COMPLETE: 'Alle Mahnstufen wurden bereits versendet',
+    REMINDER_FAILED: 'Die Mahnung konnte nicht erstellt werden',
+
+    INTERVAL_INVALID:
+      'Das Intervall muss eines der folgenden sein: {intervals}',
+    START_DATE_INVALID:
+      'Das Startdatum muss im Format JJJJ-MM-TT angegeben werden',
+    END_DATE_INVALID: 'Das Enddatum muss im Format JJJJ-MM-TT angegeben werden',
+    END_BEFORE_START: 'Das Enddatum liegt vor dem Startdatum',
+    DAY_OF_MONTH_INVALID: 'Der Tag im Monat muss zwischen 1 und 31 liegen',
+    AUTO_SEND_INVALID: 'autoSend muss true oder false sein',
+    RECURRING_INVOICE_ENDED: 'Die wiederkehrende Rechnung ist beendet',
+    RECURRING_NO_LINE_ITEMS: 'Die wiederkehrende Rechnung hat keine Positionen',
+
+    QUOTE_EMPTY: 'Ein Angebot braucht mindestens eine Aufgabe oder Position',
+    QUOTE_DATE_INVALID:
+      'Das Angebotsdatum muss im Format JJJJ-MM-TT angegeben werden',
+    VALID_UNTIL_INVALID:
+      'Gültig bis muss im Format JJJJ-MM-TT angegeben werden',
+    VALID_UNTIL_BEFORE_QUOTE_DATE: 'Gültig bis liegt vor dem Angebotsdatum',
+    QUOTE_NOT_DRAFT:
+      'Nur Angebotsentwürfe können geändert oder gelöscht werden',
+    QUOTE_ALREADY_SENT: 'Das Angebot wurde bereits versendet',
+    QUOTE_DECIDED:
+      'Die Antwort des Kunden auf dieses Angebot ist bereits erfasst',
+    QUOTE_EXPIRED: 'Das Angebot ist abgelaufen',
+    QUOTE_NOT_ACCEPTED: 'Nur angenommene Angebote können übernommen werden',
+    QUOTE_CONVERTED: 'Das Angebot wurde bereits übernommen',
+
+    START_TIME_INVALID: 'Der Beginn muss ein Datum mit Uhrzeit sein',
+    END_TIME_INVALID:
+      'Das Ende muss ein Datum mit Uhrzeit nach dem Beginn sein',
+    DURATION_INVALID: 'Die Dauer muss eine ganze Zahl von Sekunden über 0 sein',
+    DURATION_MISMATCH: 'Ende und Dauer passen nicht zusammen',
+    END_OR_DURATION_REQUIRED: 'Ein Ende oder eine Dauer ist erforderlich',
+    NOTE_INVALID: 'Die Notiz muss ein Text sein',
+    BILLABLE_INVALID: 'billable muss true oder false sein',
+    TIMER_ALREADY_RUNNING: 'Es läuft bereits ein Timer; stoppen Sie ihn zuerst',
+    TIMER_NOT_RUNNING: 'Es läuft kein Timer',
+
+    BILLING_BASIS_INVALID:
+      'Die Abrechnungsgrundlage muss eine der folgenden sein: {bases}',
+    TIME_ROUNDING_INVALID:
+      'Die Zeitrundung muss eine ganze Minutenzahl zwischen 0 und {count} sein',
+    TIME_ROUNDING_MODE_INVALID:
+      'Die Rundungsart muss eine der folgenden sein: {modes}',
+
+    RATE_ROLE_INVALID:
+      'Die Rolle muss ein Text mit höchstens {count} Zeichen sein',
+    RATE_CARD_LEVEL_INVALID:
+      'Ein Stundensatz gilt für einen Kunden oder ein Projekt, nicht für beide',
+    RATE_CARD_EXISTS:
+      'Für die Rolle {role} gibt es auf dieser Ebene bereits einen Stundensatz',
+
+    IMPORT_FORMAT_INVALID:
+      'Das Importformat muss eines der folgenden sein: {formats}',
+    IMPORT_MAPPING_INVALID:
+      'Die Spaltenzuordnung darf nur diese Felder Spaltennamen zuordnen: {fields}',
+    IMPORT_CONTENT_INVALID: 'Der Importinhalt konnte nicht gelesen werden',
+    IMPORT_FIELD_UNMAPPED: 'Dem Feld {field} ist keine Spalte zugeordnet',
+    IMPORT_COLUMN_MISSING: 'Die Spalte {column} fehlt',
+    IMPORT_TOO_MANY_ROWS: 'Ein Import darf höchstens {count} Zeilen haben',
+    IMPORT_DATE_FORMAT_INVALID:
+      'Das Datumsformat muss eines der folgenden sein: {formats}',
+    IMPORT_NAME_MISSING: 'Der Aufgabenname fehlt',
+    IMPORT_DATE_INVALID: 'Ungültiges Datum: {value}',
+    IMPORT_START_INVALID: 'Ungültige Startzeit: {value}',
+    IMPORT_HOURS_INVALID: 'Ungültige Stunden: {value}',
+    IMPORT_PROJECT_NOT_FOUND: 'Projekt {name} nicht gefunden',
+    IMPORT_PROJECT_MISSING:
+      'Kein Projekt angegeben und keine Standard-projectId',
+    IMPORT_INVALID: {
+      one: '{count} Zeile ist ungültig; es wurde nichts importiert',
+      other: '{count} Zeilen sind ungültig; es wurde nichts importiert'
+    },
+
+    CALENDAR_FEED_NOT_FOUND: 'Kalender-Feed nicht gefunden',
+    CALENDAR_FILTER_INVALID:
+      'customerId und projectId müssen numerische IDs sein',
+
+    TIMESHEET_FORMAT_INVALID:
+      'Das Format des Stundennachweises muss eines der folgenden sein: {formats}',
+
+    TASK_STATUS_INVALID: 'Der Status muss einer der folgenden sein: {statuses}',
+    TASK_TRANSITION_NOT_ALLOWED:
+      'Der Workflow des Projekts erlaubt keinen Wechsel von {from} zu {to}',
+    TASK_WORKFLOW_INVALID:
+      'Die Status eines Workflows müssen eindeutig sein, todo und done enthalten und aus folgenden stammen: {statuses}',
+    TASK_WORKFLOW_TRANSITIONS_INVALID:
+      'Die Übergänge eines Workflows müssen eine Liste von { from, to } sein',
+    TASK_WORKFLOW_TRANSITION_INVALID:
+      'Ungültiger Workflow-Übergang von {from} zu {to}',
+    TASK_STATUS_IN_USE:
+      'Aufgaben des Projekts haben noch diese Status: {statuses}',
+    TASK_PARENT_INVALID:
+      'Eine Unteraufgabe braucht eine Hauptaufgabe desselben Projekts und kann selbst keine Unteraufgaben haben',
+    DUE_DATE_INVALID:
+      'Das Fälligkeitsdatum muss im Format JJJJ-MM-TT angegeben werden'
+  }
+};
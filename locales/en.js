@@ -0,0 +1,365 @@
+// English catalog: the reference for every other locale and the fallback for
+// keys they leave out
+export default {
+  meta: { name: 'English', intl: 'en-GB' },
+
+  invoice: {
+    invoice: 'Invoice',
+    creditNote: 'Credit note',
+    quote: 'Quote',
+    date: 'Date',
+    task: 'Task',
+    hours: 'Hours',
+    rate: 'Rate',
+    cost: 'Cost',
+    subtotal: 'Subtotal',
+    vat: 'VAT ({rate}%)',
+    total: 'Total',
+    noTasks: 'No tasks',
+    vatId: 'VAT',
+    phone: 'Phone',
+    email: 'Email',
+    dueDate: 'Due date',
+    validUntil: 'Valid until',
+    reference: 'Reference: invoice {number}',
+    vatRate: 'VAT %',
+    description: 'Description',
+    quantity: 'Quantity',
+    unitPrice: 'Unit price',
+    discount: 'Discount',
+    amount: 'Amount',
+    services: 'Services',
+    servicePeriod: 'Service period: {from} – {to}',
+    groupSubtotal: 'Subtotal {name}',
+    paymentQr: 'Scan the code with your banking app to pay by transfer.',
+    buyerVatId: 'Customer VAT ID',
+    vatNotes: {
+      standard: '',
+      reverse_charge:
+        'Reverse charge: VAT is payable by the recipient of the service (Art. 196 Council Directive 2006/112/EC).',
+      exempt:
+        'No VAT is charged as the supplier is a small business under § 19 UStG.'
+    }
+  },
+
+  mail: {
+    subject: '{title} {number}',
+    subjectFrom: '{title} {number} from {company}',
+    greeting: 'Dear {name},',
+    greetingAnonymous: 'Dear Sir or Madam,',
+    body: {
+      invoice: 'please find attached invoice {number} for {total}.',
+      credit_note: 'please find attached credit note {number} for {total}.',
+      quote: 'please find attached quote {number} for {total}.'
+    },
+    due: 'Please transfer the amount by {date}.',
+    closing: 'Kind regards'
+  },
+
+  dunning: {
+    titles: [
+      'Payment reminder',
+      'First dunning notice',
+      'Second dunning notice'
+    ],
+    intros: [
+      'We would like to remind you that the following invoice is still open. Perhaps it has escaped your attention.',
+      'Despite our reminder we have not yet received payment for the following invoice.',
+      'We have still not received payment for the following invoice despite repeated reminders. This is our final reminder before we hand the matter over for collection.'
+    ],
+    invoiceNo: 'Invoice',
+    invoiceDate: 'Invoice date',
+    dueDate: 'Due date',
+    openAmount: 'Open amount',
+    fees: 'Dunning fees',
+    interest: 'Default interest ({rate}% p.a.)',
+    amountDue: 'Amount due',
+    payBy: 'Please transfer the amount due by {date}.',
+    alreadyPaid: 'If you have already paid, please disregard this letter.'
+  },
+
+  // API error messages by error code
+  timesheet: {
+    title: 'Timesheet',
+    week: 'Week',
+    weekLabel: 'Week {week}/{year}',
+    date: 'Date',
+    project: 'Project',
+    task: 'Task',
+    hours: 'Hours',
+    billableHours: 'Billable hours',
+    weekTotal: 'Total {week}',
+    total: 'Total',
+    period: '{from} – {to}'
+  },
+
+  calendar: {
+    name: 'Tasks and invoice due dates',
+    taskDescription: '{project} ({customer})',
+    taskDue: 'Due: {name}',
+    invoiceDue: 'Invoice {number} due: {customer}',
+    invoiceBalance: 'Open amount: {amount}'
+  },
+
+  errors: {
+    INTERNAL_ERROR: 'Internal server error',
+
+    // Authentication and accounts
+    TOKEN_REQUIRED: 'Access token required',
+    TOKEN_INVALID: 'Invalid or expired token',
+    AUTHENTICATION_FAILED: 'Authentication failed',
+    ADMIN_REQUIRED: 'Admin access required',
+    FIELDS_REQUIRED: 'All fields are required',
+    EMAIL_INVALID: 'Invalid email format',
+    PASSWORD_TOO_SHORT: {
+      one: 'Password must be at least {count} character long',
+      other: 'Password must be at least {count} characters long'
+    },
+    USER_EXISTS: 'User already exists with this email',
+    CREDENTIALS_REQUIRED: 'Email and password are required',
+    CREDENTIALS_INVALID: 'Invalid email or password',
+    ACCOUNT_INACTIVE: 'Account is not active',
+    NAME_REQUIRED: 'First name and last name are required',
+    PASSWORDS_REQUIRED: 'Current password and new password are required',
+    NEW_PASSWORD_TOO_SHORT: {
+      one: 'New password must be at least {count} character long',
+      other: 'New password must be at least {count} characters long'
+    },
+    PASSWORD_INCORRECT: 'Current password is incorrect',
+    ROLE_INVALID: 'Invalid role',
+    ACTIVE_INVALID: 'Invalid active value',
+    OWN_ADMIN_ROLE: 'Cannot remove your own admin role',
+    NO_FIELDS: 'No fields to update',
+
+    // Missing rows
+    USER_NOT_FOUND: 'User not found',
+    CUSTOMER_NOT_FOUND: 'Customer not found or access denied',
+    PROJECT_NOT_FOUND: 'Project not found or access denied',
+    TASK_NOT_FOUND: 'Task not found or access denied',
+    LINE_ITEM_NOT_FOUND: 'Line item not found or access denied',
+    INVOICE_NOT_FOUND: 'Invoice not found or access denied',
+    PAYMENT_NOT_FOUND: 'Payment not found or access denied',
+    REMINDER_NOT_FOUND: 'Reminder not found or access denied',
+    TEMPLATE_NOT_FOUND: 'Template not found or access denied',
+    RECURRING_INVOICE_NOT_FOUND: 'Recurring invoice not found or access denied',
+    QUOTE_NOT_FOUND: 'Quote not found or access denied',
+    RATE_CARD_NOT_FOUND: 'Rate card not found',
+    TIME_ENTRY_NOT_FOUND: 'Time entry not found or access denied',
+    LOGO_NOT_FOUND: 'No logo uploaded',
+    DOCUMENT_TYPE_UNKNOWN: 'Unknown document type',
+
+    // Common field validation
+    CURRENCY_INVALID: 'Invalid currency code',
+    LOCALE_INVALID: 'Language must be one of: {locales}',
+    VAT_RATE_INVALID: 'VAT rate must be between 0 and 100',
+    PAYMENT_TERMS_INVALID: {
+      one: 'Payment terms must be between 0 and {count} day',
+      other: 'Payment terms must be between 0 and {count} days'
+    },
+    STATUS_INVALID: 'Status must be one of: {statuses}',
+    TITLE_REQUIRED: 'Title is required',
+    TITLE_NOT_TEXT: 'Title must be text',
+    DESCRIPTION_REQUIRED: 'Description is required',
+    DESCRIPTION_NOT_TEXT: 'Description must be text',
+    AMOUNT_INVALID: 'Amount must be a positive number',
+    HOURLY_RATE_INVALID: 'Hourly rate must be a positive number',
+    FIXED_PRICE_INVALID: 'Fixed price must be a positive number',
+    PRICING_TYPE_INVALID: 'Pricing type must be one of: {types}',
+    DATE_INVALID: 'Invalid date',
+    DATES_INVALID: 'Dates must be given as YYYY-MM-DD',
+    DATE_RANGE_INVALID: 'The date range ends before it starts',
+
+    // Customers, projects, tasks and line items
+    CUSTOMER_NAME_REQUIRED: 'Customer name is required',
+    PROJECT_NAME_REQUIRED: 'Project name is required',
+    TASK_NAME_REQUIRED: 'Task name is required',
+    TASK_ORDER_INVALID: 'Order must be an array of task objects.',
+    LINE_ITEM_ORDER_INVALID: 'Order must be an array of line item objects.',
+    INVOICE_LOCKED: 'Locked by finalized invoice {invoiceNumber}',
+    PROJECT_ALREADY_INVOICED:
+      'Project already has finalized invoice {invoiceNumber}',
+    QUANTITY_INVALID: 'Quantity must be a number',
+    UNIT_INVALID: 'Unit must be text of at most {count} characters',
+    UNIT_PRICE_INVALID: 'Unit price must be a number',
+    DISCOUNT_TYPE_INVALID: 'Discount type must be one of: {types}',
+    DISCOUNT_INVALID:
+      'Discount must be a positive amount or a percentage up to 100',
+    ESTIMATED_HOURS_INVALID: 'Estimated hours must be a positive number',
+    LINE_ITEM_INVALID: 'Line item {index}: {reason}',
+    LINE_ITEMS_REQUIRED: 'At least one line item is required',
+    LINE_ITEMS_NOT_ARRAY: 'Line items must be an array',
+    TASK_INVALID: 'Task {index}: {reason}',
+    TASKS_NOT_ARRAY: 'Tasks must be an array',
+
+    // Numbering
+    RESET_INVALID: 'Reset must be one of: {modes}',
+    PATTERN_INVALID:
+      'Pattern must contain exactly one counter placeholder like {####}',
+    NEXT_VALUE_INVALID: 'Next value must be a positive integer',
+
+    // Templates and logo
+    TEMPLATE_NAME_REQUIRED: 'Template name is required',
+    TEMPLATE_HTML_REQUIRED: 'Template HTML is required',
+    TEMPLATE_CSS_INVALID:
+      'Template CSS must be a string of at most {count} characters',
+    TEMPLATE_NOT_STRING: 'Template must be a string',
+    TEMPLATE_TOO_LARGE: 'Template is too large',
+    TEMPLATE_UNESCAPED_OUTPUT:
+      'Line {line}: unescaped output ({{{ }}}) is not supported',
+    TEMPLATE_BLOCK_INVALID: 'Line {line}: invalid block {tag}',
+    TEMPLATE_CLOSE_UNEXPECTED: 'Line {line}: unexpected {tag}',
+    TEMPLATE_ELSE_UNEXPECTED: 'Line {line}: unexpected {{else}}',
+    TEMPLATE_PLACEHOLDER_INVALID: 'Line {line}: invalid placeholder {tag}',
+    TEMPLATE_BLOCK_NOT_CLOSED: 'Line {line}: {tag} is not closed',
+    LOGO_REQUIRED: 'Logo image is required',
+    LOGO_TOO_LARGE: 'Logo must not be larger than {count} MB',
+    LOGO_TYPE_INVALID: 'Logo must be a PNG, JPEG or SVG image',
+
+    // Invoicing
+    INVOICE_DATE_INVALID: 'Invalid invoice date',
+    INVOICE_NUMBER_USED: 'Invoice number {invoiceNumber} is already used',
+    NOTHING_TO_INVOICE: 'No unbilled tasks or line items to invoice',
+    PROJECT_IDS_INVALID: 'Project IDs must be a non-empty array of IDs',
+    FIXED_PROJECT_ALONE:
+      'Fixed-price project "{name}" must be invoiced on its own',
+    CURRENCIES_MIXED:
+      'Projects billed in different currencies cannot share an invoice',
+    EINVOICE_INCOMPLETE: 'E-invoice is missing required fields: {fields}',
+    EINVOICE_COUNTRY_UNKNOWN:
+      'Country "{country}" ({field}) is not recognized; use an ISO 3166 code such as DE or CH',
+    INVOICE_PREVIEW_FAILED: 'Failed to build invoice preview',
+    INVOICE_ISSUE_FAILED: 'Failed to issue invoice',
+    INVOICE_PDF_FAILED: 'Failed to render invoice PDF',
+    EINVOICE_FAILED: 'Failed to render e-invoice',
+    PAYMENT_QR_FAILED: 'Failed to render payment code',
+    PAYMENT_QR_UNAVAILABLE:
+      'No payment code for this invoice (needs a EUR invoice, an amount due and your IBAN)',
+    INVOICE_UPDATE_FAILED: 'Failed to update invoice',
+    INVOICE_CANCELLED: 'Invoice is cancelled',
+    INVOICE_ALREADY_CANCELLED: 'Invoice is already cancelled',
+
+    // Credit notes
+    CREDIT_NOTE_FAILED: 'Failed to issue credit note',
+    FIXED_CREDIT_BY_AMOUNT:
+      'Fixed-price invoices can only be credited by amount',
+    INVOICE_LINE_MISSING: 'Invoice has no line {index}',
+    CREDIT_HOURS_INVALID: 'Invalid hours for line {index}',
+    INVOICE_LINE_ITEM_MISSING: 'Invoice has no line item {index}',
+    CREDIT_QUANTITY_INVALID: 'Invalid quantity for line item {index}',
+    NOTHING_TO_CREDIT: 'No lines to credit',
+    INVOICE_PARTIALLY_CREDITED:
+      'Invoice is already partially credited; credit the remaining lines or amount',
+    CREDIT_EXCEEDS_INVOICE: 'Credit exceeds the remaining invoice amount',
+
+    // Payments
+    PAYMENT_METHOD_INVALID: 'Payment method must be one of: {methods}',
+    PAYMENT_DATE_INVALID: 'Invalid payment date',
+    PAYMENT_EXCEEDS_BALANCE: 'Payment exceeds the open balance',
+    PAYMENT_RECORD_FAILED: 'Failed to record payment',
+    PAYMENT_DELETE_FAILED: 'Failed to delete payment',
+
+    // Email
+    CUSTOMER_EMAIL_MISSING: 'Customer has no email address',
+    EMAIL_ADDRESS_INVALID: 'Invalid email address: {address}',
+    EMAIL_SEND_FAILED: 'Failed to send email: {reason}',
+    INVOICE_SEND_FAILED: 'Failed to send invoice',
+
+    // Dunning
+    DUNNING_LEVELS_REQUIRED: 'At least one dunning level is required',
+    DUNNING_LEVEL_INVALID: 'Level {level}: invalid {field}',
+    DUNNING_LEVEL_ORDER:
+      'Level {level}: daysAfterDue must be greater than the previous level',
+    INVOICE_NOT_OPEN: 'Only sent, unpaid invoices can be reminded',
+    INVOICE_NOT_OVERDUE: 'Invoice is not overdue',
+    DUNNING_COMPLETE: 'All dunning levels have been sent',
+    REMINDER_FAILED: 'Failed to create reminder',
+
+    // Recurring invoices
+    INTERVAL_INVALID: 'Interval must be one of: {intervals}',
+    START_DATE_INVALID: 'Start date must be given as YYYY-MM-DD',
+    END_DATE_INVALID: 'End date must be given as YYYY-MM-DD',
+    END_BEFORE_START: 'End date is before the start date',
+    DAY_OF_MONTH_INVALID: 'Day of month must be between 1 and 31',
+    AUTO_SEND_INVALID: 'autoSend must be true or false',
+    RECURRING_INVOICE_ENDED: 'Recurring invoice has ended',
+    RECURRING_NO_LINE_ITEMS: 'Recurring invoice has no line items',
+
+    // Quotes
+    QUOTE_EMPTY: 'A quote needs at least one task or line item',
+    QUOTE_DATE_INVALID: 'Quote date must be given as YYYY-MM-DD',
+    VALID_UNTIL_INVALID: 'Valid until must be given as YYYY-MM-DD',
+    VALID_UNTIL_BEFORE_QUOTE_DATE: 'Valid until is before the quote date',
+    QUOTE_NOT_DRAFT: 'Only draft quotes can be changed or deleted',
+    QUOTE_ALREADY_SENT: 'Quote has already been sent',
+    QUOTE_DECIDED: "The customer's answer to this quote is already recorded",
+    QUOTE_EXPIRED: 'Quote has expired',
+    QUOTE_NOT_ACCEPTED: 'Only accepted quotes can be converted',
+    QUOTE_CONVERTED: 'Quote has already been converted',
+
+    // Time tracking
+    START_TIME_INVALID: 'Start must be a date and time',
+    END_TIME_INVALID: 'End must be a date and time after the start',
+    DURATION_INVALID: 'Duration must be a whole number of seconds above 0',
+    DURATION_MISMATCH: 'End and duration do not match',
+    END_OR_DURATION_REQUIRED: 'An end or a duration is required',
+    NOTE_INVALID: 'Note must be text',
+    BILLABLE_INVALID: 'billable must be true or false',
+    TIMER_ALREADY_RUNNING: 'A timer is already running; stop it first',
+    TIMER_NOT_RUNNING: 'No timer is running',
+
+    // Billing by logged time
+    BILLING_BASIS_INVALID: 'Billing basis must be one of: {bases}',
+    TIME_ROUNDING_INVALID:
+      'Time rounding must be a whole number of minutes between 0 and {count}',
+    TIME_ROUNDING_MODE_INVALID: 'Time rounding mode must be one of: {modes}',
+
+    // Rate cards
+    RATE_ROLE_INVALID: 'Role must be text of at most {count} characters',
+    RATE_CARD_LEVEL_INVALID:
+      'A rate card belongs to a customer or a project, not both',
+    RATE_CARD_EXISTS: 'A rate for role {role} already exists at this level',
+
+    // Time import
+    IMPORT_FORMAT_INVALID: 'Import format must be one of: {formats}',
+    IMPORT_MAPPING_INVALID:
+      'Column mapping may only map these fields to column names: {fields}',
+    IMPORT_CONTENT_INVALID: 'The import content could not be read',
+    IMPORT_FIELD_UNMAPPED: 'No column is mapped to the field {field}',
+    IMPORT_COLUMN_MISSING: 'The column {column} is missing',
+    IMPORT_TOO_MANY_ROWS: 'An import may have at most {count} rows',
+    IMPORT_DATE_FORMAT_INVALID: 'Date format must be one of: {formats}',
+    IMPORT_NAME_MISSING: 'Task name is missing',
+    IMPORT_DATE_INVALID: 'Invalid date: {value}',
+    IMPORT_START_INVALID: 'Invalid start time: {value}',
+    IMPORT_HOURS_INVALID: 'Invalid hours: {value}',
+    IMPORT_PROJECT_NOT_FOUND: 'Project {name} not found',
+    IMPORT_PROJECT_MISSING: 'No project given and no default projectId',
+    IMPORT_INVALID: {
+      one: '{count} row is invalid; nothing was imported',
+      other: '{count} rows are invalid; nothing was imported'
+    },
+
+    // Calendar feed
+    CALENDAR_FEED_NOT_FOUND: 'Calendar feed not found',
+    CALENDAR_FILTER_INVALID: 'customerId and projectId must be numeric ids',
+
+    // Timesheets
+    TIMESHEET_FORMAT_INVALID: 'Timesheet format must be one of: {formats}',
+
+    // Task workflow
+    TASK_STATUS_INVALID: 'Status must be one of: {statuses}',
+    TASK_TRANSITION_NOT_ALLOWED:
+      'The project workflow does not allow moving a task from {from} to {to}',
+    TASK_WORKFLOW_INVALID:
+      'Workflow statuses must be distinct, include todo and done and be taken from: {statuses}',
+    TASK_WORKFLOW_TRANSITIONS_INVALID:
+      'Workflow transitions must be a list of { from, to } moves',
+    TASK_WORKFLOW_TRANSITION_INVALID:
+      'Invalid workflow transition from {from} to {to}',
+    TASK_STATUS_IN_USE:
+      'Tasks of the project still have these statuses: {statuses}',
+    TASK_PARENT_INVALID:
+      'A subtask needs a top-level task of the same project as parent and cannot have subtasks itself',
+    DUE_DATE_INVALID: 'Due date must be given as YYYY-MM-DD'
+  }
+};
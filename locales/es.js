@@ -0,0 +1,368 @@
+export default {
+  meta: { name: 'Español', intl: 'es-ES' },
+
+  invoice: {
+    invoice: 'Factura',
+    creditNote: 'Factura rectificativa',
+    quote: 'Presupuesto',
+    date: 'Fecha',
+    task: 'Tarea',
+    hours: 'Horas',
+    rate: 'Tarifa',
+    cost: 'Coste',
+    subtotal: 'Subtotal',
+    vat: 'IVA ({rate} %)',
+    total: 'Total',
+    noTasks: 'Sin tareas',
+    vatId: 'NIF-IVA',
+    phone: 'Teléfono',
+    email: 'Correo electrónico',
+    dueDate: 'Fecha de vencimiento',
+    validUntil: 'Válido hasta',
+    reference: 'Referencia: factura {number}',
+    vatRate: 'IVA %',
+    description: 'Descripción',
+    quantity: 'Cantidad',
+    unitPrice: 'Precio unitario',
+    discount: 'Descuento',
+    amount: 'Importe',
+    services: 'Servicios',
+    servicePeriod: 'Periodo de prestación: {from} – {to}',
+    groupSubtotal: 'Subtotal {name}',
+    paymentQr:
+      'Escanee el código con su aplicación bancaria para pagar por transferencia.',
+    buyerVatId: 'NIF-IVA del cliente',
+    vatNotes: {
+      standard: '',
+      reverse_charge:
+        'Inversión del sujeto pasivo: el IVA lo debe el destinatario del servicio (art. 196 de la Directiva 2006/112/CE).',
+      exempt:
+        'No se aplica IVA por tratarse de una pequeña empresa según el § 19 UStG.'
+    }
+  },
+
+  mail: {
+    subject: '{title} {number}',
+    subjectFrom: '{title} {number} de {company}',
+    greeting: 'Estimado/a {name}:',
+    greetingAnonymous: 'Estimados señores:',
+    body: {
+      invoice: 'le adjuntamos la factura {number} por importe de {total}.',
+      credit_note:
+        'le adjuntamos la factura rectificativa {number} por importe de {total}.',
+      quote: 'le adjuntamos el presupuesto {number} por importe de {total}.'
+    },
+    due: 'Le rogamos que transfiera el importe antes del {date}.',
+    closing: 'Atentamente'
+  },
+
+  dunning: {
+    titles: [
+      'Recordatorio de pago',
+      'Primer requerimiento de pago',
+      'Segundo requerimiento de pago'
+    ],
+    intros: [
+      'Le recordamos que la siguiente factura sigue pendiente. Es posible que se le haya pasado por alto.',
+      'A pesar de nuestro recordatorio, todavía no hemos recibido el pago de la siguiente factura.',
+      'A pesar de los reiterados recordatorios, la siguiente factura sigue sin pagarse. Este es nuestro último aviso antes de iniciar el cobro por vía externa.'
+    ],
+    invoiceNo: 'Factura',
+    invoiceDate: 'Fecha de factura',
+    dueDate: 'Fecha de vencimiento',
+    openAmount: 'Importe pendiente',
+    fees: 'Gastos de reclamación',
+    interest: 'Intereses de demora ({rate} % anual)',
+    amountDue: 'Importe a pagar',
+    payBy: 'Le rogamos que transfiera el importe pendiente antes del {date}.',
+    alreadyPaid: 'Si ya ha realizado el pago, le rogamos que ignore esta carta.'
+  },
+
+  timesheet: {
+    title: 'Hoja de horas',
+    week: 'Semana',
+    weekLabel: 'Semana {week}/{year}',
+    date: 'Fecha',
+    project: 'Proyecto',
+    task: 'Tarea',
+    hours: 'Horas',
+    billableHours: 'Horas facturables',
+    weekTotal: 'Total {week}',
+    total: 'Total',
+    period: '{from} – {to}'
+  },
+
+  calendar: {
+    name: 'Tareas y vencimientos de facturas',
+    taskDescription: '{project} ({customer})',
+    taskDue: 'Vence: {name}',
+    invoiceDue: 'Vence la factura {number}: {customer}',
+    invoiceBalance: 'Importe pendiente: {amount}'
+  },
+
+  errors: {
+    INTERNAL_ERROR: 'Error interno del servidor',
+
+    TOKEN_REQUIRED: 'Se requiere un token de acceso',
+    TOKEN_INVALID: 'Token no válido o caducado',
+    AUTHENTICATION_FAILED: 'Error de autenticación',
+    ADMIN_REQUIRED: 'Se requiere acceso de administrador',
+    FIELDS_REQUIRED: 'Todos los campos son obligatorios',
+    EMAIL_INVALID: 'Formato de correo electrónico no válido',
+    PASSWORD_TOO_SHORT: {
+      one: 'La contraseña debe tener al menos {count} carácter',
+      other: 'La contraseña debe tener al menos {count} caracteres'
+    },
+    USER_EXISTS: 'Ya existe un usuario con este correo electrónico',
+    CREDENTIALS_REQUIRED:
+      'El correo electrónico y la contraseña son obligatorios',
+    CREDENTIALS_INVALID: 'Correo electrónico o contraseña no válidos',
+    ACCOUNT_INACTIVE: 'La cuenta no está activa',
+    NAME_REQUIRED: 'El nombre y los apellidos son obligatorios',
+    PASSWORDS_REQUIRED: 'La contraseña actual y la nueva son obligatorias',
+    NEW_PASSWORD_TOO_SHORT: {
+      one: 'La nueva contraseña debe tener al menos {count} carácter',
+      other: 'La nueva contraseña debe tener al menos {count} caracteres'
+    },
+    PASSWORD_INCORRECT: 'La contraseña actual es incorrecta',
+    ROLE_INVALID: 'Rol no válido',
+    ACTIVE_INVALID: 'Valor de activo no válido',
+    OWN_ADMIN_ROLE: 'No puede quitarse su propio rol de administrador',
+    NO_FIELDS: 'No hay campos que actualizar',
+
+    USER_NOT_FOUND: 'Usuario no encontrado',
+    CUSTOMER_NOT_FOUND: 'Cliente no encontrado o acceso denegado',
+    PROJECT_NOT_FOUND: 'Proyecto no encontrado o acceso denegado',
+    TASK_NOT_FOUND: 'Tarea no encontrada o acceso denegado',
+    LINE_ITEM_NOT_FOUND: 'Partida no encontrada o acceso denegado',
+    INVOICE_NOT_FOUND: 'Factura no encontrada o acceso denegado',
+    PAYMENT_NOT_FOUND: 'Pago no encontrado o acceso denegado',
+    REMINDER_NOT_FOUND: 'Recordatorio no encontrado o acceso denegado',
+    TEMPLATE_NOT_FOUND: 'Plantilla no encontrada o acceso denegado',
+    RECURRING_INVOICE_NOT_FOUND:
+      'Factura recurrente no encontrada o acceso denegado',
+    QUOTE_NOT_FOUND: 'Presupuesto no encontrado o acceso denegado',
+    RATE_CARD_NOT_FOUND: 'Tarifa no encontrada',
+    TIME_ENTRY_NOT_FOUND: 'Registro de tiempo no encontrado o acceso denegado',
+    LOGO_NOT_FOUND: 'No se ha subido ningún logotipo',
+    DOCUMENT_TYPE_UNKNOWN: 'Tipo de documento desconocido',
+
+    CURRENCY_INVALID: 'Código de moneda no válido',
+    LOCALE_INVALID: 'El idioma debe ser uno de los siguientes: {locales}',
+    VAT_RATE_INVALID: 'El tipo de IVA debe estar entre 0 y 100',
+    PAYMENT_TERMS_INVALID: {
+      one: 'El plazo de pago debe estar entre 0 y {count} día',
+      other: 'El plazo de pago debe estar entre 0 y {count} días'
+    },
+    STATUS_INVALID: 'El estado debe ser uno de los siguientes: {statuses}',
+    TITLE_REQUIRED: 'El título es obligatorio',
+    TITLE_NOT_TEXT: 'El título debe ser texto',
+    DESCRIPTION_REQUIRED: 'La descripción es obligatoria',
+    DESCRIPTION_NOT_TEXT: 'La descripción debe ser texto',
+    AMOUNT_INVALID: 'El importe debe ser un número positivo',
+    HOURLY_RATE_INVALID: 'La tarifa por hora debe ser un número positivo',
+    FIXED_PRICE_INVALID: 'El precio cerrado debe ser un número positivo',
+    PRICING_TYPE_INVALID:
+      'El tipo de precio debe ser uno de los siguientes: {types}',
+    DATE_INVALID: 'Fecha no válida',
+    DATES_INVALID: 'Las fechas deben indicarse como AAAA-MM-DD',
+    DATE_RANGE_INVALID: 'El periodo termina antes de empezar',
+
+    CUSTOMER_NAME_REQUIRED: 'El nombre del cliente es obligatorio',
+    PROJECT_NAME_REQUIRED: 'El nombre del proyecto es obligatorio',
+    TASK_NAME_REQUIRED: 'El nombre de la tarea es obligatorio',
+    TASK_ORDER_INVALID: 'El orden debe ser una lista de tareas.',
+    LINE_ITEM_ORDER_INVALID: 'El orden debe ser una lista de partidas.',
+    INVOICE_LOCKED: 'Bloqueado por la factura emitida {invoiceNumber}',
+    PROJECT_ALREADY_INVOICED:
+      'El proyecto ya tiene la factura emitida {invoiceNumber}',
+    QUANTITY_INVALID: 'La cantidad debe ser un número',
+    UNIT_INVALID:
+      'La unidad debe ser un texto de como máximo {count} caracteres',
+    UNIT_PRICE_INVALID: 'El precio unitario debe ser un número',
+    DISCOUNT_TYPE_INVALID:
+      'El tipo de descuento debe ser uno de los siguientes: {types}',
+    DISCOUNT_INVALID:
+      'El descuento debe ser un importe positivo o un porcentaje de hasta 100',
+    ESTIMATED_HOURS_INVALID: 'Las horas estimadas deben ser un número positivo',
+    LINE_ITEM_INVALID: 'Partida {index}: {reason}',
+    LINE_ITEMS_REQUIRED: 'Se requiere al menos una partida',
+    LINE_ITEMS_NOT_ARRAY: 'Las partidas deben ser una lista',
+    TASK_INVALID: 'Tarea {index}: {reason}',
+    TASKS_NOT_ARRAY: 'Las tareas deben ser una lista',
+
+    RESET_INVALID: 'El reinicio debe ser uno de los siguientes: {modes}',
+    PATTERN_INVALID:
+      'El patrón debe contener exactamente un contador como {####}',
+    NEXT_VALUE_INVALID: 'El siguiente valor debe ser un número entero positivo',
+
+    TEMPLATE_NAME_REQUIRED: 'El nombre de la plantilla es obligatorio',
+    TEMPLATE_HTML_REQUIRED: 'El HTML de la plantilla es obligatorio',
+    TEMPLATE_CSS_INVALID:
+      'El CSS de la plantilla debe ser un texto de como máximo {count} caracteres',
+    TEMPLATE_NOT_STRING: 'La plantilla debe ser texto',
+    TEMPLATE_TOO_LARGE: 'La plantilla es demasiado grande',
+    TEMPLATE_UNESCAPED_OUTPUT:
+      'Línea {line}: no se admite la salida sin escapar ({{{ }}})',
+    TEMPLATE_BLOCK_INVALID: 'Línea {line}: bloque no válido {tag}',
+    TEMPLATE_CLOSE_UNEXPECTED: 'Línea {line}: {tag} inesperado',
+    TEMPLATE_ELSE_UNEXPECTED: 'Línea {line}: {{else}} inesperado',
+    TEMPLATE_PLACEHOLDER_INVALID: 'Línea {line}: marcador no válido {tag}',
+    TEMPLATE_BLOCK_NOT_CLOSED: 'Línea {line}: {tag} no está cerrado',
+    LOGO_REQUIRED: 'Se requiere una imagen de logotipo',
+    LOGO_TOO_LARGE: 'El logotipo no puede superar {count} MB',
+    LOGO_TYPE_INVALID: 'El logotipo debe ser una imagen PNG, JPEG o SVG',
+
+    INVOICE_DATE_INVALID: 'Fecha de factura no válida',
+    INVOICE_NUMBER_USED: 'El número de factura {invoiceNumber} ya está en uso',
+    NOTHING_TO_INVOICE: 'No hay tareas ni partidas pendientes de facturar',
+    PROJECT_IDS_INVALID:
+      'Los ID de proyecto deben ser una lista no vacía de ID',
+    FIXED_PROJECT_ALONE:
+      'El proyecto de precio cerrado «{name}» debe facturarse por separado',
+    CURRENCIES_MIXED:
+      'Los proyectos facturados en monedas distintas no pueden compartir factura',
+    EINVOICE_INCOMPLETE:
+      'Faltan campos obligatorios en la factura electrónica: {fields}',
+    EINVOICE_COUNTRY_UNKNOWN:
+      'País «{country}» ({field}) no reconocido; use un código ISO 3166 como DE o CH',
+    INVOICE_PREVIEW_FAILED: 'No se pudo generar la vista previa de la factura',
+    INVOICE_ISSUE_FAILED: 'No se pudo emitir la factura',
+    INVOICE_PDF_FAILED: 'No se pudo generar el PDF de la factura',
+    EINVOICE_FAILED: 'No se pudo generar la factura electrónica',
+    PAYMENT_QR_FAILED: 'No se pudo generar el código de pago',
+    PAYMENT_QR_UNAVAILABLE:
+      'No hay código de pago para esta factura (requiere una factura en EUR, un importe pendiente y su IBAN)',
+    INVOICE_UPDATE_FAILED: 'No se pudo actualizar la factura',
+    INVOICE_CANCELLED: 'La factura está anulada',
+    INVOICE_ALREADY_CANCELLED: 'La factura ya está anulada',
+
+    CREDIT_NOTE_FAILED: 'No se pudo emitir la factura rectificativa',
+    FIXED_CREDIT_BY_AMOUNT:
+      'Las facturas de precio cerrado solo pueden rectificarse por importe',
+    INVOICE_LINE_MISSING: 'La factura no tiene la línea {index}',
+    CREDIT_HOURS_INVALID: 'Horas no válidas para la línea {index}',
+    INVOICE_LINE_ITEM_MISSING: 'La factura no tiene la partida {index}',
+    CREDIT_QUANTITY_INVALID: 'Cantidad no válida para la partida {index}',
+    NOTHING_TO_CREDIT: 'No hay líneas que rectificar',
+    INVOICE_PARTIALLY_CREDITED:
+      'La factura ya está rectificada en parte; rectifique las líneas restantes o un importe',
+    CREDIT_EXCEEDS_INVOICE:
+      'La rectificación supera el importe restante de la factura',
+
+    PAYMENT_METHOD_INVALID:
+      'La forma de pago debe ser una de las siguientes: {methods}',
+    PAYMENT_DATE_INVALID: 'Fecha de pago no válida',
+    PAYMENT_EXCEEDS_BALANCE: 'El pago supera el saldo pendiente',
+    PAYMENT_RECORD_FAILED: 'No se pudo registrar el pago',
+    PAYMENT_DELETE_FAILED: 'No se pudo eliminar el pago',
+
+    CUSTOMER_EMAIL_MISSING:
+      'El cliente no tiene dirección de correo electrónico',
+    EMAIL_ADDRESS_INVALID:
+      'Dirección de correo electrónico no válida: {address}',
+    EMAIL_SEND_FAILED: 'No se pudo enviar el correo electrónico: {reason}',
+    INVOICE_SEND_FAILED: 'No se pudo enviar la factura',
+
+    DUNNING_LEVELS_REQUIRED: 'Se requiere al menos un nivel de reclamación',
+    DUNNING_LEVEL_INVALID: 'Nivel {level}: {field} no válido',
+    DUNNING_LEVEL_ORDER:
+      'Nivel {level}: daysAfterDue debe ser mayor que en el nivel anterior',
+    INVOICE_NOT_OPEN: 'Solo se pueden reclamar facturas enviadas y no pagadas',
+    INVOICE_NOT_OVERDUE: 'La factura no está vencida',
+    DUNNING_COMPLETE: 'Ya se han enviado todos los niveles de reclamación',
+    REMINDER_FAILED: 'No se pudo crear el recordatorio',
+
+    INTERVAL_INVALID:
+      'El intervalo debe ser uno de los siguientes: {intervals}',
+    START_DATE_INVALID: 'La fecha de inicio debe indicarse como AAAA-MM-DD',
+    END_DATE_INVALID: 'La fecha de fin debe indicarse como AAAA-MM-DD',
+    END_BEFORE_START: 'La fecha de fin es anterior a la de inicio',
+    DAY_OF_MONTH_INVALID: 'El día del mes debe estar entre 1 y 31',
+    AUTO_SEND_INVALID: 'autoSend debe ser true o false',
+    RECURRING_INVOICE_ENDED: 'La factura recurrente ha finalizado',
+    RECURRING_NO_LINE_ITEMS: 'La factura recurrente no tiene partidas',
+
+    QUOTE_EMPTY: 'Un presupuesto necesita al menos una tarea o partida',
+    QUOTE_DATE_INVALID:
+      'La fecha del presupuesto debe indicarse como AAAA-MM-DD',
+    VALID_UNTIL_INVALID: 'La fecha de validez debe indicarse como AAAA-MM-DD',
+    VALID_UNTIL_BEFORE_QUOTE_DATE:
+      'La fecha de validez es anterior a la del presupuesto',
+    QUOTE_NOT_DRAFT:
+      'Solo se pueden modificar o eliminar borradores de presupuesto',
+    QUOTE_ALREADY_SENT: 'El presupuesto ya se ha enviado',
+    QUOTE_DECIDED:
+      'La respuesta del cliente a este presupuesto ya está registrada',
+    QUOTE_EXPIRED: 'El presupuesto ha caducado',
+    QUOTE_NOT_ACCEPTED: 'Solo se pueden convertir presupuestos aceptados',
+    QUOTE_CONVERTED: 'El presupuesto ya se ha convertido',
+
+    START_TIME_INVALID: 'El inicio debe ser una fecha y hora',
+    END_TIME_INVALID: 'El fin debe ser una fecha y hora posterior al inicio',
+    DURATION_INVALID:
+      'La duración debe ser un número entero de segundos mayor que 0',
+    DURATION_MISMATCH: 'El fin y la duración no coinciden',
+    END_OR_DURATION_REQUIRED: 'Se requiere un fin o una duración',
+    NOTE_INVALID: 'La nota debe ser un texto',
+    BILLABLE_INVALID: 'billable debe ser true o false',
+    TIMER_ALREADY_RUNNING:
+      'Ya hay un temporizador en marcha; deténgalo primero',
+    TIMER_NOT_RUNNING: 'No hay ningún temporizador en marcha',
+
+    BILLING_BASIS_INVALID: 'La base de facturación debe ser una de: {bases}',
+    TIME_ROUNDING_INVALID:
+      'El redondeo de tiempo debe ser un número entero de minutos entre 0 y {count}',
+    TIME_ROUNDING_MODE_INVALID: 'El modo de redondeo debe ser uno de: {modes}',
+
+    RATE_ROLE_INVALID:
+      'El rol debe ser un texto de como máximo {count} caracteres',
+    RATE_CARD_LEVEL_INVALID:
+      'Una tarifa pertenece a un cliente o a un proyecto, no a ambos',
+    RATE_CARD_EXISTS: 'Ya existe una tarifa para el rol {role} en este nivel',
+
+    IMPORT_FORMAT_INVALID:
+      'El formato de importación debe ser uno de: {formats}',
+    IMPORT_MAPPING_INVALID:
+      'La asignación de columnas solo puede asignar estos campos a nombres de columna: {fields}',
+    IMPORT_CONTENT_INVALID: 'No se pudo leer el contenido de la importación',
+    IMPORT_FIELD_UNMAPPED: 'Ninguna columna está asignada al campo {field}',
+    IMPORT_COLUMN_MISSING: 'Falta la columna {column}',
+    IMPORT_TOO_MANY_ROWS:
+      'Una importación puede tener como máximo {count} filas',
+    IMPORT_DATE_FORMAT_INVALID:
+      'El formato de fecha debe ser uno de: {formats}',
+    IMPORT_NAME_MISSING: 'Falta el nombre de la tarea',
+    IMPORT_DATE_INVALID: 'Fecha no válida: {value}',
+    IMPORT_START_INVALID: 'Hora de inicio no válida: {value}',
+    IMPORT_HOURS_INVALID: 'Horas no válidas: {value}',
+    IMPORT_PROJECT_NOT_FOUND: 'Proyecto {name} no encontrado',
+    IMPORT_PROJECT_MISSING:
+      'No se indicó ningún proyecto ni un projectId predeterminado',
+    IMPORT_INVALID: {
+      one: '{count} fila no es válida; no se importó nada',
+      other: '{count} filas no son válidas; no se importó nada'
+    },
+
+    CALENDAR_FEED_NOT_FOUND: 'Feed de calendario no encontrado',
+    CALENDAR_FILTER_INVALID:
+      'customerId y projectId deben ser identificadores numéricos',
+
+    TIMESHEET_FORMAT_INVALID:
+      'El formato de la hoja de horas debe ser uno de: {formats}',
+
+    TASK_STATUS_INVALID: 'El estado debe ser uno de: {statuses}',
+    TASK_TRANSITION_NOT_ALLOWED:
+      'El flujo de trabajo del proyecto no permite pasar una tarea de {from} a {to}',
+    TASK_WORKFLOW_INVALID:
+      'Los estados del flujo de trabajo deben ser distintos, incluir todo y done y ser de: {statuses}',
+    TASK_WORKFLOW_TRANSITIONS_INVALID:
+      'Las transiciones del flujo de trabajo deben ser una lista de { from, to }',
+    TASK_WORKFLOW_TRANSITION_INVALID:
+      'Transición de flujo de trabajo no válida de {from} a {to}',
+    TASK_STATUS_IN_USE: 'Hay tareas del proyecto con estos estados: {statuses}',
+    TASK_PARENT_INVALID:
+      'Una subtarea necesita como padre una tarea principal del mismo proyecto y no puede tener subtareas',
+    DUE_DATE_INVALID: 'La fecha de vencimiento debe indicarse como AAAA-MM-DD'
+  }
+};
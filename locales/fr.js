@@ -0,0 +1,368 @@
+export default {
+  meta: { name: 'Français', intl: 'fr-FR' },
+
+  invoice: {
+    invoice: 'Facture',
+    creditNote: 'Avoir',
+    quote: 'Devis',
+    date: 'Date',
+    task: 'Tâche',
+    hours: 'Heures',
+    rate: 'Taux',
+    cost: 'Coût',
+    subtotal: 'Sous-total',
+    vat: 'TVA ({rate} %)',
+    total: 'Total',
+    noTasks: 'Aucune tâche',
+    vatId: 'N° TVA',
+    phone: 'Téléphone',
+    email: 'E-mail',
+    dueDate: "Date d'échéance",
+    validUntil: "Valable jusqu'au",
+    reference: 'Référence : facture {number}',
+    vatRate: 'TVA %',
+    description: 'Description',
+    quantity: 'Quantité',
+    unitPrice: 'Prix unitaire',
+    discount: 'Remise',
+    amount: 'Montant',
+    services: 'Prestations',
+    servicePeriod: 'Période de prestation : {from} – {to}',
+    groupSubtotal: 'Sous-total {name}',
+    paymentQr:
+      'Scannez le code avec votre application bancaire pour payer par virement.',
+    buyerVatId: 'N° TVA du client',
+    vatNotes: {
+      standard: '',
+      reverse_charge:
+        'Autoliquidation : la TVA est due par le preneur (art. 196 de la directive 2006/112/CE).',
+      exempt:
+        'TVA non applicable, le prestataire relève du régime des petites entreprises (§ 19 UStG).'
+    }
+  },
+
+  mail: {
+    subject: '{title} {number}',
+    subjectFrom: '{title} {number} de {company}',
+    greeting: 'Bonjour {name},',
+    greetingAnonymous: 'Madame, Monsieur,',
+    body: {
+      invoice:
+        'veuillez trouver ci-joint la facture {number} d’un montant de {total}.',
+      credit_note:
+        'veuillez trouver ci-joint l’avoir {number} d’un montant de {total}.',
+      quote:
+        'veuillez trouver ci-joint le devis {number} d’un montant de {total}.'
+    },
+    due: 'Merci de virer le montant avant le {date}.',
+    closing: 'Cordialement'
+  },
+
+  dunning: {
+    titles: ['Rappel de paiement', 'Première relance', 'Deuxième relance'],
+    intros: [
+      'Sauf erreur de notre part, la facture suivante reste impayée. Elle a peut-être échappé à votre attention.',
+      'Malgré notre rappel, nous n’avons pas encore reçu le paiement de la facture suivante.',
+      'Malgré nos relances répétées, la facture suivante reste impayée. Ceci est notre dernière relance avant de confier le recouvrement à un tiers.'
+    ],
+    invoiceNo: 'Facture',
+    invoiceDate: 'Date de facture',
+    dueDate: "Date d'échéance",
+    openAmount: 'Montant dû',
+    fees: 'Frais de relance',
+    interest: 'Intérêts de retard ({rate} % par an)',
+    amountDue: 'Montant à payer',
+    payBy: 'Merci de virer le montant dû avant le {date}.',
+    alreadyPaid:
+      'Si vous avez déjà effectué le paiement, veuillez ne pas tenir compte de ce courrier.'
+  },
+
+  timesheet: {
+    title: 'Feuille de temps',
+    week: 'Semaine',
+    weekLabel: 'Semaine {week}/{year}',
+    date: 'Date',
+    project: 'Projet',
+    task: 'Tâche',
+    hours: 'Heures',
+    billableHours: 'Heures facturables',
+    weekTotal: 'Total {week}',
+    total: 'Total',
+    period: '{from} – {to}'
+  },
+
+  calendar: {
+    name: 'Tâches et échéances des factures',
+    taskDescription: '{project} ({customer})',
+    taskDue: 'Échéance : {name}',
+    invoiceDue: 'Échéance de la facture {number} : {customer}',
+    invoiceBalance: 'Montant restant dû : {amount}'
+  },
+
+  errors: {
+    INTERNAL_ERROR: 'Erreur interne du serveur',
+
+    TOKEN_REQUIRED: 'Jeton d’accès requis',
+    TOKEN_INVALID: 'Jeton invalide ou expiré',
+    AUTHENTICATION_FAILED: 'Échec de l’authentification',
+    ADMIN_REQUIRED: 'Accès administrateur requis',
+    FIELDS_REQUIRED: 'Tous les champs sont obligatoires',
+    EMAIL_INVALID: 'Format d’e-mail invalide',
+    PASSWORD_TOO_SHORT: {
+      one: 'Le mot de passe doit comporter au moins {count} caractère',
+      other: 'Le mot de passe doit comporter au moins {count} caractères'
+    },
+    USER_EXISTS: 'Un utilisateur existe déjà avec cet e-mail',
+    CREDENTIALS_REQUIRED: 'L’e-mail et le mot de passe sont obligatoires',
+    CREDENTIALS_INVALID: 'E-mail ou mot de passe invalide',
+    ACCOUNT_INACTIVE: 'Le compte n’est pas actif',
+    NAME_REQUIRED: 'Le prénom et le nom sont obligatoires',
+    PASSWORDS_REQUIRED:
+      'Le mot de passe actuel et le nouveau mot de passe sont obligatoires',
+    NEW_PASSWORD_TOO_SHORT: {
+      one: 'Le nouveau mot de passe doit comporter au moins {count} caractère',
+      other:
+        'Le nouveau mot de passe doit comporter au moins {count} caractères'
+    },
+    PASSWORD_INCORRECT: 'Le mot de passe actuel est incorrect',
+    ROLE_INVALID: 'Rôle invalide',
+    ACTIVE_INVALID: 'Valeur « actif » invalide',
+    OWN_ADMIN_ROLE:
+      'Vous ne pouvez pas retirer votre propre rôle d’administrateur',
+    NO_FIELDS: 'Aucun champ à mettre à jour',
+
+    USER_NOT_FOUND: 'Utilisateur introuvable',
+    CUSTOMER_NOT_FOUND: 'Client introuvable ou accès refusé',
+    PROJECT_NOT_FOUND: 'Projet introuvable ou accès refusé',
+    TASK_NOT_FOUND: 'Tâche introuvable ou accès refusé',
+    LINE_ITEM_NOT_FOUND: 'Ligne introuvable ou accès refusé',
+    INVOICE_NOT_FOUND: 'Facture introuvable ou accès refusé',
+    PAYMENT_NOT_FOUND: 'Paiement introuvable ou accès refusé',
+    REMINDER_NOT_FOUND: 'Relance introuvable ou accès refusé',
+    TEMPLATE_NOT_FOUND: 'Modèle introuvable ou accès refusé',
+    RECURRING_INVOICE_NOT_FOUND:
+      'Facture récurrente introuvable ou accès refusé',
+    QUOTE_NOT_FOUND: 'Devis introuvable ou accès refusé',
+    RATE_CARD_NOT_FOUND: 'Taux horaire introuvable',
+    TIME_ENTRY_NOT_FOUND: 'Saisie de temps introuvable ou accès refusé',
+    LOGO_NOT_FOUND: 'Aucun logo téléversé',
+    DOCUMENT_TYPE_UNKNOWN: 'Type de document inconnu',
+
+    CURRENCY_INVALID: 'Code de devise invalide',
+    LOCALE_INVALID: 'La langue doit être l’une des suivantes : {locales}',
+    VAT_RATE_INVALID: 'Le taux de TVA doit être compris entre 0 et 100',
+    PAYMENT_TERMS_INVALID: {
+      one: 'Le délai de paiement doit être compris entre 0 et {count} jour',
+      other: 'Le délai de paiement doit être compris entre 0 et {count} jours'
+    },
+    STATUS_INVALID: 'Le statut doit être l’un des suivants : {statuses}',
+    TITLE_REQUIRED: 'Le titre est obligatoire',
+    TITLE_NOT_TEXT: 'Le titre doit être du texte',
+    DESCRIPTION_REQUIRED: 'La description est obligatoire',
+    DESCRIPTION_NOT_TEXT: 'La description doit être du texte',
+    AMOUNT_INVALID: 'Le montant doit être un nombre positif',
+    HOURLY_RATE_INVALID: 'Le taux horaire doit être un nombre positif',
+    FIXED_PRICE_INVALID: 'Le prix forfaitaire doit être un nombre positif',
+    PRICING_TYPE_INVALID:
+      'Le type de tarification doit être l’un des suivants : {types}',
+    DATE_INVALID: 'Date invalide',
+    DATES_INVALID: 'Les dates doivent être au format AAAA-MM-JJ',
+    DATE_RANGE_INVALID: 'La période se termine avant de commencer',
+
+    CUSTOMER_NAME_REQUIRED: 'Le nom du client est obligatoire',
+    PROJECT_NAME_REQUIRED: 'Le nom du projet est obligatoire',
+    TASK_NAME_REQUIRED: 'Le nom de la tâche est obligatoire',
+    TASK_ORDER_INVALID: 'L’ordre doit être un tableau de tâches.',
+    LINE_ITEM_ORDER_INVALID: 'L’ordre doit être un tableau de lignes.',
+    INVOICE_LOCKED: 'Verrouillé par la facture finalisée {invoiceNumber}',
+    PROJECT_ALREADY_INVOICED:
+      'Le projet a déjà la facture finalisée {invoiceNumber}',
+    QUANTITY_INVALID: 'La quantité doit être un nombre',
+    UNIT_INVALID: 'L’unité doit être un texte de {count} caractères au plus',
+    UNIT_PRICE_INVALID: 'Le prix unitaire doit être un nombre',
+    DISCOUNT_TYPE_INVALID:
+      'Le type de remise doit être l’un des suivants : {types}',
+    DISCOUNT_INVALID:
+      'La remise doit être un montant positif ou un pourcentage jusqu’à 100',
+    ESTIMATED_HOURS_INVALID:
+      'Les heures estimées doivent être un nombre positif',
+    LINE_ITEM_INVALID: 'Ligne {index} : {reason}',
+    LINE_ITEMS_REQUIRED: 'Au moins une ligne est obligatoire',
+    LINE_ITEMS_NOT_ARRAY: 'Les lignes doivent être un tableau',
+    TASK_INVALID: 'Tâche {index} : {reason}',
+    TASKS_NOT_ARRAY: 'Les tâches doivent être un tableau',
+
+    RESET_INVALID:
+      'La réinitialisation doit être l’une des suivantes : {modes}',
+    PATTERN_INVALID:
+      'Le modèle doit contenir exactement un compteur comme {####}',
+    NEXT_VALUE_INVALID: 'La valeur suivante doit être un entier positif',
+
+    TEMPLATE_NAME_REQUIRED: 'Le nom du modèle est obligatoire',
+    TEMPLATE_HTML_REQUIRED: 'Le HTML du modèle est obligatoire',
+    TEMPLATE_CSS_INVALID:
+      'Le CSS du modèle doit être un texte de {count} caractères au plus',
+    TEMPLATE_NOT_STRING: 'Le modèle doit être du texte',
+    TEMPLATE_TOO_LARGE: 'Le modèle est trop volumineux',
+    TEMPLATE_UNESCAPED_OUTPUT:
+      'Ligne {line} : la sortie non échappée ({{{ }}}) n’est pas prise en charge',
+    TEMPLATE_BLOCK_INVALID: 'Ligne {line} : bloc invalide {tag}',
+    TEMPLATE_CLOSE_UNEXPECTED: 'Ligne {line} : {tag} inattendu',
+    TEMPLATE_ELSE_UNEXPECTED: 'Ligne {line} : {{else}} inattendu',
+    TEMPLATE_PLACEHOLDER_INVALID:
+      'Ligne {line} : espace réservé invalide {tag}',
+    TEMPLATE_BLOCK_NOT_CLOSED: 'Ligne {line} : {tag} n’est pas fermé',
+    LOGO_REQUIRED: 'Une image de logo est obligatoire',
+    LOGO_TOO_LARGE: 'Le logo ne doit pas dépasser {count} Mo',
+    LOGO_TYPE_INVALID: 'Le logo doit être une image PNG, JPEG ou SVG',
+
+    INVOICE_DATE_INVALID: 'Date de facture invalide',
+    INVOICE_NUMBER_USED:
+      'Le numéro de facture {invoiceNumber} est déjà utilisé',
+    NOTHING_TO_INVOICE: 'Aucune tâche ou ligne non facturée',
+    PROJECT_IDS_INVALID:
+      'Les identifiants de projet doivent être un tableau non vide',
+    FIXED_PROJECT_ALONE:
+      'Le projet forfaitaire « {name} » doit être facturé seul',
+    CURRENCIES_MIXED:
+      'Des projets facturés dans des devises différentes ne peuvent pas partager une facture',
+    EINVOICE_INCOMPLETE:
+      'Champs obligatoires manquants pour la facture électronique : {fields}',
+    EINVOICE_COUNTRY_UNKNOWN:
+      'Pays « {country} » ({field}) non reconnu ; utilisez un code ISO 3166 comme DE ou CH',
+    INVOICE_PREVIEW_FAILED: 'Impossible de générer l’aperçu de la facture',
+    INVOICE_ISSUE_FAILED: 'Impossible d’émettre la facture',
+    INVOICE_PDF_FAILED: 'Impossible de générer le PDF de la facture',
+    EINVOICE_FAILED: 'Impossible de générer la facture électronique',
+    PAYMENT_QR_FAILED: 'Impossible de générer le code de paiement',
+    PAYMENT_QR_UNAVAILABLE:
+      'Aucun code de paiement pour cette facture (facture en EUR, montant dû et votre IBAN requis)',
+    INVOICE_UPDATE_FAILED: 'Impossible de mettre à jour la facture',
+    INVOICE_CANCELLED: 'La facture est annulée',
+    INVOICE_ALREADY_CANCELLED: 'La facture est déjà annulée',
+
+    CREDIT_NOTE_FAILED: 'Impossible d’émettre l’avoir',
+    FIXED_CREDIT_BY_AMOUNT:
+      'Les factures forfaitaires ne peuvent être créditées que par montant',
+    INVOICE_LINE_MISSING: 'La facture n’a pas de ligne {index}',
+    CREDIT_HOURS_INVALID: 'Heures invalides pour la ligne {index}',
+    INVOICE_LINE_ITEM_MISSING: 'La facture n’a pas de poste {index}',
+    CREDIT_QUANTITY_INVALID: 'Quantité invalide pour le poste {index}',
+    NOTHING_TO_CREDIT: 'Aucune ligne à créditer',
+    INVOICE_PARTIALLY_CREDITED:
+      'La facture est déjà partiellement créditée ; créditez les lignes restantes ou un montant',
+    CREDIT_EXCEEDS_INVOICE: 'L’avoir dépasse le montant restant de la facture',
+
+    PAYMENT_METHOD_INVALID:
+      'Le mode de paiement doit être l’un des suivants : {methods}',
+    PAYMENT_DATE_INVALID: 'Date de paiement invalide',
+    PAYMENT_EXCEEDS_BALANCE: 'Le paiement dépasse le solde restant',
+    PAYMENT_RECORD_FAILED: 'Impossible d’enregistrer le paiement',
+    PAYMENT_DELETE_FAILED: 'Impossible de supprimer le paiement',
+
+    CUSTOMER_EMAIL_MISSING: 'Le client n’a pas d’adresse e-mail',
+    EMAIL_ADDRESS_INVALID: 'Adresse e-mail invalide : {address}',
+    EMAIL_SEND_FAILED: 'Impossible d’envoyer l’e-mail : {reason}',
+    INVOICE_SEND_FAILED: 'Impossible d’envoyer la facture',
+
+    DUNNING_LEVELS_REQUIRED: 'Au moins un niveau de relance est obligatoire',
+    DUNNING_LEVEL_INVALID: 'Niveau {level} : {field} invalide',
+    DUNNING_LEVEL_ORDER:
+      'Niveau {level} : daysAfterDue doit être supérieur à celui du niveau précédent',
+    INVOICE_NOT_OPEN:
+      'Seules les factures envoyées et impayées peuvent être relancées',
+    INVOICE_NOT_OVERDUE: 'La facture n’est pas en retard',
+    DUNNING_COMPLETE: 'Tous les niveaux de relance ont été envoyés',
+    REMINDER_FAILED: 'Impossible de créer la relance',
+
+    INTERVAL_INVALID: 'L’intervalle doit être l’un des suivants : {intervals}',
+    START_DATE_INVALID: 'La date de début doit être au format AAAA-MM-JJ',
+    END_DATE_INVALID: 'La date de fin doit être au format AAAA-MM-JJ',
+    END_BEFORE_START: 'La date de fin précède la date de début',
+    DAY_OF_MONTH_INVALID: 'Le jour du mois doit être compris entre 1 et 31',
+    AUTO_SEND_INVALID: 'autoSend doit valoir true ou false',
+    RECURRING_INVOICE_ENDED: 'La facture récurrente est terminée',
+    RECURRING_NO_LINE_ITEMS: 'La facture récurrente n’a aucune ligne',
+
+    QUOTE_EMPTY: 'Un devis doit contenir au moins une tâche ou une ligne',
+    QUOTE_DATE_INVALID: 'La date du devis doit être au format AAAA-MM-JJ',
+    VALID_UNTIL_INVALID: 'La date de validité doit être au format AAAA-MM-JJ',
+    VALID_UNTIL_BEFORE_QUOTE_DATE:
+      'La date de validité précède la date du devis',
+    QUOTE_NOT_DRAFT:
+      'Seuls les brouillons de devis peuvent être modifiés ou supprimés',
+    QUOTE_ALREADY_SENT: 'Le devis a déjà été envoyé',
+    QUOTE_DECIDED: 'La réponse du client à ce devis est déjà enregistrée',
+    QUOTE_EXPIRED: 'Le devis a expiré',
+    QUOTE_NOT_ACCEPTED: 'Seuls les devis acceptés peuvent être convertis',
+    QUOTE_CONVERTED: 'Le devis a déjà été converti',
+
+    START_TIME_INVALID: 'Le début doit être une date et une heure',
+    END_TIME_INVALID: 'La fin doit être une date et une heure après le début',
+    DURATION_INVALID:
+      'La durée doit être un nombre entier de secondes supérieur à 0',
+    DURATION_MISMATCH: 'La fin et la durée ne correspondent pas',
+    END_OR_DURATION_REQUIRED: 'Une fin ou une durée est requise',
+    NOTE_INVALID: 'La note doit être un texte',
+    BILLABLE_INVALID: 'billable doit valoir true ou false',
+    TIMER_ALREADY_RUNNING: 'Un minuteur est déjà en cours ; arrêtez-le d’abord',
+    TIMER_NOT_RUNNING: 'Aucun minuteur n’est en cours',
+
+    BILLING_BASIS_INVALID:
+      'La base de facturation doit être l’une des suivantes : {bases}',
+    TIME_ROUNDING_INVALID:
+      'L’arrondi du temps doit être un nombre entier de minutes entre 0 et {count}',
+    TIME_ROUNDING_MODE_INVALID:
+      'Le mode d’arrondi doit être l’un des suivants : {modes}',
+
+    RATE_ROLE_INVALID:
+      'Le rôle doit être un texte d’au plus {count} caractères',
+    RATE_CARD_LEVEL_INVALID:
+      'Un taux horaire s’applique à un client ou à un projet, pas aux deux',
+    RATE_CARD_EXISTS: 'Un taux pour le rôle {role} existe déjà à ce niveau',
+
+    IMPORT_FORMAT_INVALID:
+      'Le format d’import doit être l’un des suivants : {formats}',
+    IMPORT_MAPPING_INVALID:
+      'La correspondance des colonnes ne peut associer que ces champs à des noms de colonnes : {fields}',
+    IMPORT_CONTENT_INVALID: 'Le contenu à importer n’a pas pu être lu',
+    IMPORT_FIELD_UNMAPPED: 'Aucune colonne n’est associée au champ {field}',
+    IMPORT_COLUMN_MISSING: 'La colonne {column} est manquante',
+    IMPORT_TOO_MANY_ROWS: 'Un import peut contenir au plus {count} lignes',
+    IMPORT_DATE_FORMAT_INVALID:
+      'Le format de date doit être l’un des suivants : {formats}',
+    IMPORT_NAME_MISSING: 'Le nom de la tâche est manquant',
+    IMPORT_DATE_INVALID: 'Date invalide : {value}',
+    IMPORT_START_INVALID: 'Heure de début invalide : {value}',
+    IMPORT_HOURS_INVALID: 'Heures invalides : {value}',
+    IMPORT_PROJECT_NOT_FOUND: 'Projet {name} introuvable',
+    IMPORT_PROJECT_MISSING:
+      'Aucun projet indiqué et aucun projectId par défaut',
+    IMPORT_INVALID: {
+      one: '{count} ligne est invalide ; rien n’a été importé',
+      other: '{count} lignes sont invalides ; rien n’a été importé'
+    },
+
+    CALENDAR_FEED_NOT_FOUND: 'Flux de calendrier introuvable',
+    CALENDAR_FILTER_INVALID:
+      'customerId et projectId doivent être des identifiants numériques',
+
+    TIMESHEET_FORMAT_INVALID:
+      'Le format de la feuille de temps doit être l’un des suivants : {formats}',
+
+    TASK_STATUS_INVALID: 'Le statut doit être l’un des suivants : {statuses}',
+    TASK_TRANSITION_NOT_ALLOWED:
+      'Le workflow du projet ne permet pas de passer une tâche de {from} à {to}',
+    TASK_WORKFLOW_INVALID:
+      'Les statuts du workflow doivent être distincts, inclure todo et done et être choisis parmi : {statuses}',
+    TASK_WORKFLOW_TRANSITIONS_INVALID:
+      'Les transitions du workflow doivent être une liste de { from, to }',
+    TASK_WORKFLOW_TRANSITION_INVALID:
+      'Transition de workflow invalide de {from} à {to}',
+    TASK_STATUS_IN_USE:
+      'Des tâches du projet ont encore ces statuts : {statuses}',
+    TASK_PARENT_INVALID:
+      'Une sous-tâche doit avoir pour parent une tâche principale du même projet et ne peut pas avoir de sous-tâches',
+    DUE_DATE_INVALID: 'La date d’échéance doit être au format AAAA-MM-JJ'
+  }
+};
@@ -0,0 +1,365 @@
+export default {
+  meta: { name: 'Italiano', intl: 'it-IT' },
+
+  invoice: {
+    invoice: 'Fattura',
+    creditNote: 'Nota di credito',
+    quote: 'Preventivo',
+    date: 'Data',
+    task: 'Attività',
+    hours: 'Ore',
+    rate: 'Tariffa',
+    cost: 'Costo',
+    subtotal: 'Subtotale',
+    vat: 'IVA ({rate}%)',
+    total: 'Totale',
+    noTasks: 'Nessuna attività',
+    vatId: 'P. IVA',
+    phone: 'Telefono',
+    email: 'E-mail',
+    dueDate: 'Scadenza',
+    validUntil: 'Valido fino al',
+    reference: 'Riferimento: fattura {number}',
+    vatRate: 'IVA %',
+    description: 'Descrizione',
+    quantity: 'Quantità',
+    unitPrice: 'Prezzo unitario',
+    discount: 'Sconto',
+    amount: 'Importo',
+    services: 'Prestazioni',
+    servicePeriod: 'Periodo di prestazione: {from} – {to}',
+    groupSubtotal: 'Subtotale {name}',
+    paymentQr:
+      "Scansiona il codice con l'app della tua banca per pagare con bonifico.",
+    buyerVatId: 'P. IVA del cliente',
+    vatNotes: {
+      standard: '',
+      reverse_charge:
+        "Inversione contabile: l'IVA è dovuta dal destinatario della prestazione (art. 196 direttiva 2006/112/CE).",
+      exempt:
+        'IVA non applicata in quanto il fornitore è una piccola impresa ai sensi del § 19 UStG.'
+    }
+  },
+
+  mail: {
+    subject: '{title} {number}',
+    subjectFrom: '{title} {number} da {company}',
+    greeting: 'Gentile {name},',
+    greetingAnonymous: 'Gentili Signore e Signori,',
+    body: {
+      invoice: 'in allegato trova la fattura {number} di {total}.',
+      credit_note: 'in allegato trova la nota di credito {number} di {total}.',
+      quote: 'in allegato trova il preventivo {number} di {total}.'
+    },
+    due: "La preghiamo di bonificare l'importo entro il {date}.",
+    closing: 'Cordiali saluti'
+  },
+
+  dunning: {
+    titles: ['Promemoria di pagamento', 'Primo sollecito', 'Secondo sollecito'],
+    intros: [
+      'Le ricordiamo che la seguente fattura risulta ancora aperta. Forse le è sfuggita.',
+      'Nonostante il nostro promemoria non abbiamo ancora ricevuto il pagamento della seguente fattura.',
+      'Nonostante i ripetuti solleciti la seguente fattura risulta ancora non pagata. Questo è il nostro ultimo sollecito prima di affidare il recupero del credito a terzi.'
+    ],
+    invoiceNo: 'Fattura',
+    invoiceDate: 'Data fattura',
+    dueDate: 'Scadenza',
+    openAmount: 'Importo aperto',
+    fees: 'Spese di sollecito',
+    interest: 'Interessi di mora ({rate}% annuo)',
+    amountDue: 'Importo dovuto',
+    payBy: "La preghiamo di bonificare l'importo dovuto entro il {date}.",
+    alreadyPaid:
+      'Se ha già effettuato il pagamento, non tenga conto di questa lettera.'
+  },
+
+  timesheet: {
+    title: 'Foglio ore',
+    week: 'Settimana',
+    weekLabel: 'Settimana {week}/{year}',
+    date: 'Data',
+    project: 'Progetto',
+    task: 'Attività',
+    hours: 'Ore',
+    billableHours: 'Ore fatturabili',
+    weekTotal: 'Totale {week}',
+    total: 'Totale',
+    period: '{from} – {to}'
+  },
+
+  calendar: {
+    name: 'Attività e scadenze delle fatture',
+    taskDescription: '{project} ({customer})',
+    taskDue: 'Scadenza: {name}',
+    invoiceDue: 'Scadenza fattura {number}: {customer}',
+    invoiceBalance: 'Importo da pagare: {amount}'
+  },
+
+  errors: {
+    INTERNAL_ERROR: 'Errore interno del server',
+
+    TOKEN_REQUIRED: 'Token di accesso richiesto',
+    TOKEN_INVALID: 'Token non valido o scaduto',
+    AUTHENTICATION_FAILED: 'Autenticazione non riuscita',
+    ADMIN_REQUIRED: 'Accesso da amministratore richiesto',
+    FIELDS_REQUIRED: 'Tutti i campi sono obbligatori',
+    EMAIL_INVALID: 'Formato e-mail non valido',
+    PASSWORD_TOO_SHORT: {
+      one: 'La password deve contenere almeno {count} carattere',
+      other: 'La password deve contenere almeno {count} caratteri'
+    },
+    USER_EXISTS: 'Esiste già un utente con questa e-mail',
+    CREDENTIALS_REQUIRED: 'E-mail e password sono obbligatorie',
+    CREDENTIALS_INVALID: 'E-mail o password non validi',
+    ACCOUNT_INACTIVE: "L'account non è attivo",
+    NAME_REQUIRED: 'Nome e cognome sono obbligatori',
+    PASSWORDS_REQUIRED: 'La password attuale e quella nuova sono obbligatorie',
+    NEW_PASSWORD_TOO_SHORT: {
+      one: 'La nuova password deve contenere almeno {count} carattere',
+      other: 'La nuova password deve contenere almeno {count} caratteri'
+    },
+    PASSWORD_INCORRECT: 'La password attuale non è corretta',
+    ROLE_INVALID: 'Ruolo non valido',
+    ACTIVE_INVALID: 'Valore di attivo non valido',
+    OWN_ADMIN_ROLE: 'Non puoi rimuovere il tuo ruolo di amministratore',
+    NO_FIELDS: 'Nessun campo da aggiornare',
+
+    USER_NOT_FOUND: 'Utente non trovato',
+    CUSTOMER_NOT_FOUND: 'Cliente non trovato o accesso negato',
+    PROJECT_NOT_FOUND: 'Progetto non trovato o accesso negato',
+    TASK_NOT_FOUND: 'Attività non trovata o accesso negato',
+    LINE_ITEM_NOT_FOUND: 'Voce non trovata o accesso negato',
+    INVOICE_NOT_FOUND: 'Fattura non trovata o accesso negato',
+    PAYMENT_NOT_FOUND: 'Pagamento non trovato o accesso negato',
+    REMINDER_NOT_FOUND: 'Sollecito non trovato o accesso negato',
+    TEMPLATE_NOT_FOUND: 'Modello non trovato o accesso negato',
+    RECURRING_INVOICE_NOT_FOUND:
+      'Fattura ricorrente non trovata o accesso negato',
+    QUOTE_NOT_FOUND: 'Preventivo non trovato o accesso negato',
+    RATE_CARD_NOT_FOUND: 'Tariffa non trovata',
+    TIME_ENTRY_NOT_FOUND:
+      'Registrazione del tempo non trovata o accesso negato',
+    LOGO_NOT_FOUND: 'Nessun logo caricato',
+    DOCUMENT_TYPE_UNKNOWN: 'Tipo di documento sconosciuto',
+
+    CURRENCY_INVALID: 'Codice valuta non valido',
+    LOCALE_INVALID: 'La lingua deve essere una delle seguenti: {locales}',
+    VAT_RATE_INVALID: "L'aliquota IVA deve essere compresa tra 0 e 100",
+    PAYMENT_TERMS_INVALID: {
+      one: 'I termini di pagamento devono essere compresi tra 0 e {count} giorno',
+      other:
+        'I termini di pagamento devono essere compresi tra 0 e {count} giorni'
+    },
+    STATUS_INVALID: 'Lo stato deve essere uno dei seguenti: {statuses}',
+    TITLE_REQUIRED: 'Il titolo è obbligatorio',
+    TITLE_NOT_TEXT: 'Il titolo deve essere un testo',
+    DESCRIPTION_REQUIRED: 'La descrizione è obbligatoria',
+    DESCRIPTION_NOT_TEXT: 'La descrizione deve essere un testo',
+    AMOUNT_INVALID: "L'importo deve essere un numero positivo",
+    HOURLY_RATE_INVALID: 'La tariffa oraria deve essere un numero positivo',
+    FIXED_PRICE_INVALID: 'Il prezzo forfettario deve essere un numero positivo',
+    PRICING_TYPE_INVALID:
+      'Il tipo di prezzo deve essere uno dei seguenti: {types}',
+    DATE_INVALID: 'Data non valida',
+    DATES_INVALID: 'Le date devono essere nel formato AAAA-MM-GG',
+    DATE_RANGE_INVALID: "Il periodo termina prima dell'inizio",
+
+    CUSTOMER_NAME_REQUIRED: 'Il nome del cliente è obbligatorio',
+    PROJECT_NAME_REQUIRED: 'Il nome del progetto è obbligatorio',
+    TASK_NAME_REQUIRED: "Il nome dell'attività è obbligatorio",
+    TASK_ORDER_INVALID: "L'ordine deve essere un array di attività.",
+    LINE_ITEM_ORDER_INVALID: "L'ordine deve essere un array di voci.",
+    INVOICE_LOCKED: 'Bloccato dalla fattura emessa {invoiceNumber}',
+    PROJECT_ALREADY_INVOICED:
+      'Il progetto ha già la fattura emessa {invoiceNumber}',
+    QUANTITY_INVALID: 'La quantità deve essere un numero',
+    UNIT_INVALID:
+      "L'unità deve essere un testo di al massimo {count} caratteri",
+    UNIT_PRICE_INVALID: 'Il prezzo unitario deve essere un numero',
+    DISCOUNT_TYPE_INVALID:
+      'Il tipo di sconto deve essere uno dei seguenti: {types}',
+    DISCOUNT_INVALID:
+      'Lo sconto deve essere un importo positivo o una percentuale fino a 100',
+    ESTIMATED_HOURS_INVALID: 'Le ore stimate devono essere un numero positivo',
+    LINE_ITEM_INVALID: 'Voce {index}: {reason}',
+    LINE_ITEMS_REQUIRED: 'È richiesta almeno una voce',
+    LINE_ITEMS_NOT_ARRAY: 'Le voci devono essere un array',
+    TASK_INVALID: 'Attività {index}: {reason}',
+    TASKS_NOT_ARRAY: 'Le attività devono essere un array',
+
+    RESET_INVALID: "L'azzeramento deve essere uno dei seguenti: {modes}",
+    PATTERN_INVALID:
+      'Lo schema deve contenere esattamente un contatore come {####}',
+    NEXT_VALUE_INVALID: 'Il valore successivo deve essere un intero positivo',
+
+    TEMPLATE_NAME_REQUIRED: 'Il nome del modello è obbligatorio',
+    TEMPLATE_HTML_REQUIRED: "L'HTML del modello è obbligatorio",
+    TEMPLATE_CSS_INVALID:
+      'Il CSS del modello deve essere un testo di al massimo {count} caratteri',
+    TEMPLATE_NOT_STRING: 'Il modello deve essere un testo',
+    TEMPLATE_TOO_LARGE: 'Il modello è troppo grande',
+    TEMPLATE_UNESCAPED_OUTPUT:
+      "Riga {line}: l'output senza escape ({{{ }}}) non è supportato",
+    TEMPLATE_BLOCK_INVALID: 'Riga {line}: blocco non valido {tag}',
+    TEMPLATE_CLOSE_UNEXPECTED: 'Riga {line}: {tag} inatteso',
+    TEMPLATE_ELSE_UNEXPECTED: 'Riga {line}: {{else}} inatteso',
+    TEMPLATE_PLACEHOLDER_INVALID: 'Riga {line}: segnaposto non valido {tag}',
+    TEMPLATE_BLOCK_NOT_CLOSED: 'Riga {line}: {tag} non è chiuso',
+    LOGO_REQUIRED: "È richiesta un'immagine del logo",
+    LOGO_TOO_LARGE: 'Il logo non può superare {count} MB',
+    LOGO_TYPE_INVALID: "Il logo deve essere un'immagine PNG, JPEG o SVG",
+
+    INVOICE_DATE_INVALID: 'Data fattura non valida',
+    INVOICE_NUMBER_USED: 'Il numero di fattura {invoiceNumber} è già in uso',
+    NOTHING_TO_INVOICE: 'Nessuna attività o voce da fatturare',
+    PROJECT_IDS_INVALID:
+      'Gli ID dei progetti devono essere un array non vuoto di ID',
+    FIXED_PROJECT_ALONE:
+      'Il progetto a prezzo forfettario «{name}» deve essere fatturato da solo',
+    CURRENCIES_MIXED:
+      'Progetti fatturati in valute diverse non possono condividere una fattura',
+    EINVOICE_INCOMPLETE:
+      'Alla fattura elettronica mancano campi obbligatori: {fields}',
+    EINVOICE_COUNTRY_UNKNOWN:
+      'Paese «{country}» ({field}) non riconosciuto; usa un codice ISO 3166 come DE o CH',
+    INVOICE_PREVIEW_FAILED: "Impossibile creare l'anteprima della fattura",
+    INVOICE_ISSUE_FAILED: 'Impossibile emettere la fattura',
+    INVOICE_PDF_FAILED: 'Impossibile creare il PDF della fattura',
+    EINVOICE_FAILED: 'Impossibile creare la fattura elettronica',
+    PAYMENT_QR_FAILED: 'Impossibile creare il codice di pagamento',
+    PAYMENT_QR_UNAVAILABLE:
+      'Nessun codice di pagamento per questa fattura (servono una fattura in EUR, un importo dovuto e il tuo IBAN)',
+    INVOICE_UPDATE_FAILED: 'Impossibile aggiornare la fattura',
+    INVOICE_CANCELLED: 'La fattura è annullata',
+    INVOICE_ALREADY_CANCELLED: 'La fattura è già annullata',
+
+    CREDIT_NOTE_FAILED: 'Impossibile emettere la nota di credito',
+    FIXED_CREDIT_BY_AMOUNT:
+      'Le fatture a prezzo forfettario possono essere stornate solo per importo',
+    INVOICE_LINE_MISSING: 'La fattura non ha la riga {index}',
+    CREDIT_HOURS_INVALID: 'Ore non valide per la riga {index}',
+    INVOICE_LINE_ITEM_MISSING: 'La fattura non ha la voce {index}',
+    CREDIT_QUANTITY_INVALID: 'Quantità non valida per la voce {index}',
+    NOTHING_TO_CREDIT: 'Nessuna riga da stornare',
+    INVOICE_PARTIALLY_CREDITED:
+      'La fattura è già stata stornata in parte; storna le righe rimanenti o un importo',
+    CREDIT_EXCEEDS_INVOICE: "Lo storno supera l'importo residuo della fattura",
+
+    PAYMENT_METHOD_INVALID:
+      'Il metodo di pagamento deve essere uno dei seguenti: {methods}',
+    PAYMENT_DATE_INVALID: 'Data di pagamento non valida',
+    PAYMENT_EXCEEDS_BALANCE: 'Il pagamento supera il saldo aperto',
+    PAYMENT_RECORD_FAILED: 'Impossibile registrare il pagamento',
+    PAYMENT_DELETE_FAILED: 'Impossibile eliminare il pagamento',
+
+    CUSTOMER_EMAIL_MISSING: 'Il cliente non ha un indirizzo e-mail',
+    EMAIL_ADDRESS_INVALID: 'Indirizzo e-mail non valido: {address}',
+    EMAIL_SEND_FAILED: "Impossibile inviare l'e-mail: {reason}",
+    INVOICE_SEND_FAILED: 'Impossibile inviare la fattura',
+
+    DUNNING_LEVELS_REQUIRED: 'È richiesto almeno un livello di sollecito',
+    DUNNING_LEVEL_INVALID: 'Livello {level}: {field} non valido',
+    DUNNING_LEVEL_ORDER:
+      'Livello {level}: daysAfterDue deve essere maggiore del livello precedente',
+    INVOICE_NOT_OPEN:
+      'Si possono sollecitare solo fatture inviate e non pagate',
+    INVOICE_NOT_OVERDUE: 'La fattura non è scaduta',
+    DUNNING_COMPLETE: 'Tutti i livelli di sollecito sono già stati inviati',
+    REMINDER_FAILED: 'Impossibile creare il sollecito',
+
+    INTERVAL_INVALID: "L'intervallo deve essere uno dei seguenti: {intervals}",
+    START_DATE_INVALID: 'La data di inizio deve essere nel formato AAAA-MM-GG',
+    END_DATE_INVALID: 'La data di fine deve essere nel formato AAAA-MM-GG',
+    END_BEFORE_START: 'La data di fine precede la data di inizio',
+    DAY_OF_MONTH_INVALID: 'Il giorno del mese deve essere compreso tra 1 e 31',
+    AUTO_SEND_INVALID: 'autoSend deve essere true o false',
+    RECURRING_INVOICE_ENDED: 'La fattura ricorrente è terminata',
+    RECURRING_NO_LINE_ITEMS: 'La fattura ricorrente non ha voci',
+
+    QUOTE_EMPTY: 'Un preventivo richiede almeno una attività o voce',
+    QUOTE_DATE_INVALID:
+      'La data del preventivo deve essere nel formato AAAA-MM-GG',
+    VALID_UNTIL_INVALID:
+      'La data di validità deve essere nel formato AAAA-MM-GG',
+    VALID_UNTIL_BEFORE_QUOTE_DATE:
+      'La data di validità precede la data del preventivo',
+    QUOTE_NOT_DRAFT:
+      'Solo le bozze di preventivo possono essere modificate o eliminate',
+    QUOTE_ALREADY_SENT: 'Il preventivo è già stato inviato',
+    QUOTE_DECIDED:
+      'La risposta del cliente a questo preventivo è già registrata',
+    QUOTE_EXPIRED: 'Il preventivo è scaduto',
+    QUOTE_NOT_ACCEPTED: 'Si possono convertire solo preventivi accettati',
+    QUOTE_CONVERTED: 'Il preventivo è già stato convertito',
+
+    START_TIME_INVALID: "L'inizio deve essere una data e un'ora",
+    END_TIME_INVALID:
+      "La fine deve essere una data e un'ora successiva all'inizio",
+    DURATION_INVALID:
+      'La durata deve essere un numero intero di secondi maggiore di 0',
+    DURATION_MISMATCH: 'Fine e durata non corrispondono',
+    END_OR_DURATION_REQUIRED: 'È richiesta una fine o una durata',
+    NOTE_INVALID: 'La nota deve essere un testo',
+    BILLABLE_INVALID: 'billable deve essere true o false',
+    TIMER_ALREADY_RUNNING: "C'è già un timer in corso; fermalo prima",
+    TIMER_NOT_RUNNING: 'Nessun timer in corso',
+
+    BILLING_BASIS_INVALID:
+      'La base di fatturazione deve essere una tra: {bases}',
+    TIME_ROUNDING_INVALID:
+      'L’arrotondamento del tempo deve essere un numero intero di minuti tra 0 e {count}',
+    TIME_ROUNDING_MODE_INVALID:
+      'La modalità di arrotondamento deve essere una tra: {modes}',
+
+    RATE_ROLE_INVALID:
+      'Il ruolo deve essere un testo di al massimo {count} caratteri',
+    RATE_CARD_LEVEL_INVALID:
+      'Una tariffa appartiene a un cliente o a un progetto, non a entrambi',
+    RATE_CARD_EXISTS:
+      'Esiste già una tariffa per il ruolo {role} a questo livello',
+
+    IMPORT_FORMAT_INVALID:
+      'Il formato di importazione deve essere uno tra: {formats}',
+    IMPORT_MAPPING_INVALID:
+      'La mappatura delle colonne può associare solo questi campi a nomi di colonna: {fields}',
+    IMPORT_CONTENT_INVALID: 'Impossibile leggere il contenuto da importare',
+    IMPORT_FIELD_UNMAPPED: 'Nessuna colonna è associata al campo {field}',
+    IMPORT_COLUMN_MISSING: 'Manca la colonna {column}',
+    IMPORT_TOO_MANY_ROWS: 'Un’importazione può avere al massimo {count} righe',
+    IMPORT_DATE_FORMAT_INVALID:
+      'Il formato della data deve essere uno tra: {formats}',
+    IMPORT_NAME_MISSING: 'Manca il nome dell’attività',
+    IMPORT_DATE_INVALID: 'Data non valida: {value}',
+    IMPORT_START_INVALID: 'Ora di inizio non valida: {value}',
+    IMPORT_HOURS_INVALID: 'Ore non valide: {value}',
+    IMPORT_PROJECT_NOT_FOUND: 'Progetto {name} non trovato',
+    IMPORT_PROJECT_MISSING:
+      'Nessun progetto indicato e nessun projectId predefinito',
+    IMPORT_INVALID: {
+      one: '{count} riga non è valida; non è stato importato nulla',
+      other: '{count} righe non sono valide; non è stato importato nulla'
+    },
+
+    CALENDAR_FEED_NOT_FOUND: 'Feed del calendario non trovato',
+    CALENDAR_FILTER_INVALID: 'customerId e projectId devono essere ID numerici',
+
+    TIMESHEET_FORMAT_INVALID:
+      'Il formato del foglio ore deve essere uno tra: {formats}',
+
+    TASK_STATUS_INVALID: 'Lo stato deve essere uno tra: {statuses}',
+    TASK_TRANSITION_NOT_ALLOWED:
+      'Il flusso di lavoro del progetto non consente di passare un’attività da {from} a {to}',
+    TASK_WORKFLOW_INVALID:
+      'Gli stati del flusso di lavoro devono essere distinti, includere todo e done ed essere tra: {statuses}',
+    TASK_WORKFLOW_TRANSITIONS_INVALID:
+      'Le transizioni del flusso di lavoro devono essere un elenco di { from, to }',
+    TASK_WORKFLOW_TRANSITION_INVALID:
+      'Transizione del flusso di lavoro non valida da {from} a {to}',
+    TASK_STATUS_IN_USE:
+      'Alcune attività del progetto hanno ancora questi stati: {statuses}',
+    TASK_PARENT_INVALID:
+      'Una sottoattività richiede come padre un’attività principale dello stesso progetto e non può avere sottoattività',
+    DUE_DATE_INVALID: 'La data di scadenza deve essere nel formato AAAA-MM-GG'
+  }
+};
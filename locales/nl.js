@@ -0,0 +1,357 @@
+export default {
+  meta: { name: 'Nederlands', intl: 'nl-NL' },
+
+  invoice: {
+    invoice: 'Factuur',
+    creditNote: 'Creditnota',
+    quote: 'Offerte',
+    date: 'Datum',
+    task: 'Taak',
+    hours: 'Uren',
+    rate: 'Tarief',
+    cost: 'Kosten',
+    subtotal: 'Subtotaal',
+    vat: 'Btw ({rate}%)',
+    total: 'Totaal',
+    noTasks: 'Geen taken',
+    vatId: 'Btw-nr.',
+    phone: 'Telefoon',
+    email: 'E-mail',
+    dueDate: 'Vervaldatum',
+    validUntil: 'Geldig tot',
+    reference: 'Referentie: factuur {number}',
+    vatRate: 'Btw %',
+    description: 'Omschrijving',
+    quantity: 'Aantal',
+    unitPrice: 'Prijs per eenheid',
+    discount: 'Korting',
+    amount: 'Bedrag',
+    services: 'Diensten',
+    servicePeriod: 'Leveringsperiode: {from} – {to}',
+    groupSubtotal: 'Subtotaal {name}',
+    paymentQr: 'Scan de code met uw bankapp om per overschrijving te betalen.',
+    buyerVatId: 'Btw-nr. van de klant',
+    vatNotes: {
+      standard: '',
+      reverse_charge:
+        'Btw verlegd: de btw is verschuldigd door de afnemer (art. 196 Richtlijn 2006/112/EG).',
+      exempt:
+        'Er wordt geen btw berekend omdat de leverancier een kleine onderneming is volgens § 19 UStG.'
+    }
+  },
+
+  mail: {
+    subject: '{title} {number}',
+    subjectFrom: '{title} {number} van {company}',
+    greeting: 'Beste {name},',
+    greetingAnonymous: 'Geachte heer, mevrouw,',
+    body: {
+      invoice: 'bijgaand ontvangt u factuur {number} ter waarde van {total}.',
+      credit_note:
+        'bijgaand ontvangt u creditnota {number} ter waarde van {total}.',
+      quote: 'bijgaand ontvangt u offerte {number} ter waarde van {total}.'
+    },
+    due: 'Gelieve het bedrag uiterlijk {date} over te maken.',
+    closing: 'Met vriendelijke groet'
+  },
+
+  dunning: {
+    titles: ['Betalingsherinnering', 'Eerste aanmaning', 'Tweede aanmaning'],
+    intros: [
+      'Graag herinneren wij u eraan dat de volgende factuur nog openstaat. Wellicht is deze aan uw aandacht ontsnapt.',
+      'Ondanks onze herinnering hebben wij de betaling van de volgende factuur nog niet ontvangen.',
+      'Ondanks herhaalde aanmaningen staat de volgende factuur nog steeds open. Dit is onze laatste aanmaning voordat wij de vordering uit handen geven.'
+    ],
+    invoiceNo: 'Factuur',
+    invoiceDate: 'Factuurdatum',
+    dueDate: 'Vervaldatum',
+    openAmount: 'Openstaand bedrag',
+    fees: 'Aanmaningskosten',
+    interest: 'Wettelijke rente ({rate}% per jaar)',
+    amountDue: 'Te betalen bedrag',
+    payBy: 'Gelieve het verschuldigde bedrag uiterlijk {date} over te maken.',
+    alreadyPaid:
+      'Heeft u inmiddels betaald, dan kunt u deze brief als niet verzonden beschouwen.'
+  },
+
+  timesheet: {
+    title: 'Urenstaat',
+    week: 'Week',
+    weekLabel: 'Week {week}/{year}',
+    date: 'Datum',
+    project: 'Project',
+    task: 'Taak',
+    hours: 'Uren',
+    billableHours: 'Factureerbare uren',
+    weekTotal: 'Totaal {week}',
+    total: 'Totaal',
+    period: '{from} – {to}'
+  },
+
+  calendar: {
+    name: 'Taken en vervaldatums van facturen',
+    taskDescription: '{project} ({customer})',
+    taskDue: 'Deadline: {name}',
+    invoiceDue: 'Factuur {number} vervalt: {customer}',
+    invoiceBalance: 'Openstaand bedrag: {amount}'
+  },
+
+  errors: {
+    INTERNAL_ERROR: 'Interne serverfout',
+
+    TOKEN_REQUIRED: 'Toegangstoken vereist',
+    TOKEN_INVALID: 'Ongeldig of verlopen token',
+    AUTHENTICATION_FAILED: 'Authenticatie mislukt',
+    ADMIN_REQUIRED: 'Beheerderstoegang vereist',
+    FIELDS_REQUIRED: 'Alle velden zijn verplicht',
+    EMAIL_INVALID: 'Ongeldig e-mailformaat',
+    PASSWORD_TOO_SHORT: {
+      one: 'Het wachtwoord moet minstens {count} teken lang zijn',
+      other: 'Het wachtwoord moet minstens {count} tekens lang zijn'
+    },
+    USER_EXISTS: 'Er bestaat al een gebruiker met dit e-mailadres',
+    CREDENTIALS_REQUIRED: 'E-mail en wachtwoord zijn verplicht',
+    CREDENTIALS_INVALID: 'Ongeldig e-mailadres of wachtwoord',
+    ACCOUNT_INACTIVE: 'Het account is niet actief',
+    NAME_REQUIRED: 'Voornaam en achternaam zijn verplicht',
+    PASSWORDS_REQUIRED: 'Huidig en nieuw wachtwoord zijn verplicht',
+    NEW_PASSWORD_TOO_SHORT: {
+      one: 'Het nieuwe wachtwoord moet minstens {count} teken lang zijn',
+      other: 'Het nieuwe wachtwoord moet minstens {count} tekens lang zijn'
+    },
+    PASSWORD_INCORRECT: 'Het huidige wachtwoord is onjuist',
+    ROLE_INVALID: 'Ongeldige rol',
+    ACTIVE_INVALID: 'Ongeldige waarde voor actief',
+    OWN_ADMIN_ROLE: 'U kunt uw eigen beheerdersrol niet intrekken',
+    NO_FIELDS: 'Geen velden om bij te werken',
+
+    USER_NOT_FOUND: 'Gebruiker niet gevonden',
+    CUSTOMER_NOT_FOUND: 'Klant niet gevonden of geen toegang',
+    PROJECT_NOT_FOUND: 'Project niet gevonden of geen toegang',
+    TASK_NOT_FOUND: 'Taak niet gevonden of geen toegang',
+    LINE_ITEM_NOT_FOUND: 'Regel niet gevonden of geen toegang',
+    INVOICE_NOT_FOUND: 'Factuur niet gevonden of geen toegang',
+    PAYMENT_NOT_FOUND: 'Betaling niet gevonden of geen toegang',
+    REMINDER_NOT_FOUND: 'Aanmaning niet gevonden of geen toegang',
+    TEMPLATE_NOT_FOUND: 'Sjabloon niet gevonden of geen toegang',
+    RECURRING_INVOICE_NOT_FOUND:
+      'Terugkerende factuur niet gevonden of geen toegang',
+    QUOTE_NOT_FOUND: 'Offerte niet gevonden of geen toegang',
+    RATE_CARD_NOT_FOUND: 'Tarief niet gevonden',
+    TIME_ENTRY_NOT_FOUND: 'Tijdregistratie niet gevonden of geen toegang',
+    LOGO_NOT_FOUND: 'Geen logo geüpload',
+    DOCUMENT_TYPE_UNKNOWN: 'Onbekend documenttype',
+
+    CURRENCY_INVALID: 'Ongeldige valutacode',
+    LOCALE_INVALID: 'De taal moet een van de volgende zijn: {locales}',
+    VAT_RATE_INVALID: 'Het btw-tarief moet tussen 0 en 100 liggen',
+    PAYMENT_TERMS_INVALID: {
+      one: 'De betalingstermijn moet tussen 0 en {count} dag liggen',
+      other: 'De betalingstermijn moet tussen 0 en {count} dagen liggen'
+    },
+    STATUS_INVALID: 'De status moet een van de volgende zijn: {statuses}',
+    TITLE_REQUIRED: 'Een titel is verplicht',
+    TITLE_NOT_TEXT: 'De titel moet tekst zijn',
+    DESCRIPTION_REQUIRED: 'Een omschrijving is verplicht',
+    DESCRIPTION_NOT_TEXT: 'De omschrijving moet tekst zijn',
+    AMOUNT_INVALID: 'Het bedrag moet een positief getal zijn',
+    HOURLY_RATE_INVALID: 'Het uurtarief moet een positief getal zijn',
+    FIXED_PRICE_INVALID: 'De vaste prijs moet een positief getal zijn',
+    PRICING_TYPE_INVALID:
+      'Het prijstype moet een van de volgende zijn: {types}',
+    DATE_INVALID: 'Ongeldige datum',
+    DATES_INVALID: 'Datums moeten als JJJJ-MM-DD worden opgegeven',
+    DATE_RANGE_INVALID: 'De periode eindigt voordat ze begint',
+
+    CUSTOMER_NAME_REQUIRED: 'Een klantnaam is verplicht',
+    PROJECT_NAME_REQUIRED: 'Een projectnaam is verplicht',
+    TASK_NAME_REQUIRED: 'Een taaknaam is verplicht',
+    TASK_ORDER_INVALID: 'De volgorde moet een array van taken zijn.',
+    LINE_ITEM_ORDER_INVALID: 'De volgorde moet een array van regels zijn.',
+    INVOICE_LOCKED: 'Vergrendeld door definitieve factuur {invoiceNumber}',
+    PROJECT_ALREADY_INVOICED:
+      'Het project heeft al de definitieve factuur {invoiceNumber}',
+    QUANTITY_INVALID: 'Het aantal moet een getal zijn',
+    UNIT_INVALID: 'De eenheid moet tekst van maximaal {count} tekens zijn',
+    UNIT_PRICE_INVALID: 'De prijs per eenheid moet een getal zijn',
+    DISCOUNT_TYPE_INVALID:
+      'Het kortingstype moet een van de volgende zijn: {types}',
+    DISCOUNT_INVALID:
+      'De korting moet een positief bedrag of een percentage tot 100 zijn',
+    ESTIMATED_HOURS_INVALID: 'De geschatte uren moeten een positief getal zijn',
+    LINE_ITEM_INVALID: 'Regel {index}: {reason}',
+    LINE_ITEMS_REQUIRED: 'Minstens één regel is verplicht',
+    LINE_ITEMS_NOT_ARRAY: 'De regels moeten een array zijn',
+    TASK_INVALID: 'Taak {index}: {reason}',
+    TASKS_NOT_ARRAY: 'De taken moeten een array zijn',
+
+    RESET_INVALID: 'Het terugzetten moet een van de volgende zijn: {modes}',
+    PATTERN_INVALID:
+      'Het patroon moet precies één tellerplaatshouder zoals {####} bevatten',
+    NEXT_VALUE_INVALID:
+      'De volgende waarde moet een positief geheel getal zijn',
+
+    TEMPLATE_NAME_REQUIRED: 'Een sjabloonnaam is verplicht',
+    TEMPLATE_HTML_REQUIRED: 'De HTML van het sjabloon is verplicht',
+    TEMPLATE_CSS_INVALID:
+      'De CSS van het sjabloon moet tekst van maximaal {count} tekens zijn',
+    TEMPLATE_NOT_STRING: 'Het sjabloon moet tekst zijn',
+    TEMPLATE_TOO_LARGE: 'Het sjabloon is te groot',
+    TEMPLATE_UNESCAPED_OUTPUT:
+      'Regel {line}: uitvoer zonder escaping ({{{ }}}) wordt niet ondersteund',
+    TEMPLATE_BLOCK_INVALID: 'Regel {line}: ongeldig blok {tag}',
+    TEMPLATE_CLOSE_UNEXPECTED: 'Regel {line}: onverwachte {tag}',
+    TEMPLATE_ELSE_UNEXPECTED: 'Regel {line}: onverwachte {{else}}',
+    TEMPLATE_PLACEHOLDER_INVALID: 'Regel {line}: ongeldige placeholder {tag}',
+    TEMPLATE_BLOCK_NOT_CLOSED: 'Regel {line}: {tag} wordt niet gesloten',
+    LOGO_REQUIRED: 'Een logoafbeelding is verplicht',
+    LOGO_TOO_LARGE: 'Het logo mag niet groter zijn dan {count} MB',
+    LOGO_TYPE_INVALID: 'Het logo moet een PNG-, JPEG- of SVG-afbeelding zijn',
+
+    INVOICE_DATE_INVALID: 'Ongeldige factuurdatum',
+    INVOICE_NUMBER_USED: 'Factuurnummer {invoiceNumber} is al in gebruik',
+    NOTHING_TO_INVOICE: 'Geen ongefactureerde taken of regels',
+    PROJECT_IDS_INVALID:
+      "Project-ID's moeten een niet-lege array van ID's zijn",
+    FIXED_PROJECT_ALONE:
+      'Project met vaste prijs "{name}" moet apart worden gefactureerd',
+    CURRENCIES_MIXED:
+      'Projecten in verschillende valuta kunnen geen factuur delen',
+    EINVOICE_INCOMPLETE: 'De e-factuur mist verplichte velden: {fields}',
+    EINVOICE_COUNTRY_UNKNOWN:
+      'Land "{country}" ({field}) wordt niet herkend; gebruik een ISO 3166-code zoals DE of CH',
+    INVOICE_PREVIEW_FAILED: 'Kan de factuurvoorbeeldweergave niet maken',
+    INVOICE_ISSUE_FAILED: 'Kan de factuur niet uitreiken',
+    INVOICE_PDF_FAILED: 'Kan de factuur-pdf niet maken',
+    EINVOICE_FAILED: 'Kan de e-factuur niet maken',
+    PAYMENT_QR_FAILED: 'Kan de betaalcode niet maken',
+    PAYMENT_QR_UNAVAILABLE:
+      'Geen betaalcode voor deze factuur (vereist een factuur in EUR, een openstaand bedrag en je IBAN)',
+    INVOICE_UPDATE_FAILED: 'Kan de factuur niet bijwerken',
+    INVOICE_CANCELLED: 'De factuur is geannuleerd',
+    INVOICE_ALREADY_CANCELLED: 'De factuur is al geannuleerd',
+
+    CREDIT_NOTE_FAILED: 'Kan de creditnota niet uitreiken',
+    FIXED_CREDIT_BY_AMOUNT:
+      'Facturen met een vaste prijs kunnen alleen per bedrag worden gecrediteerd',
+    INVOICE_LINE_MISSING: 'De factuur heeft geen regel {index}',
+    CREDIT_HOURS_INVALID: 'Ongeldige uren voor regel {index}',
+    INVOICE_LINE_ITEM_MISSING: 'De factuur heeft geen post {index}',
+    CREDIT_QUANTITY_INVALID: 'Ongeldig aantal voor post {index}',
+    NOTHING_TO_CREDIT: 'Geen regels om te crediteren',
+    INVOICE_PARTIALLY_CREDITED:
+      'De factuur is al gedeeltelijk gecrediteerd; crediteer de resterende regels of een bedrag',
+    CREDIT_EXCEEDS_INVOICE:
+      'Het creditbedrag overschrijdt het resterende factuurbedrag',
+
+    PAYMENT_METHOD_INVALID:
+      'De betaalwijze moet een van de volgende zijn: {methods}',
+    PAYMENT_DATE_INVALID: 'Ongeldige betaaldatum',
+    PAYMENT_EXCEEDS_BALANCE: 'De betaling overschrijdt het openstaande saldo',
+    PAYMENT_RECORD_FAILED: 'Kan de betaling niet vastleggen',
+    PAYMENT_DELETE_FAILED: 'Kan de betaling niet verwijderen',
+
+    CUSTOMER_EMAIL_MISSING: 'De klant heeft geen e-mailadres',
+    EMAIL_ADDRESS_INVALID: 'Ongeldig e-mailadres: {address}',
+    EMAIL_SEND_FAILED: 'Kan de e-mail niet verzenden: {reason}',
+    INVOICE_SEND_FAILED: 'Kan de factuur niet verzenden',
+
+    DUNNING_LEVELS_REQUIRED: 'Minstens één aanmaningsniveau is verplicht',
+    DUNNING_LEVEL_INVALID: 'Niveau {level}: ongeldige {field}',
+    DUNNING_LEVEL_ORDER:
+      'Niveau {level}: daysAfterDue moet groter zijn dan bij het vorige niveau',
+    INVOICE_NOT_OPEN:
+      'Alleen verzonden, onbetaalde facturen kunnen worden aangemaand',
+    INVOICE_NOT_OVERDUE: 'De factuur is niet achterstallig',
+    DUNNING_COMPLETE: 'Alle aanmaningsniveaus zijn al verzonden',
+    REMINDER_FAILED: 'Kan de aanmaning niet maken',
+
+    INTERVAL_INVALID: 'Het interval moet een van de volgende zijn: {intervals}',
+    START_DATE_INVALID: 'De startdatum moet als JJJJ-MM-DD worden opgegeven',
+    END_DATE_INVALID: 'De einddatum moet als JJJJ-MM-DD worden opgegeven',
+    END_BEFORE_START: 'De einddatum ligt vóór de startdatum',
+    DAY_OF_MONTH_INVALID: 'De dag van de maand moet tussen 1 en 31 liggen',
+    AUTO_SEND_INVALID: 'autoSend moet true of false zijn',
+    RECURRING_INVOICE_ENDED: 'De terugkerende factuur is beëindigd',
+    RECURRING_NO_LINE_ITEMS: 'De terugkerende factuur heeft geen regels',
+
+    QUOTE_EMPTY: 'Een offerte heeft minstens één taak of regel nodig',
+    QUOTE_DATE_INVALID: 'De offertedatum moet als JJJJ-MM-DD worden opgegeven',
+    VALID_UNTIL_INVALID: 'Geldig tot moet als JJJJ-MM-DD worden opgegeven',
+    VALID_UNTIL_BEFORE_QUOTE_DATE: 'Geldig tot ligt vóór de offertedatum',
+    QUOTE_NOT_DRAFT:
+      'Alleen conceptoffertes kunnen worden gewijzigd of verwijderd',
+    QUOTE_ALREADY_SENT: 'De offerte is al verzonden',
+    QUOTE_DECIDED: 'Het antwoord van de klant op deze offerte is al vastgelegd',
+    QUOTE_EXPIRED: 'De offerte is verlopen',
+    QUOTE_NOT_ACCEPTED: 'Alleen geaccepteerde offertes kunnen worden omgezet',
+    QUOTE_CONVERTED: 'De offerte is al omgezet',
+
+    START_TIME_INVALID: 'Het begin moet een datum met tijd zijn',
+    END_TIME_INVALID: 'Het einde moet een datum met tijd na het begin zijn',
+    DURATION_INVALID: 'De duur moet een geheel aantal seconden boven 0 zijn',
+    DURATION_MISMATCH: 'Einde en duur komen niet overeen',
+    END_OR_DURATION_REQUIRED: 'Een einde of een duur is verplicht',
+    NOTE_INVALID: 'De notitie moet tekst zijn',
+    BILLABLE_INVALID: 'billable moet true of false zijn',
+    TIMER_ALREADY_RUNNING: 'Er loopt al een timer; stop die eerst',
+    TIMER_NOT_RUNNING: 'Er loopt geen timer',
+
+    BILLING_BASIS_INVALID:
+      'De factureringsbasis moet een van de volgende zijn: {bases}',
+    TIME_ROUNDING_INVALID:
+      'De tijdafronding moet een geheel aantal minuten tussen 0 en {count} zijn',
+    TIME_ROUNDING_MODE_INVALID:
+      'De afrondingsmodus moet een van de volgende zijn: {modes}',
+
+    RATE_ROLE_INVALID: 'De rol moet tekst van maximaal {count} tekens zijn',
+    RATE_CARD_LEVEL_INVALID:
+      'Een tarief hoort bij een klant of een project, niet bij beide',
+    RATE_CARD_EXISTS:
+      'Er bestaat op dit niveau al een tarief voor de rol {role}',
+
+    IMPORT_FORMAT_INVALID:
+      'Het importformaat moet een van de volgende zijn: {formats}',
+    IMPORT_MAPPING_INVALID:
+      'De kolomtoewijzing mag alleen deze velden aan kolomnamen toewijzen: {fields}',
+    IMPORT_CONTENT_INVALID: 'De importinhoud kon niet worden gelezen',
+    IMPORT_FIELD_UNMAPPED: 'Er is geen kolom toegewezen aan het veld {field}',
+    IMPORT_COLUMN_MISSING: 'De kolom {column} ontbreekt',
+    IMPORT_TOO_MANY_ROWS: 'Een import mag maximaal {count} rijen hebben',
+    IMPORT_DATE_FORMAT_INVALID:
+      'Het datumformaat moet een van de volgende zijn: {formats}',
+    IMPORT_NAME_MISSING: 'De taaknaam ontbreekt',
+    IMPORT_DATE_INVALID: 'Ongeldige datum: {value}',
+    IMPORT_START_INVALID: 'Ongeldige starttijd: {value}',
+    IMPORT_HOURS_INVALID: 'Ongeldige uren: {value}',
+    IMPORT_PROJECT_NOT_FOUND: 'Project {name} niet gevonden',
+    IMPORT_PROJECT_MISSING:
+      'Geen project opgegeven en geen standaard-projectId',
+    IMPORT_INVALID: {
+      one: '{count} rij is ongeldig; er is niets geïmporteerd',
+      other: '{count} rijen zijn ongeldig; er is niets geïmporteerd'
+    },
+
+    CALENDAR_FEED_NOT_FOUND: 'Agendafeed niet gevonden',
+    CALENDAR_FILTER_INVALID:
+      "customerId en projectId moeten numerieke id's zijn",
+
+    TIMESHEET_FORMAT_INVALID:
+      'Het formaat van de urenstaat moet een van de volgende zijn: {formats}',
+
+    TASK_STATUS_INVALID: 'De status moet een van de volgende zijn: {statuses}',
+    TASK_TRANSITION_NOT_ALLOWED:
+      'De workflow van het project staat niet toe een taak van {from} naar {to} te verplaatsen',
+    TASK_WORKFLOW_INVALID:
+      'De statussen van een workflow moeten uniek zijn, todo en done bevatten en komen uit: {statuses}',
+    TASK_WORKFLOW_TRANSITIONS_INVALID:
+      'De overgangen van een workflow moeten een lijst van { from, to } zijn',
+    TASK_WORKFLOW_TRANSITION_INVALID:
+      'Ongeldige workflowovergang van {from} naar {to}',
+    TASK_STATUS_IN_USE:
+      'Taken van het project hebben nog deze statussen: {statuses}',
+    TASK_PARENT_INVALID:
+      'Een subtaak heeft een hoofdtaak van hetzelfde project als bovenliggende taak nodig en kan zelf geen subtaken hebben',
+    DUE_DATE_INVALID: 'De vervaldatum moet als JJJJ-MM-DD worden opgegeven'
+  }
+};
@@ -1,5 +1,6 @@
 import { verifyToken } from '../utils/auth.js';
 import { getDatabase } from '../config/database.js';
+import { errorBody } from '../utils/errors.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -7,12 +8,12 @@ export const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+      return res.status(401).json(errorBody(req, 'TOKEN_REQUIRED'));
     }
 
     const decoded = verifyToken(token);
     if (!decoded) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+      return res.status(401).json(errorBody(req, 'TOKEN_INVALID'));
     }
 
     // Verify user exists in database
@@ -25,7 +26,7 @@ export const authenticateToken = async (req, res, next) => {
     ).rows[0];
 
     if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+      return res.status(401).json(errorBody(req, 'USER_NOT_FOUND'));
     }
 
     // Add user to request object
@@ -33,7 +34,7 @@ export const authenticateToken = async (req, res, next) => {
     next();
   } catch (error) {
     console.log(error);
-    return res.status(401).json({ error: 'Authentication failed' });
+    return res.status(401).json(errorBody(req, 'AUTHENTICATION_FAILED'));
   }
 };
 
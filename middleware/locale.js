@@ -0,0 +1,7 @@
+import { negotiateLocale } from '../utils/i18n.js';
+
+// Language for API messages, from the Accept-Language header
+export const detectLocale = (req, res, next) => {
+  req.locale = negotiateLocale(req.get('Accept-Language'));
+  next();
+};
@@ -1,13 +1,14 @@
 import express from 'express';
 import { getDatabase } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { errorBody, sendError } from '../utils/errors.js';
 
 const router = express.Router();
 
 // Admin authorization middleware
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+    return res.status(403).json(errorBody(req, 'ADMIN_REQUIRED'));
   }
   next();
 };
@@ -25,8 +26,7 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     ).rows;
     res.json({ users });
   } catch (error) {
-    console.error('Admin list users error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Admin list users error:');
   }
 });
 
@@ -39,18 +39,16 @@ router.put('/users/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     // Basic validation
     if (role && typeof role !== 'string')
-      return res.status(400).json({ error: 'Invalid role' });
+      return res.status(400).json(errorBody(req, 'ROLE_INVALID'));
     if (
       active !== undefined &&
       !(active === 0 || active === 1 || active === '0' || active === '1')
     )
-      return res.status(400).json({ error: 'Invalid active value' });
+      return res.status(400).json(errorBody(req, 'ACTIVE_INVALID'));
 
     // Prevent admin demoting themselves
     if (parseInt(id, 10) === req.user.id && role && role !== 'admin') {
-      return res
-        .status(400)
-        .json({ error: 'Cannot remove your own admin role' });
+      return res.status(400).json(errorBody(req, 'OWN_ADMIN_ROLE'));
     }
 
     const updates = [];
@@ -68,7 +66,7 @@ router.put('/users/:id', authenticateToken, requireAdmin, async (req, res) => {
     }
 
     if (updates.length === 0)
-      return res.status(400).json({ error: 'No fields to update' });
+      return res.status(400).json(errorBody(req, 'NO_FIELDS'));
     params.unshift(id);
     await db.query(
       `UPDATE users
@@ -85,8 +83,7 @@ router.put('/users/:id', authenticateToken, requireAdmin, async (req, res) => {
     ).rows[0];
     res.json({ user: updated });
   } catch (error) {
-    console.error('Admin update user error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Admin update user error:');
   }
 });
 
@@ -11,8 +11,20 @@ import {
   hashPassword,
   comparePassword,
   isValidEmail,
-  isValidPassword
+  isValidPassword,
+  MIN_PASSWORD_LENGTH
 } from '../utils/auth.js';
+import {
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  MAX_PAYMENT_TERMS_DAYS,
+  isValidPaymentTerms
+} from '../utils/payments.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import {
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  resolveLocale
+} from '../utils/i18n.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -39,17 +51,25 @@ router.post('/register', async (req, res) => {
 
     // Validation
     if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({ error: 'All fields are required' });
+      return res.status(400).json(errorBody(req, 'FIELDS_REQUIRED'));
     }
 
     if (!isValidEmail(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
+      return res.status(400).json(errorBody(req, 'EMAIL_INVALID'));
     }
 
     if (!isValidPassword(password)) {
       return res
         .status(400)
-        .json({ error: 'Password must be at least 6 characters long' });
+        .json(
+          errorBody(req, 'PASSWORD_TOO_SHORT', { count: MIN_PASSWORD_LENGTH })
+        );
+    }
+
+    if (!isSupportedLocale(locale)) {
+      return res
+        .status(400)
+        .json(errorBody(req, 'LOCALE_INVALID', { locales: SUPPORTED_LOCALES }));
     }
 
     const db = getDatabase();
@@ -61,9 +81,7 @@ router.post('/register', async (req, res) => {
       ])
     ).rows[0];
     if (existingUser) {
-      return res
-        .status(400)
-        .json({ error: 'User already exists with this email' });
+      return res.status(400).json(errorBody(req, 'USER_EXISTS'));
     }
 
     // Hash password
@@ -97,7 +115,7 @@ router.post('/register', async (req, res) => {
         companyState,
         companyCountry,
         companyPhone,
-        locale,
+        resolveLocale(locale),
         'user',
         0
       ]
@@ -120,14 +138,13 @@ router.post('/register', async (req, res) => {
         companyState,
         companyCountry,
         companyPhone,
-        locale,
+        locale: resolveLocale(locale),
         role: 'user',
         active: 0
       }
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Registration error:');
   }
 });
 
@@ -138,7 +155,7 @@ router.post('/login', async (req, res) => {
 
     // Validation
     if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+      return res.status(400).json(errorBody(req, 'CREDENTIALS_REQUIRED'));
     }
 
     const db = getDatabase();
@@ -150,18 +167,18 @@ router.post('/login', async (req, res) => {
       ])
     ).rows[0];
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return res.status(401).json(errorBody(req, 'CREDENTIALS_INVALID'));
     }
 
     // Check password
     const isPasswordValid = await comparePassword(password, user.password);
     if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return res.status(401).json(errorBody(req, 'CREDENTIALS_INVALID'));
     }
 
     // Ensure account is active
     if (!user.active) {
-      return res.status(403).json({ error: 'Account is not active' });
+      return res.status(403).json(errorBody(req, 'ACCOUNT_INACTIVE'));
     }
 
     // Generate token
@@ -180,8 +197,7 @@ router.post('/login', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Login error:');
   }
 });
 
@@ -195,13 +211,13 @@ router.get('/profile', authenticateToken, async (req, res) => {
           company_name, company_street, company_number, company_postal_code, company_city,
           company_state, company_country, company_phone, company_vat_id, vat_percent,
           invoice_number, bank_iban_cipher, bank_iban_iv, bank_iban_tag, bank_name, bank_bic,
-          invoice_notes, locale, role, active
+          invoice_notes, locale, vat_exempt, tax_number, payment_terms_days, role, active
    FROM users
    WHERE id = $1`,
         [req.user.id]
       )
     ).rows[0];
-    if (!row) return res.status(404).json({ error: 'User not found' });
+    if (!row) return res.status(404).json(errorBody(req, 'USER_NOT_FOUND'));
     let decryptedIban = '';
     if (row.bank_iban_cipher) {
       decryptedIban = decryptValue({
@@ -229,6 +245,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
       bankName: row.bank_name,
       bankBic: row.bank_bic,
       invoiceNotes: row.invoice_notes,
+      vatExempt: !!row.vat_exempt,
+      taxNumber: row.tax_number || '',
+      paymentTermsDays: row.payment_terms_days ?? DEFAULT_PAYMENT_TERMS_DAYS,
       bankIbanMasked: maskIban(decryptedIban),
       bankIban: decryptedIban, // full value for settings page
       locale: row.locale || 'en',
@@ -237,8 +256,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     };
     res.json({ user });
   } catch (error) {
-    console.error('Profile error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Profile error:');
   }
 });
 
@@ -258,18 +276,32 @@ router.put('/profile', authenticateToken, async (req, res) => {
       companyPhone = '',
       companyVatId = '',
       vatPercent = 0,
-      invoiceNumber = '',
       bankIban = '',
       bankName = '',
       bankBic = '',
       invoiceNotes = '',
-      locale = 'en'
+      locale = 'en',
+      vatExempt = false,
+      taxNumber = '',
+      paymentTermsDays = DEFAULT_PAYMENT_TERMS_DAYS
     } = req.body;
 
     if (!firstName || !lastName) {
+      return res.status(400).json(errorBody(req, 'NAME_REQUIRED'));
+    }
+
+    if (!isValidPaymentTerms(paymentTermsDays)) {
+      return res.status(400).json(
+        errorBody(req, 'PAYMENT_TERMS_INVALID', {
+          count: MAX_PAYMENT_TERMS_DAYS
+        })
+      );
+    }
+
+    if (!isSupportedLocale(locale)) {
       return res
         .status(400)
-        .json({ error: 'First name and last name are required' });
+        .json(errorBody(req, 'LOCALE_INVALID', { locales: SUPPORTED_LOCALES }));
     }
 
     const db = getDatabase();
@@ -294,15 +326,18 @@ router.put('/profile', authenticateToken, async (req, res) => {
       }
     }
 
+    // invoiceNumber only seeded the invoice sequence once; numbering is set
+    // through /api/sequences now
     await db.query(
       `UPDATE users
    SET first_name = $1, last_name = $2, company_name = $3, company_street = $4,
        company_number = $5, company_postal_code = $6, company_city = $7, company_state = $8,
        company_country = $9, company_phone = $10, company_vat_id = $11, vat_percent = $12,
-       invoice_number = $13, bank_iban_cipher = $14, bank_iban_iv = $15, bank_iban_tag = $16,
-       bank_name = $17, bank_bic = $18, invoice_notes = $19, locale = $20,
-       updated_at = CURRENT_TIMESTAMP
-   WHERE id = $21`,
+       bank_iban_cipher = $13, bank_iban_iv = $14, bank_iban_tag = $15,
+       bank_name = $16, bank_bic = $17, invoice_notes = $18, locale = $19,
+       vat_exempt = $21, tax_number = $22,
+       payment_terms_days = $23, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $20`,
       [
         firstName,
         lastName,
@@ -316,15 +351,17 @@ router.put('/profile', authenticateToken, async (req, res) => {
         companyPhone,
         companyVatId,
         vatPercent,
-        invoiceNumber,
         cipherFields.bankIbanCipher,
         cipherFields.bankIbanIv,
         cipherFields.bankIbanTag,
         bankName,
         bankBic,
         invoiceNotes,
-        locale,
-        req.user.id
+        resolveLocale(locale),
+        req.user.id,
+        !!vatExempt,
+        taxNumber,
+        Number(paymentTermsDays)
       ]
     );
 
@@ -334,7 +371,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
           company_name, company_street, company_number, company_postal_code, company_city,
           company_state, company_country, company_phone, company_vat_id, vat_percent,
           invoice_number, bank_iban_cipher, bank_iban_iv, bank_iban_tag, bank_name, bank_bic,
-          invoice_notes, locale, role, active
+          invoice_notes, locale, vat_exempt, tax_number, payment_terms_days, role, active
    FROM users
    WHERE id = $1`,
         [req.user.id]
@@ -367,6 +404,10 @@ router.put('/profile', authenticateToken, async (req, res) => {
       bankName: updated.bank_name,
       bankBic: updated.bank_bic,
       invoiceNotes: updated.invoice_notes,
+      vatExempt: !!updated.vat_exempt,
+      taxNumber: updated.tax_number || '',
+      paymentTermsDays:
+        updated.payment_terms_days ?? DEFAULT_PAYMENT_TERMS_DAYS,
       bankIbanMasked: maskIban(decryptedIban),
       bankIban: decryptedIban,
       locale: updated.locale || 'en',
@@ -378,8 +419,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
       user: updatedUser
     });
   } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Profile update error:');
   }
 });
 
@@ -389,15 +429,15 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
-      return res
-        .status(400)
-        .json({ error: 'Current password and new password are required' });
+      return res.status(400).json(errorBody(req, 'PASSWORDS_REQUIRED'));
     }
 
     if (!isValidPassword(newPassword)) {
-      return res
-        .status(400)
-        .json({ error: 'New password must be at least 6 characters long' });
+      return res.status(400).json(
+        errorBody(req, 'NEW_PASSWORD_TOO_SHORT', {
+          count: MIN_PASSWORD_LENGTH
+        })
+      );
     }
 
     const db = getDatabase();
@@ -413,7 +453,7 @@ router.put('/change-password', authenticateToken, async (req, res) => {
       user.password
     );
     if (!isCurrentPasswordValid) {
-      return res.status(400).json({ error: 'Current password is incorrect' });
+      return res.status(400).json(errorBody(req, 'PASSWORD_INCORRECT'));
     }
 
     // Hash new password
@@ -427,8 +467,7 @@ router.put('/change-password', authenticateToken, async (req, res) => {
 
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
-    console.error('Password change error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Password change error:');
   }
 });
 
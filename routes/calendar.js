@@ -0,0 +1,133 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { buildCalendarFeed, generateCalendarToken } from '../utils/calendar.js';
+import { errorBody, sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const isId = (v) => v === undefined || /^\d+$/.test(String(v));
+
+// customerId / projectId query filters, or null if either is not an id
+function readFilters(query) {
+  const { customerId, projectId } = query;
+  if (!isId(customerId) || !isId(projectId)) return null;
+  return { customerId, projectId };
+}
+
+// Subscription URL of a feed token; PUBLIC_URL overrides the request's host
+// (e.g. behind a reverse proxy)
+function feedUrl(req, token, { customerId, projectId }) {
+  const base =
+    process.env.PUBLIC_URL?.replace(/\/+$/, '') ||
+    `${req.protocol}://${req.get('host')}`;
+  const query = new URLSearchParams();
+  if (customerId) query.set('customerId', customerId);
+  if (projectId) query.set('projectId', projectId);
+  const search = query.toString();
+  return `${base}/api/calendar/${token}.ics${search ? `?${search}` : ''}`;
+}
+
+const feedResponse = (req, token, filters = {}) => ({
+  enabled: !!token,
+  url: token ? feedUrl(req, token, filters) : null
+});
+
+// Public: the feed itself, for calendar apps that cannot send a JWT. The
+// token in the path authenticates; unknown tokens are 404.
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const filters = readFilters(req.query);
+    if (!filters) {
+      return res.status(400).json(errorBody(req, 'CALENDAR_FILTER_INVALID'));
+    }
+    const ics = await buildCalendarFeed(req.params.token, filters);
+    if (ics === null) {
+      return res.status(404).json(errorBody(req, 'CALENDAR_FEED_NOT_FOUND'));
+    }
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="mo-re.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(ics);
+  } catch (error) {
+    sendError(res, error, 'Error building calendar feed:');
+  }
+});
+
+// Apply authentication to the feed settings below
+router.use(authenticateToken);
+
+const findToken = async (db, userId) =>
+  (await db.query('SELECT calendar_token FROM users WHERE id = $1', [userId]))
+    .rows[0]?.calendar_token ?? null;
+
+// The feed's subscription URL; customerId / projectId (query) limit it to one
+// customer or project
+router.get('/feed', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const filters = readFilters(req.query);
+    if (!filters) {
+      return res.status(400).json(errorBody(req, 'CALENDAR_FILTER_INVALID'));
+    }
+    if (filters.customerId) {
+      const customer = (
+        await db.query(
+          'SELECT id FROM customers WHERE id = $1 AND user_id = $2',
+          [filters.customerId, req.user.id]
+        )
+      ).rows[0];
+      if (!customer) {
+        return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+      }
+    }
+    if (filters.projectId) {
+      const project = (
+        await db.query(
+          'SELECT id FROM projects WHERE id = $1 AND user_id = $2',
+          [filters.projectId, req.user.id]
+        )
+      ).rows[0];
+      if (!project) {
+        return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
+      }
+    }
+    const token = await findToken(db, req.user.id);
+    res.json(feedResponse(req, token, filters));
+  } catch (error) {
+    sendError(res, error, 'Error fetching calendar feed:');
+  }
+});
+
+// Enable the feed, or replace its token so the old URL stops working
+router.post('/feed', async (req, res) => {
+  try {
+    const token = generateCalendarToken();
+    await getDatabase().query(
+      `UPDATE users SET calendar_token = $1, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $2`,
+      [token, req.user.id]
+    );
+    res.status(201).json(feedResponse(req, token));
+  } catch (error) {
+    sendError(res, error, 'Error creating calendar feed:');
+  }
+});
+
+// Disable the feed
+router.delete('/feed', async (req, res) => {
+  try {
+    await getDatabase().query(
+      `UPDATE users SET calendar_token = NULL, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $1`,
+      [req.user.id]
+    );
+    res.json(feedResponse(req, null));
+  } catch (error) {
+    sendError(res, error, 'Error deleting calendar feed:');
+  }
+});
+
+export default router;
@@ -2,6 +2,18 @@ import express from 'express';
 import { getDatabase } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { toCamelCase } from '../utils/camel-case.js';
+import { findLockingInvoice } from '../utils/issued-invoices.js';
+import { isValidCurrency, normalizeCurrency } from '../utils/currency.js';
+import {
+  MAX_PAYMENT_TERMS_DAYS,
+  isValidPaymentTerms
+} from '../utils/payments.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import {
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  resolveLocale
+} from '../utils/i18n.js';
 
 const router = express.Router();
 
@@ -35,8 +47,7 @@ router.get('/', async (req, res) => {
     const camelCaseCustomers = toCamelCase(customers);
     res.json(camelCaseCustomers);
   } catch (error) {
-    console.error('Error fetching customers:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching customers:');
   }
 });
 
@@ -55,18 +66,48 @@ router.post('/', async (req, res) => {
       billingCountry = '',
       email = '',
       phone = '',
-      vatNumber = ''
+      vatNumber = '',
+      buyerReference = ''
     } = req.body;
+    const currency = normalizeCurrency(req.body.currency) || 'EUR';
+    // Empty means the user's default payment terms apply
+    const paymentTermsDays =
+      req.body.paymentTermsDays === undefined ||
+      req.body.paymentTermsDays === null ||
+      req.body.paymentTermsDays === ''
+        ? null
+        : Number(req.body.paymentTermsDays);
+    // Empty means invoices use the user's language
+    const locale = req.body.locale || null;
 
     if (!name) {
-      return res.status(400).json({ error: 'Customer name is required' });
+      return res.status(400).json(errorBody(req, 'CUSTOMER_NAME_REQUIRED'));
+    }
+
+    if (!isValidCurrency(currency)) {
+      return res.status(400).json(errorBody(req, 'CURRENCY_INVALID'));
+    }
+
+    if (paymentTermsDays !== null && !isValidPaymentTerms(paymentTermsDays)) {
+      return res.status(400).json(
+        errorBody(req, 'PAYMENT_TERMS_INVALID', {
+          count: MAX_PAYMENT_TERMS_DAYS
+        })
+      );
+    }
+
+    if (locale !== null && !isSupportedLocale(locale)) {
+      return res
+        .status(400)
+        .json(errorBody(req, 'LOCALE_INVALID', { locales: SUPPORTED_LOCALES }));
     }
 
     const result = await db.query(
       `INSERT INTO customers (
     name, contact_person, billing_street, billing_number, billing_postal_code,
-    billing_city, billing_state, billing_country, email, phone, vat_number, user_id
-  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    billing_city, billing_state, billing_country, email, phone, vat_number, user_id,
+    currency, buyer_reference, payment_terms_days, locale
+  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
   RETURNING id`,
       [
         name,
@@ -80,7 +121,11 @@ router.post('/', async (req, res) => {
         email,
         phone,
         vatNumber,
-        req.user.id
+        req.user.id,
+        currency,
+        buyerReference,
+        paymentTermsDays,
+        locale && resolveLocale(locale)
       ]
     );
 
@@ -97,11 +142,14 @@ router.post('/', async (req, res) => {
       email,
       phone,
       vatNumber,
+      currency,
+      buyerReference,
+      paymentTermsDays,
+      locale: locale && resolveLocale(locale),
       userId: req.user.id
     });
   } catch (error) {
-    console.error('Error creating customer:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error creating customer:');
   }
 });
 
@@ -120,11 +168,40 @@ router.put('/:customerId', async (req, res) => {
       billingCountry = '',
       email = '',
       phone = '',
-      vatNumber = ''
+      vatNumber = '',
+      buyerReference = ''
     } = req.body;
+    const currency = normalizeCurrency(req.body.currency) || 'EUR';
+    // Empty means the user's default payment terms apply
+    const paymentTermsDays =
+      req.body.paymentTermsDays === undefined ||
+      req.body.paymentTermsDays === null ||
+      req.body.paymentTermsDays === ''
+        ? null
+        : Number(req.body.paymentTermsDays);
+    // Empty means invoices use the user's language
+    const locale = req.body.locale || null;
 
     if (!name) {
-      return res.status(400).json({ error: 'Customer name is required' });
+      return res.status(400).json(errorBody(req, 'CUSTOMER_NAME_REQUIRED'));
+    }
+
+    if (!isValidCurrency(currency)) {
+      return res.status(400).json(errorBody(req, 'CURRENCY_INVALID'));
+    }
+
+    if (paymentTermsDays !== null && !isValidPaymentTerms(paymentTermsDays)) {
+      return res.status(400).json(
+        errorBody(req, 'PAYMENT_TERMS_INVALID', {
+          count: MAX_PAYMENT_TERMS_DAYS
+        })
+      );
+    }
+
+    if (locale !== null && !isSupportedLocale(locale)) {
+      return res
+        .status(400)
+        .json(errorBody(req, 'LOCALE_INVALID', { locales: SUPPORTED_LOCALES }));
     }
 
     // Check if customer belongs to the user
@@ -135,9 +212,7 @@ router.put('/:customerId', async (req, res) => {
       )
     ).rows[0];
     if (!customer) {
-      return res
-        .status(404)
-        .json({ error: 'Customer not found or access denied' });
+      return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
     }
 
     await db.query(
@@ -145,7 +220,8 @@ router.put('/:customerId', async (req, res) => {
    SET name = $1, contact_person = $2, billing_street = $3, billing_number = $4,
        billing_postal_code = $5, billing_city = $6, billing_state = $7,
        billing_country = $8, email = $9, phone = $10, vat_number = $11,
-       updated_at = CURRENT_TIMESTAMP
+       currency = $14, buyer_reference = $15,
+       payment_terms_days = $16, locale = $17, updated_at = CURRENT_TIMESTAMP
    WHERE id = $12 AND user_id = $13`,
       [
         name,
@@ -160,7 +236,11 @@ router.put('/:customerId', async (req, res) => {
         phone,
         vatNumber,
         req.params.customerId,
-        req.user.id
+        req.user.id,
+        currency,
+        buyerReference,
+        paymentTermsDays,
+        locale && resolveLocale(locale)
       ]
     );
 
@@ -177,11 +257,14 @@ router.put('/:customerId', async (req, res) => {
       email,
       phone,
       vatNumber,
+      currency,
+      buyerReference,
+      paymentTermsDays,
+      locale: locale && resolveLocale(locale),
       userId: req.user.id
     });
   } catch (error) {
-    console.error('Error updating customer:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error updating customer:');
   }
 });
 
@@ -199,9 +282,20 @@ router.delete('/:customerId', async (req, res) => {
     ).rows[0];
 
     if (!customer) {
-      return res
-        .status(404)
-        .json({ error: 'Customer not found or access denied' });
+      return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+    }
+
+    // Finalized invoices must stay attached to their customer
+    const invoice = await findLockingInvoice({
+      userId: req.user.id,
+      customerId: req.params.customerId
+    });
+    if (invoice) {
+      return res.status(409).json(
+        errorBody(req, 'INVOICE_LOCKED', {
+          invoiceNumber: invoice.invoice_number
+        })
+      );
     }
 
     // Delete customer and cascade delete projects and tasks
@@ -222,8 +316,7 @@ router.delete('/:customerId', async (req, res) => {
 
     res.json({ id: req.params.customerId });
   } catch (error) {
-    console.error('Error deleting customer:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error deleting customer:');
   }
 });
 
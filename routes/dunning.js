@@ -0,0 +1,49 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { sendError } from '../utils/errors.js';
+import {
+  getDunningLevels,
+  replaceDunningLevels,
+  runDunning
+} from '../utils/dunning.js';
+
+const router = express.Router();
+
+// Apply authentication to all dunning routes
+router.use(authenticateToken);
+
+// Reminder levels in escalation order
+router.get('/levels', async (req, res) => {
+  try {
+    const levels = await getDunningLevels(req.user.id);
+    res.json(toCamelCase(levels));
+  } catch (error) {
+    sendError(res, error, 'Error fetching dunning levels:');
+  }
+});
+
+// Replace all levels: { levels: [{ name?, daysAfterDue, fee?, interestRate?, paymentDays? }] }
+router.put('/levels', async (req, res) => {
+  try {
+    const levels = await replaceDunningLevels(req.user.id, req.body.levels);
+    res.json(toCamelCase(levels));
+  } catch (e) {
+    sendError(res, e, 'Error updating dunning levels:');
+  }
+});
+
+// Run the dunning job now for the authenticated user: { send?: boolean }
+router.post('/run', async (req, res) => {
+  try {
+    const notices = await runDunning({
+      userId: req.user.id,
+      send: !!req.body.send
+    });
+    res.json(toCamelCase(notices.map(({ html, ...notice }) => notice)));
+  } catch (error) {
+    sendError(res, error, 'Dunning run error:');
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import { importTimeEntries, planImport } from '../utils/time-import.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication to all import routes
+router.use(authenticateToken);
+
+// Report with row errors in the request's language; the duplicate key and
+// seconds stay internal
+const reportResponse = (req, { rows, summary, imported }) => ({
+  ...(imported !== undefined && { imported }),
+  summary,
+  rows: rows.map(({ key, seconds, errors, ...row }) => ({
+    ...row,
+    errors: errors.map(({ code, params }) => errorBody(req, code, params))
+  }))
+});
+
+// Dry run: { format, content, mapping?, projectId?, dateFormat? }; validates
+// every row and shows what an import would create, without writing
+router.post('/preview', async (req, res) => {
+  try {
+    const report = await planImport(
+      req.user.id,
+      req.params.customerId,
+      req.body
+    );
+    res.json(reportResponse(req, report));
+  } catch (e) {
+    sendError(res, e, 'Error previewing import:');
+  }
+});
+
+// Import (same body as the preview) in a single transaction; rejected as a
+// whole if any row is invalid
+router.post('/', async (req, res) => {
+  try {
+    const report = await importTimeEntries(
+      req.user.id,
+      req.params.customerId,
+      req.body
+    );
+    if (!report.imported) {
+      return res.status(400).json({
+        ...errorBody(req, 'IMPORT_INVALID', { count: report.summary.invalid }),
+        ...reportResponse(req, report)
+      });
+    }
+    res.status(201).json(reportResponse(req, report));
+  } catch (e) {
+    sendError(res, e, 'Error importing time entries:');
+  }
+});
+
+export default router;
@@ -1,12 +1,89 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
-import { buildInvoiceData, renderInvoiceHtml } from '../utils/invoice.js';
+import {
+  buildConsolidatedInvoiceData,
+  buildInvoiceData,
+  buildInvoiceFooter,
+  buildInvoiceTable,
+  draftInvoiceDate,
+  formatISODate,
+  parseDate,
+  renderInvoiceHtml,
+  resolveInvoiceDate
+} from '../utils/invoice.js';
+import { renderInvoicePdf } from '../utils/invoice-pdf.js';
+import { loadPdfLogo, loadRenderOptions } from '../utils/invoice-templates.js';
+import { buildEInvoiceModel, renderCii, renderUbl } from '../utils/einvoice.js';
+import {
+  issueConsolidatedInvoice,
+  issueCreditNote,
+  issueInvoice,
+  openSnapshot
+} from '../utils/issued-invoices.js';
+import { sendInvoiceEmail } from '../utils/invoice-email.js';
+import { createReminder } from '../utils/dunning.js';
+import { invoicePaymentPayload, qrPng, qrSvg } from '../utils/epc-qr.js';
+import {
+  BALANCE_COLUMNS,
+  computeDueDate,
+  deletePayment,
+  INVOICE_STATUSES,
+  listOpenItems,
+  markInvoiceSent,
+  paymentTermsDays,
+  recordPayment,
+  withBalance
+} from '../utils/payments.js';
+import { previewNextNumber } from '../utils/sequences.js';
+import { getDatabase } from '../config/database.js';
 import { toCamelCase } from '../utils/camel-case.js';
+import { errorBody, sendError } from '../utils/errors.js';
 
 const router = express.Router({ mergeParams: true });
 
 router.use(authenticateToken);
 
+// Preview payload: HTML plus the structured data a client needs to render
+// its own PDF
+async function buildPreview(userId, data, { invoiceNo, invoiceDate }) {
+  const { template, logo } = await loadRenderOptions(userId);
+  const html = renderInvoiceHtml(
+    { ...toCamelCase(data), invoiceNo, invoiceDate, logo },
+    { template }
+  );
+  const table = buildInvoiceTable(data);
+  // Include plaintext bank details and customer billing/contact for client-side PDF generation only
+  const bank = {
+    name: data.user?.bank_name || '',
+    iban: data.decryptedIban || '',
+    bic: data.user?.bank_bic || ''
+  };
+  const cust = data.customer || {};
+  const customer = {
+    companyName: cust.name || '',
+    firstName: cust.contact_first_name || '',
+    lastName: cust.contact_last_name || '',
+    street: cust.billing_street || '',
+    number: cust.billing_number || '',
+    postalCode: cust.billing_postal_code || '',
+    city: cust.billing_city || '',
+    country: cust.billing_country || '',
+    vat: cust.vat_number || ''
+  };
+  // Prebuilt footer lines to ensure client has stable data immediately after login
+  const footer = buildInvoiceFooter(data);
+  return {
+    invoiceNo,
+    html,
+    bank,
+    customer,
+    invoiceDate,
+    dueDate: data.dueDate,
+    table,
+    footer
+  };
+}
+
 // POST /api/invoices/customers/:customerId/projects/:projectId/preview
 router.post(
   '/customers/:customerId/projects/:projectId/preview',
@@ -18,115 +95,566 @@ router.post(
         customerId,
         projectId
       });
-      const invoiceNo = data.project?.invoice_number || '';
-      // Determine invoice date: if missing, set to today and persist once
-      let invoiceDate = data.project?.invoice_date || '';
-      if (!invoiceDate) {
-        const today = new Date();
-        // store as ISO date (YYYY-MM-DD) for consistency
-        const y = today.getFullYear();
-        const m = String(today.getMonth() + 1).padStart(2, '0');
-        const d = String(today.getDate()).padStart(2, '0');
-        invoiceDate = `${y}-${m}-${d}`;
-        try {
-          const db = (await import('../config/database.js')).getDatabase();
-          await db.query(
-            'UPDATE projects SET invoice_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND customer_id = $3 AND user_id = $4',
-            [invoiceDate, projectId, customerId, req.user.id]
-          );
-
-          // reflect in memory copy
-          if (data.project) {
-            data.project.invoice_date = invoiceDate;
-          }
-        } catch (e) {
-          console.error('Failed to persist invoiceDate', e);
-        }
-      }
+      const invoiceDate = await resolveInvoiceDate(data, {
+        userId: req.user.id,
+        customerId,
+        projectId
+      });
+      // Unissued projects show the number the next issue would receive
+      const invoiceNo =
+        data.project?.invoice_number ||
+        (await previewNextNumber(
+          req.user.id,
+          'invoice',
+          parseDate(invoiceDate)
+        ));
+      data.dueDate = computeDueDate(invoiceDate, paymentTermsDays(data));
+
+      res.json(
+        await buildPreview(req.user.id, data, { invoiceNo, invoiceDate })
+      );
+    } catch (e) {
+      sendError(res, e, 'Invoice preview error', 'INVOICE_PREVIEW_FAILED');
+    }
+  }
+);
+
+// POST /api/invoices/customers/:customerId/consolidated/preview
+// Body (all optional): { projectIds, from, to, title, invoiceDate }. Bills
+// the unbilled tasks (dated from..to) and line items of the given projects,
+// or of all the customer's hourly projects, grouped by project.
+router.post('/customers/:customerId/consolidated/preview', async (req, res) => {
+  try {
+    const { projectIds, from, to, title, invoiceDate } = req.body;
+    const date = invoiceDate ? parseDate(invoiceDate) : new Date();
+    if (isNaN(date)) {
+      return res.status(400).json(errorBody(req, 'INVOICE_DATE_INVALID'));
+    }
+    const data = await buildConsolidatedInvoiceData({
+      userId: req.user.id,
+      customerId: req.params.customerId,
+      projectIds,
+      from,
+      to,
+      title
+    });
+    const invoiceNo = await previewNextNumber(req.user.id, 'invoice', date);
+    data.dueDate = computeDueDate(formatISODate(date), paymentTermsDays(data));
+
+    res.json(
+      await buildPreview(req.user.id, data, {
+        invoiceNo,
+        invoiceDate: formatISODate(date)
+      })
+    );
+  } catch (e) {
+    sendError(
+      res,
+      e,
+      'Consolidated invoice preview error',
+      'INVOICE_PREVIEW_FAILED'
+    );
+  }
+});
+
+// POST /api/invoices/customers/:customerId/consolidated/issue
+// Same body as the preview; marks the invoiced tasks and line items billed
+router.post('/customers/:customerId/consolidated/issue', async (req, res) => {
+  try {
+    const { projectIds, from, to, title, invoiceDate } = req.body;
+    const invoice = await issueConsolidatedInvoice({
+      userId: req.user.id,
+      customerId: req.params.customerId,
+      projectIds,
+      from,
+      to,
+      title,
+      invoiceDate
+    });
+    res.status(201).json(toCamelCase(invoice));
+  } catch (e) {
+    sendError(
+      res,
+      e,
+      'Consolidated invoice issue error',
+      'INVOICE_ISSUE_FAILED'
+    );
+  }
+});
+
+// GET /api/invoices/customers/:customerId/projects/:projectId/invoice.pdf
+router.get(
+  '/customers/:customerId/projects/:projectId/invoice.pdf',
+  async (req, res) => {
+    try {
+      const { customerId, projectId } = req.params;
+      const data = await buildInvoiceData({
+        userId: req.user.id,
+        customerId,
+        projectId
+      });
+      // Downloads do not fix the invoice date; preview and issue do
+      const invoiceDate = draftInvoiceDate(data);
+      // Unissued projects show the number the next issue would receive
+      const invoiceNo =
+        data.project?.invoice_number ||
+        (await previewNextNumber(
+          req.user.id,
+          'invoice',
+          parseDate(invoiceDate)
+        ));
+      data.dueDate = computeDueDate(invoiceDate, paymentTermsDays(data));
 
-      const html = renderInvoiceHtml({
-        ...toCamelCase(data),
+      const pdf = await renderInvoicePdf(data, {
         invoiceNo,
-        invoiceDate
+        invoiceDate,
+        logo: await loadPdfLogo(req.user.id)
+      });
+      const fileName = `invoice-${invoiceNo || projectId}`.replace(
+        /[^\w.-]+/g,
+        '_'
+      );
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="${fileName}.pdf"`
+      );
+      res.send(pdf);
+    } catch (e) {
+      sendError(res, e, 'Invoice PDF error', 'INVOICE_PDF_FAILED');
+    }
+  }
+);
+
+// E-invoice syntaxes by file name: XRechnung (UBL 2.1) and ZUGFeRD / Factur-X (CII)
+const E_INVOICE_FORMATS = {
+  'xrechnung.xml': renderUbl,
+  'zugferd.xml': renderCii
+};
+
+const sendEInvoice = (res, fileName, data, { invoiceNo, invoiceDate }) => {
+  const model = buildEInvoiceModel(data, { invoiceNo, invoiceDate });
+  const xml = E_INVOICE_FORMATS[fileName](model);
+  const baseName = `invoice-${invoiceNo}`.replace(/[^\w.-]+/g, '_');
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${baseName}-${fileName}"`
+  );
+  res.send(xml);
+};
+
+// GET /api/invoices/customers/:customerId/projects/:projectId/xrechnung.xml
+// GET /api/invoices/customers/:customerId/projects/:projectId/zugferd.xml
+for (const fileName of Object.keys(E_INVOICE_FORMATS)) {
+  router.get(
+    `/customers/:customerId/projects/:projectId/${fileName}`,
+    async (req, res) => {
+      try {
+        const { customerId, projectId } = req.params;
+        const data = await buildInvoiceData({
+          userId: req.user.id,
+          customerId,
+          projectId
+        });
+        const invoiceDate = draftInvoiceDate(data);
+        const invoiceNo =
+          data.project.invoice_number ||
+          (await previewNextNumber(
+            req.user.id,
+            'invoice',
+            parseDate(invoiceDate)
+          ));
+        data.dueDate = computeDueDate(invoiceDate, paymentTermsDays(data));
+        sendEInvoice(res, fileName, data, { invoiceNo, invoiceDate });
+      } catch (e) {
+        sendError(res, e, 'E-invoice error', 'EINVOICE_FAILED');
+      }
+    }
+  );
+}
+
+// POST /api/invoices/customers/:customerId/projects/:projectId/issue
+// Finalize the project's invoice: freeze numbers, lines, addresses and HTML
+router.post(
+  '/customers/:customerId/projects/:projectId/issue',
+  async (req, res) => {
+    try {
+      const { customerId, projectId } = req.params;
+      const invoice = await issueInvoice({
+        userId: req.user.id,
+        customerId,
+        projectId
+      });
+      res.status(201).json(toCamelCase(invoice));
+    } catch (e) {
+      sendError(res, e, 'Invoice issue error', 'INVOICE_ISSUE_FAILED');
+    }
+  }
+);
+
+// GET /api/invoices?customerId=&projectId=&documentType=&status= - list issued documents
+router.get('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { customerId, projectId, documentType, status } = req.query;
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json(errorBody(req, 'STATUS_INVALID', { statuses: INVOICE_STATUSES }));
+    }
+    const where = ['i.user_id = $1'];
+    const params = [req.user.id];
+    if (customerId) {
+      params.push(customerId);
+      where.push(`i.customer_id = $${params.length}`);
+    }
+    // Consolidated invoices show up under each project they bill
+    if (projectId) {
+      params.push(projectId);
+      where.push(`$${params.length} = ANY(i.project_ids)`);
+    }
+    if (documentType) {
+      params.push(documentType);
+      where.push(`i.document_type = $${params.length}`);
+    }
+    const invoices = (
+      await db.query(
+        `SELECT i.id, i.customer_id, i.project_id, i.invoice_number, i.invoice_date,
+          i.due_date, i.locale, i.buyer, i.subtotal, i.vat_percent, i.vat_amount,
+          i.total, i.status, i.issued_at, i.sent_at, i.document_type,
+          i.original_invoice_id, i.currency, i.project_ids, ${BALANCE_COLUMNS}
+   FROM invoices i
+   WHERE ${where.join(' AND ')}
+   ORDER BY i.invoice_date DESC, i.id DESC`,
+        params
+      )
+    ).rows
+      .map((invoice) => withBalance(invoice))
+      // 'overdue' only exists after the due date check above
+      .filter((invoice) => !status || invoice.status === status);
+    res.json(toCamelCase(invoices));
+  } catch (error) {
+    sendError(res, error, 'Error fetching invoices:');
+  }
+});
+
+// GET /api/invoices/open-items?customerId= - unpaid invoices with balance
+router.get('/open-items', async (req, res) => {
+  try {
+    const items = await listOpenItems(req.user.id, {
+      customerId: req.query.customerId
+    });
+    res.json(toCamelCase(items));
+  } catch (error) {
+    sendError(res, error, 'Error fetching open items:');
+  }
+});
+
+const findIssuedInvoice = async (userId, invoiceId) =>
+  (
+    await getDatabase().query(
+      `SELECT i.*, ${BALANCE_COLUMNS} FROM invoices i WHERE i.id = $1 AND i.user_id = $2`,
+      [invoiceId, userId]
+    )
+  ).rows[0];
+
+// GET /api/invoices/:invoiceId - full frozen invoice including HTML
+router.get('/:invoiceId(\\d+)', async (req, res) => {
+  try {
+    const invoice = await findIssuedInvoice(req.user.id, req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json(errorBody(req, 'INVOICE_NOT_FOUND'));
+    }
+    res.json(toCamelCase(withBalance(invoice)));
+  } catch (error) {
+    sendError(res, error, 'Error fetching invoice:');
+  }
+});
+
+// GET /api/invoices/:invoiceId/invoice.pdf - PDF rendered from the snapshot
+router.get('/:invoiceId(\\d+)/invoice.pdf', async (req, res) => {
+  try {
+    const invoice = await findIssuedInvoice(req.user.id, req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json(errorBody(req, 'INVOICE_NOT_FOUND'));
+    }
+    const { invoiceNo, invoiceDate, ...data } = openSnapshot(invoice.snapshot);
+    const pdf = await renderInvoicePdf(data, {
+      invoiceNo,
+      invoiceDate,
+      logo: await loadPdfLogo(req.user.id)
+    });
+    const fileName = `invoice-${invoiceNo}`.replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    sendError(res, e, 'Invoice PDF error', 'INVOICE_PDF_FAILED');
+  }
+});
+
+// GET /api/invoices/:invoiceId/xrechnung.xml
+// GET /api/invoices/:invoiceId/zugferd.xml - e-invoice from the snapshot
+for (const fileName of Object.keys(E_INVOICE_FORMATS)) {
+  router.get(`/:invoiceId(\\d+)/${fileName}`, async (req, res) => {
+    try {
+      const invoice = await findIssuedInvoice(
+        req.user.id,
+        req.params.invoiceId
+      );
+      if (!invoice) {
+        return res.status(404).json(errorBody(req, 'INVOICE_NOT_FOUND'));
+      }
+      const { invoiceNo, invoiceDate, ...data } = openSnapshot(
+        invoice.snapshot
+      );
+      sendEInvoice(res, fileName, data, { invoiceNo, invoiceDate });
+    } catch (e) {
+      sendError(res, e, 'E-invoice error', 'EINVOICE_FAILED');
+    }
+  });
+}
+
+// GET /api/invoices/:invoiceId/payment-qr.png
+// GET /api/invoices/:invoiceId/payment-qr.svg - EPC (GiroCode) payment code
+// for the invoice total, as printed on the invoice
+router.get(
+  '/:invoiceId(\\d+)/payment-qr.:format(png|svg)',
+  async (req, res) => {
+    try {
+      const invoice = await findIssuedInvoice(
+        req.user.id,
+        req.params.invoiceId
+      );
+      if (!invoice) {
+        return res.status(404).json(errorBody(req, 'INVOICE_NOT_FOUND'));
+      }
+      const { user, decryptedIban } = openSnapshot(invoice.snapshot);
+      const payload = invoicePaymentPayload({
+        user,
+        decryptedIban,
+        currency: invoice.currency,
+        documentType: invoice.document_type,
+        total: invoice.total,
+        invoiceNo: invoice.invoice_number
+      });
+      if (!payload) {
+        return res.status(404).json(errorBody(req, 'PAYMENT_QR_UNAVAILABLE'));
+      }
+      if (req.params.format === 'svg') {
+        res.setHeader('Content-Type', 'image/svg+xml');
+        return res.send(qrSvg(payload));
+      }
+      res.setHeader('Content-Type', 'image/png');
+      res.send(await qrPng(payload));
+    } catch (e) {
+      sendError(res, e, 'Payment QR code error', 'PAYMENT_QR_FAILED');
+    }
+  }
+);
+
+// POST /api/invoices/:invoiceId/credit-notes
+// Body: {} for a full cancellation, { items: [{ index, hours? }] } and/or
+// { lineItems: [{ index, quantity? }] } to credit invoice lines, or
+// { amount, description } to credit a net amount.
+// Optional: reason. The number comes from the credit_note sequence.
+router.post('/:invoiceId(\\d+)/credit-notes', async (req, res) => {
+  try {
+    const { items, lineItems, amount, description, reason } = req.body;
+    const creditNote = await issueCreditNote({
+      userId: req.user.id,
+      invoiceId: req.params.invoiceId,
+      items,
+      lineItems,
+      amount,
+      description,
+      reason
+    });
+    res.status(201).json(toCamelCase(creditNote));
+  } catch (e) {
+    sendError(res, e, 'Credit note error', 'CREDIT_NOTE_FAILED');
+  }
+});
+
+// GET /api/invoices/:invoiceId/credit-notes
+router.get('/:invoiceId(\\d+)/credit-notes', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const creditNotes = (
+      await db.query(
+        `SELECT id, invoice_number, invoice_date, subtotal, vat_amount, total,
+          currency, reason, status, issued_at
+   FROM invoices
+   WHERE original_invoice_id = $1 AND user_id = $2
+   ORDER BY id ASC`,
+        [req.params.invoiceId, req.user.id]
+      )
+    ).rows;
+    res.json(toCamelCase(creditNotes));
+  } catch (error) {
+    sendError(res, error, 'Error fetching credit notes:');
+  }
+});
+
+// POST /api/invoices/:invoiceId/mark-sent - record delivery outside the app
+router.post('/:invoiceId(\\d+)/mark-sent', async (req, res) => {
+  try {
+    const invoice = await markInvoiceSent(req.user.id, req.params.invoiceId);
+    res.json(toCamelCase(invoice));
+  } catch (e) {
+    sendError(res, e, 'Mark sent error', 'INVOICE_UPDATE_FAILED');
+  }
+});
+
+// POST /api/invoices/:invoiceId/send
+// Body (all optional): { to, cc, bcc, ccSelf, bccSelf, subject, message }.
+// `to` defaults to the customer's email; the PDF is attached.
+router.post('/:invoiceId(\\d+)/send', async (req, res) => {
+  try {
+    const { to, cc, bcc, ccSelf, bccSelf, subject, message } = req.body;
+    const result = await sendInvoiceEmail({
+      userId: req.user.id,
+      invoiceId: req.params.invoiceId,
+      to,
+      cc,
+      bcc,
+      ccSelf: !!ccSelf,
+      bccSelf: !!bccSelf,
+      subject,
+      message
+    });
+    res.status(201).json(toCamelCase(result));
+  } catch (e) {
+    sendError(res, e, 'Invoice email error', 'INVOICE_SEND_FAILED');
+  }
+});
+
+// GET /api/invoices/:invoiceId/emails - when and to whom it was sent
+router.get('/:invoiceId(\\d+)/emails', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const emails = (
+      await db.query(
+        `SELECT id, invoice_id, recipients, cc, bcc, subject, message_id, sent_at
+   FROM invoice_emails
+   WHERE invoice_id = $1 AND user_id = $2
+   ORDER BY sent_at DESC, id DESC`,
+        [req.params.invoiceId, req.user.id]
+      )
+    ).rows;
+    res.json(toCamelCase(emails));
+  } catch (error) {
+    sendError(res, error, 'Error fetching invoice emails:');
+  }
+});
+
+// GET /api/invoices/:invoiceId/reminders - dunning history
+router.get('/:invoiceId(\\d+)/reminders', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const reminders = (
+      await db.query(
+        `SELECT id, invoice_id, level, notice_date, payment_due, balance, fee,
+          interest, total, recipient, emailed_at, created_at
+   FROM dunning_notices
+   WHERE invoice_id = $1 AND user_id = $2
+   ORDER BY level ASC`,
+        [req.params.invoiceId, req.user.id]
+      )
+    ).rows;
+    res.json(toCamelCase(reminders));
+  } catch (error) {
+    sendError(res, error, 'Error fetching reminders:');
+  }
+});
+
+// POST /api/invoices/:invoiceId/reminders - send the next level now: { send?: boolean }
+router.post('/:invoiceId(\\d+)/reminders', async (req, res) => {
+  try {
+    const reminder = await createReminder({
+      userId: req.user.id,
+      invoiceId: req.params.invoiceId,
+      send: !!req.body.send
+    });
+    res.status(201).json(toCamelCase(reminder));
+  } catch (e) {
+    sendError(res, e, 'Reminder error', 'REMINDER_FAILED');
+  }
+});
+
+// GET /api/invoices/:invoiceId/reminders/:reminderId - reminder letter as HTML
+router.get(
+  '/:invoiceId(\\d+)/reminders/:reminderId(\\d+)',
+  async (req, res) => {
+    try {
+      const reminder = (
+        await getDatabase().query(
+          'SELECT html FROM dunning_notices WHERE id = $1 AND invoice_id = $2 AND user_id = $3',
+          [req.params.reminderId, req.params.invoiceId, req.user.id]
+        )
+      ).rows[0];
+      if (!reminder) {
+        return res.status(404).json(errorBody(req, 'REMINDER_NOT_FOUND'));
+      }
+      res.type('html').send(reminder.html);
+    } catch (error) {
+      sendError(res, error, 'Error fetching reminder:');
+    }
+  }
+);
+
+// GET /api/invoices/:invoiceId/payments
+router.get('/:invoiceId(\\d+)/payments', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const payments = (
+      await db.query(
+        `SELECT id, invoice_id, amount, paid_on, method, reference, created_at
+   FROM payments
+   WHERE invoice_id = $1 AND user_id = $2
+   ORDER BY paid_on ASC, id ASC`,
+        [req.params.invoiceId, req.user.id]
+      )
+    ).rows;
+    res.json(toCamelCase(payments));
+  } catch (error) {
+    sendError(res, error, 'Error fetching payments:');
+  }
+});
+
+// POST /api/invoices/:invoiceId/payments
+// Body: { amount, date?, method?, reference? } - date defaults to today
+router.post('/:invoiceId(\\d+)/payments', async (req, res) => {
+  try {
+    const { amount, date, method, reference } = req.body;
+    const result = await recordPayment({
+      userId: req.user.id,
+      invoiceId: req.params.invoiceId,
+      amount,
+      paidOn: date,
+      method,
+      reference
+    });
+    res.status(201).json(toCamelCase(result));
+  } catch (e) {
+    sendError(res, e, 'Payment error', 'PAYMENT_RECORD_FAILED');
+  }
+});
+
+// DELETE /api/invoices/:invoiceId/payments/:paymentId
+router.delete(
+  '/:invoiceId(\\d+)/payments/:paymentId(\\d+)',
+  async (req, res) => {
+    try {
+      const invoice = await deletePayment({
+        userId: req.user.id,
+        invoiceId: req.params.invoiceId,
+        paymentId: req.params.paymentId
       });
-      // Structured table data for PDF (no HTML parsing)
-      const hasAnyDate =
-        Array.isArray(data.tasks) && data.tasks.some((t) => !!t.date);
-      const items = (data.tasks || []).map((t) => ({
-        date: t.date || null,
-        name: t.name,
-        hours: t.estimated_hours || 0,
-        cost: data.isFixed
-          ? null
-          : (t.estimated_hours || 0) * (data.project?.hourly_rate || 0)
-      }));
-      // VAT calculation mirrors utils/invoice.js
-      const vatPercentRaw =
-        typeof data.user.vat_percent === 'number'
-          ? data.user.vat_percent
-          : parseFloat(data.user.vat_percent || '0');
-      const vatPercent = isNaN(vatPercentRaw) ? 0 : vatPercentRaw;
-      const vatAmount =
-        vatPercent > 0 ? Number(data.subtotal) * (vatPercent / 100) : 0;
-      const total =
-        vatPercent > 0 ? Number(data.subtotal) + vatAmount : data.subtotal;
-      const table = {
-        isFixed: data.isFixed,
-        hasAnyDate,
-        hourlyRate: data.project?.hourly_rate || 0,
-        items,
-        subtotal: Number(data.subtotal || 0),
-        vatPercent: Number(vatPercent),
-        vatAmount: Number(vatAmount),
-        total: Number(total)
-      };
-      // Include plaintext bank details and customer billing/contact for client-side PDF generation only
-      const bank = {
-        name: data.user?.bank_name || '',
-        iban: data.decryptedIban || '',
-        bic: data.user?.bank_bic || ''
-      };
-      const cust = data.customer || {};
-      const customer = {
-        companyName: cust.name || '',
-        firstName: cust.contact_first_name || '',
-        lastName: cust.contact_last_name || '',
-        street: cust.billing_street || '',
-        number: cust.billing_number || '',
-        postalCode: cust.billing_postal_code || '',
-        city: cust.billing_city || '',
-        country: cust.billing_country || '',
-        vat: cust.vat_number || ''
-      };
-      // Prebuilt footer lines to ensure client has stable data immediately after login
-      const companyLines = [
-        data.user?.company_name || '',
-        [data.user?.company_street, data.user?.company_number]
-          .filter(Boolean)
-          .join(' ')
-          .trim(),
-        [data.user?.company_postal_code, data.user?.company_city]
-          .filter(Boolean)
-          .join(' '),
-        [data.user?.company_state, data.user?.company_country]
-          .filter(Boolean)
-          .join(', ')
-      ].filter(Boolean);
-      const contactLines = [
-        data.user?.company_vat_id ? `VAT: ${data.user.company_vat_id}` : null,
-        data.user?.company_phone ? `Phone: ${data.user.company_phone}` : null,
-        data.user?.email ? `Email: ${data.user.email}` : null
-      ].filter(Boolean);
-      const bankLines = [
-        data.user?.bank_name || null,
-        data.decryptedIban ? `IBAN: ${data.decryptedIban}` : null,
-        data.user?.bank_bic ? `BIC: ${data.user.bank_bic}` : null
-      ].filter(Boolean);
-      const footer = { companyLines, contactLines, bankLines };
-      res.json({ invoiceNo, html, bank, customer, invoiceDate, table, footer });
+      res.json({ id: req.params.paymentId, invoice: toCamelCase(invoice) });
     } catch (e) {
-      console.error('Invoice preview error', e);
-      res.status(500).json({ error: 'Failed to build invoice preview' });
+      sendError(res, e, 'Payment delete error', 'PAYMENT_DELETE_FAILED');
     }
   }
 );
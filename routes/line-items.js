@@ -0,0 +1,214 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import {
+  assertNotLocked,
+  LOCKED_LINE_ITEM_FIELDS
+} from '../utils/issued-invoices.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import { lineItemAmounts, parseLineItem } from '../utils/line-items.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication to all line item routes
+router.use(authenticateToken);
+
+// Line item with its computed amounts, as returned by every route
+const lineItemResponse = (row) => {
+  const { gross, discount, net } = lineItemAmounts(row);
+  return { ...toCamelCase(row), gross, discountAmount: discount, net };
+};
+
+const findProject = async (db, req) =>
+  (
+    await db.query(
+      'SELECT id FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
+      [req.params.projectId, req.params.customerId, req.user.id]
+    )
+  ).rows[0];
+
+const findLineItem = async (db, req) =>
+  (
+    await db.query(
+      `SELECT li.*
+   FROM line_items li
+   JOIN projects p ON li.project_id = p.id
+   WHERE li.id = $1
+     AND li.project_id = $2
+     AND p.customer_id = $3
+     AND li.user_id = $4`,
+      [
+        req.params.lineItemId,
+        req.params.projectId,
+        req.params.customerId,
+        req.user.id
+      ]
+    )
+  ).rows[0];
+
+// Get line items for a project (only if project belongs to user)
+router.get('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    if (!(await findProject(db, req))) {
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
+    }
+
+    const items = (
+      await db.query(
+        'SELECT * FROM line_items WHERE project_id = $1 AND user_id = $2 ORDER BY order_num ASC, id ASC',
+        [req.params.projectId, req.user.id]
+      )
+    ).rows;
+
+    res.json(items.map(lineItemResponse));
+  } catch (error) {
+    sendError(res, error, 'Error fetching line items:');
+  }
+});
+
+// Create line item:
+// { description, quantity?, unit?, unitPrice, vatRate?, discount?, discountType? }
+router.post('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const item = parseLineItem(req.body);
+
+    if (!(await findProject(db, req))) {
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
+    }
+
+    // New items go to the end of the list
+    const created = (
+      await db.query(
+        `INSERT INTO line_items (
+    user_id, project_id, description, quantity, unit, unit_price, vat_rate,
+    discount, discount_type, order_num
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+    (SELECT COALESCE(MAX(order_num), 0) + 1 FROM line_items WHERE project_id = $2))
+  RETURNING *`,
+        [
+          req.user.id,
+          req.params.projectId,
+          item.description,
+          item.quantity,
+          item.unit,
+          item.unit_price,
+          item.vat_rate,
+          item.discount,
+          item.discount_type
+        ]
+      )
+    ).rows[0];
+
+    res.status(201).json(lineItemResponse(created));
+  } catch (error) {
+    sendError(res, error, 'Error creating line item:');
+  }
+});
+
+// Update line item; fields left out keep their value
+router.put('/:lineItemId(\\d+)', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const current = await findLineItem(db, req);
+    if (!current) {
+      return res.status(404).json(errorBody(req, 'LINE_ITEM_NOT_FOUND'));
+    }
+    const item = parseLineItem(req.body, current);
+
+    // Line items billed on a finalized invoice keep their amounts
+    await assertNotLocked(
+      { userId: req.user.id, lineItemId: current.id },
+      current,
+      item,
+      LOCKED_LINE_ITEM_FIELDS
+    );
+
+    const updated = (
+      await db.query(
+        `UPDATE line_items
+   SET description = $1,
+       quantity = $2,
+       unit = $3,
+       unit_price = $4,
+       vat_rate = $5,
+       discount = $6,
+       discount_type = $7,
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = $8 AND user_id = $9
+   RETURNING *`,
+        [
+          item.description,
+          item.quantity,
+          item.unit,
+          item.unit_price,
+          item.vat_rate,
+          item.discount,
+          item.discount_type,
+          current.id,
+          req.user.id
+        ]
+      )
+    ).rows[0];
+
+    res.json(lineItemResponse(updated));
+  } catch (error) {
+    sendError(res, error, 'Error updating line item:');
+  }
+});
+
+// Delete line item (only if owned by user and not on a finalized invoice)
+router.delete('/:lineItemId(\\d+)', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const current = await findLineItem(db, req);
+    if (!current) {
+      return res.status(404).json(errorBody(req, 'LINE_ITEM_NOT_FOUND'));
+    }
+
+    await assertNotLocked(
+      { userId: req.user.id, lineItemId: current.id },
+      current,
+      {},
+      null
+    );
+
+    await db.query('DELETE FROM line_items WHERE id = $1 AND user_id = $2', [
+      current.id,
+      req.user.id
+    ]);
+
+    res.json({ id: current.id, projectId: req.params.projectId });
+  } catch (error) {
+    sendError(res, error, 'Error deleting line item:');
+  }
+});
+
+// Update order of line items: { order: [{ id, order }, ...] }
+router.patch('/order', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { order } = req.body;
+    if (!Array.isArray(order)) {
+      return res.status(400).json(errorBody(req, 'LINE_ITEM_ORDER_INVALID'));
+    }
+
+    if (!(await findProject(db, req))) {
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
+    }
+
+    for (const item of order) {
+      await db.query(
+        'UPDATE line_items SET order_num = $1 WHERE id = $2 AND project_id = $3 AND user_id = $4',
+        [item.order, item.id, req.params.projectId, req.user.id]
+      );
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error updating line item order:');
+  }
+});
+
+export default router;
@@ -2,6 +2,22 @@ import express from 'express';
 import { getDatabase } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { toCamelCase } from '../utils/camel-case.js';
+import { isValidCurrency, normalizeCurrency } from '../utils/currency.js';
+import {
+  assertNotLocked,
+  LOCKED_PROJECT_FIELDS
+} from '../utils/issued-invoices.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import { formatISODate } from '../utils/invoice.js';
+import { loadRateCards, withAppliedRate } from '../utils/rate-cards.js';
+import { parseWorkflow, withSubtaskTotals } from '../utils/tasks.js';
+import {
+  parseBillingSettings,
+  PROJECT_TIME_COLUMNS,
+  TASK_TIME_COLUMNS,
+  timeComparison,
+  withLoggedHours
+} from '../utils/time-entries.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -20,31 +36,43 @@ router.get('/', async (req, res) => {
       [req.params.customerId, req.user.id]
     );
     if (!customer) {
-      return res
-        .status(404)
-        .json({ error: 'Customer not found or access denied' });
+      return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
     }
 
-    const projects = await db.query(
-      'SELECT * FROM projects WHERE customer_id = $1 AND user_id = $2',
-      [req.params.customerId, req.user.id]
-    );
+    // Logged and billable hours of all the project's tasks
+    const projects = (
+      await db.query(
+        `SELECT p.*, ${PROJECT_TIME_COLUMNS}
+   FROM projects p
+   WHERE p.customer_id = $1 AND p.user_id = $2`,
+        [req.params.customerId, req.user.id]
+      )
+    ).rows.map(withLoggedHours);
 
     if (includeTasks === 'true') {
+      const rateCards = await loadRateCards(
+        req.user.id,
+        req.params.customerId,
+        db
+      );
       // Also fetch tasks for each project (only user's tasks) ordered by "order"
-      for (const project of projects.rows) {
+      for (const project of projects) {
         const tasks = await db.query(
-          'SELECT * FROM tasks WHERE project_id = $1 AND user_id = $2 ORDER BY order_num ASC',
+          `SELECT t.*, ${TASK_TIME_COLUMNS}
+   FROM tasks t
+   WHERE t.project_id = $1 AND t.user_id = $2
+   ORDER BY t.order_num ASC`,
           [project.id, req.user.id]
         );
-        project.tasks = tasks.rows;
+        project.tasks = withSubtaskTotals(tasks.rows.map(withLoggedHours)).map(
+          (task) => withAppliedRate(task, project, rateCards)
+        );
       }
     }
 
-    res.json(projects.rows.map(toCamelCase));
+    res.json(projects.map(toCamelCase));
   } catch (error) {
-    console.error('Error fetching projects:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching projects:');
   }
 });
 
@@ -58,14 +86,28 @@ router.post('/', async (req, res) => {
       hourlyRate = 0,
       pricingType = 'HOURLY',
       fixedPrice = 0,
-      invoiceDate = ''
+      invoiceDate = '',
+      // optional manual number; otherwise one is allocated when the invoice is issued
+      invoiceNumber = ''
     } = req.body;
-    let { invoiceNumber = '' } = req.body;
+    // optional project VAT rate; null falls back to the user's rate
+    const vatRate = req.body.vatRate === '' ? null : req.body.vatRate ?? null;
+    // optional project currency; null falls back to the customer's
+    const currency = normalizeCurrency(req.body.currency) || null;
 
     if (!name) {
-      return res.status(400).json({ error: 'Project name is required' });
+      return res.status(400).json(errorBody(req, 'PROJECT_NAME_REQUIRED'));
     }
 
+    if (currency && !isValidCurrency(currency)) {
+      return res.status(400).json(errorBody(req, 'CURRENCY_INVALID'));
+    }
+
+    // Billing basis ('estimate' | 'logged') and rounding of billed time
+    const billing = parseBillingSettings(req.body);
+    // Task statuses and moves; null uses the default workflow
+    const taskWorkflow = parseWorkflow(req.body.taskWorkflow ?? null);
+
     const formattedInvoiceDate =
       invoiceDate && invoiceDate.trim() !== '' ? invoiceDate : null;
 
@@ -78,27 +120,17 @@ router.post('/', async (req, res) => {
     ).rows[0];
 
     if (!customer) {
-      return res
-        .status(404)
-        .json({ error: 'Customer not found or access denied' });
+      return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
     }
 
-    // If invoiceNumber not provided, default to user's current
-    if (!invoiceNumber) {
-      const userRow = (
-        await db.query('SELECT invoice_number FROM users WHERE id = $1', [
-          req.user.id
-        ])
-      ).rows[0];
-
-      invoiceNumber = userRow?.invoice_number || '';
-    }
     const result = await db.query(
       `INSERT INTO projects (
     customer_id, name, description, invoice_number,
-    invoice_date, hourly_rate, pricing_type, fixed_price, user_id
+    invoice_date, hourly_rate, pricing_type, fixed_price, user_id, vat_rate,
+    currency, billing_basis, time_rounding_minutes, time_rounding_mode,
+    task_workflow
   )
-  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
   RETURNING id`,
       [
         req.params.customerId,
@@ -109,32 +141,16 @@ router.post('/', async (req, res) => {
         hourlyRate,
         pricingType,
         fixedPrice,
-        req.user.id
+        req.user.id,
+        vatRate,
+        currency,
+        billing.billing_basis,
+        billing.time_rounding_minutes,
+        billing.time_rounding_mode,
+        taskWorkflow && JSON.stringify(taskWorkflow)
       ]
     );
 
-    // After creating a project, auto-increment the user's global invoice number
-    const incrementPattern = (current) => {
-      if (!current || current.trim() === '') return '00001';
-      const match = current.match(/^(.*?)(\d+)([^\d]*)$/);
-      if (!match) return current + '-001';
-      const [, prefix, num, suffix] = match;
-      const width = num.length;
-      const nextNum = String(parseInt(num, 10) + 1).padStart(width, '0');
-      return prefix + nextNum + suffix;
-    };
-    const nextInvoiceNo = incrementPattern(
-      (
-        await db.query('SELECT invoice_number FROM users WHERE id = $1', [
-          req.user.id
-        ])
-      ).rows[0]?.invoice_number || ''
-    );
-    await db.query(
-      'UPDATE users SET invoice_number = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [nextInvoiceNo, req.user.id]
-    );
-
     res.json({
       id: result.rows[0].id,
       customerId: req.params.customerId,
@@ -145,10 +161,14 @@ router.post('/', async (req, res) => {
       invoiceDate,
       pricingType,
       fixedPrice,
+      vatRate,
+      currency,
+      ...toCamelCase(billing),
+      taskWorkflow,
       userId: req.user.id
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error creating project:');
   }
 });
 
@@ -157,36 +177,90 @@ router.put('/:projectId', async (req, res) => {
   try {
     const db = getDatabase();
     const { name } = req.body;
-    const {
-      description = '',
-      hourlyRate = 0,
-      pricingType = 'HOURLY',
-      fixedPrice = 0,
-      invoiceNumber = '',
-      invoiceDate = ''
-    } = req.body;
 
     if (!name) {
-      return res.status(400).json({ error: 'Project name is required' });
+      return res.status(400).json(errorBody(req, 'PROJECT_NAME_REQUIRED'));
     }
 
-    const formattedInvoiceDate =
-      invoiceDate && invoiceDate.trim() !== '' ? invoiceDate : null;
-
     // Verify the project belongs to the user and the correct customer
     const project = (
       await db.query(
-        'SELECT id FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
+        'SELECT * FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
         [req.params.projectId, req.params.customerId, req.user.id]
       )
     ).rows[0];
 
     if (!project) {
-      return res
-        .status(404)
-        .json({ error: 'Project not found or access denied' });
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
     }
 
+    // Fields left out keep their value, so partial updates of an invoiced
+    // project do not trip the invoice lock
+    const pick = (key, column) =>
+      req.body[key] !== undefined ? req.body[key] : project[column];
+    const description = pick('description', 'description');
+    const hourlyRate = pick('hourlyRate', 'hourly_rate');
+    const pricingType = pick('pricingType', 'pricing_type');
+    const fixedPrice = pick('fixedPrice', 'fixed_price');
+    const invoiceNumber = pick('invoiceNumber', 'invoice_number');
+    // '' or null clears the invoice date
+    const invoiceDate = pick('invoiceDate', 'invoice_date');
+    const formattedInvoiceDate =
+      invoiceDate instanceof Date
+        ? formatISODate(invoiceDate)
+        : invoiceDate && invoiceDate.trim() !== ''
+        ? invoiceDate
+        : null;
+    // A currency left out keeps its value; null falls back to the customer's
+    const currency = normalizeCurrency(pick('currency', 'currency')) || null;
+    if (currency && !isValidCurrency(currency)) {
+      return res.status(400).json(errorBody(req, 'CURRENCY_INVALID'));
+    }
+    // A VAT rate left out keeps its value; '' or null clears it
+    let vatRate = pick('vatRate', 'vat_rate');
+    if (vatRate === '') vatRate = null;
+    // Billing settings not given keep their value
+    const billing = parseBillingSettings(req.body, project);
+    // So does the task workflow; its statuses must cover the tasks' statuses
+    const taskWorkflow =
+      req.body.taskWorkflow !== undefined
+        ? parseWorkflow(req.body.taskWorkflow)
+        : project.task_workflow;
+    if (taskWorkflow) {
+      const inUse = (
+        await db.query(
+          `SELECT DISTINCT status FROM tasks
+   WHERE project_id = $1 AND NOT (status = ANY($2))
+   ORDER BY status`,
+          [project.id, taskWorkflow.statuses]
+        )
+      ).rows.map((row) => row.status);
+      if (inUse.length > 0) {
+        return res
+          .status(409)
+          .json(errorBody(req, 'TASK_STATUS_IN_USE', { statuses: inUse }));
+      }
+    }
+
+    // Fields printed on a finalized invoice can no longer change
+    await assertNotLocked(
+      { userId: req.user.id, projectId: req.params.projectId },
+      project,
+      {
+        name,
+        description,
+        invoice_number: invoiceNumber,
+        invoice_date: formattedInvoiceDate,
+        hourly_rate: hourlyRate,
+        pricing_type: pricingType,
+        fixed_price: fixedPrice,
+        vat_rate: vatRate,
+        currency,
+        ...billing
+      },
+      LOCKED_PROJECT_FIELDS
+    );
+
     await db.query(
       `UPDATE projects
    SET name = $1,
@@ -196,6 +270,12 @@ router.put('/:projectId', async (req, res) => {
        hourly_rate = $5,
        pricing_type = $6,
        fixed_price = $7,
+       vat_rate = $11,
+       currency = $12,
+       billing_basis = $13,
+       time_rounding_minutes = $14,
+       time_rounding_mode = $15,
+       task_workflow = $16,
        updated_at = CURRENT_TIMESTAMP
    WHERE id = $8 AND customer_id = $9 AND user_id = $10`,
       [
@@ -208,7 +288,13 @@ router.put('/:projectId', async (req, res) => {
         fixedPrice,
         req.params.projectId,
         req.params.customerId,
-        req.user.id
+        req.user.id,
+        vatRate,
+        currency,
+        billing.billing_basis,
+        billing.time_rounding_minutes,
+        billing.time_rounding_mode,
+        taskWorkflow && JSON.stringify(taskWorkflow)
       ]
     );
 
@@ -222,7 +308,39 @@ router.put('/:projectId', async (req, res) => {
 
     res.json(toCamelCase(updated));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error updating project:');
+  }
+});
+
+// Estimated vs. logged hours per task and for the project, with the hours
+// an invoice would bill under the project's billing basis and rounding
+router.get('/:projectId/time-comparison', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const project = (
+      await db.query(
+        'SELECT * FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
+        [req.params.projectId, req.params.customerId, req.user.id]
+      )
+    ).rows[0];
+
+    if (!project) {
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
+    }
+
+    const tasks = (
+      await db.query(
+        `SELECT t.*, ${TASK_TIME_COLUMNS}
+   FROM tasks t
+   WHERE t.project_id = $1 AND t.user_id = $2
+   ORDER BY t.order_num ASC, t.id ASC`,
+        [project.id, req.user.id]
+      )
+    ).rows;
+
+    res.json(toCamelCase(timeComparison(project, tasks)));
+  } catch (error) {
+    sendError(res, error, 'Error fetching time comparison:');
   }
 });
 
@@ -240,11 +358,17 @@ router.delete('/:projectId', async (req, res) => {
     ).rows[0];
 
     if (!project) {
-      return res
-        .status(404)
-        .json({ error: 'Project not found or access denied' });
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
     }
 
+    // Projects billed on a finalized invoice must stay (cancel the invoice first)
+    await assertNotLocked(
+      { userId: req.user.id, billedProjectId: req.params.projectId },
+      project,
+      {},
+      null
+    );
+
     // Delete project and cascade delete tasks
     await db.query('DELETE FROM tasks WHERE project_id = $1 AND user_id = $2', [
       req.params.projectId,
@@ -258,7 +382,7 @@ router.delete('/:projectId', async (req, res) => {
 
     res.json({ id: req.params.projectId, customerId: req.params.customerId });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error deleting project:');
   }
 });
 
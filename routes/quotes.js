@@ -0,0 +1,200 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import {
+  buildInvoiceTable,
+  buildQuoteData,
+  formatISODate,
+  renderInvoiceHtml
+} from '../utils/invoice.js';
+import { renderInvoicePdf } from '../utils/invoice-pdf.js';
+import { loadPdfLogo, loadRenderOptions } from '../utils/invoice-templates.js';
+import {
+  convertQuote,
+  createQuote,
+  findQuote,
+  QUOTE_STATUSES,
+  quoteSummary,
+  setQuoteStatus,
+  updateQuote
+} from '../utils/quotes.js';
+
+const router = express.Router();
+
+// Apply authentication to all quote routes
+router.use(authenticateToken);
+
+const notFound = (req, res) =>
+  res.status(404).json(errorBody(req, 'QUOTE_NOT_FOUND'));
+
+// List quotes, newest first (optional customerId and status filters)
+router.get('/', async (req, res) => {
+  try {
+    const { customerId, status } = req.query;
+    if (status && !QUOTE_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json(errorBody(req, 'STATUS_INVALID', { statuses: QUOTE_STATUSES }));
+    }
+    const params = [req.user.id];
+    let customerFilter = '';
+    if (customerId) {
+      params.push(customerId);
+      customerFilter = 'AND customer_id = $2';
+    }
+    const rows = (
+      await getDatabase().query(
+        `SELECT * FROM quotes
+   WHERE user_id = $1 ${customerFilter}
+   ORDER BY quote_date DESC, id DESC`,
+        params
+      )
+    ).rows;
+    // 'expired' is derived, so filter after computing the status
+    const quotes = rows
+      .map((row) => quoteSummary(row))
+      .filter((quote) => !status || quote.status === status);
+    res.json(toCamelCase(quotes));
+  } catch (error) {
+    sendError(res, error, 'Error fetching quotes:');
+  }
+});
+
+// Create a draft: { customerId, title, description?, pricingType?,
+// hourlyRate?, fixedPrice?, vatRate?, currency?, quoteDate?, validUntil?,
+// tasks: [{ name, estimatedHours?, vatRate? }], lineItems: [...] }
+router.post('/', async (req, res) => {
+  try {
+    const quote = await createQuote(req.user.id, req.body);
+    res.status(201).json(toCamelCase(quoteSummary(quote)));
+  } catch (e) {
+    sendError(res, e, 'Error creating quote:');
+  }
+});
+
+router.get('/:quoteId', async (req, res) => {
+  try {
+    const quote = await findQuote(req.user.id, req.params.quoteId);
+    if (!quote) return notFound(req, res);
+    res.json(toCamelCase(quoteSummary(quote)));
+  } catch (e) {
+    sendError(res, e, 'Error fetching quote:');
+  }
+});
+
+// Update a draft (fields left out keep their value)
+router.put('/:quoteId', async (req, res) => {
+  try {
+    const quote = await updateQuote(req.user.id, req.params.quoteId, req.body);
+    res.json(toCamelCase(quoteSummary(quote)));
+  } catch (e) {
+    sendError(res, e, 'Error updating quote:');
+  }
+});
+
+// Only drafts can be deleted; sent quotes are declined instead
+router.delete('/:quoteId', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const quote = await findQuote(req.user.id, req.params.quoteId, db);
+    if (!quote) return notFound(req, res);
+    if (quote.status !== 'draft') {
+      return res.status(409).json(errorBody(req, 'QUOTE_NOT_DRAFT'));
+    }
+    await db.query('DELETE FROM quotes WHERE id = $1 AND user_id = $2', [
+      quote.id,
+      req.user.id
+    ]);
+    res.json({ id: quote.id });
+  } catch (e) {
+    sendError(res, e, 'Error deleting quote:');
+  }
+});
+
+// HTML in the user's invoice template plus the table for client-side PDFs
+router.get('/:quoteId/preview', async (req, res) => {
+  try {
+    const quote = await findQuote(req.user.id, req.params.quoteId);
+    if (!quote) return notFound(req, res);
+    const data = await buildQuoteData(quote);
+    const quoteNo = quote.quote_number;
+    const quoteDate = formatISODate(quote.quote_date);
+    const { template, logo } = await loadRenderOptions(req.user.id);
+    const html = renderInvoiceHtml(
+      {
+        ...toCamelCase(data),
+        invoiceNo: quoteNo,
+        invoiceDate: quoteDate,
+        logo
+      },
+      { template }
+    );
+    res.json({
+      quoteNo,
+      html,
+      quoteDate,
+      validUntil: data.dueDate,
+      table: buildInvoiceTable(data)
+    });
+  } catch (e) {
+    sendError(res, e, 'Quote preview error:');
+  }
+});
+
+router.get('/:quoteId/quote.pdf', async (req, res) => {
+  try {
+    const quote = await findQuote(req.user.id, req.params.quoteId);
+    if (!quote) return notFound(req, res);
+    const data = await buildQuoteData(quote);
+    const pdf = await renderInvoicePdf(data, {
+      invoiceNo: quote.quote_number,
+      invoiceDate: formatISODate(quote.quote_date),
+      logo: await loadPdfLogo(req.user.id)
+    });
+    const fileName = `quote-${quote.quote_number}`.replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    sendError(res, e, 'Quote PDF error:');
+  }
+});
+
+// Status changes: draft → sent → accepted | declined
+const STATUS_ACTIONS = {
+  'mark-sent': 'sent',
+  accept: 'accepted',
+  decline: 'declined'
+};
+
+for (const [action, status] of Object.entries(STATUS_ACTIONS)) {
+  router.post(`/:quoteId/${action}`, async (req, res) => {
+    try {
+      const quote = await setQuoteStatus(
+        req.user.id,
+        req.params.quoteId,
+        status
+      );
+      res.json(toCamelCase(quoteSummary(quote)));
+    } catch (e) {
+      sendError(res, e, `Error marking quote as ${status}:`);
+    }
+  });
+}
+
+// Create the project with the quoted tasks and line items
+router.post('/:quoteId/convert', async (req, res) => {
+  try {
+    const { quote, project } = await convertQuote(
+      req.user.id,
+      req.params.quoteId
+    );
+    res.status(201).json(toCamelCase({ quote: quoteSummary(quote), project }));
+  } catch (e) {
+    sendError(res, e, 'Error converting quote:');
+  }
+});
+
+export default router;
@@ -0,0 +1,169 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import { parseRateCard, rateCardSummary } from '../utils/rate-cards.js';
+
+const router = express.Router();
+
+// Apply authentication to all rate card routes
+router.use(authenticateToken);
+
+const findRateCard = async (db, req) =>
+  (
+    await db.query('SELECT * FROM rate_cards WHERE id = $1 AND user_id = $2', [
+      req.params.rateCardId,
+      req.user.id
+    ])
+  ).rows[0];
+
+const notFound = (req, res) =>
+  res.status(404).json(errorBody(req, 'RATE_CARD_NOT_FOUND'));
+
+// Another card for the same role at the card's level (case-insensitive)
+const findDuplicate = async (db, userId, card, role) =>
+  (
+    await db.query(
+      `SELECT id FROM rate_cards
+   WHERE user_id = $1
+     AND customer_id IS NOT DISTINCT FROM $2
+     AND project_id IS NOT DISTINCT FROM $3
+     AND lower(role) = lower($4)
+     AND id <> $5`,
+      [userId, card.customer_id, card.project_id, role, card.id ?? 0]
+    )
+  ).rows[0];
+
+const roleTaken = (req, res, role) =>
+  res.status(409).json(errorBody(req, 'RATE_CARD_EXISTS', { role }));
+
+// List rate cards, user level first, then customers and projects; optionally
+// only those of a customer or project (customerId / projectId query)
+router.get('/', async (req, res) => {
+  try {
+    const params = [req.user.id];
+    const filters = [];
+    if (req.query.customerId) {
+      params.push(req.query.customerId);
+      filters.push(`AND customer_id = $${params.length}`);
+    }
+    if (req.query.projectId) {
+      params.push(req.query.projectId);
+      filters.push(`AND project_id = $${params.length}`);
+    }
+    const cards = (
+      await getDatabase().query(
+        `SELECT * FROM rate_cards
+   WHERE user_id = $1 ${filters.join(' ')}
+   ORDER BY project_id IS NOT NULL, customer_id IS NOT NULL,
+     customer_id ASC, project_id ASC, lower(role) ASC`,
+        params
+      )
+    ).rows;
+    res.json(toCamelCase(cards.map(rateCardSummary)));
+  } catch (error) {
+    sendError(res, error, 'Error fetching rate cards:');
+  }
+});
+
+// Create: { role, hourlyRate, customerId? | projectId? }; without either the
+// rate applies to all the user's work
+router.post('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { customerId = null, projectId = null } = req.body;
+    if (customerId && projectId) {
+      return res.status(400).json(errorBody(req, 'RATE_CARD_LEVEL_INVALID'));
+    }
+    if (customerId) {
+      const customer = (
+        await db.query(
+          'SELECT id FROM customers WHERE id = $1 AND user_id = $2',
+          [customerId, req.user.id]
+        )
+      ).rows[0];
+      if (!customer) {
+        return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+      }
+    }
+    if (projectId) {
+      const project = (
+        await db.query(
+          'SELECT id FROM projects WHERE id = $1 AND user_id = $2',
+          [projectId, req.user.id]
+        )
+      ).rows[0];
+      if (!project) {
+        return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
+      }
+    }
+    const values = parseRateCard(req.body);
+    const level = {
+      customer_id: customerId ? Number(customerId) : null,
+      project_id: projectId ? Number(projectId) : null
+    };
+    if (await findDuplicate(db, req.user.id, level, values.role)) {
+      return roleTaken(req, res, values.role);
+    }
+
+    const card = (
+      await db.query(
+        `INSERT INTO rate_cards (user_id, customer_id, project_id, role, hourly_rate)
+  VALUES ($1, $2, $3, $4, $5)
+  RETURNING *`,
+        [
+          req.user.id,
+          level.customer_id,
+          level.project_id,
+          values.role,
+          values.hourly_rate
+        ]
+      )
+    ).rows[0];
+    res.status(201).json(toCamelCase(rateCardSummary(card)));
+  } catch (e) {
+    sendError(res, e, 'Error creating rate card:');
+  }
+});
+
+// Update role and/or hourlyRate; the level stays. Invoices already issued
+// keep the rates they were issued with.
+router.put('/:rateCardId', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const current = await findRateCard(db, req);
+    if (!current) return notFound(req, res);
+    const values = parseRateCard(req.body, current);
+    if (await findDuplicate(db, req.user.id, current, values.role)) {
+      return roleTaken(req, res, values.role);
+    }
+
+    const card = (
+      await db.query(
+        `UPDATE rate_cards
+   SET role = $1, hourly_rate = $2, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $3
+   RETURNING *`,
+        [values.role, values.hourly_rate, current.id]
+      )
+    ).rows[0];
+    res.json(toCamelCase(rateCardSummary(card)));
+  } catch (e) {
+    sendError(res, e, 'Error updating rate card:');
+  }
+});
+
+router.delete('/:rateCardId', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const card = await findRateCard(db, req);
+    if (!card) return notFound(req, res);
+    await db.query('DELETE FROM rate_cards WHERE id = $1', [card.id]);
+    res.json({ id: card.id });
+  } catch (error) {
+    sendError(res, error, 'Error deleting rate card:');
+  }
+});
+
+export default router;
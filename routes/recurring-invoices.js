@@ -0,0 +1,230 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import { formatISODate } from '../utils/invoice.js';
+import {
+  parseRecurringInvoice,
+  recurringSummary,
+  runRecurringInvoices,
+  scheduleNextRun,
+  setPaused,
+  skipNextPeriod
+} from '../utils/recurring-invoices.js';
+
+const router = express.Router();
+
+// Apply authentication to all recurring invoice routes
+router.use(authenticateToken);
+
+const findRecurringInvoice = async (db, req) =>
+  (
+    await db.query(
+      'SELECT * FROM recurring_invoices WHERE id = $1 AND user_id = $2',
+      [req.params.recurringId, req.user.id]
+    )
+  ).rows[0];
+
+const notFound = (req, res) =>
+  res.status(404).json(errorBody(req, 'RECURRING_INVOICE_NOT_FOUND'));
+
+// List recurring invoices (optional customerId filter)
+router.get('/', async (req, res) => {
+  try {
+    const params = [req.user.id];
+    let customerFilter = '';
+    if (req.query.customerId) {
+      params.push(req.query.customerId);
+      customerFilter = 'AND customer_id = $2';
+    }
+    const rows = (
+      await getDatabase().query(
+        `SELECT * FROM recurring_invoices
+   WHERE user_id = $1 ${customerFilter}
+   ORDER BY next_run_date ASC, id ASC`,
+        params
+      )
+    ).rows;
+    res.json(toCamelCase(rows.map(recurringSummary)));
+  } catch (error) {
+    sendError(res, error, 'Error fetching recurring invoices:');
+  }
+});
+
+// Create: { customerId, title, lineItems: [{ description, quantity?, unit?,
+// unitPrice, vatRate?, discount?, discountType? }], interval?, dayOfMonth?,
+// startDate, endDate?, currency?, autoSend? }
+router.post('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const customer = (
+      await db.query(
+        'SELECT id FROM customers WHERE id = $1 AND user_id = $2',
+        [req.body.customerId, req.user.id]
+      )
+    ).rows[0];
+    if (!customer) {
+      return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+    }
+    const values = parseRecurringInvoice(req.body);
+    const nextRunDate = await scheduleNextRun(db, null, values);
+
+    const row = (
+      await db.query(
+        `INSERT INTO recurring_invoices (
+    user_id, customer_id, title, line_items, currency, interval, day_of_month,
+    start_date, end_date, next_run_date, auto_send
+  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+  RETURNING *`,
+        [
+          req.user.id,
+          customer.id,
+          values.title,
+          JSON.stringify(values.line_items),
+          values.currency,
+          values.interval,
+          values.day_of_month,
+          values.start_date,
+          values.end_date,
+          nextRunDate,
+          values.auto_send
+        ]
+      )
+    ).rows[0];
+    res.status(201).json(toCamelCase(recurringSummary(row)));
+  } catch (e) {
+    sendError(res, e, 'Error creating recurring invoice:');
+  }
+});
+
+// Run the recurring invoice job now for the authenticated user
+router.post('/run', async (req, res) => {
+  try {
+    const runs = await runRecurringInvoices({ userId: req.user.id });
+    res.json(toCamelCase(runs));
+  } catch (error) {
+    sendError(res, error, 'Recurring invoice run error:');
+  }
+});
+
+router.get('/:recurringId', async (req, res) => {
+  try {
+    const row = await findRecurringInvoice(getDatabase(), req);
+    if (!row) return notFound(req, res);
+    res.json(toCamelCase(recurringSummary(row)));
+  } catch (e) {
+    sendError(res, e, 'Error fetching recurring invoice:');
+  }
+});
+
+// Update (fields left out keep their value). Schedule changes apply from the
+// next period that has not been issued or skipped yet, and not before today.
+router.put('/:recurringId', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const current = await findRecurringInvoice(db, req);
+    if (!current) return notFound(req, res);
+    const values = parseRecurringInvoice(req.body, current);
+
+    const scheduleChanged =
+      values.interval !== current.interval ||
+      values.day_of_month !== current.day_of_month ||
+      values.start_date !== formatISODate(current.start_date);
+    const nextRunDate = scheduleChanged
+      ? await scheduleNextRun(db, current.id, values, { notBefore: new Date() })
+      : current.next_run_date;
+
+    const row = (
+      await db.query(
+        `UPDATE recurring_invoices SET
+    title = $1, line_items = $2, currency = $3, interval = $4, day_of_month = $5,
+    start_date = $6, end_date = $7, next_run_date = $8, auto_send = $9,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = $10 AND user_id = $11
+  RETURNING *`,
+        [
+          values.title,
+          JSON.stringify(values.line_items),
+          values.currency,
+          values.interval,
+          values.day_of_month,
+          values.start_date,
+          values.end_date,
+          nextRunDate,
+          values.auto_send,
+          current.id,
+          req.user.id
+        ]
+      )
+    ).rows[0];
+    res.json(toCamelCase(recurringSummary(row)));
+  } catch (e) {
+    sendError(res, e, 'Error updating recurring invoice:');
+  }
+});
+
+// Delete the definition and its run log; issued invoices are kept
+router.delete('/:recurringId', async (req, res) => {
+  try {
+    const result = await getDatabase().query(
+      'DELETE FROM recurring_invoices WHERE id = $1 AND user_id = $2',
+      [req.params.recurringId, req.user.id]
+    );
+    if (result.rowCount === 0) return notFound(req, res);
+    res.json({ id: req.params.recurringId });
+  } catch (e) {
+    sendError(res, e, 'Error deleting recurring invoice:');
+  }
+});
+
+// Log of issued and skipped periods, newest first
+router.get('/:recurringId/runs', async (req, res) => {
+  try {
+    const db = getDatabase();
+    if (!(await findRecurringInvoice(db, req))) return notFound(req, res);
+    const runs = (
+      await db.query(
+        `SELECT r.*, i.invoice_number, i.total, i.status AS invoice_status
+   FROM recurring_invoice_runs r
+   LEFT JOIN invoices i ON r.invoice_id = i.id
+   WHERE r.recurring_invoice_id = $1 AND r.user_id = $2
+   ORDER BY r.period_start DESC`,
+        [req.params.recurringId, req.user.id]
+      )
+    ).rows;
+    res.json(toCamelCase(runs));
+  } catch (e) {
+    sendError(res, e, 'Error fetching runs of recurring invoice:');
+  }
+});
+
+// Skip the next period without invoicing it
+router.post('/:recurringId/skip', async (req, res) => {
+  try {
+    const row = await skipNextPeriod(req.user.id, req.params.recurringId);
+    res.json(toCamelCase(recurringSummary(row)));
+  } catch (e) {
+    sendError(res, e, 'Error skipping recurring invoice:');
+  }
+});
+
+router.post('/:recurringId/pause', async (req, res) => {
+  try {
+    const row = await setPaused(req.user.id, req.params.recurringId, true);
+    res.json(toCamelCase(recurringSummary(row)));
+  } catch (e) {
+    sendError(res, e, 'Error pausing recurring invoice:');
+  }
+});
+
+router.post('/:recurringId/resume', async (req, res) => {
+  try {
+    const row = await setPaused(req.user.id, req.params.recurringId, false);
+    res.json(toCamelCase(recurringSummary(row)));
+  } catch (e) {
+    sendError(res, e, 'Error resuming recurring invoice:');
+  }
+});
+
+export default router;
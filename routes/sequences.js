@@ -0,0 +1,112 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import {
+  DOCUMENT_TYPES,
+  RESET_MODES,
+  getSequence,
+  isValidPattern,
+  previewNextNumber
+} from '../utils/sequences.js';
+import { errorBody, sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Apply authentication to all sequence routes
+router.use(authenticateToken);
+
+const checkDocumentType = (req, res, next) => {
+  if (!DOCUMENT_TYPES.includes(req.params.documentType)) {
+    return res.status(404).json(errorBody(req, 'DOCUMENT_TYPE_UNKNOWN'));
+  }
+  next();
+};
+
+// List number sequences (invoice, credit_note, quote) with their next number
+router.get('/', async (req, res) => {
+  try {
+    const sequences = [];
+    for (const documentType of DOCUMENT_TYPES) {
+      const sequence = await getSequence(req.user.id, documentType);
+      sequences.push({
+        ...toCamelCase(sequence),
+        nextNumber: await previewNextNumber(req.user.id, documentType)
+      });
+    }
+    res.json(sequences);
+  } catch (error) {
+    sendError(res, error, 'Error fetching sequences:');
+  }
+});
+
+// Preview the next number without allocating it (optional ?date=YYYY-MM-DD)
+router.get('/:documentType/next', checkDocumentType, async (req, res) => {
+  try {
+    const date = req.query.date
+      ? new Date(`${req.query.date}T00:00:00`)
+      : new Date();
+    if (isNaN(date)) {
+      return res.status(400).json(errorBody(req, 'DATE_INVALID'));
+    }
+    const nextNumber = await previewNextNumber(
+      req.user.id,
+      req.params.documentType,
+      date
+    );
+    res.json({ documentType: req.params.documentType, nextNumber });
+  } catch (error) {
+    sendError(res, error, 'Error previewing sequence:');
+  }
+});
+
+// Update pattern (e.g. RE-{YYYY}-{####}), reset mode and/or next counter value
+router.put('/:documentType', checkDocumentType, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { pattern, reset, nextValue } = req.body;
+
+    if (pattern !== undefined && !isValidPattern(pattern)) {
+      return res.status(400).json(errorBody(req, 'PATTERN_INVALID'));
+    }
+    if (reset !== undefined && !RESET_MODES.includes(reset)) {
+      return res
+        .status(400)
+        .json(errorBody(req, 'RESET_INVALID', { modes: RESET_MODES }));
+    }
+    if (
+      nextValue !== undefined &&
+      !(Number.isInteger(Number(nextValue)) && Number(nextValue) >= 1)
+    ) {
+      return res.status(400).json(errorBody(req, 'NEXT_VALUE_INVALID'));
+    }
+
+    const sequence = await getSequence(req.user.id, req.params.documentType);
+    await db.query(
+      `UPDATE number_sequences
+   SET pattern = $1, reset = $2, next_value = $3,
+       period = CASE WHEN $6 THEN NULL ELSE period END,
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = $4 AND user_id = $5`,
+      [
+        pattern ?? sequence.pattern,
+        reset ?? sequence.reset,
+        nextValue !== undefined ? Number(nextValue) : sequence.next_value,
+        sequence.id,
+        req.user.id,
+        // an explicit counter value wins over a pending yearly reset
+        nextValue !== undefined
+      ]
+    );
+
+    const updated = await getSequence(req.user.id, req.params.documentType);
+    res.json({
+      ...toCamelCase(updated),
+      nextNumber: await previewNextNumber(req.user.id, req.params.documentType)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating sequence:');
+  }
+});
+
+export default router;
@@ -2,42 +2,77 @@ import express from 'express';
 import { getDatabase } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { toCamelCase } from '../utils/camel-case.js';
+import {
+  assertNotLocked,
+  LOCKED_TASK_FIELDS
+} from '../utils/issued-invoices.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import {
+  loadRateCards,
+  parseTaskRate,
+  withAppliedRate
+} from '../utils/rate-cards.js';
+import {
+  parseDueDate,
+  parseParentId,
+  parseStatusFilter,
+  parseTaskStatus,
+  projectWorkflow,
+  withSubtaskTotals
+} from '../utils/tasks.js';
+import { TASK_TIME_COLUMNS, withLoggedHours } from '../utils/time-entries.js';
 
 const router = express.Router({ mergeParams: true });
 
 // Apply authentication to all task routes
 router.use(authenticateToken);
 
-// Get tasks for a project (only if project belongs to user)
+// Find one of the user's projects with the rate cards that apply to it
+async function findProject(db, req) {
+  const project = (
+    await db.query(
+      'SELECT * FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
+      [req.params.projectId, req.params.customerId, req.user.id]
+    )
+  ).rows[0];
+  if (!project) return {};
+  const rateCards = await loadRateCards(req.user.id, project.customer_id, db);
+  return { project, rateCards };
+}
+
+// Get tasks for a project (only if project belongs to user), each with its
+// logged and billable hours, those rolled up with its subtasks and the
+// hourly rate it is billed at (`appliedRate`, `rateSource`); the project's
+// totals come with GET projects. ?status=todo,in_progress filters by status.
 router.get('/', async (req, res) => {
   try {
     const db = getDatabase();
+    const statuses = parseStatusFilter(req.query.status);
 
     // First verify the project belongs to the authenticated user
-    const project = (
-      await db.query(
-        'SELECT id FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
-        [req.params.projectId, req.params.customerId, req.user.id]
-      )
-    ).rows[0];
+    const { project, rateCards } = await findProject(db, req);
 
     if (!project) {
-      return res
-        .status(404)
-        .json({ error: 'Project not found or access denied' });
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
     }
 
     const tasks = (
       await db.query(
-        'SELECT * FROM tasks WHERE project_id = $1 AND user_id = $2',
+        `SELECT t.*, ${TASK_TIME_COLUMNS}
+   FROM tasks t
+   WHERE t.project_id = $1 AND t.user_id = $2`,
         [req.params.projectId, req.user.id]
       )
     ).rows;
 
-    res.json(tasks.map(toCamelCase));
+    // Roll up before filtering, so parents count subtasks of any status
+    res.json(
+      withSubtaskTotals(tasks.map(withLoggedHours))
+        .filter((task) => !statuses || statuses.includes(task.status))
+        .map((task) => toCamelCase(withAppliedRate(task, project, rateCards)))
+    );
   } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching tasks:');
   }
 });
 
@@ -45,37 +80,58 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const db = getDatabase();
-    const { name, estimatedHours = 1, date = null } = req.body;
+    const { name, estimatedHours = 1, date = null, billable = true } = req.body;
+    // optional per-line VAT rate; null falls back to the project/user rate
+    const vatRate = req.body.vatRate === '' ? null : req.body.vatRate ?? null;
 
     if (!name) {
-      return res.status(400).json({ error: 'Task name is required' });
+      return res.status(400).json(errorBody(req, 'TASK_NAME_REQUIRED'));
     }
+    // Non-billable tasks (and their time) stay off invoices
+    if (typeof billable !== 'boolean') {
+      return res.status(400).json(errorBody(req, 'BILLABLE_INVALID'));
+    }
+    // optional role (picks a rate card) and own hourly rate
+    const rate = parseTaskRate(req.body);
 
     // First verify the project belongs to the authenticated user
-    const project = (
-      await db.query(
-        'SELECT id FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
-        [req.params.projectId, req.params.customerId, req.user.id]
-      )
-    ).rows[0];
+    const { project, rateCards } = await findProject(db, req);
     if (!project) {
-      return res
-        .status(404)
-        .json({ error: 'Project not found or access denied' });
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
     }
+    // Status in the project's workflow (default 'todo'), due date and parent
+    const { status, completed } = parseTaskStatus(
+      req.body,
+      {},
+      projectWorkflow(project)
+    );
+    const dueDate = parseDueDate(req.body);
+    const parentId = await parseParentId(
+      req.body,
+      { userId: req.user.id, projectId: project.id },
+      db
+    );
 
     const result = await db.query(
       `INSERT INTO tasks (
-    project_id, name, estimated_hours, completed, user_id, date
-  ) VALUES ($1, $2, $3, $4, $5, $6)
+    project_id, name, estimated_hours, completed, user_id, date, vat_rate,
+    billable, role, hourly_rate, status, due_date, parent_id
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
   RETURNING id`,
       [
         req.params.projectId,
         name,
         estimatedHours,
-        0, // completed = false
+        completed,
         req.user.id,
-        date
+        date,
+        vatRate,
+        billable,
+        rate.role,
+        rate.hourly_rate,
+        status,
+        dueDate,
+        parentId
       ]
     );
 
@@ -84,12 +140,18 @@ router.post('/', async (req, res) => {
       projectId: req.params.projectId,
       name,
       estimatedHours,
-      completed: 0,
+      completed,
+      status,
+      dueDate,
+      parentId,
       userId: req.user.id,
-      date
+      date,
+      vatRate,
+      billable,
+      ...toCamelCase(withAppliedRate(rate, project, rateCards))
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error creating task:');
   }
 });
 
@@ -97,16 +159,10 @@ router.post('/', async (req, res) => {
 router.put('/:taskId', async (req, res) => {
   try {
     const db = getDatabase();
-    const { name, estimatedHours = 1, completed, date = null } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ error: 'Task name is required' });
-    }
-
     // Verify the task belongs to the user and the correct project
     const task = (
       await db.query(
-        `SELECT t.id
+        `SELECT t.*
    FROM tasks t
    JOIN projects p ON t.project_id = p.id
    WHERE t.id = $1
@@ -125,8 +181,56 @@ router.put('/:taskId', async (req, res) => {
     ).rows[0];
 
     if (!task) {
-      return res.status(404).json({ error: 'Task not found or access denied' });
+      return res.status(404).json(errorBody(req, 'TASK_NOT_FOUND'));
     }
+    // Name, hours and date left out keep their value, so a board move can
+    // send just the status
+    const {
+      name = task.name,
+      estimatedHours = task.estimated_hours,
+      date = task.date
+    } = req.body;
+    if (!name) {
+      return res.status(400).json(errorBody(req, 'TASK_NAME_REQUIRED'));
+    }
+    // A VAT rate left out keeps its value; '' or null clears it
+    let vatRate =
+      req.body.vatRate === undefined ? task.vat_rate : req.body.vatRate;
+    if (vatRate === '') vatRate = null;
+    const billable = req.body.billable ?? task.billable;
+    if (typeof billable !== 'boolean') {
+      return res.status(400).json(errorBody(req, 'BILLABLE_INVALID'));
+    }
+    // Role and own rate not given keep their value
+    const rate = parseTaskRate(req.body, task);
+    // So do status (or the legacy `completed` flag), due date and parent
+    const { project, rateCards } = await findProject(db, req);
+    const { status, completed } = parseTaskStatus(
+      req.body,
+      task,
+      projectWorkflow(project)
+    );
+    const dueDate = parseDueDate(req.body, task);
+    const parentId = await parseParentId(
+      req.body,
+      { userId: req.user.id, projectId: task.project_id, current: task },
+      db
+    );
+
+    // Tasks billed on a finalized invoice keep their name, hours and date
+    await assertNotLocked(
+      { userId: req.user.id, taskId: req.params.taskId },
+      task,
+      {
+        name,
+        estimated_hours: estimatedHours,
+        date,
+        vat_rate: vatRate,
+        billable,
+        ...rate
+      },
+      LOCKED_TASK_FIELDS
+    );
 
     await db.query(
       `UPDATE tasks
@@ -134,16 +238,30 @@ router.put('/:taskId', async (req, res) => {
        estimated_hours = $2,
        completed = $3,
        date = $4,
+       vat_rate = $8,
+       billable = $9,
+       role = $10,
+       hourly_rate = $11,
+       status = $12,
+       due_date = $13,
+       parent_id = $14,
        updated_at = CURRENT_TIMESTAMP
    WHERE id = $5 AND project_id = $6 AND user_id = $7`,
       [
         name,
         estimatedHours,
-        completed ? 1 : 0,
+        completed,
         date,
         req.params.taskId,
         req.params.projectId,
-        req.user.id
+        req.user.id,
+        vatRate,
+        billable,
+        rate.role,
+        rate.hourly_rate,
+        status,
+        dueDate,
+        parentId
       ]
     );
 
@@ -154,13 +272,13 @@ router.put('/:taskId', async (req, res) => {
       )
     ).rows[0];
 
-    res.json(toCamelCase(updated));
+    res.json(toCamelCase(withAppliedRate(updated, project, rateCards)));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error updating task:');
   }
 });
 
-// Delete task (only if owned by user)
+// Delete task with its subtasks (only if owned by user)
 router.delete('/:taskId', async (req, res) => {
   try {
     const db = getDatabase();
@@ -187,7 +305,26 @@ router.delete('/:taskId', async (req, res) => {
     ).rows[0];
 
     if (!task) {
-      return res.status(404).json({ error: 'Task not found or access denied' });
+      return res.status(404).json(errorBody(req, 'TASK_NOT_FOUND'));
+    }
+
+    await assertNotLocked(
+      { userId: req.user.id, taskId: req.params.taskId },
+      task,
+      {},
+      null
+    );
+    // Subtasks are deleted with their parent, so they must not be billed either
+    const subtasks = (
+      await db.query('SELECT id FROM tasks WHERE parent_id = $1', [task.id])
+    ).rows;
+    for (const subtask of subtasks) {
+      await assertNotLocked(
+        { userId: req.user.id, taskId: subtask.id },
+        subtask,
+        {},
+        null
+      );
     }
 
     await db.query(
@@ -197,7 +334,7 @@ router.delete('/:taskId', async (req, res) => {
 
     res.json({ id: req.params.taskId, projectId: req.params.projectId });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error deleting task:');
   }
 });
 
@@ -207,9 +344,7 @@ router.patch('/order', async (req, res) => {
     const db = getDatabase();
     const { order } = req.body; // [{ id: taskId, order: newOrder }, ...]
     if (!Array.isArray(order)) {
-      return res
-        .status(400)
-        .json({ error: 'Order must be an array of task objects.' });
+      return res.status(400).json(errorBody(req, 'TASK_ORDER_INVALID'));
     }
 
     // Verify project ownership
@@ -220,9 +355,7 @@ router.patch('/order', async (req, res) => {
       )
     ).rows[0];
     if (!project) {
-      return res
-        .status(404)
-        .json({ error: 'Project not found or access denied' });
+      return res.status(404).json(errorBody(req, 'PROJECT_NOT_FOUND'));
     }
 
     // Update each task's order
@@ -234,8 +367,7 @@ router.patch('/order', async (req, res) => {
     }
     res.json({ success: true });
   } catch (error) {
-    console.error('Error updating task order:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error updating task order:');
   }
 });
 
@@ -0,0 +1,159 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { DEFAULT_INVOICE_TEMPLATE } from '../utils/default-invoice-template.js';
+import {
+  MAX_LOGO_BYTES,
+  createTemplate,
+  deleteLogo,
+  deleteTemplate,
+  getLogo,
+  getTemplate,
+  listTemplates,
+  renderTemplatePreview,
+  saveLogo,
+  updateTemplate
+} from '../utils/invoice-templates.js';
+import { errorBody, sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Apply authentication to all template routes
+router.use(authenticateToken);
+
+// List the user's templates
+router.get('/', async (req, res) => {
+  try {
+    const templates = await listTemplates(req.user.id);
+    res.json(toCamelCase(templates));
+  } catch (error) {
+    sendError(res, error, 'Error fetching templates:');
+  }
+});
+
+// Source of the built-in template, a starting point for custom ones
+router.get('/default', (req, res) => {
+  res.json({ name: 'Default', html: DEFAULT_INVOICE_TEMPLATE, css: '' });
+});
+
+// POST /api/templates/preview - render { html, css } (or the default) with sample data
+router.post('/preview', async (req, res) => {
+  try {
+    const { html, css } = req.body;
+    const template = html === undefined ? null : { html, css: css ?? '' };
+    res.type('html').send(await renderTemplatePreview(req.user.id, template));
+  } catch (e) {
+    sendError(res, e, 'Template preview error');
+  }
+});
+
+// Company logo shown on invoices and reminders
+router.get('/logo', async (req, res) => {
+  try {
+    const logo = await getLogo(req.user.id);
+    if (!logo) {
+      return res.status(404).json(errorBody(req, 'LOGO_NOT_FOUND'));
+    }
+    res.setHeader('Content-Type', logo.mime_type);
+    // SVGs may carry scripts; never let them run when opened directly
+    res.setHeader(
+      'Content-Security-Policy',
+      "default-src 'none'; style-src 'unsafe-inline'"
+    );
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.send(Buffer.from(logo.data));
+  } catch (error) {
+    sendError(res, error, 'Error fetching logo:');
+  }
+});
+
+// PUT /api/templates/logo - raw PNG, JPEG or SVG body (max 1 MB)
+router.put(
+  '/logo',
+  express.raw({ type: () => true, limit: MAX_LOGO_BYTES }),
+  async (req, res) => {
+    try {
+      const logo = await saveLogo(req.user.id, req.body);
+      res.json(logo);
+    } catch (e) {
+      sendError(res, e, 'Logo upload error');
+    }
+  }
+);
+
+router.delete('/logo', async (req, res) => {
+  try {
+    if (!(await deleteLogo(req.user.id))) {
+      return res.status(404).json(errorBody(req, 'LOGO_NOT_FOUND'));
+    }
+    res.json({ logo: null });
+  } catch (error) {
+    sendError(res, error, 'Error deleting logo:');
+  }
+});
+
+// Create a template: { name, html, css?, isDefault? }
+router.post('/', async (req, res) => {
+  try {
+    const template = await createTemplate(req.user.id, req.body);
+    res.status(201).json(toCamelCase(template));
+  } catch (e) {
+    sendError(res, e, 'Error creating template');
+  }
+});
+
+router.get('/:templateId(\\d+)', async (req, res) => {
+  try {
+    const template = await getTemplate(req.user.id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json(errorBody(req, 'TEMPLATE_NOT_FOUND'));
+    }
+    res.json(toCamelCase(template));
+  } catch (error) {
+    sendError(res, error, 'Error fetching template:');
+  }
+});
+
+// Partial update: { name?, html?, css?, isDefault? }
+router.put('/:templateId(\\d+)', async (req, res) => {
+  try {
+    const template = await updateTemplate(
+      req.user.id,
+      req.params.templateId,
+      req.body
+    );
+    if (!template) {
+      return res.status(404).json(errorBody(req, 'TEMPLATE_NOT_FOUND'));
+    }
+    res.json(toCamelCase(template));
+  } catch (e) {
+    sendError(res, e, 'Error updating template');
+  }
+});
+
+// Deleting the default template falls back to the built-in one
+router.delete('/:templateId(\\d+)', async (req, res) => {
+  try {
+    if (!(await deleteTemplate(req.user.id, req.params.templateId))) {
+      return res.status(404).json(errorBody(req, 'TEMPLATE_NOT_FOUND'));
+    }
+    res.json({ id: req.params.templateId });
+  } catch (error) {
+    sendError(res, error, 'Error deleting template:');
+  }
+});
+
+// GET /api/templates/:templateId/preview - stored template with sample data
+router.get('/:templateId(\\d+)/preview', async (req, res) => {
+  try {
+    const template = await getTemplate(req.user.id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json(errorBody(req, 'TEMPLATE_NOT_FOUND'));
+    }
+    res.type('html').send(await renderTemplatePreview(req.user.id, template));
+  } catch (e) {
+    sendError(res, e, 'Template preview error');
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import { assertTimeNotLocked } from '../utils/issued-invoices.js';
+import {
+  createTimeEntry,
+  timeEntrySummary,
+  updateTimeEntry
+} from '../utils/time-entries.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication to all time entry routes
+router.use(authenticateToken);
+
+const findTask = async (db, req) =>
+  (
+    await db.query(
+      `SELECT t.id, t.project_id, p.billing_basis
+   FROM tasks t
+   JOIN projects p ON t.project_id = p.id
+   WHERE t.id = $1
+     AND t.project_id = $2
+     AND p.customer_id = $3
+     AND t.user_id = $4`,
+      [
+        req.params.taskId,
+        req.params.projectId,
+        req.params.customerId,
+        req.user.id
+      ]
+    )
+  ).rows[0];
+
+const findTimeEntry = async (db, req) =>
+  (
+    await db.query(
+      `SELECT te.*, p.billing_basis
+   FROM time_entries te
+   JOIN projects p ON te.project_id = p.id
+   WHERE te.id = $1
+     AND te.task_id = $2
+     AND te.project_id = $3
+     AND p.customer_id = $4
+     AND te.user_id = $5`,
+      [
+        req.params.entryId,
+        req.params.taskId,
+        req.params.projectId,
+        req.params.customerId,
+        req.user.id
+      ]
+    )
+  ).rows[0];
+
+const entryResponse = ({ billing_basis, ...entry }) =>
+  toCamelCase(timeEntrySummary(entry));
+
+// The task of a found time entry, for assertTimeNotLocked
+const entryTask = (entry) => ({
+  id: entry.task_id,
+  billing_basis: entry.billing_basis
+});
+
+// Time entries of a task, newest first (the running timer included)
+router.get('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    if (!(await findTask(db, req))) {
+      return res.status(404).json(errorBody(req, 'TASK_NOT_FOUND'));
+    }
+    const entries = (
+      await db.query(
+        'SELECT * FROM time_entries WHERE task_id = $1 AND user_id = $2 ORDER BY started_at DESC, id DESC',
+        [req.params.taskId, req.user.id]
+      )
+    ).rows;
+    res.json(entries.map(entryResponse));
+  } catch (error) {
+    sendError(res, error, 'Error fetching time entries:');
+  }
+});
+
+// Log time manually:
+// { startedAt, endedAt? | durationSeconds?, note?, billable? }
+router.post('/', async (req, res) => {
+  try {
+    const task = await findTask(getDatabase(), req);
+    if (!task) {
+      return res.status(404).json(errorBody(req, 'TASK_NOT_FOUND'));
+    }
+    await assertTimeNotLocked(req.user.id, task);
+    const entry = await createTimeEntry(req.user.id, task, req.body);
+    res.status(201).json(entryResponse(entry));
+  } catch (e) {
+    sendError(res, e, 'Error creating time entry:');
+  }
+});
+
+// Update a time entry; fields not given keep their value
+router.put('/:entryId', async (req, res) => {
+  try {
+    const current = await findTimeEntry(getDatabase(), req);
+    if (!current) {
+      return res.status(404).json(errorBody(req, 'TIME_ENTRY_NOT_FOUND'));
+    }
+    await assertTimeNotLocked(req.user.id, entryTask(current));
+    res.json(entryResponse(await updateTimeEntry(current, req.body)));
+  } catch (e) {
+    sendError(res, e, 'Error updating time entry:');
+  }
+});
+
+router.delete('/:entryId', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const entry = await findTimeEntry(db, req);
+    if (!entry) {
+      return res.status(404).json(errorBody(req, 'TIME_ENTRY_NOT_FOUND'));
+    }
+    await assertTimeNotLocked(req.user.id, entryTask(entry));
+    await db.query('DELETE FROM time_entries WHERE id = $1', [entry.id]);
+    res.json({ id: entry.id, taskId: entry.task_id });
+  } catch (error) {
+    sendError(res, error, 'Error deleting time entry:');
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { sendError } from '../utils/errors.js';
+import { assertTimeNotLocked } from '../utils/issued-invoices.js';
+import {
+  findRunningTimer,
+  findUserTask,
+  startTimer,
+  stopTimer,
+  timeEntrySummary
+} from '../utils/time-entries.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// The running timer with its task name and customer, or null
+router.get('/', async (req, res) => {
+  try {
+    const timer = await findRunningTimer(req.user.id);
+    res.json(timer && toCamelCase(timeEntrySummary(timer)));
+  } catch (e) {
+    sendError(res, e, 'Error fetching timer:');
+  }
+});
+
+// Start a timer: { taskId, note?, billable? }
+router.post('/start', async (req, res) => {
+  try {
+    const task = await findUserTask(req.user.id, req.body.taskId);
+    if (task) await assertTimeNotLocked(req.user.id, task);
+    const timer = await startTimer(req.user.id, req.body);
+    res.status(201).json(toCamelCase(timeEntrySummary(timer)));
+  } catch (e) {
+    sendError(res, e, 'Error starting timer:');
+  }
+});
+
+// Stop the running timer; returns the finished time entry
+router.post('/stop', async (req, res) => {
+  try {
+    const entry = await stopTimer(req.user.id);
+    res.json(toCamelCase(timeEntrySummary(entry)));
+  } catch (e) {
+    sendError(res, e, 'Error stopping timer:');
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { toCamelCase } from '../utils/camel-case.js';
+import { errorBody, sendError } from '../utils/errors.js';
+import {
+  buildTimesheet,
+  TIMESHEET_FORMATS,
+  timesheetCsv,
+  timesheetFileName,
+  timesheetXlsx
+} from '../utils/timesheets.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication to all timesheet routes
+router.use(authenticateToken);
+
+// Timesheet of the customer's logged time; query: projectId?, from?, to?
+// (YYYY-MM-DD) and format (json, default, csv or xlsx)
+router.get('/', async (req, res) => {
+  try {
+    const { projectId, from, to, format = 'json' } = req.query;
+    if (!TIMESHEET_FORMATS.includes(format)) {
+      return res.status(400).json(
+        errorBody(req, 'TIMESHEET_FORMAT_INVALID', {
+          formats: TIMESHEET_FORMATS
+        })
+      );
+    }
+    const sheet = await buildTimesheet(req.user.id, req.params.customerId, {
+      projectId,
+      from,
+      to
+    });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${timesheetFileName(sheet, 'csv')}"`
+      );
+      return res.send(timesheetCsv(sheet));
+    }
+    if (format === 'xlsx') {
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${timesheetFileName(sheet, 'xlsx')}"`
+      );
+      return res.send(timesheetXlsx(sheet));
+    }
+    res.json(toCamelCase(sheet));
+  } catch (e) {
+    sendError(res, e, 'Error building timesheet:');
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+// Run the dunning job once, e.g. from cron:
+//   node scripts/run-dunning.js [--user=ID] [--date=YYYY-MM-DD] [--send]
+import 'dotenv/config';
+import { closeDatabase, initDatabase } from '../config/database.js';
+import { parseDate } from '../utils/invoice.js';
+import { runDunning } from '../utils/dunning.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+try {
+  await initDatabase();
+  const notices = await runDunning({
+    userId: args.user ? Number(args.user) : undefined,
+    today: args.date ? parseDate(args.date) : new Date(),
+    send: args.send ? args.send === 'true' : undefined
+  });
+  for (const n of notices) {
+    console.log(
+      `Invoice ${n.invoice_id}: level ${n.level} reminder, total ${n.total}${
+        n.emailed_at ? `, emailed to ${n.recipient}` : ''
+      }`
+    );
+  }
+  console.log(`${notices.length} reminder(s) created`);
+  process.exitCode = 0;
+} catch (e) {
+  console.error('Dunning run failed', e);
+  process.exitCode = 1;
+} finally {
+  await closeDatabase();
+}
@@ -0,0 +1,37 @@
+// Issue the recurring invoices that are due once, e.g. from cron:
+//   node scripts/run-recurring-invoices.js [--user=ID] [--date=YYYY-MM-DD]
+import 'dotenv/config';
+import { closeDatabase, initDatabase } from '../config/database.js';
+import { formatISODate, parseDate } from '../utils/invoice.js';
+import { runRecurringInvoices } from '../utils/recurring-invoices.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+try {
+  await initDatabase();
+  const runs = await runRecurringInvoices({
+    userId: args.user ? Number(args.user) : undefined,
+    today: args.date ? parseDate(args.date) : new Date()
+  });
+  for (const r of runs) {
+    console.log(
+      `Recurring invoice ${r.recurring_invoice_id}: invoice ${
+        r.invoice_number
+      } for ${formatISODate(r.period_start)} – ${formatISODate(r.period_end)}${
+        r.emailed_at ? ', emailed' : ''
+      }${r.email_error ? `, email failed: ${r.email_error}` : ''}`
+    );
+  }
+  console.log(`${runs.length} invoice(s) issued`);
+  process.exitCode = 0;
+} catch (e) {
+  console.error('Recurring invoice run failed', e);
+  process.exitCode = 1;
+} finally {
+  await closeDatabase();
+}
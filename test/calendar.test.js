@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { renderCalendar } from '../utils/calendar.js';
+
+const event = (summary) => ({
+  uid: 'task-1@mo-re',
+  date: '2025-03-04',
+  summary,
+  modified: '2025-03-01T12:00:00Z'
+});
+
+// RFC 5545 unfolding: a line break followed by a space continues the line
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+test('long content lines are folded at 75 octets', () => {
+  const summary = 'Design review '.repeat(12).trim();
+  const ics = renderCalendar('Tasks', [event(summary)]);
+  const lines = ics.split('\r\n');
+  assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.some((line) => line.startsWith(' ')));
+  assert.ok(unfold(ics).includes(`\r\nSUMMARY:${summary}\r\n`));
+});
+
+test('folding never splits a multi-byte character', () => {
+  const summary = 'Überprüfung der Größenänderung 🚀 – '.repeat(6);
+  const ics = renderCalendar('Tasks', [event(summary)]);
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75);
+    assert.equal(Buffer.from(line).toString('utf8'), line);
+  }
+  assert.ok(unfold(ics).includes(`SUMMARY:${summary}\r\n`));
+});
+
+test('text values escape separators and line breaks', () => {
+  const ics = renderCalendar('A, B; C', [event('Fix\\deploy, then; test\nok')]);
+  assert.ok(ics.includes('X-WR-CALNAME:A\\, B\\; C\r\n'));
+  assert.ok(ics.includes('SUMMARY:Fix\\\\deploy\\, then\\; test\\nok\r\n'));
+});
+
+test('all-day events end on the following day', () => {
+  const ics = renderCalendar('Tasks', [event('Launch')]);
+  assert.ok(ics.includes('DTSTART;VALUE=DATE:20250304\r\n'));
+  assert.ok(ics.includes('DTEND;VALUE=DATE:20250305\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
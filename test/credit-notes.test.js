@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import {
+  closeDatabase,
+  getDatabase,
+  initDatabase
+} from '../config/database.js';
+import { issueCreditNote, issueInvoice } from '../utils/issued-invoices.js';
+
+// Runs against the database of DATABASE_URL; seeds its own user and removes
+// it (with everything it owns) afterwards
+const skip = !process.env.DATABASE_URL && 'DATABASE_URL is not set';
+
+let userId;
+let customerId;
+let projectId;
+
+before(async () => {
+  if (skip) return;
+  const db = await initDatabase();
+  userId = (
+    await db.query(
+      `INSERT INTO users (email, password, first_name, last_name, active,
+    company_name, company_street, company_number, company_postal_code,
+    company_city, company_country, company_vat_id, vat_percent, locale)
+  VALUES ($1, 'x', 'Test', 'User', 1, 'ACME GmbH', 'Hauptstr', '1', '10115',
+    'Berlin', 'DE', 'DE123456789', 19, 'en')
+  RETURNING id`,
+      [`credit-notes-${Date.now()}@example.com`]
+    )
+  ).rows[0].id;
+  customerId = (
+    await db.query(
+      `INSERT INTO customers (user_id, name, billing_street, billing_number,
+    billing_postal_code, billing_city, billing_country)
+  VALUES ($1, 'Customer GmbH', 'Weg', '2', '80331', 'München', 'DE')
+  RETURNING id`,
+      [userId]
+    )
+  ).rows[0].id;
+  projectId = (
+    await db.query(
+      `INSERT INTO projects (customer_id, user_id, name, hourly_rate,
+    invoice_date)
+  VALUES ($1, $2, 'Website', 80, '2025-03-31')
+  RETURNING id`,
+      [customerId, userId]
+    )
+  ).rows[0].id;
+  await db.query(
+    `INSERT INTO tasks (project_id, user_id, name, estimated_hours, date)
+  VALUES ($1, $2, 'Design', 2.5, '2025-03-01')`,
+    [projectId, userId]
+  );
+});
+
+after(async () => {
+  if (skip) return;
+  await getDatabase().query('DELETE FROM users WHERE id = $1', [userId]);
+  await closeDatabase();
+});
+
+test(
+  'a project cancelled by a full credit note can be invoiced again',
+  { skip },
+  async () => {
+    const scope = { userId, customerId, projectId };
+    const first = await issueInvoice(scope);
+    await issueCreditNote({
+      userId,
+      invoiceId: first.id,
+      reason: 'Wrong rate'
+    });
+
+    const db = getDatabase();
+    const cancelled = (
+      await db.query('SELECT status FROM invoices WHERE id = $1', [first.id])
+    ).rows[0];
+    assert.equal(cancelled.status, 'cancelled');
+    const project = (
+      await db.query(
+        'SELECT invoice_number, invoice_date FROM projects WHERE id = $1',
+        [projectId]
+      )
+    ).rows[0];
+    assert.equal(project.invoice_number, '');
+    assert.equal(project.invoice_date, null);
+
+    const second = await issueInvoice(scope);
+    assert.notEqual(second.invoice_number, first.invoice_number);
+    assert.equal(Number(second.subtotal), Number(first.subtotal));
+  }
+);
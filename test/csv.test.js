@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { timesheetCsv } from '../utils/timesheets.js';
+
+test('toCsv quotes fields with delimiters, quotes and line breaks', () => {
+  assert.equal(
+    toCsv([
+      ['plain', 'a,b', 'say "hi"', 'two\nlines'],
+      ['x', 'a;b', '', null]
+    ]),
+    'plain,"a,b","say ""hi""","two\nlines"\r\nx,a;b,,\r\n'
+  );
+  assert.equal(toCsv([['a;b', 'c,d']], ';'), '"a;b";c,d\r\n');
+});
+
+test('toCsv output parses back to the same cells', () => {
+  const rows = [
+    ['Task', 'Note'],
+    ['Design, phase 1', 'He said "ok"\nthen left']
+  ];
+  assert.deepEqual(parseCsv(toCsv(rows), ','), rows);
+});
+
+const sheet = (locale, tasks) => ({
+  locale,
+  weeks: [{ week: '2025-W10', hours: 3, billable_hours: 2 }],
+  days: [{ week: '2025-W10', date: '2025-03-04', tasks }],
+  totals: { hours: 3, billable_hours: 2 }
+});
+
+const lines = (csv) => csv.replace(/^\uFEFF/, '').split('\r\n');
+
+test('timesheet CSV escapes formula-like text cells', () => {
+  const csv = timesheetCsv(
+    sheet('en', [
+      { project: '=HYPERLINK("x")', task: '+1', hours: 1, billable_hours: 1 },
+      { project: '@SUM(A1)', task: '-2', hours: 1, billable_hours: 1 },
+      { project: 'Web', task: 'Plain', hours: 1, billable_hours: 0 }
+    ])
+  );
+  const [, first, second, third] = lines(csv);
+  assert.ok(first.includes(`"'=HYPERLINK(""x"")",'+1,`));
+  assert.ok(second.includes("'@SUM(A1),'-2,"));
+  assert.ok(third.endsWith(',Web,Plain,1.00,0.00'));
+});
+
+test('timesheet CSV uses semicolons where the locale writes decimal commas', () => {
+  const csv = timesheetCsv(
+    sheet('de', [
+      { project: 'Web', task: 'Design', hours: 1.5, billable_hours: 1.5 }
+    ])
+  );
+  assert.ok(csv.startsWith('\uFEFF'));
+  assert.ok(lines(csv)[1].endsWith(';Web;Design;1,50;1,50'));
+});
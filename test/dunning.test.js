@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_DUNNING_LEVELS, nextDunningLevel } from '../utils/dunning.js';
+import { parseDate } from '../utils/invoice.js';
+
+const levels = DEFAULT_DUNNING_LEVELS;
+
+test('the first level waits for its days after the due date', () => {
+  const invoice = { due_date: '2026-03-01', last_level: 0 };
+  assert.equal(
+    nextDunningLevel(levels, invoice, parseDate('2026-03-07')),
+    null
+  );
+  assert.equal(
+    nextDunningLevel(levels, invoice, parseDate('2026-03-08')).level,
+    1
+  );
+});
+
+test('a long overdue invoice escalates once per payment deadline', () => {
+  // 40 days overdue when dunning starts: level 1 today, deadline in 7 days
+  const invoice = { due_date: '2026-01-01', last_level: 0 };
+  assert.equal(
+    nextDunningLevel(levels, invoice, parseDate('2026-02-10')).level,
+    1
+  );
+  const afterFirst = {
+    ...invoice,
+    last_level: 1,
+    last_payment_due: '2026-02-17'
+  };
+  assert.equal(
+    nextDunningLevel(levels, afterFirst, parseDate('2026-02-10')),
+    null
+  );
+  assert.equal(
+    nextDunningLevel(levels, afterFirst, parseDate('2026-02-17')),
+    null
+  );
+  assert.equal(
+    nextDunningLevel(levels, afterFirst, parseDate('2026-02-18')).level,
+    2
+  );
+});
+
+test('no level follows the last one', () => {
+  const invoice = {
+    due_date: '2026-01-01',
+    last_level: 3,
+    last_payment_due: '2026-02-01'
+  };
+  assert.equal(
+    nextDunningLevel(levels, invoice, parseDate('2026-06-01')),
+    null
+  );
+});
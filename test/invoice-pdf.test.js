@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildColumns } from '../utils/invoice-pdf.js';
+
+const keys = (table) =>
+  buildColumns(table, (key) => key, 500).map((col) => col.key);
+
+test('hourly invoices show the rate next to the hours', () => {
+  assert.deepEqual(keys({ isFixed: false }), ['name', 'hours', 'rate', 'cost']);
+  assert.deepEqual(
+    keys({ isFixed: false, hasAnyDate: true, mixedVatRates: true }),
+    ['date', 'name', 'hours', 'rate', 'vatRate', 'cost']
+  );
+});
+
+test('fixed-price invoices show no rate or cost per task', () => {
+  assert.deepEqual(keys({ isFixed: true, mixedVatRates: true }), [
+    'name',
+    'hours'
+  ]);
+});
+
+test('the task column takes the remaining width', () => {
+  const cols = buildColumns({ isFixed: false }, (key) => key, 500);
+  assert.equal(
+    cols.reduce((sum, col) => sum + col.width, 0),
+    500
+  );
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  lineAmount,
+  percentOf,
+  roundMoney,
+  sumMoney,
+  toCents
+} from '../utils/money.js';
+
+test('toCents drops binary noise before rounding', () => {
+  assert.equal(toCents(1190.0000000002), 119000);
+  assert.equal(toCents(1000 * 1.19), 119000);
+  assert.equal(toCents(1.005), 101);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents('12.345'), 1235);
+});
+
+test('toCents rounds half away from zero and treats empty values as 0', () => {
+  assert.equal(toCents(-1.005), -101);
+  assert.equal(toCents(-0.004), 0);
+  assert.ok(Object.is(toCents(-0.004), 0));
+  assert.equal(toCents(null), 0);
+  assert.equal(toCents(''), 0);
+  assert.equal(toCents(undefined), 0);
+});
+
+test('sumMoney adds whole cents', () => {
+  assert.equal(sumMoney([0.1, 0.2]), 0.3);
+  assert.equal(sumMoney([1190.0000000002, -190]), 1000);
+  assert.equal(sumMoney(['19.99', 0.01, null]), 20);
+  assert.equal(sumMoney([]), 0);
+  assert.equal(sumMoney(undefined), 0);
+});
+
+test('lines are rounded one by one, not on the total', () => {
+  // 20 minutes at 100/h, three times
+  const lines = [1, 2, 3].map(() => lineAmount(1 / 3, 100));
+  assert.deepEqual(lines, [33.33, 33.33, 33.33]);
+  assert.equal(sumMoney(lines), 99.99);
+  assert.equal(roundMoney((3 * 100) / 3), 100);
+});
+
+test('percentOf rounds the result to the cent', () => {
+  assert.equal(percentOf(1000, 19), 190);
+  assert.equal(percentOf(0.03, 19), 0.01);
+  assert.equal(percentOf(0.09, 19), 0.02);
+  assert.equal(percentOf(-0.09, 19), -0.02);
+  assert.equal(percentOf(100, null), 0);
+});
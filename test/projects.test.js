@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import express from 'express';
+import {
+  closeDatabase,
+  getDatabase,
+  initDatabase
+} from '../config/database.js';
+import projectsRouter from '../routes/projects.js';
+import { generateToken } from '../utils/auth.js';
+import { issueInvoice } from '../utils/issued-invoices.js';
+
+// Runs against the database of DATABASE_URL; seeds its own user and removes
+// it (with everything it owns) afterwards
+const skip = !process.env.DATABASE_URL && 'DATABASE_URL is not set';
+
+let server;
+let userId;
+let customerId;
+let projectId;
+
+before(async () => {
+  if (skip) return;
+  const db = await initDatabase();
+  userId = (
+    await db.query(
+      `INSERT INTO users (email, password, first_name, last_name, active,
+    company_name, company_street, company_number, company_postal_code,
+    company_city, company_country, company_vat_id, vat_percent, locale)
+  VALUES ($1, 'x', 'Test', 'User', 1, 'ACME GmbH', 'Hauptstr', '1', '10115',
+    'Berlin', 'DE', 'DE123456789', 19, 'en')
+  RETURNING id`,
+      [`projects-${Date.now()}@example.com`]
+    )
+  ).rows[0].id;
+  customerId = (
+    await db.query(
+      `INSERT INTO customers (user_id, name, billing_street, billing_number,
+    billing_postal_code, billing_city, billing_country)
+  VALUES ($1, 'Customer GmbH', 'Weg', '2', '80331', 'München', 'DE')
+  RETURNING id`,
+      [userId]
+    )
+  ).rows[0].id;
+  projectId = (
+    await db.query(
+      `INSERT INTO projects (customer_id, user_id, name, description,
+    hourly_rate, invoice_date)
+  VALUES ($1, $2, 'Website', 'Relaunch', 80, '2025-03-31')
+  RETURNING id`,
+      [customerId, userId]
+    )
+  ).rows[0].id;
+  await db.query(
+    `INSERT INTO tasks (project_id, user_id, name, estimated_hours, date)
+  VALUES ($1, $2, 'Design', 2.5, '2025-03-01')`,
+    [projectId, userId]
+  );
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/customers/:customerId/projects', projectsRouter);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+});
+
+after(async () => {
+  if (skip) return;
+  server.close();
+  await getDatabase().query('DELETE FROM users WHERE id = $1', [userId]);
+  await closeDatabase();
+});
+
+const updateProject = (body) => {
+  const { port } = server.address();
+  return fetch(
+    `http://localhost:${port}/api/customers/${customerId}/projects/${projectId}`,
+    {
+      method: 'PUT',
+      headers: {
+        authorization: `Bearer ${generateToken(userId)}`,
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    }
+  );
+};
+
+test(
+  'a partial update of an invoiced project keeps the invoiced fields',
+  { skip },
+  async () => {
+    const invoice = await issueInvoice({ userId, customerId, projectId });
+
+    const res = await updateProject({ name: 'Website' });
+    assert.equal(res.status, 200);
+    const project = await res.json();
+    assert.equal(project.invoiceNumber, invoice.invoice_number);
+    assert.equal(project.description, 'Relaunch');
+    assert.equal(Number(project.hourlyRate), 80);
+    const stored = (
+      await getDatabase().query(
+        'SELECT invoice_date::text AS invoice_date FROM projects WHERE id = $1',
+        [projectId]
+      )
+    ).rows[0];
+    assert.equal(stored.invoice_date, '2025-03-31');
+
+    const locked = await updateProject({ name: 'Website', hourlyRate: 90 });
+    assert.equal(locked.status, 409);
+  }
+);
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { duePeriods } from '../utils/recurring-invoices.js';
+import { advanceSequence, formatNumber } from '../utils/sequences.js';
+import { parseDate } from '../utils/invoice.js';
+
+const monthly = {
+  interval: 'monthly',
+  day_of_month: 1,
+  next_run_date: '2025-11-01',
+  end_date: null
+};
+
+test('periods due on their run date are dated that day', () => {
+  assert.deepEqual(duePeriods(monthly, parseDate('2025-11-01')), [
+    { from: '2025-11-01', to: '2025-11-30', invoiceDate: '2025-11-01' }
+  ]);
+  assert.deepEqual(duePeriods(monthly, parseDate('2025-10-31')), []);
+});
+
+test('catch-up across a year boundary dates every invoice today', () => {
+  const periods = duePeriods(monthly, parseDate('2026-01-15'));
+  assert.deepEqual(
+    periods.map(({ from, to }) => [from, to]),
+    [
+      ['2025-11-01', '2025-11-30'],
+      ['2025-12-01', '2025-12-31'],
+      ['2026-01-01', '2026-01-31']
+    ]
+  );
+  assert.ok(periods.every((p) => p.invoiceDate === '2026-01-15'));
+
+  // numbered like issueRecurringInvoice() does, after a 2026 invoice exists
+  const sequence = {
+    pattern: 'RE-{YYYY}-{####}',
+    next_value: 2,
+    reset: 'yearly',
+    period: '2026',
+    period_values: { 2025: 9 }
+  };
+  const numbers = periods.map(({ invoiceDate }) => {
+    const date = parseDate(invoiceDate);
+    const { value, nextValue, period, periodValues } = advanceSequence(
+      sequence,
+      date
+    );
+    Object.assign(sequence, {
+      next_value: nextValue,
+      period,
+      period_values: periodValues
+    });
+    return formatNumber(sequence.pattern, value, date);
+  });
+  assert.deepEqual(numbers, ['RE-2026-0002', 'RE-2026-0003', 'RE-2026-0004']);
+});
+
+test('catch-up stops after the end date', () => {
+  const periods = duePeriods(
+    { ...monthly, end_date: '2025-12-15' },
+    parseDate('2026-03-01')
+  );
+  assert.deepEqual(
+    periods.map((p) => p.from),
+    ['2025-11-01', '2025-12-01']
+  );
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  advanceSequence,
+  formatNumber,
+  isValidPattern
+} from '../utils/sequences.js';
+
+test('isValidPattern wants exactly one counter', () => {
+  assert.equal(isValidPattern('RE-{YYYY}-{####}'), true);
+  assert.equal(isValidPattern('RE-{YYYY}'), false);
+  assert.equal(isValidPattern('{##}-{##}'), false);
+  assert.equal(isValidPattern(null), false);
+});
+
+test('formatNumber fills in the date and the padded counter', () => {
+  const date = new Date(2026, 2, 5);
+  assert.equal(formatNumber('RE-{YYYY}-{####}', 7, date), 'RE-2026-0007');
+  assert.equal(formatNumber('{YY}{MM}/{###}', 42, date), '2603/042');
+  assert.equal(formatNumber('INV-{##}', 1234, date), 'INV-1234');
+  assert.equal(formatNumber('GS {YYYY} {MM} {#}', 3, date), 'GS 2026 03 3');
+});
+
+// Allocate like allocateNumber() does, against an in-memory sequence row
+function allocate(sequence, isoDate, issued = []) {
+  const date = new Date(`${isoDate}T00:00:00`);
+  const { value, nextValue, period, periodValues } = advanceSequence(
+    sequence,
+    date,
+    issued
+  );
+  Object.assign(sequence, {
+    next_value: nextValue,
+    period,
+    period_values: periodValues
+  });
+  return formatNumber(sequence.pattern, value, date);
+}
+
+const yearly = () => ({
+  pattern: 'RE-{YYYY}-{####}',
+  next_value: 1,
+  reset: 'yearly',
+  period: null,
+  period_values: {}
+});
+
+test('yearly sequences restart in a new year', () => {
+  const sequence = yearly();
+  assert.equal(allocate(sequence, '2025-11-03'), 'RE-2025-0001');
+  assert.equal(allocate(sequence, '2025-12-01'), 'RE-2025-0002');
+  assert.equal(allocate(sequence, '2026-01-05'), 'RE-2026-0001');
+  assert.equal(allocate(sequence, '2026-01-06'), 'RE-2026-0002');
+});
+
+test('an invoice dated in an earlier year leaves the current counter alone', () => {
+  const sequence = yearly();
+  assert.equal(allocate(sequence, '2025-12-01'), 'RE-2025-0001');
+  assert.equal(allocate(sequence, '2026-01-05'), 'RE-2026-0001');
+  // previewed (and dated) in December, issued in January
+  assert.equal(allocate(sequence, '2025-12-30'), 'RE-2025-0002');
+  assert.equal(sequence.period, '2026');
+  assert.equal(allocate(sequence, '2026-01-07'), 'RE-2026-0002');
+  assert.equal(allocate(sequence, '2025-12-31'), 'RE-2025-0003');
+  assert.equal(allocate(sequence, '2026-02-01'), 'RE-2026-0003');
+});
+
+test('a year without a stored counter continues after its issued numbers', () => {
+  const sequence = { ...yearly(), next_value: 7, period: '2026' };
+  const issued = [
+    'RE-2024-0001',
+    'RE-2024-0002',
+    'RE-2024-0012',
+    'AN-2024-0040'
+  ];
+  const number = allocate(sequence, '2024-06-01', issued);
+  assert.equal(number, 'RE-2024-0013');
+  assert.ok(!issued.includes(number));
+  assert.equal(allocate(sequence, '2024-06-02'), 'RE-2024-0014');
+  assert.equal(allocate(sequence, '2026-06-01'), 'RE-2026-0007');
+});
+
+test('an explicit counter value wins over a stored one', () => {
+  const sequence = {
+    ...yearly(),
+    next_value: 40,
+    period: null,
+    period_values: { 2026: 3 }
+  };
+  assert.equal(allocate(sequence, '2026-03-01'), 'RE-2026-0040');
+  assert.deepEqual(sequence.period_values, {});
+});
+
+test('sequences without reset count on across years', () => {
+  const sequence = {
+    ...yearly(),
+    pattern: 'INV-{#####}',
+    reset: 'never',
+    next_value: 12
+  };
+  assert.equal(allocate(sequence, '2026-01-05'), 'INV-00012');
+  assert.equal(allocate(sequence, '2025-12-30'), 'INV-00013');
+  assert.equal(sequence.period, '2026');
+  assert.equal(allocate(sequence, '2026-01-06'), 'INV-00014');
+});
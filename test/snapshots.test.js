@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+// The key is read when utils/encryption.js loads
+process.env.ENCRYPTION_KEY = 'a'.repeat(64);
+const { openSnapshot, sealSnapshot } = await import(
+  '../utils/issued-invoices.js'
+);
+
+const IBAN = 'DE89 3704 0044 0532 0130 00';
+
+test('issued snapshots store the IBAN encrypted', () => {
+  const sealed = sealSnapshot({ invoiceNo: 'RE-1', decryptedIban: IBAN });
+  assert.equal(sealed.decryptedIban, undefined);
+  assert.ok(!JSON.stringify(sealed).includes('3704'));
+  assert.ok(sealed.iban.iv && sealed.iban.tag);
+  assert.deepEqual(openSnapshot(JSON.parse(JSON.stringify(sealed))), {
+    invoiceNo: 'RE-1',
+    decryptedIban: IBAN
+  });
+});
+
+test('snapshots without an IBAN or from before encryption open as stored', () => {
+  assert.deepEqual(sealSnapshot({ decryptedIban: '' }), {});
+  assert.deepEqual(openSnapshot({ decryptedIban: IBAN }), {
+    decryptedIban: IBAN
+  });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  parseImportDate,
+  parseImportHours,
+  parseImportTime,
+  readImportRows
+} from '../utils/time-import.js';
+
+test('dates are read as ISO, German or slashed in the chosen order', () => {
+  assert.equal(parseImportDate('2025-03-04'), '2025-03-04');
+  assert.equal(parseImportDate('2025-3-4T09:00:00Z'), '2025-03-04');
+  assert.equal(parseImportDate('4.3.2025'), '2025-03-04');
+  assert.equal(parseImportDate('03/04/2025', 'MM/DD/YYYY'), '2025-03-04');
+  assert.equal(parseImportDate('04/03/2025', 'DD/MM/YYYY'), '2025-03-04');
+});
+
+test('impossible or unknown dates are rejected', () => {
+  assert.equal(parseImportDate('2025-02-30'), null);
+  assert.equal(parseImportDate('31.04.2025'), null);
+  assert.equal(parseImportDate('13/01/2025', 'MM/DD/YYYY'), null);
+  assert.equal(parseImportDate('March 4, 2025'), null);
+  assert.equal(parseImportDate(''), null);
+  assert.equal(parseImportDate(undefined), null);
+});
+
+test('hours are read as decimals (point or comma) or clock durations', () => {
+  assert.equal(parseImportHours(1.5), 5400);
+  assert.equal(parseImportHours('1.5'), 5400);
+  assert.equal(parseImportHours('1,5'), 5400);
+  assert.equal(parseImportHours('1:30'), 5400);
+  assert.equal(parseImportHours('0:00:45'), 45);
+  assert.equal(parseImportHours(' 2 '), 7200);
+});
+
+test('unreadable hours are null', () => {
+  assert.equal(parseImportHours(''), null);
+  assert.equal(parseImportHours(null), null);
+  assert.equal(parseImportHours('1.5h'), null);
+  assert.equal(parseImportHours('1:3'), null);
+});
+
+test('start times accept 12- and 24-hour clocks', () => {
+  assert.equal(parseImportTime('9:05'), '09:05:00');
+  assert.equal(parseImportTime('09:05:30'), '09:05:30');
+  assert.equal(parseImportTime('12:15 AM'), '00:15:00');
+  assert.equal(parseImportTime('9:05pm'), '21:05:00');
+  assert.equal(parseImportTime('13:00 pm'), null);
+  assert.equal(parseImportTime('24:00'), null);
+});
+
+test('CSV rows are mapped to fields by case-insensitive column names', () => {
+  const rows = readImportRows({
+    format: 'csv',
+    content: 'Task;Day;Time\nDesign;04.03.2025;1,5\n',
+    mapping: { name: 'task', date: 'day', hours: 'TIME' }
+  });
+  assert.deepEqual(rows, [
+    { name: 'Design', date: '04.03.2025', hours: '1,5' }
+  ]);
+});
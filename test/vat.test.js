@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { computeVat } from '../utils/vat.js';
+
+const invoice = (tasks, overrides = {}) => ({
+  user: { vat_percent: 19, company_country: 'DE' },
+  customer: { billing_country: 'DE' },
+  project: { hourly_rate: 80 },
+  tasks,
+  isFixed: false,
+  ...overrides
+});
+
+// Rate and net of each breakdown row
+const nets = (vat) => vat.breakdown.map(({ rate, net }) => ({ rate, net }));
+
+test('tasks use their own rate, else the project rate, else the user rate', () => {
+  const tasks = [
+    { estimated_hours: 10 },
+    { estimated_hours: 5, vat_rate: 7 },
+    { estimated_hours: 2.5 }
+  ];
+  const vat = computeVat(invoice(tasks));
+  assert.equal(vat.treatment, 'standard');
+  assert.deepEqual(vat.lineRates, [19, 7, 19]);
+  assert.deepEqual(nets(vat), [
+    { rate: 19, net: 1000 },
+    { rate: 7, net: 400 }
+  ]);
+  assert.equal(vat.vatPercent, null);
+  assert.equal(vat.mixedRates, true);
+
+  const projectRate = computeVat(
+    invoice(tasks, { project: { hourly_rate: 80, vat_rate: 0 } })
+  );
+  assert.deepEqual(projectRate.lineRates, [0, 7, 0]);
+});
+
+test('a single rate is reported as the invoice rate', () => {
+  const vat = computeVat(invoice([{ estimated_hours: 1 }]));
+  assert.equal(vat.vatPercent, 19);
+  assert.equal(vat.mixedRates, false);
+});
+
+test('VAT is computed once per rate on the sum of the rounded lines', () => {
+  const tasks = [0.03, 0.03, 0.03].map((hours) => ({ estimated_hours: hours }));
+  const vat = computeVat(invoice(tasks, { project: { hourly_rate: 1 } }));
+  // 3 × 0.01 per line would give 0.03
+  assert.deepEqual(vat.breakdown, [{ rate: 19, net: 0.09, vat: 0.02 }]);
+  assert.equal(vat.vatAmount, 0.02);
+  assert.equal(vat.vatPercent, 19);
+  assert.equal(vat.mixedRates, false);
+});
+
+test('line items are grouped by their own rate like tasks', () => {
+  const vat = computeVat(
+    invoice([{ estimated_hours: 10 }], {
+      lineItems: [
+        { quantity: 2, unit_price: 20.5, vat_rate: 7 },
+        { quantity: 1, unit_price: 100, discount: 10, discount_type: 'percent' }
+      ]
+    })
+  );
+  assert.deepEqual(vat.lineItemRates, [7, 19]);
+  assert.deepEqual(nets(vat), [
+    { rate: 19, net: 890 },
+    { rate: 7, net: 41 }
+  ]);
+});
+
+test('fixed-price invoices tax the fixed price at the default rate', () => {
+  const vat = computeVat(
+    invoice([], {
+      project: { vat_rate: 7 },
+      isFixed: true,
+      subtotal: 1059.5,
+      lineItems: [{ quantity: 1, unit_price: 59.5, vat_rate: 19 }]
+    })
+  );
+  assert.equal(vat.defaultRate, 7);
+  assert.deepEqual(nets(vat), [
+    { rate: 19, net: 59.5 },
+    { rate: 7, net: 1000 }
+  ]);
+});
+
+test('credit notes are signed negative', () => {
+  const vat = computeVat(invoice([{ estimated_hours: 10 }]), { sign: -1 });
+  assert.deepEqual(nets(vat), [{ rate: 19, net: -800 }]);
+  assert.ok(vat.vatAmount < 0);
+});
+
+test('reverse charge and small business invoices carry no VAT', () => {
+  const tasks = [{ estimated_hours: 4, vat_rate: 7 }, { estimated_hours: 1 }];
+  const reverse = computeVat(
+    invoice(tasks, {
+      customer: { billing_country: 'AT', vat_number: 'ATU12345678' }
+    })
+  );
+  assert.equal(reverse.treatment, 'reverse_charge');
+  assert.deepEqual(nets(reverse), [{ rate: 0, net: 400 }]);
+  assert.equal(reverse.vatAmount, 0);
+  assert.equal(reverse.buyerVatId, 'ATU12345678');
+
+  // Same country as the seller: no reverse charge
+  const domestic = computeVat(
+    invoice(tasks, {
+      customer: { billing_country: 'DE', vat_number: 'DE123456789' }
+    })
+  );
+  assert.equal(domestic.treatment, 'standard');
+
+  const exempt = computeVat(
+    invoice(tasks, { user: { vat_percent: 19, vat_exempt: true } })
+  );
+  assert.equal(exempt.treatment, 'exempt');
+  assert.equal(exempt.vatAmount, 0);
+});
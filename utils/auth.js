@@ -37,8 +37,9 @@ export const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+export const MIN_PASSWORD_LENGTH = 6;
+
 // Validate password strength
 export const isValidPassword = (password) => {
-  // At least 6 characters
-  return password && password.length >= 6;
+  return password && password.length >= MIN_PASSWORD_LENGTH;
 };
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import { getDatabase } from '../config/database.js';
+import { formatMoney } from './currency.js';
+import { translator } from './i18n.js';
+import { formatISODate, parseDate } from './invoice.js';
+import { BALANCE_COLUMNS, openBalance } from './payments.js';
+
+/**
+ * iCalendar (RFC 5545) feed of a user's task dates, task due dates and
+ * invoice due dates.
+ * Calendar apps subscribe to it by URL, so it is protected by a per-user
+ * token instead of a JWT. Every event's UID is derived from its row id:
+ * moving a task to another date updates its event on the next poll.
+ */
+
+const UID_DOMAIN = 'mo-re';
+const REFRESH_INTERVAL = 'PT1H';
+
+// Random, URL-safe feed token
+export const generateCalendarToken = () =>
+  crypto.randomBytes(24).toString('base64url');
+
+// TEXT value: backslashes, separators and line breaks escaped
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets continue on lines starting with a space;
+// multi-byte characters are never split
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// DATE value (20250301) and the day after, as all-day events end exclusively
+const icsDate = (dateLike) => formatISODate(dateLike).replace(/-/g, '');
+
+const nextDay = (dateLike) => {
+  const d = parseDate(formatISODate(dateLike));
+  d.setDate(d.getDate() + 1);
+  return d;
+};
+
+// DATE-TIME value in UTC (20250301T120000Z)
+const icsTimestamp = (dateLike) =>
+  new Date(dateLike).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+function eventLines({ uid, date, summary, description, modified }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${icsTimestamp(modified)}`,
+    `LAST-MODIFIED:${icsTimestamp(modified)}`,
+    `DTSTART;VALUE=DATE:${icsDate(date)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(date))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Render a VCALENDAR with one all-day event per entry of `events`
+ * ({ uid, date, summary, description?, modified }); CRLF line endings.
+ */
+export function renderCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//mo-re//Invoicing//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Task dates, and due dates of tasks not done yet, optionally of one
+// customer / project
+async function taskEvents(db, userId, { customerId, projectId }, t) {
+  const params = [userId];
+  const filters = [];
+  if (customerId) {
+    params.push(customerId);
+    filters.push(`AND p.customer_id = $${params.length}`);
+  }
+  if (projectId) {
+    params.push(projectId);
+    filters.push(`AND p.id = $${params.length}`);
+  }
+  const rows = (
+    await db.query(
+      `SELECT t.id, t.name, t.date, t.due_date, t.status, t.updated_at,
+          t.created_at, p.name AS project_name, c.name AS customer_name
+   FROM tasks t
+   JOIN projects p ON p.id = t.project_id
+   JOIN customers c ON c.id = p.customer_id
+   WHERE t.user_id = $1 AND (t.date IS NOT NULL OR t.due_date IS NOT NULL)
+     ${filters.join(' ')}
+   ORDER BY t.id ASC`,
+      params
+    )
+  ).rows;
+  return rows.flatMap((task) => {
+    const event = {
+      description: t('taskDescription', {
+        project: task.project_name,
+        customer: task.customer_name
+      }),
+      modified: task.updated_at ?? task.created_at
+    };
+    return [
+      ...(task.date
+        ? [
+            {
+              ...event,
+              uid: `task-${task.id}@${UID_DOMAIN}`,
+              date: task.date,
+              summary: task.name
+            }
+          ]
+        : []),
+      ...(task.due_date && task.status !== 'done'
+        ? [
+            {
+              ...event,
+              uid: `task-due-${task.id}@${UID_DOMAIN}`,
+              date: task.due_date,
+              summary: t('taskDue', { name: task.name })
+            }
+          ]
+        : [])
+    ];
+  });
+}
+
+// Due dates of unpaid, uncancelled invoices; a project filter matches
+// consolidated invoices that include the project
+async function invoiceEvents(db, userId, { customerId, projectId }, t) {
+  const params = [userId];
+  const filters = [];
+  if (customerId) {
+    params.push(customerId);
+    filters.push(`AND i.customer_id = $${params.length}`);
+  }
+  if (projectId) {
+    params.push(projectId);
+    filters.push(
+      `AND (i.project_id = $${params.length} OR $${params.length} = ANY(i.project_ids))`
+    );
+  }
+  const rows = (
+    await db.query(
+      `SELECT i.id, i.invoice_number, i.due_date, i.buyer, i.total, i.currency,
+          i.document_type, i.updated_at, ${BALANCE_COLUMNS}
+   FROM invoices i
+   WHERE i.user_id = $1
+     AND i.document_type = 'invoice'
+     AND i.due_date IS NOT NULL
+     AND i.status NOT IN ('paid', 'cancelled') ${filters.join(' ')}
+   ORDER BY i.due_date ASC, i.id ASC`,
+      params
+    )
+  ).rows;
+  return rows
+    .filter((invoice) => openBalance(invoice) > 0)
+    .map((invoice) => ({
+      uid: `invoice-${invoice.id}@${UID_DOMAIN}`,
+      date: invoice.due_date,
+      summary: t('invoiceDue', {
+        number: invoice.invoice_number,
+        customer: invoice.buyer?.name ?? ''
+      }),
+      description: t('invoiceBalance', {
+        amount: formatMoney(openBalance(invoice), invoice.currency, t.locale)
+      }),
+      modified: invoice.updated_at
+    }));
+}
+
+/**
+ * The feed of the user owning `token`, or null for an unknown token or an
+ * inactive account. `filters` may limit it to a customerId and/or projectId.
+ */
+export async function buildCalendarFeed(
+  token,
+  filters = {},
+  db = getDatabase()
+) {
+  const user = (
+    await db.query(
+      'SELECT id, locale, active FROM users WHERE calendar_token = $1',
+      [token]
+    )
+  ).rows[0];
+  if (!user || !user.active) return null;
+
+  const t = translator(user.locale, 'calendar');
+  const events = [
+    ...(await taskEvents(db, user.id, filters, t)),
+    ...(await invoiceEvents(db, user.id, filters, t))
+  ];
+  return renderCalendar(t('name'), events);
+}
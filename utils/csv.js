@@ -0,0 +1,100 @@
+/**
+ * CSV as spreadsheet programs and time trackers write it (RFC 4180): quoted
+ * fields may hold delimiters, line breaks and doubled quotes. The delimiter
+ * (comma, semicolon or tab) is taken from the header line when reading.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Delimiter occurring most often outside quotes in the first line
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  return [...counts].reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best
+  )[0];
+}
+
+/**
+ * Parse CSV text into rows of field strings; blank lines are skipped.
+ * Throws on an unterminated quoted field.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by header, plus the
+ * trimmed headers themselves. Missing trailing fields read as ''.
+ */
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const headers = header.map((h) => h.trim());
+  return {
+    headers,
+    records: rows.map((row) =>
+      Object.fromEntries(headers.map((h, i) => [h, row[i] ?? '']))
+    )
+  };
+}
+
+// Field quoted when it holds the delimiter, a quote or a line break
+const csvField = (value, delimiter) => {
+  const text = String(value ?? '');
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Write rows of values as CSV with CRLF line endings (RFC 4180).
+ */
+export const toCsv = (rows, delimiter = ',') =>
+  rows
+    .map((row) =>
+      row.map((value) => csvField(value, delimiter)).join(delimiter)
+    )
+    .join('\r\n') + '\r\n';
@@ -0,0 +1,43 @@
+import { toCamelCase } from './camel-case.js';
+import { intlLocale } from './i18n.js';
+
+export const DEFAULT_CURRENCY = 'EUR';
+
+// ISO 4217 code such as EUR, CHF, GBP, USD
+export const isValidCurrency = (code) =>
+  typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+export const normalizeCurrency = (code) =>
+  code ? String(code).trim().toUpperCase() : '';
+
+// Project currency wins over the customer's; both fall back to EUR
+export function resolveCurrency(project, customer) {
+  const p = toCamelCase(project) || {};
+  const c = toCamelCase(customer) || {};
+  return (
+    normalizeCurrency(p.currency) ||
+    normalizeCurrency(c.currency) ||
+    DEFAULT_CURRENCY
+  );
+}
+
+/**
+ * Format an amount with the currency symbol placed and separated the way the
+ * locale expects: en -> "€1,234.50", de -> "1.234,50 €", fr -> "1 234,50 €".
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, locale) {
+  return new Intl.NumberFormat(intlLocale(locale), {
+    style: 'currency',
+    currency: currency || DEFAULT_CURRENCY
+  }).format(Number(amount || 0));
+}
+
+// Plain numbers (hours, rates) with locale separators, up to 2 decimals
+export function formatDecimal(value, locale) {
+  if (value === null || value === undefined || value === '') return '';
+  const n = Number(value);
+  if (isNaN(n)) return String(value);
+  return new Intl.NumberFormat(intlLocale(locale), {
+    maximumFractionDigits: 2
+  }).format(n);
+}
@@ -0,0 +1,169 @@
+// Built-in templates, written in the placeholder syntax of ./template.js.
+// DEFAULT_INVOICE_TEMPLATE is what users get until they store their own and
+// the starting point offered when they create one.
+
+// Footer table (company, contact, bank) shared by invoices and reminders
+const FOOTER = `<!-- Footer: Company, Contact, Bank -->
+  <table width="100%" style="margin-top:18px;color:#666;font-size:12px;">
+    <tr>
+      <td valign="top" style="width:33.3%;padding-right:12px;">
+        {{#each footer.companyLines}}<div style="margin:2px 0">{{this}}</div>{{/each}}
+      </td>
+      <td valign="top" style="width:33.3%;padding:0 12px;">
+        {{#each footer.contactLines}}<div style="margin:2px 0">{{this}}</div>{{/each}}
+      </td>
+      <td valign="top" style="width:33.3%;padding-left:12px;">
+        {{#each footer.bankLines}}<div style="margin:2px 0">{{this}}</div>{{/each}}
+      </td>
+    </tr>
+  </table>`;
+
+// Recipient address, with the company logo on the right when one is uploaded
+const HEADER = `<table width="100%;">
+    <tr>
+      <td valign="top" style="width:50%">
+        {{#each customer.addressLines}}{{#unless @first}}<br>{{/unless}}{{this}}{{/each}}
+        {{#if customer.vatId}}<br>{{labels.buyerVatId}}: {{customer.vatId}}{{/if}}
+      </td>
+      {{#if logo}}<td valign="top" style="width:50%;text-align:right;">
+        <img src="{{logo}}" alt="{{seller.name}}" style="max-width:200px;max-height:80px;">
+      </td>{{/if}}
+    </tr>
+  </table>`;
+
+// Subtotal, VAT and total rows closing the last table of the invoice
+const TOTALS = `<tr><td colspan="{{totalsSpan}}" style="padding:6px 8px;text-align:right;font-weight:bold;">{{labels.subtotal}}</td><td style="padding:6px 8px;text-align:right;">{{subtotal}}</td></tr>
+  {{#each vatRows}}<tr><td colspan="{{totalsSpan}}" style="padding:6px 8px;text-align:right;font-weight:bold;">{{label}}</td><td style="padding:6px 8px;text-align:right;">{{amount}}</td></tr>{{/each}}
+  <tr><td colspan="{{totalsSpan}}" style="padding:6px 8px;text-align:right;font-weight:bold;">{{labels.total}}</td><td style="padding:6px 8px;text-align:right;font-weight:bold;">{{total}}</td></tr>`;
+
+// Subtotal row closing a project's last table on a consolidated invoice
+const GROUP_SUBTOTAL = `<tr><td colspan="{{totalsSpan}}" style="padding:6px 8px;text-align:right;font-weight:bold;">{{subtotalLabel}}</td><td style="padding:6px 8px;text-align:right;">{{subtotal}}</td></tr>`;
+
+// Task table; `closing` holds the summary rows below the tasks
+const taskTable = (
+  closing
+) => `<table width="100%" style="border-collapse:collapse;border:1px solid #ccc;">
+    <thead>
+      <tr style="background:#f5f5f5;">
+        {{#if columns.date}}<th style="padding:6px 8px;text-align:left;">{{labels.date}}</th>{{/if}}
+        <th style="padding:6px 8px;text-align:left;">{{labels.task}}</th>
+        <th style="padding:6px 8px;text-align:center;">{{labels.hours}}</th>
+        {{#if columns.rate}}<th style="padding:6px 8px;text-align:right;">{{labels.rate}}</th>{{/if}}
+        {{#if columns.vatRate}}<th style="padding:6px 8px;text-align:center;">{{labels.vatRate}}</th>{{/if}}
+        {{#if columns.cost}}<th style="padding:6px 8px;text-align:right;">{{labels.cost}}</th>{{/if}}
+      </tr>
+    </thead>
+    <tbody>
+  {{#each items}}<tr>
+    {{#if columns.date}}<td style="padding:4px 8px;">{{date}}</td>{{/if}}
+    <td style="padding:4px 8px;">{{name}}</td>
+    <td style="padding:4px 8px;text-align:center;">{{hours}}</td>
+    {{#if columns.rate}}<td style="padding:4px 8px;text-align:right;">{{rate}}</td>{{/if}}
+    {{#if columns.vatRate}}<td style="padding:4px 8px;text-align:center;">{{vatRate}}</td>{{/if}}
+    {{#if columns.cost}}<td style="padding:4px 8px;text-align:right;">{{cost}}</td>{{/if}}
+  </tr>{{else}}<tr><td colspan="{{columns.count}}" style="padding:8px;text-align:center;">{{labels.noTasks}}</td></tr>{{/each}}
+  ${closing}
+    </tbody>
+  </table>`;
+
+// Expenses, materials and discounts; `closing` as for taskTable
+const lineItemTable = (
+  closing
+) => `<table width="100%" style="border-collapse:collapse;border:1px solid #ccc;margin-top:12px;">
+    <thead>
+      <tr style="background:#f5f5f5;">
+        <th style="padding:6px 8px;text-align:left;">{{labels.description}}</th>
+        <th style="padding:6px 8px;text-align:center;">{{labels.quantity}}</th>
+        <th style="padding:6px 8px;text-align:right;">{{labels.unitPrice}}</th>
+        {{#if lineColumns.discount}}<th style="padding:6px 8px;text-align:right;">{{labels.discount}}</th>{{/if}}
+        {{#if lineColumns.vatRate}}<th style="padding:6px 8px;text-align:center;">{{labels.vatRate}}</th>{{/if}}
+        <th style="padding:6px 8px;text-align:right;">{{labels.amount}}</th>
+      </tr>
+    </thead>
+    <tbody>
+  {{#each lineItems}}<tr>
+    <td style="padding:4px 8px;">{{description}}</td>
+    <td style="padding:4px 8px;text-align:center;">{{quantity}}</td>
+    <td style="padding:4px 8px;text-align:right;">{{unitPrice}}</td>
+    {{#if lineColumns.discount}}<td style="padding:4px 8px;text-align:right;">{{discount}}</td>{{/if}}
+    {{#if lineColumns.vatRate}}<td style="padding:4px 8px;text-align:center;">{{vatRate}}</td>{{/if}}
+    <td style="padding:4px 8px;text-align:right;">{{amount}}</td>
+  </tr>{{/each}}
+  ${closing}
+    </tbody>
+  </table>`;
+
+// Single-project layout: the totals close whichever table comes last
+const TASK_TABLE = taskTable(`{{#unless lineItems}}${TOTALS}{{/unless}}`);
+const LINE_ITEM_TABLE = lineItemTable(TOTALS);
+
+// Consolidated invoices: one heading and table set per project, each closed
+// by its subtotal, then the invoice totals
+const GROUP_TASK_TABLE = taskTable(
+  `{{#unless lineItems}}${GROUP_SUBTOTAL}{{/unless}}`
+);
+const GROUPS = `{{#each groups}}
+  <p style="margin:18px 0 4px;font-weight:bold">{{name}}</p>
+  {{#if description}}<p style="margin:0 0 8px;">{{description}}</p>{{/if}}
+  {{#if showTasks}}${GROUP_TASK_TABLE}{{/if}}
+  {{#if lineItems}}${lineItemTable(GROUP_SUBTOTAL)}{{/if}}
+  {{/each}}
+  <table width="100%" style="border-collapse:collapse;border:1px solid #ccc;margin-top:18px;">
+    <tbody>
+  ${TOTALS}
+    </tbody>
+  </table>`;
+
+export const DEFAULT_INVOICE_TEMPLATE = `<!doctype html><html><head><meta charset="utf-8"><title>{{title}} {{invoiceNo}}</title></head><body style="font-family:Arial,sans-serif;font-size:14px;color:#222;line-height:1.4;">
+  ${HEADER}
+  <h3 style="margin:2rem 0 4px;">{{title}} {{invoiceNo}}</h3>
+  <small>{{labels.date}}: {{invoiceDate}}</small>
+  {{#if dueDate}}<br><small>{{labels.dueDate}}: {{dueDate}}</small>{{/if}}
+  {{#if reference}}<br><small>{{reference}}</small>{{/if}}
+  {{#if reason}}<p style="margin:12px 0 0;">{{reason}}</p>{{/if}}
+  <p style="margin:24px 0 8px;font-weight:bold">{{project.name}}</p>
+  {{#if project.description}}<p style="margin:0 0 12px;">{{project.description}}</p>{{/if}}
+  {{#if groups}}${GROUPS}{{else}}{{#if showTasks}}${TASK_TABLE}{{/if}}
+  {{#if lineItems}}${LINE_ITEM_TABLE}{{/if}}{{/if}}
+  {{#if vatNote}}<p style="margin:12px 0 0;">{{vatNote}}</p>{{/if}}
+  {{#if notes}}<pre style="margin-top:18px;padding:12px;background:#f9f9f9;border:1px solid #eee;white-space:pre-wrap;">{{notes}}</pre>{{/if}}
+  {{#if paymentQr}}<table style="margin-top:18px;">
+    <tr>
+      <td valign="middle"><img src="{{paymentQr}}" alt="GiroCode" width="110" height="110"></td>
+      <td valign="middle" style="padding-left:12px;color:#666;font-size:12px;">{{labels.paymentQr}}</td>
+    </tr>
+  </table>{{/if}}
+
+  ${FOOTER}
+  </body></html>`;
+
+// Dunning letters are not user-editable; they share the invoice header and footer
+export const REMINDER_TEMPLATE = `<!doctype html><html><head><meta charset="utf-8"><title>{{title}} {{invoice.number}}</title></head><body style="font-family:Arial,sans-serif;font-size:14px;color:#222;line-height:1.4;">
+  ${HEADER}
+  <h3 style="margin:2rem 0 4px;">{{title}}</h3>
+  <small>{{labels.date}}: {{noticeDate}}</small>
+  <p style="margin:24px 0 12px;">{{greeting}}</p>
+  <p style="margin:0 0 12px;">{{intro}}</p>
+  <table width="100%" style="border-collapse:collapse;border:1px solid #ccc;">
+    <thead>
+      <tr style="background:#f5f5f5;">
+        <th style="padding:6px 8px;text-align:left;">{{labels.invoiceNo}}</th>
+        <th style="padding:6px 8px;text-align:left;">{{labels.invoiceDate}}</th>
+        <th style="padding:6px 8px;text-align:left;">{{labels.dueDate}}</th>
+        <th style="padding:6px 8px;text-align:right;">{{labels.openAmount}}</th>
+      </tr>
+    </thead>
+    <tbody>
+      <tr>
+        <td style="padding:6px 8px;">{{invoice.number}}</td>
+        <td style="padding:6px 8px;">{{invoice.date}}</td>
+        <td style="padding:6px 8px;">{{invoice.dueDate}}</td>
+        <td style="padding:6px 8px;text-align:right;">{{invoice.balance}}</td>
+      </tr>
+      {{#each sumRows}}<tr><td colspan="3" style="padding:6px 8px;text-align:right;font-weight:bold;">{{label}}</td><td style="padding:6px 8px;text-align:right;{{#if bold}}font-weight:bold;{{/if}}">{{amount}}</td></tr>{{/each}}
+    </tbody>
+  </table>
+  <p style="margin:12px 0 0;">{{payBy}}</p>
+  <p style="margin:12px 0 0;">{{alreadyPaid}}</p>
+  ${FOOTER}
+  </body></html>`;
@@ -0,0 +1,445 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { toCamelCase } from './camel-case.js';
+import { formatDecimal, formatMoney } from './currency.js';
+import {
+  buildInvoiceFooter,
+  customerAddressLines,
+  formatISODate,
+  invoiceLocale,
+  parseDate,
+  sellerView
+} from './invoice.js';
+import { loadLogoDataUrl } from './invoice-templates.js';
+import { openSnapshot } from './issued-invoices.js';
+import { REMINDER_TEMPLATE } from './default-invoice-template.js';
+import { renderTemplate } from './template.js';
+import { mailFrom, sendMail } from './mailer.js';
+import { BALANCE_COLUMNS, openBalance } from './payments.js';
+import { formatDate, translator } from './i18n.js';
+import { httpError } from './errors.js';
+import { roundMoney, sumMoney } from './money.js';
+
+// Friendly reminder, 1st and 2nd Mahnung; days count from the invoice due date
+export const DEFAULT_DUNNING_LEVELS = [
+  { level: 1, days_after_due: 7, fee: 0, interest_rate: 0, payment_days: 7 },
+  { level: 2, days_after_due: 21, fee: 5, interest_rate: 0, payment_days: 7 },
+  { level: 3, days_after_due: 35, fee: 10, interest_rate: 0, payment_days: 7 }
+];
+
+// Catalogs carry titles and intros for three levels; later levels reuse the
+// last ones
+const LEVEL_TEXTS = 3;
+
+const levelText = (key, level, d) =>
+  d(`${key}.${Math.min(level.level, LEVEL_TEXTS) - 1}`);
+
+// Custom level names win over the catalog titles
+const levelTitle = (level, d) => level.name || levelText('titles', level, d);
+
+const daysBetween = (from, to) =>
+  Math.round(
+    (parseDate(formatISODate(to)) - parseDate(formatISODate(from))) / 86400000
+  );
+
+// Simple annual interest on the open balance from the due date to `today`
+export const interestFor = (balance, rate, dueDate, today) =>
+  roundMoney(
+    (balance * Number(rate || 0) * Math.max(0, daysBetween(dueDate, today))) /
+      100 /
+      365
+  );
+
+// A user's levels ordered by level, created with defaults on first use
+export async function getDunningLevels(userId, db = getDatabase()) {
+  const select =
+    'SELECT * FROM dunning_levels WHERE user_id = $1 ORDER BY level ASC';
+  const levels = (await db.query(select, [userId])).rows;
+  if (levels.length > 0) return levels;
+  for (const l of DEFAULT_DUNNING_LEVELS) {
+    await db.query(
+      `INSERT INTO dunning_levels (user_id, level, days_after_due, fee, interest_rate, payment_days)
+  VALUES ($1, $2, $3, $4, $5, $6)
+  ON CONFLICT (user_id, level) DO NOTHING`,
+      [
+        userId,
+        l.level,
+        l.days_after_due,
+        l.fee,
+        l.interest_rate,
+        l.payment_days
+      ]
+    );
+  }
+  return (await db.query(select, [userId])).rows;
+}
+
+const isWholeNumber = (v, min, max) =>
+  Number.isInteger(Number(v)) && Number(v) >= min && Number(v) <= max;
+
+/**
+ * Replace a user's levels. Each entry: { name?, daysAfterDue, fee?,
+ * interestRate?, paymentDays? }; levels are numbered in array order and
+ * must escalate (increasing daysAfterDue).
+ */
+export async function replaceDunningLevels(userId, levels) {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw httpError(400, 'DUNNING_LEVELS_REQUIRED');
+  }
+  levels.forEach((l, i) => {
+    if (!isWholeNumber(l.daysAfterDue, 0, 365)) {
+      throw httpError(400, 'DUNNING_LEVEL_INVALID', {
+        level: i + 1,
+        field: 'daysAfterDue'
+      });
+    }
+    if (i > 0 && Number(l.daysAfterDue) <= Number(levels[i - 1].daysAfterDue)) {
+      throw httpError(400, 'DUNNING_LEVEL_ORDER', { level: i + 1 });
+    }
+    if (!(Number(l.fee || 0) >= 0)) {
+      throw httpError(400, 'DUNNING_LEVEL_INVALID', {
+        level: i + 1,
+        field: 'fee'
+      });
+    }
+    const rate = Number(l.interestRate || 0);
+    if (!(rate >= 0 && rate <= 100)) {
+      throw httpError(400, 'DUNNING_LEVEL_INVALID', {
+        level: i + 1,
+        field: 'interestRate'
+      });
+    }
+    if (l.paymentDays != null && !isWholeNumber(l.paymentDays, 0, 365)) {
+      throw httpError(400, 'DUNNING_LEVEL_INVALID', {
+        level: i + 1,
+        field: 'paymentDays'
+      });
+    }
+  });
+
+  return withTransaction(async (client) => {
+    await client.query('DELETE FROM dunning_levels WHERE user_id = $1', [
+      userId
+    ]);
+    for (const [i, l] of levels.entries()) {
+      await client.query(
+        `INSERT INTO dunning_levels (user_id, level, name, days_after_due, fee, interest_rate, payment_days)
+  VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          userId,
+          i + 1,
+          l.name || null,
+          Number(l.daysAfterDue),
+          Number(l.fee || 0),
+          Number(l.interestRate || 0),
+          l.paymentDays == null ? 7 : Number(l.paymentDays)
+        ]
+      );
+    }
+    return getDunningLevels(userId, client);
+  });
+}
+
+/**
+ * Reminder letter for an issued invoice, sharing header and footer with the
+ * default invoice template. `invoice` is the invoices row (with snapshot),
+ * `notice` the computed amounts (snake_case, as stored in dunning_notices).
+ */
+export function renderReminderHtml(invoice, level, notice, { logo = '' } = {}) {
+  const {
+    user = {},
+    customer = {},
+    decryptedIban
+  } = toCamelCase(openSnapshot(invoice.snapshot));
+  const locale = invoiceLocale(user, customer);
+  const t = translator(locale, 'invoice');
+  const mail = translator(locale, 'mail');
+  const d = translator(locale, 'dunning');
+  const money = (amount) => formatMoney(amount, invoice.currency, locale);
+  const sumRows = [];
+  if (Number(notice.fee) > 0) {
+    sumRows.push({ label: d('fees'), amount: money(notice.fee), bold: false });
+  }
+  if (Number(notice.interest) > 0) {
+    sumRows.push({
+      label: d('interest', {
+        rate: formatDecimal(level.interest_rate, locale)
+      }),
+      amount: money(notice.interest),
+      bold: false
+    });
+  }
+  sumRows.push({
+    label: d('amountDue'),
+    amount: money(notice.total),
+    bold: true
+  });
+
+  return renderTemplate(REMINDER_TEMPLATE, {
+    title: levelTitle(level, d),
+    logo,
+    labels: {
+      date: t('date'),
+      invoiceNo: d('invoiceNo'),
+      invoiceDate: d('invoiceDate'),
+      dueDate: d('dueDate'),
+      openAmount: d('openAmount')
+    },
+    seller: sellerView(user),
+    customer: { addressLines: customerAddressLines(customer), vatId: '' },
+    noticeDate: formatDate(parseDate(notice.notice_date), locale),
+    greeting: customer.contactPerson
+      ? mail('greeting', { name: customer.contactPerson })
+      : mail('greetingAnonymous'),
+    intro: levelText('intros', level, d),
+    invoice: {
+      number: invoice.invoice_number,
+      date: formatDate(parseDate(invoice.invoice_date), locale),
+      dueDate: formatDate(parseDate(invoice.due_date), locale),
+      balance: money(notice.balance)
+    },
+    sumRows,
+    payBy: d('payBy', {
+      date: formatDate(parseDate(notice.payment_due), locale)
+    }),
+    alreadyPaid: d('alreadyPaid'),
+    footer: buildInvoiceFooter({ user, decryptedIban }, t)
+  });
+}
+
+// Invoices past due that are still (partly) unpaid, with their last reminder
+async function selectOverdueInvoices(db, { userId, invoiceId, today }) {
+  const where = [
+    "i.document_type = 'invoice'",
+    "i.status IN ('sent', 'partially_paid')",
+    'i.due_date < $1'
+  ];
+  const params = [formatISODate(today)];
+  if (userId) {
+    params.push(userId);
+    where.push(`i.user_id = $${params.length}`);
+  }
+  if (invoiceId) {
+    params.push(invoiceId);
+    where.push(`i.id = $${params.length}`);
+  }
+  return (
+    await db.query(
+      `SELECT i.*, ${BALANCE_COLUMNS},
+          COALESCE((SELECT MAX(n.level) FROM dunning_notices n WHERE n.invoice_id = i.id), 0) AS last_level,
+          COALESCE((SELECT SUM(n.fee) FROM dunning_notices n WHERE n.invoice_id = i.id), 0) AS fees_charged,
+          (SELECT MAX(n.payment_due) FROM dunning_notices n WHERE n.invoice_id = i.id) AS last_payment_due
+   FROM invoices i
+   WHERE ${where.join(' AND ')}
+   ORDER BY i.user_id, i.due_date, i.id`,
+      params
+    )
+  ).rows;
+}
+
+async function emailReminder(db, invoice, level, notice) {
+  const user = (
+    await db.query('SELECT email FROM users WHERE id = $1', [invoice.user_id])
+  ).rows[0];
+  const customer = (
+    await db.query('SELECT email FROM customers WHERE id = $1', [
+      invoice.customer_id
+    ])
+  ).rows[0];
+  const to = customer?.email || invoice.buyer?.email;
+  if (!to) return null;
+  const snapshotUser = invoice.snapshot.user || {};
+  const locale = invoiceLocale(snapshotUser, invoice.snapshot.customer);
+  const title = levelTitle(level, translator(locale, 'dunning'));
+  const document = translator(locale, 'invoice')('invoice');
+  const sender =
+    snapshotUser.company_name ||
+    [snapshotUser.first_name, snapshotUser.last_name].filter(Boolean).join(' ');
+  await sendMail({
+    from: mailFrom(sender, user.email),
+    replyTo: user.email,
+    to,
+    subject: `${title}: ${document} ${invoice.invoice_number}`,
+    html: notice.html
+  });
+  return (
+    await db.query(
+      `UPDATE dunning_notices SET emailed_at = CURRENT_TIMESTAMP, recipient = $1
+   WHERE id = $2 RETURNING *`,
+      [to, notice.id]
+    )
+  ).rows[0];
+}
+
+/**
+ * Level the next reminder for `invoice` (a selectOverdueInvoices row) is due
+ * at on `today`, or null. Besides its days-after-due offset, a level waits
+ * until the payment deadline of the previous notice has passed, so an invoice
+ * that is long overdue when dunning starts (or after downtime) escalates one
+ * level per deadline rather than once per run.
+ */
+export function nextDunningLevel(levels, invoice, today) {
+  const level = levels.find((l) => l.level > Number(invoice.last_level));
+  if (!level) return null;
+  if (daysBetween(invoice.due_date, today) < level.days_after_due) return null;
+  if (
+    invoice.last_payment_due &&
+    daysBetween(invoice.last_payment_due, today) <= 0
+  ) {
+    return null;
+  }
+  return level;
+}
+
+/**
+ * Create the next reminder for one invoice inside a transaction. The invoice
+ * row is locked so the scheduler and a manual request cannot both escalate.
+ * With `force`, the next level is issued without waiting for its
+ * days-after-due offset or the previous notice's payment deadline.
+ */
+async function issueNextReminder(
+  client,
+  invoiceId,
+  { today, force = false } = {}
+) {
+  await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [
+    invoiceId
+  ]);
+  const [invoice] = await selectOverdueInvoices(client, { invoiceId, today });
+  if (!invoice) return null;
+  const balance = openBalance(invoice);
+  if (balance <= 0) return null;
+
+  const levels = await getDunningLevels(invoice.user_id, client);
+  const level = force
+    ? levels.find((l) => l.level > Number(invoice.last_level))
+    : nextDunningLevel(levels, invoice, today);
+  if (!level) return null;
+
+  const fee = sumMoney([invoice.fees_charged, level.fee]);
+  const interest = interestFor(
+    balance,
+    level.interest_rate,
+    invoice.due_date,
+    today
+  );
+  const paymentDue = new Date(parseDate(formatISODate(today)));
+  paymentDue.setDate(paymentDue.getDate() + Number(level.payment_days));
+  const notice = {
+    notice_date: formatISODate(today),
+    payment_due: formatISODate(paymentDue),
+    balance,
+    fee: Number(level.fee),
+    interest,
+    total: sumMoney([balance, fee, interest])
+  };
+  const html = renderReminderHtml(
+    invoice,
+    level,
+    { ...notice, fee },
+    { logo: await loadLogoDataUrl(invoice.user_id, client) }
+  );
+
+  const row = (
+    await client.query(
+      `INSERT INTO dunning_notices (
+    user_id, invoice_id, level, notice_date, payment_due, balance, fee, interest, total, html
+  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+  RETURNING *`,
+      [
+        invoice.user_id,
+        invoice.id,
+        level.level,
+        notice.notice_date,
+        notice.payment_due,
+        notice.balance,
+        notice.fee,
+        notice.interest,
+        notice.total,
+        html
+      ]
+    )
+  ).rows[0];
+  return { invoice, level, notice: row };
+}
+
+async function deliver(result, send) {
+  if (!send) return result.notice;
+  try {
+    return (
+      (await emailReminder(
+        getDatabase(),
+        result.invoice,
+        result.level,
+        result.notice
+      )) || result.notice
+    );
+  } catch (e) {
+    console.error(
+      `Failed to email reminder for invoice ${result.invoice.invoice_number}`,
+      e
+    );
+    return result.notice;
+  }
+}
+
+/**
+ * Manually send the next reminder for an overdue invoice, regardless of the
+ * level's days-after-due offset and the previous notice's payment deadline.
+ */
+export async function createReminder({
+  userId,
+  invoiceId,
+  send = false,
+  today = new Date()
+}) {
+  const invoice = (
+    await getDatabase().query(
+      `SELECT i.*, ${BALANCE_COLUMNS} FROM invoices i
+   WHERE i.id = $1 AND i.user_id = $2 AND i.document_type = 'invoice'`,
+      [invoiceId, userId]
+    )
+  ).rows[0];
+  if (!invoice) throw httpError(404, 'INVOICE_NOT_FOUND');
+  if (!['sent', 'partially_paid'].includes(invoice.status)) {
+    throw httpError(409, 'INVOICE_NOT_OPEN');
+  }
+  if (!invoice.due_date || daysBetween(invoice.due_date, today) <= 0) {
+    throw httpError(409, 'INVOICE_NOT_OVERDUE');
+  }
+
+  const result = await withTransaction((client) =>
+    issueNextReminder(client, invoice.id, { today, force: true })
+  );
+  if (!result) throw httpError(409, 'DUNNING_COMPLETE');
+  return deliver(result, send);
+}
+
+/**
+ * Scheduler entry point: escalate every overdue invoice whose next level is
+ * due. Limited to one user when `userId` is given. Returns the new notices.
+ */
+export async function runDunning({
+  userId,
+  today = new Date(),
+  send = process.env.DUNNING_SEND_EMAIL === 'true'
+} = {}) {
+  const candidates = await selectOverdueInvoices(getDatabase(), {
+    userId,
+    today
+  });
+  const created = [];
+  for (const candidate of candidates) {
+    try {
+      const result = await withTransaction((client) =>
+        issueNextReminder(client, candidate.id, { today })
+      );
+      if (result) created.push(await deliver(result, send));
+    } catch (e) {
+      console.error(
+        `Dunning failed for invoice ${candidate.invoice_number}`,
+        e
+      );
+    }
+  }
+  return created;
+}
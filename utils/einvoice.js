@@ -0,0 +1,627 @@
+import { toCamelCase } from './camel-case.js';
+import { formatISODate, parseDate } from './invoice.js';
+import { lineItemAmounts, lineItemsTotal } from './line-items.js';
+import { taskAmount, taskHours, taskRate } from './rates.js';
+import { percentOf, roundMoney, sumMoney } from './money.js';
+import { computeVat, countryCode } from './vat.js';
+import { ApiError } from './errors.js';
+
+// EN 16931 VAT category codes (UNTDID 5305)
+const VAT_CATEGORY = {
+  standard: 'S',
+  reverse_charge: 'AE',
+  exempt: 'E'
+};
+
+const EXEMPTION_REASONS = {
+  AE: 'Reverse charge',
+  E: 'Kleinunternehmer gemäß § 19 UStG'
+};
+
+// UN/ECE Recommendation 20 unit codes
+const UNIT_HOUR = 'HUR';
+const UNIT_PIECE = 'C62';
+
+// Free-text line item units users commonly type; anything else counts pieces
+const UNIT_CODES = {
+  HUR: ['h', 'hr', 'hrs', 'hour', 'hours', 'std', 'std.', 'stunde', 'stunden'],
+  DAY: ['d', 'day', 'days', 'tag', 'tage'],
+  MON: ['month', 'months', 'monat', 'monate'],
+  KMT: ['km'],
+  MTR: ['m'],
+  KGM: ['kg'],
+  LTR: ['l', 'liter', 'litre'],
+  LS: ['flat', 'lump sum', 'pauschal', 'pauschale']
+};
+
+const unitCode = (unit) => {
+  const u = String(unit || '')
+    .trim()
+    .toLowerCase();
+  return (
+    Object.keys(UNIT_CODES).find((code) => UNIT_CODES[code].includes(u)) ||
+    UNIT_PIECE
+  );
+};
+
+export class EInvoiceValidationError extends ApiError {
+  constructor(missing) {
+    super(422, 'EINVOICE_INCOMPLETE', { fields: missing }, { missing });
+    this.name = 'EInvoiceValidationError';
+    this.missing = missing;
+  }
+}
+
+const amount = (n) => roundMoney(n).toFixed(2);
+// Hours and units keep the three decimals of line_items.quantity
+const quantity = (n) => String(Number(Number(n).toFixed(3)));
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// <tag attr="...">value</tag>, omitted entirely when value is empty
+const el = (tag, value, attrs = {}) => {
+  if (value === undefined || value === null || value === '') return '';
+  const attrString = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join('');
+  return `<${tag}${attrString}>${escapeXml(value)}</${tag}>`;
+};
+
+// Container element, omitted when it would be empty
+const wrap = (tag, ...children) => {
+  const inner = children.filter(Boolean).join('');
+  return inner ? `<${tag}>${inner}</${tag}>` : '';
+};
+
+const personName = (first, last) => [first, last].filter(Boolean).join(' ');
+
+/**
+ * Map a buildInvoiceData()-shaped object (or an issued invoice snapshot) to a
+ * syntax-neutral EN 16931 model. Credit notes carry positive amounts; the
+ * document type expresses the direction.
+ */
+export function buildEInvoiceModel(data, { invoiceNo, invoiceDate } = {}) {
+  const { documentType = 'invoice', referenceNo = '', reason = '' } = data;
+  const { user = {}, customer = {}, project = {} } = toCamelCase(data);
+  const tasks = toCamelCase(data.tasks) || [];
+  const vat = computeVat(data);
+  const category = VAT_CATEGORY[vat.treatment];
+  const categoryFor = (rate) =>
+    category === 'S' && Number(rate) === 0 ? 'Z' : category;
+
+  const lines = data.isFixed
+    ? [
+        {
+          id: '1',
+          name: project.name || invoiceNo,
+          description: reason || project.description || '',
+          quantity: 1,
+          unitCode: UNIT_PIECE,
+          unitPrice: sumMoney([data.subtotal, -lineItemsTotal(data.lineItems)]),
+          net: sumMoney([data.subtotal, -lineItemsTotal(data.lineItems)]),
+          vatRate: vat.defaultRate
+        }
+      ]
+    : tasks.map((task, i) => {
+        return {
+          id: String(i + 1),
+          name: task.name,
+          description: '',
+          quantity: taskHours(task),
+          unitCode: UNIT_HOUR,
+          unitPrice: roundMoney(taskRate(task, project)),
+          net: taskAmount(task, project),
+          vatRate: vat.lineRates[i]
+        };
+      });
+  // Line item discounts become line allowances (BG-27): net = qty × price - allowance
+  (data.lineItems || []).forEach((row, i) => {
+    const item = toCamelCase(row);
+    const amounts = lineItemAmounts(row);
+    // Prices may not be negative (BR-27); rebates use a negative quantity
+    const flip = Number(item.unitPrice) < 0 ? -1 : 1;
+    lines.push({
+      id: String(lines.length + 1),
+      name: item.description,
+      description: '',
+      quantity: flip * Number(item.quantity || 0),
+      unitCode: unitCode(item.unit),
+      unitPrice: roundMoney(flip * item.unitPrice),
+      net: amounts.net,
+      allowance: amounts.discount,
+      vatRate: vat.lineItemRates[i]
+    });
+  });
+  lines.forEach((line) => (line.vatCategory = categoryFor(line.vatRate)));
+
+  // Tax subtotals are computed from the rounded line amounts so that the
+  // EN 16931 sum rules (BR-CO-*) hold exactly
+  const groups = new Map();
+  for (const line of lines) {
+    const key = `${line.vatCategory}:${line.vatRate}`;
+    const group = groups.get(key) || {
+      category: line.vatCategory,
+      rate: Number(line.vatRate),
+      taxable: 0
+    };
+    group.taxable = sumMoney([group.taxable, line.net]);
+    groups.set(key, group);
+  }
+  const taxes = [...groups.values()].map((g) => ({
+    ...g,
+    amount: percentOf(g.taxable, g.rate),
+    exemptionReason: EXEMPTION_REASONS[g.category] || ''
+  }));
+
+  const lineTotal = sumMoney(lines.map((l) => l.net));
+  const taxTotal = sumMoney(taxes.map((t) => t.amount));
+
+  return {
+    number: invoiceNo || '',
+    issueDate: invoiceDate ? formatISODate(invoiceDate) : '',
+    dueDate: data.dueDate ? formatISODate(parseDate(data.dueDate)) : '',
+    typeCode: documentType === 'credit_note' ? '381' : '380',
+    isCreditNote: documentType === 'credit_note',
+    referenceNo,
+    currency: data.currency || 'EUR',
+    buyerReference: customer.buyerReference || '',
+    note: user.invoiceNotes || '',
+    seller: {
+      name: user.companyName || '',
+      street: [user.companyStreet, user.companyNumber]
+        .filter(Boolean)
+        .join(' '),
+      city: user.companyCity || '',
+      postalCode: user.companyPostalCode || '',
+      country: user.companyCountry || '',
+      countryCode: countryCode(user.companyCountry),
+      vatId: user.companyVatId || '',
+      taxNumber: user.taxNumber || '',
+      contactName: personName(user.firstName, user.lastName),
+      phone: user.companyPhone || '',
+      email: user.email || ''
+    },
+    buyer: {
+      name: customer.name || '',
+      street: [customer.billingStreet, customer.billingNumber]
+        .filter(Boolean)
+        .join(' '),
+      city: customer.billingCity || '',
+      postalCode: customer.billingPostalCode || '',
+      country: customer.billingCountry || '',
+      countryCode: countryCode(customer.billingCountry),
+      vatId: customer.vatNumber || '',
+      contactName: customer.contactPerson || '',
+      email: customer.email || ''
+    },
+    payment: {
+      iban: (data.decryptedIban || '').replace(/\s+/g, ''),
+      bic: user.bankBic || '',
+      bankName: user.bankName || ''
+    },
+    lines,
+    taxes,
+    totals: {
+      lineTotal,
+      taxExclusive: lineTotal,
+      taxTotal,
+      taxInclusive: sumMoney([lineTotal, taxTotal]),
+      payable: sumMoney([lineTotal, taxTotal])
+    }
+  };
+}
+
+/**
+ * Required-field check. `xrechnung` adds the German CIUS rules (BR-DE-*) on
+ * top of the EN 16931 core. Returns the list of missing field paths.
+ */
+export function validateEInvoice(model, { profile = 'en16931' } = {}) {
+  const missing = [];
+  const need = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      missing.push(field);
+    }
+  };
+  need(model.number, 'invoiceNumber');
+  need(model.issueDate, 'invoiceDate');
+  need(model.currency, 'currency');
+  need(model.seller.name, 'seller.companyName');
+  need(model.seller.country, 'seller.companyCountry');
+  need(model.buyer.name, 'buyer.name');
+  need(model.buyer.country, 'buyer.billingCountry');
+  if (model.lines.length === 0) missing.push('lines');
+  if (model.isCreditNote) need(model.referenceNo, 'referenceNo');
+
+  const categories = new Set(model.taxes.map((t) => t.category));
+  if (categories.has('S') || categories.has('Z') || categories.has('AE')) {
+    need(model.seller.vatId, 'seller.companyVatId');
+  } else if (!model.seller.vatId) {
+    need(model.seller.taxNumber, 'seller.taxNumber');
+  }
+  if (categories.has('AE')) need(model.buyer.vatId, 'buyer.vatNumber');
+
+  if (profile === 'xrechnung') {
+    need(model.buyerReference, 'buyer.buyerReference');
+    need(model.seller.street, 'seller.companyStreet');
+    need(model.seller.city, 'seller.companyCity');
+    need(model.seller.postalCode, 'seller.companyPostalCode');
+    need(model.seller.contactName, 'seller.contactName');
+    need(model.seller.phone, 'seller.companyPhone');
+    need(model.seller.email, 'seller.email');
+    need(model.buyer.city, 'buyer.billingCity');
+    need(model.buyer.postalCode, 'buyer.billingPostalCode');
+    need(model.buyer.email, 'buyer.email');
+    need(model.payment.iban, 'payment.iban');
+  }
+  return missing;
+}
+
+const assertValid = (model, profile) => {
+  // A country that is filled in but not recognized is not missing
+  for (const [party, field] of [
+    [model.seller, 'seller.companyCountry'],
+    [model.buyer, 'buyer.billingCountry']
+  ]) {
+    if (party.country && !party.countryCode) {
+      throw new ApiError(
+        422,
+        'EINVOICE_COUNTRY_UNKNOWN',
+        { field, country: party.country },
+        { field, country: party.country }
+      );
+    }
+  }
+  const missing = validateEInvoice(model, { profile });
+  if (missing.length > 0) throw new EInvoiceValidationError(missing);
+};
+
+// ---------- UBL 2.1 (XRechnung) ----------
+
+const ublParty = (party, { isSeller }) =>
+  wrap(
+    'cac:Party',
+    el('cbc:EndpointID', party.email, { schemeID: 'EM' }),
+    wrap(
+      'cac:PostalAddress',
+      el('cbc:StreetName', party.street),
+      el('cbc:CityName', party.city),
+      el('cbc:PostalZone', party.postalCode),
+      wrap('cac:Country', el('cbc:IdentificationCode', party.countryCode))
+    ),
+    party.vatId
+      ? wrap(
+          'cac:PartyTaxScheme',
+          el('cbc:CompanyID', party.vatId),
+          wrap('cac:TaxScheme', el('cbc:ID', 'VAT'))
+        )
+      : '',
+    isSeller && party.taxNumber
+      ? wrap(
+          'cac:PartyTaxScheme',
+          el('cbc:CompanyID', party.taxNumber),
+          wrap('cac:TaxScheme', el('cbc:ID', 'FC'))
+        )
+      : '',
+    wrap('cac:PartyLegalEntity', el('cbc:RegistrationName', party.name)),
+    wrap(
+      'cac:Contact',
+      el('cbc:Name', party.contactName),
+      el('cbc:Telephone', party.phone),
+      el('cbc:ElectronicMail', party.email)
+    )
+  );
+
+const ublTaxCategory = (tag, category, rate, exemptionReason) =>
+  wrap(
+    tag,
+    el('cbc:ID', category),
+    el('cbc:Percent', quantity(rate)),
+    el('cbc:TaxExemptionReason', exemptionReason),
+    wrap('cac:TaxScheme', el('cbc:ID', 'VAT'))
+  );
+
+export function renderUbl(model) {
+  assertValid(model, 'xrechnung');
+  const root = model.isCreditNote ? 'CreditNote' : 'Invoice';
+  const cur = { currencyID: model.currency };
+  const lineTag = model.isCreditNote ? 'cac:CreditNoteLine' : 'cac:InvoiceLine';
+  const qtyTag = model.isCreditNote
+    ? 'cbc:CreditedQuantity'
+    : 'cbc:InvoicedQuantity';
+
+  const lines = model.lines
+    .map((line) =>
+      wrap(
+        lineTag,
+        el('cbc:ID', line.id),
+        el(qtyTag, quantity(line.quantity), { unitCode: line.unitCode }),
+        el('cbc:LineExtensionAmount', amount(line.net), cur),
+        line.allowance
+          ? wrap(
+              'cac:AllowanceCharge',
+              el('cbc:ChargeIndicator', 'false'),
+              el('cbc:AllowanceChargeReason', 'Discount'),
+              el('cbc:Amount', amount(line.allowance), cur)
+            )
+          : '',
+        wrap(
+          'cac:Item',
+          el('cbc:Description', line.description),
+          el('cbc:Name', line.name),
+          ublTaxCategory(
+            'cac:ClassifiedTaxCategory',
+            line.vatCategory,
+            line.vatRate
+          )
+        ),
+        wrap('cac:Price', el('cbc:PriceAmount', amount(line.unitPrice), cur))
+      )
+    )
+    .join('');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ubl:${root} xmlns:ubl="urn:oasis:names:specification:ubl:schema:xsd:${root}-2" xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2" xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">`,
+    el(
+      'cbc:CustomizationID',
+      'urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0'
+    ),
+    el('cbc:ProfileID', 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0'),
+    el('cbc:ID', model.number),
+    el('cbc:IssueDate', model.issueDate),
+    model.isCreditNote ? '' : el('cbc:DueDate', model.dueDate),
+    el(
+      model.isCreditNote ? 'cbc:CreditNoteTypeCode' : 'cbc:InvoiceTypeCode',
+      model.typeCode
+    ),
+    el('cbc:Note', model.note),
+    el('cbc:DocumentCurrencyCode', model.currency),
+    el('cbc:BuyerReference', model.buyerReference),
+    model.referenceNo
+      ? wrap(
+          'cac:BillingReference',
+          wrap('cac:InvoiceDocumentReference', el('cbc:ID', model.referenceNo))
+        )
+      : '',
+    wrap(
+      'cac:AccountingSupplierParty',
+      ublParty(model.seller, { isSeller: true })
+    ),
+    wrap(
+      'cac:AccountingCustomerParty',
+      ublParty(model.buyer, { isSeller: false })
+    ),
+    model.payment.iban
+      ? wrap(
+          'cac:PaymentMeans',
+          el('cbc:PaymentMeansCode', '58'),
+          el('cbc:PaymentID', model.number),
+          wrap(
+            'cac:PayeeFinancialAccount',
+            el('cbc:ID', model.payment.iban),
+            el('cbc:Name', model.payment.bankName),
+            wrap(
+              'cac:FinancialInstitutionBranch',
+              el('cbc:ID', model.payment.bic)
+            )
+          )
+        )
+      : '',
+    wrap(
+      'cac:TaxTotal',
+      el('cbc:TaxAmount', amount(model.totals.taxTotal), cur),
+      ...model.taxes.map((tax) =>
+        wrap(
+          'cac:TaxSubtotal',
+          el('cbc:TaxableAmount', amount(tax.taxable), cur),
+          el('cbc:TaxAmount', amount(tax.amount), cur),
+          ublTaxCategory(
+            'cac:TaxCategory',
+            tax.category,
+            tax.rate,
+            tax.exemptionReason
+          )
+        )
+      )
+    ),
+    wrap(
+      'cac:LegalMonetaryTotal',
+      el('cbc:LineExtensionAmount', amount(model.totals.lineTotal), cur),
+      el('cbc:TaxExclusiveAmount', amount(model.totals.taxExclusive), cur),
+      el('cbc:TaxInclusiveAmount', amount(model.totals.taxInclusive), cur),
+      el('cbc:PayableAmount', amount(model.totals.payable), cur)
+    ),
+    lines,
+    `</ubl:${root}>`
+  ].join('');
+}
+
+// ---------- UN/CEFACT CII D16B (ZUGFeRD / Factur-X EN 16931) ----------
+
+const ciiDate = (isoDate) =>
+  el('udt:DateTimeString', isoDate.replace(/-/g, ''), { format: '102' });
+
+const ciiParty = (tag, party) =>
+  wrap(
+    tag,
+    el('ram:Name', party.name),
+    party.contactName || party.phone || party.email
+      ? wrap(
+          'ram:DefinedTradeContact',
+          el('ram:PersonName', party.contactName),
+          wrap(
+            'ram:TelephoneUniversalCommunication',
+            el('ram:CompleteNumber', party.phone)
+          ),
+          wrap(
+            'ram:EmailURIUniversalCommunication',
+            el('ram:URIID', party.email)
+          )
+        )
+      : '',
+    wrap(
+      'ram:PostalTradeAddress',
+      el('ram:PostcodeCode', party.postalCode),
+      el('ram:LineOne', party.street),
+      el('ram:CityName', party.city),
+      el('ram:CountryID', party.countryCode)
+    ),
+    wrap(
+      'ram:URIUniversalCommunication',
+      el('ram:URIID', party.email, { schemeID: 'EM' })
+    ),
+    party.taxNumber
+      ? wrap(
+          'ram:SpecifiedTaxRegistration',
+          el('ram:ID', party.taxNumber, { schemeID: 'FC' })
+        )
+      : '',
+    party.vatId
+      ? wrap(
+          'ram:SpecifiedTaxRegistration',
+          el('ram:ID', party.vatId, { schemeID: 'VA' })
+        )
+      : ''
+  );
+
+export function renderCii(model) {
+  assertValid(model, 'en16931');
+  const cur = { currencyID: model.currency };
+
+  const lines = model.lines
+    .map((line) =>
+      wrap(
+        'ram:IncludedSupplyChainTradeLineItem',
+        wrap('ram:AssociatedDocumentLineDocument', el('ram:LineID', line.id)),
+        wrap(
+          'ram:SpecifiedTradeProduct',
+          el('ram:Name', line.name),
+          el('ram:Description', line.description)
+        ),
+        wrap(
+          'ram:SpecifiedLineTradeAgreement',
+          wrap(
+            'ram:NetPriceProductTradePrice',
+            el('ram:ChargeAmount', amount(line.unitPrice))
+          )
+        ),
+        wrap(
+          'ram:SpecifiedLineTradeDelivery',
+          el('ram:BilledQuantity', quantity(line.quantity), {
+            unitCode: line.unitCode
+          })
+        ),
+        wrap(
+          'ram:SpecifiedLineTradeSettlement',
+          wrap(
+            'ram:ApplicableTradeTax',
+            el('ram:TypeCode', 'VAT'),
+            el('ram:CategoryCode', line.vatCategory),
+            el('ram:RateApplicablePercent', quantity(line.vatRate))
+          ),
+          line.allowance
+            ? wrap(
+                'ram:SpecifiedTradeAllowanceCharge',
+                wrap('ram:ChargeIndicator', el('udt:Indicator', 'false')),
+                el('ram:ActualAmount', amount(line.allowance)),
+                el('ram:Reason', 'Discount')
+              )
+            : '',
+          wrap(
+            'ram:SpecifiedTradeSettlementLineMonetarySummation',
+            el('ram:LineTotalAmount', amount(line.net))
+          )
+        )
+      )
+    )
+    .join('');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rsm:CrossIndustryInvoice xmlns:rsm="urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100" xmlns:ram="urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100" xmlns:qdt="urn:un:unece:uncefact:data:standard:QualifiedDataType:100" xmlns:udt="urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100">',
+    wrap(
+      'rsm:ExchangedDocumentContext',
+      wrap(
+        'ram:GuidelineSpecifiedDocumentContextParameter',
+        el('ram:ID', 'urn:cen.eu:en16931:2017')
+      )
+    ),
+    wrap(
+      'rsm:ExchangedDocument',
+      el('ram:ID', model.number),
+      el('ram:TypeCode', model.typeCode),
+      wrap('ram:IssueDateTime', ciiDate(model.issueDate)),
+      model.note ? wrap('ram:IncludedNote', el('ram:Content', model.note)) : ''
+    ),
+    wrap(
+      'rsm:SupplyChainTradeTransaction',
+      lines,
+      wrap(
+        'ram:ApplicableHeaderTradeAgreement',
+        el('ram:BuyerReference', model.buyerReference),
+        ciiParty('ram:SellerTradeParty', model.seller),
+        ciiParty('ram:BuyerTradeParty', model.buyer)
+      ),
+      '<ram:ApplicableHeaderTradeDelivery/>',
+      wrap(
+        'ram:ApplicableHeaderTradeSettlement',
+        el('ram:PaymentReference', model.number),
+        el('ram:InvoiceCurrencyCode', model.currency),
+        model.payment.iban
+          ? wrap(
+              'ram:SpecifiedTradeSettlementPaymentMeans',
+              el('ram:TypeCode', '58'),
+              wrap(
+                'ram:PayeePartyCreditorFinancialAccount',
+                el('ram:IBANID', model.payment.iban),
+                el('ram:AccountName', model.payment.bankName)
+              ),
+              wrap(
+                'ram:PayeeSpecifiedCreditorFinancialInstitution',
+                el('ram:BICID', model.payment.bic)
+              )
+            )
+          : '',
+        ...model.taxes.map((tax) =>
+          wrap(
+            'ram:ApplicableTradeTax',
+            el('ram:CalculatedAmount', amount(tax.amount)),
+            el('ram:TypeCode', 'VAT'),
+            el('ram:ExemptionReason', tax.exemptionReason),
+            el('ram:BasisAmount', amount(tax.taxable)),
+            el('ram:CategoryCode', tax.category),
+            el('ram:RateApplicablePercent', quantity(tax.rate))
+          )
+        ),
+        model.dueDate
+          ? wrap(
+              'ram:SpecifiedTradePaymentTerms',
+              wrap('ram:DueDateDateTime', ciiDate(model.dueDate))
+            )
+          : '',
+        wrap(
+          'ram:SpecifiedTradeSettlementHeaderMonetarySummation',
+          el('ram:LineTotalAmount', amount(model.totals.lineTotal)),
+          el('ram:TaxBasisTotalAmount', amount(model.totals.taxExclusive)),
+          el('ram:TaxTotalAmount', amount(model.totals.taxTotal), cur),
+          el('ram:GrandTotalAmount', amount(model.totals.taxInclusive)),
+          el('ram:DuePayableAmount', amount(model.totals.payable))
+        ),
+        model.referenceNo
+          ? wrap(
+              'ram:InvoiceReferencedDocument',
+              el('ram:IssuerAssignedID', model.referenceNo)
+            )
+          : ''
+      )
+    ),
+    '</rsm:CrossIndustryInvoice>'
+  ].join('');
+}
@@ -0,0 +1,117 @@
+import QRCode from 'qrcode';
+import { toCamelCase } from './camel-case.js';
+import { fromCents, toCents } from './money.js';
+
+// EPC069-12 ("GiroCode"): SEPA credit transfer data banking apps can scan.
+// Version 002 makes the BIC optional within the EEA; charset 1 is UTF-8.
+const EPC_HEADER = ['BCD', '002', '1', 'SCT'];
+const MAX_AMOUNT = 999999999.99;
+
+// The standard requires error correction level M and a 4-module quiet zone
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 4 };
+
+const IBAN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+const BIC = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+const compact = (value) =>
+  String(value || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+
+const clip = (value, max) =>
+  String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, max);
+
+/**
+ * EPC QR payload for a transfer of `amount` EUR, with `reference` as the
+ * unstructured remittance text. Returns null when no valid code can be
+ * built (no beneficiary name, invalid IBAN, amount out of range); an
+ * invalid BIC is left out.
+ */
+export function epcPayload({ name, iban, bic, amount, reference }) {
+  const beneficiary = clip(name, 70);
+  const account = compact(iban);
+  const cents = toCents(amount);
+  if (!beneficiary || !IBAN.test(account)) return null;
+  if (!(cents >= 1 && cents <= MAX_AMOUNT * 100)) return null;
+  const code = compact(bic);
+  return [
+    ...EPC_HEADER,
+    BIC.test(code) ? code : '',
+    beneficiary,
+    account,
+    `EUR${fromCents(cents).toFixed(2)}`,
+    // Purpose code and structured (RF) reference stay empty
+    '',
+    '',
+    clip(reference, 140)
+  ]
+    .join('\n')
+    .replace(/\n+$/, '');
+}
+
+/**
+ * Payload for paying an invoice: the seller's account, the gross amount and
+ * the invoice number as reference. Only EUR invoices (not credit notes) of
+ * sellers with an IBAN get one; null otherwise. `user` may be snake or
+ * camel case.
+ */
+export function invoicePaymentPayload({
+  user,
+  decryptedIban,
+  currency,
+  documentType = 'invoice',
+  total,
+  invoiceNo
+}) {
+  if (documentType !== 'invoice' || currency !== 'EUR' || !decryptedIban) {
+    return null;
+  }
+  const u = toCamelCase(user) || {};
+  return epcPayload({
+    name: u.companyName || [u.firstName, u.lastName].filter(Boolean).join(' '),
+    iban: decryptedIban,
+    bic: u.bankBic,
+    amount: total,
+    reference: invoiceNo
+  });
+}
+
+// Dark modules of the code: { size, isDark(x, y) }, quiet zone excluded
+export function qrMatrix(payload) {
+  const { modules } = QRCode.create(payload, QR_OPTIONS);
+  return {
+    size: modules.size,
+    isDark: (x, y) => !!modules.get(y, x)
+  };
+}
+
+/**
+ * Scalable SVG of the code; one path with a run of dark modules per
+ * segment keeps it small enough to inline.
+ */
+export function qrSvg(payload) {
+  const { size, isDark } = qrMatrix(payload);
+  const margin = QR_OPTIONS.margin;
+  const full = size + margin * 2;
+  let path = '';
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isDark(x, y)) continue;
+      let run = 1;
+      while (x + run < size && isDark(x + run, y)) run++;
+      path += `M${x + margin} ${y + margin}h${run}v1h-${run}z`;
+      x += run - 1;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges"><rect width="${full}" height="${full}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+export const qrSvgDataUrl = (payload) =>
+  `data:image/svg+xml;base64,${Buffer.from(qrSvg(payload)).toString('base64')}`;
+
+// PNG with `scale` pixels per module
+export const qrPng = (payload, { scale = 8 } = {}) =>
+  QRCode.toBuffer(payload, { ...QR_OPTIONS, type: 'png', scale });
@@ -0,0 +1,58 @@
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * Error with an HTTP status and a stable code from the `errors` catalog
+ * namespace. Clients should branch on `code`; the message is translated
+ * per request (see sendError), `message` itself holds the English text for
+ * logs. `details` are extra response fields such as the missing e-invoice
+ * fields.
+ */
+export class ApiError extends Error {
+  constructor(status, code, params = {}, details = {}) {
+    super(errorMessage(code, params));
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.params = params;
+    this.details = details;
+  }
+}
+
+export const httpError = (status, code, params) =>
+  new ApiError(status, code, params);
+
+// Message for `code` in `locale`; a param that is itself an ApiError (the
+// reason of LINE_ITEM_INVALID) is translated as well, lists are joined
+export function errorMessage(code, params = {}, locale = DEFAULT_LOCALE) {
+  const values = {};
+  for (const [name, value] of Object.entries(params)) {
+    if (value instanceof ApiError) {
+      values[name] = errorMessage(value.code, value.params, locale);
+    } else if (value instanceof Error) {
+      values[name] = value.message;
+    } else {
+      values[name] = Array.isArray(value) ? value.join(', ') : value;
+    }
+  }
+  return translate(locale, `errors.${code}`, values);
+}
+
+// Response body for an error raised directly in a route
+export const errorBody = (req, code, params) => ({
+  error: errorMessage(code, params, req.locale),
+  code
+});
+
+/**
+ * Send `e` to the client: ApiErrors with their status and code, anything
+ * else is logged and answered with a 500 carrying `fallbackCode`.
+ */
+export function sendError(res, e, context, fallbackCode = 'INTERNAL_ERROR') {
+  if (e instanceof ApiError) {
+    return res
+      .status(e.status)
+      .json({ ...errorBody(res.req, e.code, e.params), ...e.details });
+  }
+  console.error(context, e);
+  res.status(500).json(errorBody(res.req, fallbackCode));
+}
@@ -0,0 +1,106 @@
+import en from '../locales/en.js';
+import de from '../locales/de.js';
+import fr from '../locales/fr.js';
+import es from '../locales/es.js';
+import it from '../locales/it.js';
+import nl from '../locales/nl.js';
+
+/*
+ * Translation catalogs live in locales/<code>.js: nested objects of strings
+ * with {name} placeholders. An entry may instead be an object of plural
+ * forms ({ one, other, ... } as chosen by Intl.PluralRules for the `count`
+ * parameter). Keys missing from a catalog fall back to English, so a new
+ * locale can start out partial.
+ */
+const CATALOGS = { en, de, fr, es, it, nl };
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// 'de', 'de-AT' and 'de_AT' all resolve to 'de'; null if unsupported
+const supported = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(CATALOGS, code) ? code : null;
+};
+
+export const isSupportedLocale = (value) => supported(value) !== null;
+
+// First supported locale among `candidates`, else the default
+export const resolveLocale = (...candidates) =>
+  candidates.map(supported).find(Boolean) || DEFAULT_LOCALE;
+
+/**
+ * Best supported locale for an Accept-Language header, honouring q-values
+ * ("fr-CH, fr;q=0.9, en;q=0.8"). Falls back to the default locale.
+ */
+export function negotiateLocale(header) {
+  const ranges = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const q = options
+        .map((o) => o.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return resolveLocale(...ranges.map(({ tag }) => tag));
+}
+
+// BCP 47 tag for Intl formatting of a catalog locale
+export const intlLocale = (locale) =>
+  CATALOGS[resolveLocale(locale)].meta?.intl || en.meta.intl;
+
+const lookup = (catalog, key) =>
+  key
+    .split('.')
+    .reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(params, name) ? String(params[name] ?? '') : match
+  );
+
+/**
+ * Text for `key` (dot path, e.g. 'invoice.total') in `locale`, with
+ * `params` filled in. Unknown keys return the key itself so a missing
+ * translation is visible rather than blank.
+ */
+export function translate(locale, key, params = {}) {
+  const code = resolveLocale(locale);
+  let entry = lookup(CATALOGS[code], key);
+  if (entry === undefined) entry = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (entry === undefined || entry === null) return key;
+  if (typeof entry === 'object') {
+    const form = new Intl.PluralRules(intlLocale(code)).select(
+      Number(params.count ?? 0)
+    );
+    entry = entry[form] ?? entry.other;
+  }
+  return interpolate(String(entry), params);
+}
+
+/**
+ * `translate` bound to a locale and an optional key prefix:
+ * translator('de', 'invoice')('total') === translate('de', 'invoice.total').
+ */
+export const translator = (locale, namespace = '') => {
+  const code = resolveLocale(locale);
+  const t = (key, params) =>
+    translate(code, namespace ? `${namespace}.${key}` : key, params);
+  t.locale = code;
+  return t;
+};
+
+// Numeric date (01.03.2025, 01/03/2025, ...) in the locale's order
+export function formatDate(dateLike, locale) {
+  const d = dateLike instanceof Date ? dateLike : new Date(dateLike);
+  if (isNaN(d)) return '';
+  return new Intl.DateTimeFormat(intlLocale(locale), {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  }).format(d);
+}
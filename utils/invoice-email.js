@@ -0,0 +1,203 @@
+import { getDatabase } from '../config/database.js';
+import { isValidEmail } from './auth.js';
+import { formatMoney } from './currency.js';
+import { documentTitle, invoiceLocale, parseDate } from './invoice.js';
+import { formatDate, translator } from './i18n.js';
+import { httpError } from './errors.js';
+import { renderInvoicePdf } from './invoice-pdf.js';
+import { loadPdfLogo } from './invoice-templates.js';
+import { openSnapshot } from './issued-invoices.js';
+import { mailFrom, sendMail } from './mailer.js';
+import { markInvoiceSent } from './payments.js';
+
+// Accept an array or a comma-separated string of addresses
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((address) => String(address).trim())
+    .filter(Boolean);
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Subject, plain-text and HTML body for an issued document in the
+ * customer's (or else the user's) language. `message` replaces the default sentence about the amount.
+ * The HTML body is the frozen invoice HTML with the text above it.
+ */
+export function buildInvoiceEmail(invoice, { subject, message } = {}) {
+  const { user = {}, customer = {} } = invoice.snapshot;
+  const invoiceNo = invoice.invoice_number;
+  const locale = invoiceLocale(user, customer);
+  const t = translator(locale, 'mail');
+  const title = documentTitle(
+    invoice.document_type,
+    translator(locale, 'invoice')
+  );
+  const total = formatMoney(
+    Math.abs(Number(invoice.total)),
+    invoice.currency,
+    locale
+  );
+  const sender =
+    user.company_name ||
+    [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+  const paragraphs = [
+    customer.contact_person
+      ? t('greeting', { name: customer.contact_person })
+      : t('greetingAnonymous'),
+    message || t(`body.${invoice.document_type}`, { number: invoiceNo, total })
+  ];
+  if (invoice.document_type === 'invoice' && invoice.due_date) {
+    paragraphs.push(
+      t('due', { date: formatDate(parseDate(invoice.due_date), locale) })
+    );
+  }
+  paragraphs.push(`${t('closing')}\n${sender}`);
+
+  const intro = paragraphs
+    .map(
+      (p) =>
+        `<p style="margin:0 0 12px;">${escapeHtml(p).replace(
+          /\n/g,
+          '<br>'
+        )}</p>`
+    )
+    .join('');
+  const html = /<body[^>]*>/.test(invoice.html || '')
+    ? invoice.html.replace(
+        /<body[^>]*>/,
+        (tag) => `${tag}${intro}<hr style="margin:24px 0;">`
+      )
+    : `${intro}${invoice.html || ''}`;
+
+  return {
+    subject:
+      subject ||
+      t(sender ? 'subjectFrom' : 'subject', {
+        title,
+        number: invoiceNo,
+        company: sender
+      }),
+    text: paragraphs.join('\n\n'),
+    html,
+    sender
+  };
+}
+
+/**
+ * Email an issued invoice or credit note to the customer with the PDF
+ * attached, record the delivery and mark the document as sent.
+ * `to` defaults to the customer's email; `ccSelf`/`bccSelf` copy the user.
+ */
+export async function sendInvoiceEmail({
+  userId,
+  invoiceId,
+  to,
+  cc,
+  bcc,
+  ccSelf = false,
+  bccSelf = false,
+  subject,
+  message
+}) {
+  const db = getDatabase();
+  const invoice = (
+    await db.query('SELECT * FROM invoices WHERE id = $1 AND user_id = $2', [
+      invoiceId,
+      userId
+    ])
+  ).rows[0];
+  if (!invoice) throw httpError(404, 'INVOICE_NOT_FOUND');
+  if (invoice.status === 'cancelled') {
+    throw httpError(409, 'INVOICE_CANCELLED');
+  }
+
+  const user = (
+    await db.query('SELECT email FROM users WHERE id = $1', [userId])
+  ).rows[0];
+  const customer = (
+    await db.query(
+      'SELECT email FROM customers WHERE id = $1 AND user_id = $2',
+      [invoice.customer_id, userId]
+    )
+  ).rows[0];
+
+  const recipients = toList(to);
+  if (recipients.length === 0) {
+    const fallback = customer?.email || invoice.buyer?.email;
+    if (fallback) recipients.push(fallback);
+  }
+  if (recipients.length === 0) {
+    throw httpError(400, 'CUSTOMER_EMAIL_MISSING');
+  }
+  const ccList = toList(cc);
+  const bccList = toList(bcc);
+  if (ccSelf) ccList.push(user.email);
+  if (bccSelf) bccList.push(user.email);
+  const invalid = [...recipients, ...ccList, ...bccList].find(
+    (address) => !isValidEmail(address)
+  );
+  if (invalid)
+    throw httpError(400, 'EMAIL_ADDRESS_INVALID', {
+      address: invalid
+    });
+
+  const email = buildInvoiceEmail(invoice, { subject, message });
+  const { invoiceNo, invoiceDate, ...data } = openSnapshot(invoice.snapshot);
+  const pdf = await renderInvoicePdf(data, {
+    invoiceNo,
+    invoiceDate,
+    logo: await loadPdfLogo(userId, db)
+  });
+  const fileName = `invoice-${invoiceNo}`.replace(/[^\w.-]+/g, '_');
+
+  let info;
+  try {
+    info = await sendMail({
+      from: mailFrom(email.sender, user.email),
+      replyTo: user.email,
+      to: recipients,
+      cc: ccList,
+      bcc: bccList,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+      attachments: [
+        {
+          filename: `${fileName}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf'
+        }
+      ]
+    });
+  } catch (e) {
+    throw httpError(502, 'EMAIL_SEND_FAILED', { reason: e.message });
+  }
+
+  const record = (
+    await db.query(
+      `INSERT INTO invoice_emails (user_id, invoice_id, recipients, cc, bcc, subject, message_id)
+  VALUES ($1, $2, $3, $4, $5, $6, $7)
+  RETURNING *`,
+      [
+        userId,
+        invoice.id,
+        recipients,
+        ccList,
+        bccList,
+        email.subject,
+        info.messageId || null
+      ]
+    )
+  ).rows[0];
+  // Credit notes are delivered too, but stay out of the payment lifecycle
+  const updated =
+    invoice.document_type === 'invoice'
+      ? await markInvoiceSent(userId, invoice.id, db)
+      : invoice;
+  return { email: record, invoice: updated };
+}
@@ -0,0 +1,453 @@
+import PDFDocument from 'pdfkit';
+import { toCamelCase } from './camel-case.js';
+import { formatDecimal, formatMoney } from './currency.js';
+import {
+  buildInvoiceFooter,
+  buildInvoiceTable,
+  documentTitle,
+  invoiceLocale,
+  parseDate
+} from './invoice.js';
+import { formatDate, translator } from './i18n.js';
+import { invoicePaymentPayload, qrMatrix } from './epc-qr.js';
+
+// A4 in PDF points (1/72 inch)
+const PAGE = { size: 'A4', margin: 50 };
+const FOOTER_HEIGHT = 70;
+const CELL_PAD = 4;
+const FONT_SIZE = 10;
+const FOOTER_FONT_SIZE = 8;
+// Printed EPC codes should be at least 2 × 2 cm; 80 pt is about 2.8 cm
+const QR_SIZE = 80;
+// Box the logo is scaled into, top right on the first page
+const LOGO_BOX = [150, 60];
+
+// Task columns as in the invoice HTML: [Date?], Task, Hours, [Rate?], [VAT %?],
+// [Cost?]; fixed prices show no rate or cost per task
+export function buildColumns(table, t, contentWidth) {
+  const cols = [];
+  if (table.hasAnyDate) {
+    cols.push({ key: 'date', label: t('date'), width: 70, align: 'left' });
+  }
+  cols.push({ key: 'name', label: t('task'), width: 0, align: 'left' });
+  cols.push({ key: 'hours', label: t('hours'), width: 60, align: 'center' });
+  if (!table.isFixed) {
+    cols.push({ key: 'rate', label: t('rate'), width: 70, align: 'right' });
+  }
+  if (!table.isFixed && table.mixedVatRates) {
+    cols.push({
+      key: 'vatRate',
+      label: t('vatRate'),
+      width: 55,
+      align: 'center'
+    });
+  }
+  if (!table.isFixed) {
+    cols.push({ key: 'cost', label: t('cost'), width: 80, align: 'right' });
+  }
+  const fixed = cols.reduce((s, c) => s + c.width, 0);
+  cols.find((c) => c.key === 'name').width = contentWidth - fixed;
+  return cols;
+}
+
+// Line items: Description, Quantity, Unit price, [Discount?], [VAT %?], Amount
+function buildLineItemColumns(table, t, contentWidth) {
+  const cols = [
+    { key: 'description', label: t('description'), width: 0, align: 'left' },
+    { key: 'quantity', label: t('quantity'), width: 60, align: 'center' },
+    { key: 'unitPrice', label: t('unitPrice'), width: 75, align: 'right' }
+  ];
+  if (table.hasLineItemDiscounts) {
+    cols.push({
+      key: 'discount',
+      label: t('discount'),
+      width: 60,
+      align: 'right'
+    });
+  }
+  if (table.mixedVatRates) {
+    cols.push({
+      key: 'vatRate',
+      label: t('vatRate'),
+      width: 55,
+      align: 'center'
+    });
+  }
+  cols.push({ key: 'net', label: t('amount'), width: 80, align: 'right' });
+  const fixed = cols.reduce((s, c) => s + c.width, 0);
+  cols[0].width = contentWidth - fixed;
+  return cols;
+}
+
+function lineItemCellText(col, item, { money, locale }) {
+  if (col.key === 'quantity') {
+    return [formatDecimal(item.quantity, locale), item.unit]
+      .filter(Boolean)
+      .join(' ');
+  }
+  if (col.key === 'unitPrice') return money(item.unitPrice);
+  if (col.key === 'discount') {
+    if (!(item.discount > 0)) return '';
+    return item.discountType === 'amount'
+      ? money(item.discountAmount)
+      : `${formatDecimal(item.discount, locale)}%`;
+  }
+  if (col.key === 'vatRate') return `${formatDecimal(item.vatRate, locale)}%`;
+  if (col.key === 'net') return money(item.net);
+  return String(item.description ?? '');
+}
+
+function cellText(col, item, { money, locale }) {
+  if (col.key === 'date') return item.date ? formatDate(item.date, locale) : '';
+  if (col.key === 'cost') return item.cost == null ? '' : money(item.cost);
+  if (col.key === 'hours') return formatDecimal(item.hours, locale);
+  if (col.key === 'rate') return item.rate == null ? '' : money(item.rate);
+  if (col.key === 'vatRate') return `${formatDecimal(item.vatRate, locale)}%`;
+  return String(item.name ?? '');
+}
+
+/**
+ * Render an A4 invoice PDF from a buildInvoiceData() result, with `logo`
+ * (PNG or JPEG data from loadPdfLogo()) in the header. The layout is fixed:
+ * invoice templates only shape the HTML documents.
+ * Resolves with the PDF as a Buffer.
+ */
+export function renderInvoicePdf(
+  data,
+  { invoiceNo = '', invoiceDate, logo = null } = {}
+) {
+  const user = toCamelCase(data.user) || {};
+  const customer = toCamelCase(data.customer) || {};
+  const project = toCamelCase(data.project) || {};
+  const locale = invoiceLocale(user, customer);
+  const t = translator(locale, 'invoice');
+  const table = buildInvoiceTable(data);
+  const money = (amount) => formatMoney(amount, table.currency, locale);
+  const footer = buildInvoiceFooter(data, t);
+  const title = documentTitle(data.documentType, t);
+
+  // bottom margin is handled manually so the footer can live below it
+  const doc = new PDFDocument({
+    size: PAGE.size,
+    margins: {
+      top: PAGE.margin,
+      left: PAGE.margin,
+      right: PAGE.margin,
+      bottom: 10
+    },
+    bufferPages: true,
+    info: { Title: `${title} ${invoiceNo}`.trim() }
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = PAGE.margin;
+  const contentWidth = doc.page.width - PAGE.margin * 2;
+  const bottomLimit = () => doc.page.height - PAGE.margin - FOOTER_HEIGHT;
+  const taskColumns = buildColumns(table, t, contentWidth);
+  const lineItemColumns = buildLineItemColumns(table, t, contentWidth);
+  // The table being drawn; rows, header and summary rows follow it
+  let columns = taskColumns;
+
+  doc.font('Helvetica').fontSize(FONT_SIZE).fillColor('#222');
+
+  const ensureSpace = (height, onNewPage) => {
+    if (doc.y + height <= bottomLimit()) return;
+    doc.addPage();
+    if (onNewPage) onNewPage();
+  };
+
+  const paragraph = (text, options = {}) => {
+    for (const line of String(text).split('\n')) {
+      const h = doc.heightOfString(line || ' ', {
+        width: contentWidth,
+        ...options
+      });
+      ensureSpace(h);
+      doc.text(line || ' ', left, doc.y, { width: contentWidth, ...options });
+    }
+  };
+
+  const rowHeight = (cells) =>
+    Math.max(
+      ...cells.map((text, i) =>
+        doc.heightOfString(text || ' ', {
+          width: columns[i].width - 2 * CELL_PAD
+        })
+      )
+    ) +
+    2 * CELL_PAD;
+
+  const drawRow = (cells, { bold = false, fill } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const h = rowHeight(cells);
+    const y = doc.y;
+    if (fill) {
+      doc.save().rect(left, y, contentWidth, h).fill(fill).restore();
+    }
+    let x = left;
+    cells.forEach((text, i) => {
+      const col = columns[i];
+      doc.fillColor('#222').text(text || '', x + CELL_PAD, y + CELL_PAD, {
+        width: col.width - 2 * CELL_PAD,
+        align: col.align
+      });
+      x += col.width;
+    });
+    doc
+      .save()
+      .strokeColor('#ccc')
+      .lineWidth(0.5)
+      .moveTo(left, y + h)
+      .lineTo(left + contentWidth, y + h)
+      .stroke()
+      .restore();
+    doc.font('Helvetica');
+    doc.y = y + h;
+    return h;
+  };
+
+  const drawHeaderRow = () =>
+    drawRow(
+      columns.map((c) => c.label),
+      { bold: true, fill: '#f5f5f5' }
+    );
+
+  // Summary rows span every column but the last one; they continue on a new
+  // page without repeating the column headers
+  const drawSummaryRow = (label, value, { bold = false } = {}) => {
+    const labelWidth = contentWidth - columns[columns.length - 1].width;
+    const valueWidth = columns[columns.length - 1].width;
+    doc.font('Helvetica-Bold');
+    const h =
+      Math.max(
+        doc.heightOfString(label, { width: labelWidth - 2 * CELL_PAD }),
+        doc.heightOfString(value, { width: valueWidth - 2 * CELL_PAD })
+      ) +
+      2 * CELL_PAD;
+    ensureSpace(h);
+    const y = doc.y;
+    doc.text(label, left + CELL_PAD, y + CELL_PAD, {
+      width: labelWidth - 2 * CELL_PAD,
+      align: 'right'
+    });
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(value, left + labelWidth + CELL_PAD, y + CELL_PAD, {
+      width: valueWidth - 2 * CELL_PAD,
+      align: 'right'
+    });
+    doc.font('Helvetica');
+    doc.y = y + h;
+  };
+
+  if (logo) {
+    const top = doc.y;
+    doc.image(logo, left + contentWidth - LOGO_BOX[0], top, {
+      fit: LOGO_BOX,
+      align: 'right'
+    });
+    doc.y = top + LOGO_BOX[1] + FONT_SIZE;
+  }
+
+  // Recipient address
+  const customerLines = [
+    customer.name,
+    customer.billingStreet &&
+      `${customer.billingStreet} ${customer.billingNumber || ''}`.trim(),
+    [customer.billingPostalCode, customer.billingCity]
+      .filter(Boolean)
+      .join(' '),
+    // Reverse-charge invoices must show the recipient's VAT ID
+    table.vatTreatment === 'reverse_charge'
+      ? `${t('buyerVatId')}: ${table.buyerVatId}`
+      : ''
+  ].filter(Boolean);
+  paragraph(customerLines.join('\n'));
+
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').fontSize(14);
+  paragraph(`${title} ${invoiceNo}`.trim());
+  doc.font('Helvetica').fontSize(FONT_SIZE - 1);
+  paragraph(`${t('date')}: ${formatDate(invoiceDate || new Date(), locale)}`);
+  if (data.dueDate) {
+    const label =
+      data.documentType === 'quote' ? t('validUntil') : t('dueDate');
+    paragraph(`${label}: ${formatDate(parseDate(data.dueDate), locale)}`);
+  }
+  if (data.referenceNo) paragraph(t('reference', { number: data.referenceNo }));
+  if (data.reason) {
+    doc.fontSize(FONT_SIZE).moveDown(0.5);
+    paragraph(data.reason);
+  }
+  doc.fontSize(FONT_SIZE).moveDown(1.5);
+
+  if (project.name) {
+    doc.font('Helvetica-Bold');
+    paragraph(project.name);
+    doc.font('Helvetica');
+  }
+  if (project.description) {
+    doc.moveDown(0.5);
+    paragraph(project.description);
+  }
+  doc.moveDown(1);
+
+  // Task table: header row is repeated at the top of every continued page
+  const drawTaskTable = (items) => {
+    columns = taskColumns;
+    ensureSpace(rowHeight(columns.map((c) => c.label)) * 2);
+    drawHeaderRow();
+    if (items.length === 0) {
+      doc.text(t('noTasks'), left, doc.y + CELL_PAD, {
+        width: contentWidth,
+        align: 'center'
+      });
+      doc.moveDown(0.5);
+    }
+    for (const item of items) {
+      const cells = columns.map((c) => cellText(c, item, { money, locale }));
+      ensureSpace(rowHeight(cells), drawHeaderRow);
+      drawRow(cells);
+    }
+  };
+
+  // Expenses, materials and discounts below the tasks
+  const drawLineItemTable = (items, { spaced }) => {
+    columns = lineItemColumns;
+    if (spaced) doc.moveDown(1);
+    ensureSpace(rowHeight(columns.map((c) => c.label)) * 2);
+    drawHeaderRow();
+    for (const item of items) {
+      const cells = columns.map((c) =>
+        lineItemCellText(c, item, { money, locale })
+      );
+      ensureSpace(rowHeight(cells), drawHeaderRow);
+      drawRow(cells);
+    }
+  };
+
+  if (table.groups.length > 0) {
+    // Consolidated invoice: each project's lines under its name, closed by
+    // the project subtotal
+    table.groups.forEach((group, i) => {
+      const items = table.items.filter((x) => x.projectId === group.projectId);
+      const lineItems = table.lineItems.filter(
+        (x) => x.projectId === group.projectId
+      );
+      if (i > 0) doc.moveDown(1);
+      doc.font('Helvetica-Bold');
+      ensureSpace(doc.heightOfString(group.name || ' ') * 4);
+      paragraph(group.name);
+      doc.font('Helvetica').moveDown(0.5);
+      if (items.length > 0) drawTaskTable(items);
+      if (lineItems.length > 0) {
+        drawLineItemTable(lineItems, { spaced: items.length > 0 });
+      }
+      drawSummaryRow(
+        t('groupSubtotal', { name: group.name }),
+        money(group.subtotal)
+      );
+    });
+    doc.moveDown(1);
+  } else {
+    if (table.items.length > 0 || table.lineItems.length === 0) {
+      drawTaskTable(table.items);
+    }
+    if (table.lineItems.length > 0) {
+      drawLineItemTable(table.lineItems, { spaced: table.items.length > 0 });
+    }
+  }
+
+  drawSummaryRow(t('subtotal'), money(table.subtotal));
+  for (const b of table.vatBreakdown) {
+    drawSummaryRow(t('vat', { rate: b.rate }), b.rate > 0 ? money(b.vat) : '-');
+  }
+  drawSummaryRow(t('total'), money(table.total), { bold: true });
+
+  const vatNote = t(`vatNotes.${table.vatTreatment}`);
+  if (vatNote) {
+    doc.moveDown(1);
+    paragraph(vatNote);
+  }
+
+  if (user.invoiceNotes) {
+    doc.moveDown(1.5);
+    paragraph(user.invoiceNotes);
+  }
+
+  const paymentPayload = invoicePaymentPayload({
+    user,
+    decryptedIban: data.decryptedIban,
+    currency: table.currency,
+    documentType: data.documentType,
+    total: table.total,
+    invoiceNo
+  });
+  if (paymentPayload) {
+    const { size, isDark } = qrMatrix(paymentPayload);
+    // Quiet zone of 4 modules on each side
+    const module = QR_SIZE / (size + 8);
+    doc.moveDown(1.5);
+    ensureSpace(QR_SIZE);
+    const top = doc.y;
+    doc.save().fillColor('#000');
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (isDark(x, y)) {
+          doc.rect(
+            left + (x + 4) * module,
+            top + (y + 4) * module,
+            module,
+            module
+          );
+        }
+      }
+    }
+    doc.fill().restore();
+    doc
+      .fontSize(FOOTER_FONT_SIZE)
+      .fillColor('#666')
+      .text(t('paymentQr'), left + QR_SIZE + 8, top + QR_SIZE / 2 - 4, {
+        width: contentWidth - QR_SIZE - 8
+      })
+      .fontSize(FONT_SIZE)
+      .fillColor('#222');
+    doc.y = top + QR_SIZE;
+  }
+
+  // Company / contact / bank footer on every page
+  const range = doc.bufferedPageRange();
+  const colWidth = contentWidth / 3;
+  const footerColumns = [
+    footer.companyLines,
+    footer.contactLines,
+    footer.bankLines
+  ];
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const top = doc.page.height - PAGE.margin - FOOTER_HEIGHT + 20;
+    doc
+      .save()
+      .strokeColor('#ddd')
+      .lineWidth(0.5)
+      .moveTo(left, top - 8)
+      .lineTo(left + contentWidth, top - 8)
+      .stroke()
+      .restore();
+    doc.font('Helvetica').fontSize(FOOTER_FONT_SIZE).fillColor('#666');
+    footerColumns.forEach((lines, idx) => {
+      doc.text(lines.join('\n'), left + idx * colWidth, top, {
+        width: colWidth - 8,
+        lineBreak: true
+      });
+    });
+  }
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,274 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { toCamelCase } from './camel-case.js';
+import { formatISODate, renderInvoiceHtml } from './invoice.js';
+import { computeDueDate, paymentTermsDays } from './payments.js';
+import { compileTemplate } from './template.js';
+import { httpError } from './errors.js';
+
+export const MAX_LOGO_BYTES = 1024 * 1024;
+const MAX_CSS_LENGTH = 50000;
+
+// Sniff the image type from its first bytes rather than trusting the client
+export function detectLogoType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+  if (buffer.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex'))) {
+    return 'image/png';
+  }
+  if (buffer.subarray(0, 3).equals(Buffer.from('ffd8ff', 'hex'))) {
+    return 'image/jpeg';
+  }
+  const head = buffer.subarray(0, 512).toString('utf8').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(head)) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+export async function getLogo(userId, db = getDatabase()) {
+  return (
+    await db.query(
+      'SELECT mime_type, data, updated_at FROM user_logos WHERE user_id = $1',
+      [userId]
+    )
+  ).rows[0];
+}
+
+// The logo as a data URL for HTML documents, or '' when none is uploaded
+export async function loadLogoDataUrl(userId, db = getDatabase()) {
+  const logo = await getLogo(userId, db);
+  return logo
+    ? `data:${logo.mime_type};base64,${Buffer.from(logo.data).toString(
+        'base64'
+      )}`
+    : '';
+}
+
+export async function saveLogo(userId, buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw httpError(400, 'LOGO_REQUIRED');
+  }
+  if (buffer.length > MAX_LOGO_BYTES) {
+    throw httpError(413, 'LOGO_TOO_LARGE', {
+      count: MAX_LOGO_BYTES / (1024 * 1024)
+    });
+  }
+  const mimeType = detectLogoType(buffer);
+  if (!mimeType) {
+    throw httpError(415, 'LOGO_TYPE_INVALID');
+  }
+  const db = getDatabase();
+  await db.query(
+    `INSERT INTO user_logos (user_id, mime_type, data) VALUES ($1, $2, $3)
+   ON CONFLICT (user_id) DO UPDATE
+   SET mime_type = EXCLUDED.mime_type, data = EXCLUDED.data, updated_at = CURRENT_TIMESTAMP`,
+    [userId, mimeType, buffer]
+  );
+  return { mimeType, size: buffer.length };
+}
+
+export async function deleteLogo(userId) {
+  const db = getDatabase();
+  return (
+    (await db.query('DELETE FROM user_logos WHERE user_id = $1', [userId]))
+      .rowCount > 0
+  );
+}
+
+// The template new invoices of this user are rendered with, if any
+export async function getDefaultTemplate(userId, db = getDatabase()) {
+  return (
+    await db.query(
+      'SELECT * FROM invoice_templates WHERE user_id = $1 AND is_default',
+      [userId]
+    )
+  ).rows[0];
+}
+
+// The logo as image data for renderInvoicePdf, or null when none is uploaded.
+// PDFKit only draws PNG and JPEG, so SVG logos appear in the HTML only.
+export async function loadPdfLogo(userId, db = getDatabase()) {
+  const logo = await getLogo(userId, db);
+  return logo && ['image/png', 'image/jpeg'].includes(logo.mime_type)
+    ? Buffer.from(logo.data)
+    : null;
+}
+
+// Template and logo for renderInvoiceHtml
+export async function loadRenderOptions(userId, db = getDatabase()) {
+  return {
+    template: await getDefaultTemplate(userId, db),
+    logo: await loadLogoDataUrl(userId, db)
+  };
+}
+
+// Compile once so syntax errors surface on save, not when issuing
+export function validateTemplate({ html, css = '' }) {
+  if (typeof html !== 'string' || !html.trim()) {
+    throw httpError(400, 'TEMPLATE_HTML_REQUIRED');
+  }
+  if (typeof css !== 'string' || css.length > MAX_CSS_LENGTH) {
+    throw httpError(400, 'TEMPLATE_CSS_INVALID', {
+      count: MAX_CSS_LENGTH
+    });
+  }
+  compileTemplate(html);
+}
+
+export async function listTemplates(userId) {
+  const db = getDatabase();
+  return (
+    await db.query(
+      'SELECT * FROM invoice_templates WHERE user_id = $1 ORDER BY name, id',
+      [userId]
+    )
+  ).rows;
+}
+
+export async function getTemplate(userId, templateId) {
+  const db = getDatabase();
+  return (
+    await db.query(
+      'SELECT * FROM invoice_templates WHERE id = $1 AND user_id = $2',
+      [templateId, userId]
+    )
+  ).rows[0];
+}
+
+const clearDefault = (client, userId) =>
+  client.query(
+    'UPDATE invoice_templates SET is_default = false WHERE user_id = $1 AND is_default',
+    [userId]
+  );
+
+export async function createTemplate(
+  userId,
+  { name, html, css = '', isDefault }
+) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw httpError(400, 'TEMPLATE_NAME_REQUIRED');
+  }
+  validateTemplate({ html, css });
+  return withTransaction(async (client) => {
+    if (isDefault) await clearDefault(client, userId);
+    return (
+      await client.query(
+        `INSERT INTO invoice_templates (user_id, name, html, css, is_default)
+   VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [userId, name.trim(), html, css, !!isDefault]
+      )
+    ).rows[0];
+  });
+}
+
+// Partial update; fields left undefined keep their value
+export async function updateTemplate(
+  userId,
+  templateId,
+  { name, html, css, isDefault }
+) {
+  return withTransaction(async (client) => {
+    const current = (
+      await client.query(
+        'SELECT * FROM invoice_templates WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [templateId, userId]
+      )
+    ).rows[0];
+    if (!current) return null;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      throw httpError(400, 'TEMPLATE_NAME_REQUIRED');
+    }
+    const next = {
+      name: name?.trim() ?? current.name,
+      html: html ?? current.html,
+      css: css ?? current.css,
+      isDefault: isDefault ?? current.is_default
+    };
+    validateTemplate(next);
+    if (next.isDefault && !current.is_default) {
+      await clearDefault(client, userId);
+    }
+    return (
+      await client.query(
+        `UPDATE invoice_templates
+   SET name = $1, html = $2, css = $3, is_default = $4, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $5 RETURNING *`,
+        [next.name, next.html, next.css, !!next.isDefault, templateId]
+      )
+    ).rows[0];
+  });
+}
+
+export async function deleteTemplate(userId, templateId) {
+  const db = getDatabase();
+  return (
+    (
+      await db.query(
+        'DELETE FROM invoice_templates WHERE id = $1 AND user_id = $2',
+        [templateId, userId]
+      )
+    ).rowCount > 0
+  );
+}
+
+/**
+ * Render a template with the user's own company details and logo but a
+ * made-up customer, project and tasks, so it can be tried before any real
+ * invoice exists. `template` is { html, css }; omit it for the default.
+ */
+export async function renderTemplatePreview(userId, template) {
+  const db = getDatabase();
+  const user = (await db.query('SELECT * FROM users WHERE id = $1', [userId]))
+    .rows[0];
+  if (!user) throw httpError(404, 'USER_NOT_FOUND');
+  if (template) validateTemplate(template);
+
+  const today = new Date();
+  const data = {
+    user,
+    customer: {
+      name: 'Muster GmbH',
+      contact_person: 'Erika Mustermann',
+      email: 'billing@example.com',
+      billing_street: 'Musterstraße',
+      billing_number: '1',
+      billing_postal_code: '12345',
+      billing_city: 'Musterstadt',
+      billing_country: user.company_country || 'DE'
+    },
+    project: {
+      name: 'Website relaunch',
+      description: 'Design and implementation of the new company website.',
+      hourly_rate: 80,
+      pricing_type: 'HOURLY'
+    },
+    tasks: [
+      { name: 'Concept & wireframes', estimated_hours: 6, date: today },
+      { name: 'Frontend development', estimated_hours: 12.5, date: today },
+      { name: 'Content migration', estimated_hours: 4, date: today }
+    ],
+    lineItems: [
+      {
+        description: 'Travel expenses',
+        quantity: 120,
+        unit: 'km',
+        unit_price: 0.3,
+        discount: 0,
+        discount_type: 'percent'
+      }
+    ],
+    decryptedIban: 'DE89 3704 0044 0532 0130 00',
+    isFixed: false,
+    subtotal: 22.5 * 80 + 36,
+    currency: 'EUR'
+  };
+  return renderInvoiceHtml(
+    {
+      ...toCamelCase(data),
+      invoiceNo: 'PREVIEW-0001',
+      invoiceDate: formatISODate(today),
+      dueDate: computeDueDate(formatISODate(today), paymentTermsDays(data)),
+      logo: await loadLogoDataUrl(userId, db)
+    },
+    { template }
+  );
+}
@@ -1,14 +1,60 @@
 import { decryptValue } from './encryption.js';
 import { getDatabase } from '../config/database.js';
 import { toCamelCase } from './camel-case.js';
+import { computeVat } from './vat.js';
+import { formatDecimal, formatMoney, resolveCurrency } from './currency.js';
+import { injectCss, renderTemplate } from './template.js';
+import { lineItemAmounts, lineItemsTotal } from './line-items.js';
+import { taskAmount, taskHours, taskRate } from './rates.js';
+import { roundMoney, sumMoney } from './money.js';
+import { DEFAULT_INVOICE_TEMPLATE } from './default-invoice-template.js';
+import { invoicePaymentPayload, qrSvgDataUrl } from './epc-qr.js';
+import { formatDate, resolveLocale, translator } from './i18n.js';
+import { httpError } from './errors.js';
+import { loadRateCards, withResolvedRate } from './rate-cards.js';
+import { TASK_TIME_COLUMNS, billedTask, isBilledTask } from './time-entries.js';
 
-function formatDDMMYYYY(dateLike) {
+// Credit notes reverse every amount of the invoice they refer to
+export const documentSign = (documentType) =>
+  documentType === 'credit_note' ? -1 : 1;
+
+// Heading of a document: invoice, credit note or quote
+export const documentTitle = (documentType, t) =>
+  t({ credit_note: 'creditNote', quote: 'quote' }[documentType] || 'invoice');
+
+// Documents go out in the customer's language if set, else the user's
+export const invoiceLocale = (user, customer) =>
+  resolveLocale(customer?.locale, user?.locale);
+
+// YYYY-MM-DD in local time, the format projects.invoice_date is stored in
+export function formatISODate(dateLike) {
   const d = dateLike instanceof Date ? dateLike : new Date(dateLike);
   if (isNaN(d)) return '';
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
   const day = String(d.getDate()).padStart(2, '0');
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const year = d.getFullYear();
-  return `${day}.${month}.${year}`;
+  return `${y}-${m}-${day}`;
+}
+
+// 'YYYY-MM-DD' strings are local dates, not UTC midnight
+export const parseDate = (value) =>
+  value instanceof Date
+    ? value
+    : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+
+// The user's IBAN in plain text for the invoice footer, or '' if unreadable
+function decryptIban(user) {
+  const { bankIbanCipher, bankIbanIv, bankIbanTag } = toCamelCase(user);
+  if (!bankIbanCipher) return '';
+  try {
+    return decryptValue({
+      cipher: bankIbanCipher,
+      iv: bankIbanIv,
+      tag: bankIbanTag
+    });
+  } catch {
+    return '';
+  }
 }
 
 export async function buildInvoiceData({ userId, customerId, projectId }) {
@@ -16,7 +62,7 @@ export async function buildInvoiceData({ userId, customerId, projectId }) {
   const user = (await db.query('SELECT * FROM users WHERE id = $1', [userId]))
     .rows[0];
 
-  if (!user) throw new Error('User not found');
+  if (!user) throw httpError(404, 'USER_NOT_FOUND');
   const customer = (
     await db.query('SELECT * FROM customers WHERE id = $1 AND user_id = $2', [
       customerId,
@@ -24,7 +70,7 @@ export async function buildInvoiceData({ userId, customerId, projectId }) {
     ])
   ).rows[0];
 
-  if (!customer) throw new Error('Customer not found');
+  if (!customer) throw httpError(404, 'CUSTOMER_NOT_FOUND');
   const project = (
     await db.query(
       'SELECT * FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
@@ -32,234 +78,676 @@ export async function buildInvoiceData({ userId, customerId, projectId }) {
     )
   ).rows[0];
 
-  if (!project) throw new Error('Project not found');
+  if (!project) throw httpError(404, 'PROJECT_NOT_FOUND');
+  const rateCards = await loadRateCards(userId, customerId, db);
   const tasks = (
     await db.query(
-      'SELECT * FROM tasks WHERE project_id = $1 AND user_id = $2 ORDER BY order_num ASC, id ASC',
+      `SELECT t.*, ${TASK_TIME_COLUMNS}
+   FROM tasks t
+   WHERE t.project_id = $1 AND t.user_id = $2
+   ORDER BY t.order_num ASC, t.id ASC`,
+      [projectId, userId]
+    )
+  ).rows
+    .map((task) =>
+      billedTask(withResolvedRate(task, project, rateCards), project)
+    )
+    .filter(isBilledTask);
+
+  const lineItems = (
+    await db.query(
+      'SELECT * FROM line_items WHERE project_id = $1 AND user_id = $2 ORDER BY order_num ASC, id ASC',
       [projectId, userId]
     )
   ).rows;
 
-  let decryptedIban = '';
-  if (toCamelCase(user).bankIbanCipher) {
-    try {
-      decryptedIban = decryptValue({
-        cipher: toCamelCase(user).bankIbanCipher,
-        iv: toCamelCase(user).bankIbanIv,
-        tag: toCamelCase(user).bankIbanTag
-      });
-    } catch {}
-  }
+  const decryptedIban = decryptIban(user);
 
   const isFixed = toCamelCase(project).pricingType === 'FIXED';
-  const subtotal = isFixed
-    ? toCamelCase(project).fixedPrice
-    : toCamelCase(tasks).reduce(
-        (s, t) => s + t.estimatedHours * toCamelCase(project).hourlyRate,
-        0
-      );
-
-  return { user, customer, project, tasks, decryptedIban, isFixed, subtotal };
+  const subtotal = sumMoney([
+    ...(isFixed
+      ? [toCamelCase(project).fixedPrice]
+      : tasks.map((t) => taskAmount(t, project))),
+    lineItemsTotal(lineItems)
+  ]);
+
+  const currency = resolveCurrency(project, customer);
+
+  return {
+    user,
+    customer,
+    project,
+    tasks,
+    lineItems,
+    decryptedIban,
+    isFixed,
+    subtotal,
+    currency
+  };
 }
 
-export function renderInvoiceHtml({
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Invoice data for several projects of one customer: every task and line
+ * item not billed yet, optionally limited to `projectIds` and to tasks dated
+ * `from`..`to` (YYYY-MM-DD, inclusive). Returns the buildInvoiceData() shape
+ * plus `groups` (one per project, in project order); each task carries its
+ * resolved hourly rate and each task and line item its project's VAT rate,
+ * and `project` only holds the invoice heading. Fixed-price projects are invoiced on their own.
+ */
+export async function buildConsolidatedInvoiceData(
+  { userId, customerId, projectIds, from, to, title },
+  db = getDatabase()
+) {
+  if (
+    projectIds != null &&
+    !(
+      Array.isArray(projectIds) &&
+      projectIds.length > 0 &&
+      projectIds.every((id) => Number.isInteger(Number(id)) && Number(id) > 0)
+    )
+  ) {
+    throw httpError(400, 'PROJECT_IDS_INVALID');
+  }
+  if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+    throw httpError(400, 'DATES_INVALID');
+  }
+  if (from && to && from > to) {
+    throw httpError(400, 'DATE_RANGE_INVALID');
+  }
+  if (title != null && typeof title !== 'string') {
+    throw httpError(400, 'TITLE_NOT_TEXT');
+  }
+
+  const user = (await db.query('SELECT * FROM users WHERE id = $1', [userId]))
+    .rows[0];
+  if (!user) throw httpError(404, 'USER_NOT_FOUND');
+  const customer = (
+    await db.query('SELECT * FROM customers WHERE id = $1 AND user_id = $2', [
+      customerId,
+      userId
+    ])
+  ).rows[0];
+  if (!customer) throw httpError(404, 'CUSTOMER_NOT_FOUND');
+
+  const params = [customerId, userId];
+  let projectFilter = '';
+  if (projectIds) {
+    params.push(projectIds.map(Number));
+    projectFilter = 'AND id = ANY($3)';
+  }
+  const projects = (
+    await db.query(
+      `SELECT * FROM projects
+   WHERE customer_id = $1 AND user_id = $2 ${projectFilter}
+   ORDER BY id ASC`,
+      params
+    )
+  ).rows;
+  if (projectIds && projects.length < new Set(projectIds.map(Number)).size) {
+    throw httpError(404, 'PROJECT_NOT_FOUND');
+  }
+  const fixed = projects.find((p) => p.pricing_type === 'FIXED');
+  if (projectIds && fixed) {
+    throw httpError(400, 'FIXED_PROJECT_ALONE', {
+      name: fixed.name
+    });
+  }
+  const hourly = projects.filter((p) => p.pricing_type !== 'FIXED');
+  const ids = hourly.map((p) => p.id);
+
+  const taskParams = [ids, userId];
+  const dateFilters = [];
+  if (from) {
+    taskParams.push(from);
+    dateFilters.push(`AND t.date >= $${taskParams.length}`);
+  }
+  if (to) {
+    taskParams.push(to);
+    dateFilters.push(`AND t.date <= $${taskParams.length}`);
+  }
+  const tasks = (
+    await db.query(
+      `SELECT t.*, ${TASK_TIME_COLUMNS}
+   FROM tasks t
+   WHERE t.project_id = ANY($1) AND t.user_id = $2 AND t.invoice_id IS NULL
+     ${dateFilters.join(' ')}
+   ORDER BY t.project_id ASC, t.order_num ASC, t.id ASC`,
+      taskParams
+    )
+  ).rows
+    .map((task) =>
+      billedTask(
+        task,
+        hourly.find((p) => p.id === task.project_id)
+      )
+    )
+    .filter(isBilledTask);
+  const lineItems = (
+    await db.query(
+      `SELECT * FROM line_items
+   WHERE project_id = ANY($1) AND user_id = $2 AND invoice_id IS NULL
+   ORDER BY project_id ASC, order_num ASC, id ASC`,
+      [ids, userId]
+    )
+  ).rows;
+  if (tasks.length === 0 && lineItems.length === 0) {
+    throw httpError(400, 'NOTHING_TO_INVOICE');
+  }
+
+  const billed = hourly.filter(
+    (p) =>
+      tasks.some((task) => task.project_id === p.id) ||
+      lineItems.some((item) => item.project_id === p.id)
+  );
+  const currencies = new Set(billed.map((p) => resolveCurrency(p, customer)));
+  if (currencies.size > 1) {
+    throw httpError(400, 'CURRENCIES_MIXED');
+  }
+  const projectOf = (row) => billed.find((p) => p.id === row.project_id);
+  const withProjectVat = (row) => ({
+    ...row,
+    vat_rate: row.vat_rate ?? projectOf(row).vat_rate ?? null
+  });
+
+  // The service period defaults to the dates of the billed tasks
+  const dates = tasks
+    .filter((task) => task.date)
+    .map((task) => formatISODate(parseDate(task.date)))
+    .sort();
+  const periodFrom = from || dates[0];
+  const periodTo = to || dates[dates.length - 1];
+  const locale = invoiceLocale(user, customer);
+  const t = translator(locale, 'invoice');
+
+  const rateCards = await loadRateCards(userId, customerId, db);
+  const billedTasks = tasks.map((task) =>
+    withResolvedRate(withProjectVat(task), projectOf(task), rateCards)
+  );
+  const billedLineItems = lineItems.map(withProjectVat);
+
+  return {
+    user,
+    customer,
+    project: {
+      name: title?.trim() || t('services'),
+      description:
+        periodFrom && periodTo
+          ? t('servicePeriod', {
+              from: formatDate(parseDate(periodFrom), locale),
+              to: formatDate(parseDate(periodTo), locale)
+            })
+          : ''
+    },
+    groups: billed.map((p) => ({
+      project_id: p.id,
+      name: p.name,
+      description: p.description || ''
+    })),
+    tasks: billedTasks,
+    lineItems: billedLineItems,
+    decryptedIban: decryptIban(user),
+    isFixed: false,
+    subtotal: sumMoney([
+      ...billedTasks.map((task) => taskAmount(task)),
+      lineItemsTotal(billedLineItems)
+    ]),
+    currency: [...currencies][0]
+  };
+}
+
+/**
+ * Invoice data for one period of a recurring invoice (a recurring_invoices
+ * row): its line items under the definition's title, with the period
+ * `from`..`to` (YYYY-MM-DD) as the service period. Returns the
+ * buildInvoiceData() shape without tasks.
+ */
+export async function buildRecurringInvoiceData(
+  recurring,
+  { from, to },
+  db = getDatabase()
+) {
+  const user = (
+    await db.query('SELECT * FROM users WHERE id = $1', [recurring.user_id])
+  ).rows[0];
+  if (!user) throw httpError(404, 'USER_NOT_FOUND');
+  const customer = (
+    await db.query('SELECT * FROM customers WHERE id = $1 AND user_id = $2', [
+      recurring.customer_id,
+      recurring.user_id
+    ])
+  ).rows[0];
+  if (!customer) throw httpError(404, 'CUSTOMER_NOT_FOUND');
+
+  const locale = invoiceLocale(user, customer);
+  const lineItems = recurring.line_items || [];
+  return {
+    user,
+    customer,
+    project: {
+      name: recurring.title,
+      description: translator(locale, 'invoice')('servicePeriod', {
+        from: formatDate(parseDate(from), locale),
+        to: formatDate(parseDate(to), locale)
+      })
+    },
+    tasks: [],
+    lineItems,
+    decryptedIban: decryptIban(user),
+    isFixed: false,
+    subtotal: lineItemsTotal(lineItems),
+    currency: resolveCurrency(recurring, customer)
+  };
+}
+
+/**
+ * Invoice-shaped data for a quote (a quotes row): the quoted project fields
+ * stand in for the project, its tasks and line items for the project's.
+ * Render it with documentType 'quote', the quote number and the validity
+ * date as due date.
+ */
+export async function buildQuoteData(quote, db = getDatabase()) {
+  const user = (
+    await db.query('SELECT * FROM users WHERE id = $1', [quote.user_id])
+  ).rows[0];
+  if (!user) throw httpError(404, 'USER_NOT_FOUND');
+  const customer = (
+    await db.query('SELECT * FROM customers WHERE id = $1 AND user_id = $2', [
+      quote.customer_id,
+      quote.user_id
+    ])
+  ).rows[0];
+  if (!customer) throw httpError(404, 'CUSTOMER_NOT_FOUND');
+
+  const project = {
+    name: quote.title,
+    description: quote.description || '',
+    hourly_rate: quote.hourly_rate,
+    pricing_type: quote.pricing_type,
+    fixed_price: quote.fixed_price,
+    vat_rate: quote.vat_rate,
+    currency: quote.currency
+  };
+  const tasks = quote.tasks || [];
+  const lineItems = quote.line_items || [];
+  const isFixed = quote.pricing_type === 'FIXED';
+  return {
+    user,
+    customer,
+    project,
+    tasks,
+    lineItems,
+    decryptedIban: decryptIban(user),
+    isFixed,
+    subtotal: sumMoney([
+      ...(isFixed
+        ? [quote.fixed_price]
+        : tasks.map((task) => taskAmount(task, project))),
+      lineItemsTotal(lineItems)
+    ]),
+    currency: resolveCurrency(project, customer),
+    documentType: 'quote',
+    dueDate: quote.valid_until ? formatISODate(quote.valid_until) : ''
+  };
+}
+
+// Invoice date a read-only view shows: the stored one, else today (not saved)
+export const draftInvoiceDate = (data) =>
+  formatISODate(data.project?.invoice_date || new Date());
+
+// Determine invoice date: if missing, set to today and persist once
+export async function resolveInvoiceDate(
+  data,
+  { userId, customerId, projectId }
+) {
+  let invoiceDate = data.project?.invoice_date || '';
+  if (invoiceDate) return invoiceDate;
+  invoiceDate = formatISODate(new Date());
+  try {
+    const db = getDatabase();
+    await db.query(
+      'UPDATE projects SET invoice_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND customer_id = $3 AND user_id = $4',
+      [invoiceDate, projectId, customerId, userId]
+    );
+
+    // reflect in memory copy
+    if (data.project) {
+      data.project.invoice_date = invoiceDate;
+    }
+  } catch (e) {
+    console.error('Failed to persist invoiceDate', e);
+  }
+  return invoiceDate;
+}
+
+// Structured table data for PDF (no HTML parsing)
+export function buildInvoiceTable(data) {
+  const sign = documentSign(data.documentType);
+  const hasAnyDate =
+    Array.isArray(data.tasks) && data.tasks.some((t) => !!t.date);
+  const vat = computeVat(data, { sign });
+  const items = (data.tasks || []).map((t, i) => ({
+    date: t.date || null,
+    name: t.name,
+    hours: taskHours(t),
+    rate: data.isFixed ? null : sign * taskRate(t, data.project),
+    cost: data.isFixed ? null : sign * taskAmount(t, data.project),
+    vatRate: vat.lineRates[i],
+    projectId: t.project_id ?? null
+  }));
+  // Expenses, materials and discounts; amounts signed like the document
+  const lineItems = (data.lineItems || []).map((row, i) => {
+    const item = toCamelCase(row);
+    const amounts = lineItemAmounts(row);
+    return {
+      description: item.description,
+      quantity: Number(item.quantity || 0),
+      unit: item.unit || '',
+      unitPrice: sign * Number(item.unitPrice || 0),
+      discount: Number(item.discount || 0),
+      discountType: item.discountType || 'percent',
+      discountAmount: sign * amounts.discount,
+      net: sign * amounts.net,
+      vatRate: vat.lineItemRates[i],
+      projectId: item.projectId ?? null
+    };
+  });
+  // Consolidated invoices: per-project subtotals; lines refer to their
+  // group by projectId. Groups left without lines (partial credit) are dropped.
+  const groups = (data.groups || []).flatMap((group) => {
+    const inGroup = (line) => line.projectId === group.project_id;
+    const groupItems = items.filter(inGroup);
+    const groupLineItems = lineItems.filter(inGroup);
+    if (groupItems.length === 0 && groupLineItems.length === 0) return [];
+    return [
+      {
+        projectId: group.project_id,
+        name: group.name,
+        subtotal: sumMoney([
+          ...groupItems.map((item) => item.cost),
+          ...groupLineItems.map((item) => item.net)
+        ])
+      }
+    ];
+  });
+  const subtotal = sign * roundMoney(data.subtotal);
+  return {
+    currency: data.currency || 'EUR',
+    isFixed: data.isFixed,
+    hasAnyDate,
+    hourlyRate: data.project?.hourly_rate || 0,
+    items,
+    lineItems,
+    groups,
+    hasLineItemDiscounts: lineItems.some((item) => item.discount > 0),
+    subtotal,
+    // vatPercent is null when lines carry different rates; see vatBreakdown
+    vatPercent: vat.vatPercent,
+    vatAmount: vat.vatAmount,
+    total: sumMoney([subtotal, vat.vatAmount]),
+    vatTreatment: vat.treatment,
+    vatBreakdown: vat.breakdown,
+    mixedVatRates: vat.mixedRates,
+    sellerVatId: vat.sellerVatId,
+    buyerVatId: vat.buyerVatId
+  };
+}
+
+// Prebuilt footer lines (company, contact, bank) shared by every renderer;
+// `data.user` may be a users row or its camelCase form
+export function buildInvoiceFooter(data, t = translator('en', 'invoice')) {
+  const user = toCamelCase(data.user) || {};
+  const companyLines = [
+    user.companyName || '',
+    [user.companyStreet, user.companyNumber].filter(Boolean).join(' ').trim(),
+    [user.companyPostalCode, user.companyCity].filter(Boolean).join(' '),
+    [user.companyState, user.companyCountry].filter(Boolean).join(', ')
+  ].filter(Boolean);
+  const contactLines = [
+    user.companyVatId ? `${t('vatId')}: ${user.companyVatId}` : null,
+    user.companyPhone ? `${t('phone')}: ${user.companyPhone}` : null,
+    user.email ? `${t('email')}: ${user.email}` : null
+  ].filter(Boolean);
+  const bankLines = [
+    user.bankName || null,
+    data.decryptedIban ? `IBAN: ${data.decryptedIban}` : null,
+    user.bankBic ? `BIC: ${user.bankBic}` : null
+  ].filter(Boolean);
+  return { companyLines, contactLines, bankLines };
+}
+
+// Recipient address block, one entry per line; `customer` is camelCase
+export const customerAddressLines = (customer) =>
+  [
+    customer.name,
+    customer.billingStreet &&
+      `${customer.billingStreet} ${customer.billingNumber || ''}`.trim(),
+    [customer.billingPostalCode, customer.billingCity].filter(Boolean).join(' ')
+  ].filter(Boolean);
+
+// Issuer details a template may print, without credentials or bank ciphers
+export const sellerView = (user) => ({
+  name:
+    user.companyName ||
+    [user.firstName, user.lastName].filter(Boolean).join(' '),
+  street: user.companyStreet || '',
+  number: user.companyNumber || '',
+  postalCode: user.companyPostalCode || '',
+  city: user.companyCity || '',
+  state: user.companyState || '',
+  country: user.companyCountry || '',
+  vatId: user.companyVatId || '',
+  taxNumber: user.taxNumber || '',
+  phone: user.companyPhone || '',
+  email: user.email || '',
+  bankName: user.bankName || '',
+  bic: user.bankBic || ''
+});
+
+/**
+ * Everything an invoice template can reference, with amounts and dates
+ * already formatted for the invoice locale. Takes the camelCase form of
+ * buildInvoiceData() plus number and dates; `logo` is a data URL or ''.
+ */
+export function buildInvoiceView({
   user,
   customer,
   project,
   tasks,
+  lineItems = [],
+  groups = [],
   decryptedIban,
   isFixed,
   subtotal,
   invoiceNo,
-  invoiceDate
+  invoiceDate,
+  dueDate = '',
+  documentType = 'invoice',
+  referenceNo = '',
+  reason = '',
+  currency = 'EUR',
+  logo = ''
 }) {
-  const loc = user?.locale === 'de' ? 'de' : 'en';
-  const t = {
-    en: {
-      invoice: 'Invoice',
-      date: 'Date',
-      task: 'Task',
-      hours: 'Hours',
-      cost: 'Cost',
-      subtotal: 'Subtotal',
-      vat: (p) => `VAT (${p}%)`,
-      total: 'Total',
-      noTasks: 'No tasks',
-      vatId: 'VAT',
-      phone: 'Phone',
-      email: 'Email'
-    },
-    de: {
-      invoice: 'Rechnung',
-      date: 'Datum',
-      task: 'Aufgabe',
-      hours: 'Stunden',
-      cost: 'Kosten',
-      subtotal: 'Zwischensumme',
-      vat: (p) => `MwSt. (${p}%)`,
-      total: 'Gesamt',
-      noTasks: 'Keine Aufgaben',
-      vatId: 'USt-IdNr.',
-      phone: 'Telefon',
-      email: 'E-Mail'
-    }
-  }[loc];
-  const customerAddr = [
-    customer.name,
-    customer.billingStreet &&
-      `${customer.billingStreet} ${customer.billingNumber || ''}`.trim(),
-    [customer.billingPostalCode, customer.billingCity].filter(Boolean).join(' ')
-  ]
-    .filter(Boolean)
-    .join('<br>');
-
-  const hasAnyDate = Array.isArray(tasks) && tasks.some((t) => !!t.date);
-  const columnsCount = isFixed
-    ? hasAnyDate
-      ? 3
-      : 2 // [Date?], Task, Hours
-    : hasAnyDate
-    ? 4
-    : 3; // [Date?], Task, Hours, Cost
-
-  // VAT calculation from user settings
-  const vatPercentRaw =
-    typeof user.vatPercent === 'number'
-      ? user.vatPercent
-      : parseFloat(user.vatPercent || '0');
-  const vatPercent = isNaN(vatPercentRaw) ? 0 : vatPercentRaw;
-  const vatAmount = vatPercent > 0 ? Number(subtotal) * (vatPercent / 100) : 0;
-  const grandTotal = vatPercent > 0 ? Number(subtotal) + vatAmount : subtotal;
-  const vatPercentLabel = Number.isFinite(vatPercent)
-    ? String(vatPercent)
-    : '0';
-
-  const rows = tasks
-    .map((tRow) => {
-      const dateStr = tRow.date ? formatDDMMYYYY(tRow.date) : '';
-      const cells = [];
-      if (hasAnyDate) {
-        cells.push(`<td style=\"padding:4px 8px;\">${dateStr}</td>`); // Date first when present
-      }
-      cells.push(`<td style=\"padding:4px 8px;\">${tRow.name}</td>`); // Task
-      cells.push(
-        `<td style=\"padding:4px 8px;text-align:center;\">${
-          tRow.estimatedHours ?? ''
-        }</td>`
-      ); // Hours
-      if (!isFixed) {
-        const cost = (tRow.estimatedHours ?? 0) * (project.hourlyRate ?? 0);
-        cells.push(
-          `<td style=\"padding:4px 8px;text-align:right;\">€${cost.toFixed(
-            2
-          )}</td>`
-        ); // Cost
+  const loc = invoiceLocale(user, customer);
+  const t = translator(loc, 'invoice');
+  const money = (amount) => formatMoney(amount, currency, loc);
+  const sign = documentSign(documentType);
+  const netSubtotal = sign * roundMoney(subtotal);
+  const hasAnyDate = Array.isArray(tasks) && tasks.some((task) => !!task.date);
+  const vat = computeVat(
+    { user, customer, project, tasks, lineItems, isFixed, subtotal },
+    { sign }
+  );
+  // Per-line VAT column only when lines carry different rates
+  const showLineRates = !isFixed && vat.mixedRates;
+  // Date?, Task, Hours, Rate?, VAT %?, Amount? (fixed prices show no rate
+  // or amount per task)
+  const columnsCount =
+    (hasAnyDate ? 1 : 0) + 2 + (showLineRates ? 1 : 0) + (isFixed ? 0 : 2);
+  // Line items get their own table: Description, Quantity, Unit price,
+  // [Discount], [VAT %], Amount
+  const showDiscounts = lineItems.some((item) => Number(item.discount) > 0);
+  const lineColumnsCount =
+    4 + (showDiscounts ? 1 : 0) + (vat.mixedRates ? 1 : 0);
+  const showTasks = (tasks || []).length > 0 || lineItems.length === 0;
+
+  const taskAmounts = (tasks || []).map((tRow) =>
+    isFixed ? null : sign * taskAmount(tRow, project)
+  );
+  const items = (tasks || []).map((tRow, i) => ({
+    date: tRow.date ? formatDate(tRow.date, loc) : '',
+    name: tRow.name ?? '',
+    hours: formatDecimal(taskHours(tRow), loc),
+    rate: isFixed ? '' : money(sign * taskRate(tRow, project)),
+    vatRate: `${formatDecimal(vat.lineRates[i], loc)}%`,
+    cost: isFixed ? '' : money(taskAmounts[i])
+  }));
+  const lineItemNets = lineItems.map(
+    (item) => sign * lineItemAmounts(item).net
+  );
+  const lineItemViews = lineItems.map((item, i) => {
+    const amounts = lineItemAmounts(item);
+    return {
+      description: item.description ?? '',
+      quantity: [formatDecimal(item.quantity, loc), item.unit]
+        .filter(Boolean)
+        .join(' '),
+      unitPrice: money(sign * Number(item.unitPrice || 0)),
+      discount:
+        Number(item.discount) > 0
+          ? item.discountType === 'amount'
+            ? money(sign * amounts.discount)
+            : `${formatDecimal(item.discount, loc)}%`
+          : '',
+      vatRate: `${formatDecimal(vat.lineItemRates[i], loc)}%`,
+      amount: money(lineItemNets[i])
+    };
+  });
+  // Consolidated invoices list each project's lines under its own heading
+  const groupViews = (groups || []).flatMap((group) => {
+    const taskIdx = (tasks || []).flatMap((tRow, i) =>
+      tRow.projectId === group.projectId ? [i] : []
+    );
+    const itemIdx = lineItems.flatMap((item, i) =>
+      item.projectId === group.projectId ? [i] : []
+    );
+    if (taskIdx.length === 0 && itemIdx.length === 0) return [];
+    const net = sumMoney([
+      ...taskIdx.map((i) => taskAmounts[i]),
+      ...itemIdx.map((i) => lineItemNets[i])
+    ]);
+    return [
+      {
+        name: group.name || '',
+        description: group.description || '',
+        items: taskIdx.map((i) => items[i]),
+        lineItems: itemIdx.map((i) => lineItemViews[i]),
+        showTasks: taskIdx.length > 0,
+        // Columns before the amount in the group's last table
+        totalsSpan:
+          itemIdx.length > 0 ? lineColumnsCount - 1 : columnsCount - 1,
+        subtotalLabel: t('groupSubtotal', { name: group.name || '' }),
+        subtotal: money(net)
       }
-      return `<tr>\n    ${cells.join('\n    ')}\n  </tr>`;
-    })
-    .join('');
-
-  return `<!doctype html><html><head><meta charset="utf-8"><title>Invoice ${invoiceNo}</title></head><body style="font-family:Arial,sans-serif;font-size:14px;color:#222;line-height:1.4;">
-  <table width="100%;">
-    <tr>
-      <td valign="top" style="width:50%">
-        ${customerAddr}
-      </td>
-    </tr>
-  </table>
-  <h3 style="margin:2rem 0 4px;">${t.invoice} ${invoiceNo}</h3>
-  <small>${t.date}: ${formatDDMMYYYY(invoiceDate || new Date())}</small>
-  <p style="margin:24px 0 8px;font-weight:bold">${project.name}</p>
-  ${
-    project.description
-      ? `<p style="margin:0 0 12px;">${project.description}</p>`
-      : ''
-  }
-  <table width=\"100%\" style=\"border-collapse:collapse;border:1px solid #ccc;\">
-    <thead>
-      <tr style=\"background:#f5f5f5;\">
-  ${
-    hasAnyDate
-      ? '<th style="padding:6px 8px;text-align:left;">' + t.date + '</th>'
-      : ''
-  }
-  <th style=\"padding:6px 8px;text-align:left;\">${t.task}</th>
-  <th style=\"padding:6px 8px;text-align:center;\">${t.hours}</th>
-  ${
-    isFixed
-      ? ''
-      : '<th style="padding:6px 8px;text-align:right;">' + t.cost + '</th>'
-  }
-      </tr>
-    </thead>
-    <tbody>
-  ${
-    rows ||
-    `<tr><td colspan=\"${columnsCount}\" style=\"padding:8px;text-align:center;\">${t.noTasks}</td></tr>`
-  }
-  <tr><td colspan=\"${
-    columnsCount - 1
-  }\" style=\"padding:6px 8px;text-align:right;font-weight:bold;\">${
-    t.subtotal
-  }</td><td style=\"padding:6px 8px;text-align:right;\">€${subtotal}</td></tr>
-  <tr><td colspan=\"${
-    columnsCount - 1
-  }\" style=\"padding:6px 8px;text-align:right;font-weight:bold;\">${t.vat(
-    vatPercentLabel
-  )}</td><td style=\"padding:6px 8px;text-align:right;\">${
-    vatPercent > 0 ? `€${vatAmount.toFixed(2)}` : '-'
-  }</td></tr>
-  <tr><td colspan=\"${
-    columnsCount - 1
-  }\" style=\"padding:6px 8px;text-align:right;font-weight:bold;\">${
-    t.total
-  }</td><td style=\"padding:6px 8px;text-align:right;font-weight:bold;\">€${grandTotal}</td></tr>
-    </tbody>
-  </table>
-  ${
-    user.invoiceNotes
-      ? `<pre style="margin-top:18px;padding:12px;background:#f9f9f9;border:1px solid #eee;white-space:pre-wrap;">${user.invoiceNotes}</pre>`
-      : ''
-  }
-  
-  <!-- Footer: Company, Contact, Bank -->
-  <table width="100%" style="margin-top:18px;color:#666;font-size:12px;">
-    <tr>
-      <td valign="top" style="width:33.3%;padding-right:12px;">
-        ${[
-          user.companyName,
-          [user.companyStreet, user.companyNumber]
-            .filter(Boolean)
-            .join(' ')
-            .trim(),
-          [user.companyPostalCode, user.companyCity].filter(Boolean).join(' '),
-          [user.companyState, user.companyCountry].filter(Boolean).join(', ')
-        ]
-          .filter(Boolean)
-          .map((l) => `<div style=\"margin:2px 0\">${l}</div>`)
-          .join('')}
-      </td>
-      <td valign="top" style="width:33.3%;padding:0 12px;">
-        ${[
-          user.companyVatId ? `${t.vatId}: ${user.companyVatId}` : '',
-          user.companyPhone ? `${t.phone}: ${user.companyPhone}` : '',
-          user.email ? `${t.email}: ${user.email}` : ''
-        ]
-          .filter(Boolean)
-          .map((l) => `<div style=\"margin:2px 0\">${l}</div>`)
-          .join('')}
-      </td>
-      <td valign="top" style="width:33.3%;padding-left:12px;">
-        ${[
-          user.bankName || '',
-          decryptedIban ? `IBAN: ${decryptedIban}` : '',
-          user.bankBic ? `BIC: ${user.bankBic}` : ''
-        ]
-          .filter(Boolean)
-          .map((l) => `<div style=\"margin:2px 0\">${l}</div>`)
-          .join('')}
-      </td>
-    </tr>
-  </table>
-  </body></html>`;
+    ];
+  });
+
+  const total = sumMoney([netSubtotal, vat.vatAmount]);
+  // SEPA payment code (EPC/GiroCode) for EUR invoices
+  const paymentPayload = invoicePaymentPayload({
+    user,
+    decryptedIban,
+    currency,
+    documentType,
+    total,
+    invoiceNo
+  });
+
+  return {
+    title: documentTitle(documentType, t),
+    documentType,
+    invoiceNo: invoiceNo || '',
+    invoiceDate: formatDate(invoiceDate || new Date(), loc),
+    dueDate: dueDate ? formatDate(parseDate(dueDate), loc) : '',
+    reference: referenceNo ? t('reference', { number: referenceNo }) : '',
+    reason: reason || '',
+    logo: logo || '',
+    labels: {
+      date: t('date'),
+      // Quotes print their validity where invoices print the due date
+      dueDate: documentType === 'quote' ? t('validUntil') : t('dueDate'),
+      task: t('task'),
+      hours: t('hours'),
+      rate: t('rate'),
+      vatRate: t('vatRate'),
+      cost: t('cost'),
+      subtotal: t('subtotal'),
+      total: t('total'),
+      noTasks: t('noTasks'),
+      buyerVatId: t('buyerVatId'),
+      description: t('description'),
+      quantity: t('quantity'),
+      unitPrice: t('unitPrice'),
+      discount: t('discount'),
+      amount: t('amount'),
+      paymentQr: t('paymentQr')
+    },
+    seller: sellerView(user),
+    customer: {
+      name: customer.name || '',
+      addressLines: customerAddressLines(customer),
+      country: customer.billingCountry || '',
+      email: customer.email || '',
+      // Reverse-charge invoices must show the recipient's VAT ID (ours is in the footer)
+      vatId: vat.treatment === 'reverse_charge' ? vat.buyerVatId || '' : ''
+    },
+    project: {
+      name: project.name || '',
+      description: project.description || ''
+    },
+    columns: {
+      date: hasAnyDate,
+      rate: !isFixed,
+      vatRate: showLineRates,
+      cost: !isFixed,
+      count: columnsCount,
+      labelSpan: columnsCount - 1
+    },
+    items,
+    lineItems: lineItemViews,
+    groups: groupViews,
+    lineColumns: {
+      discount: showDiscounts,
+      vatRate: vat.mixedRates,
+      count: lineColumnsCount,
+      labelSpan: lineColumnsCount - 1
+    },
+    showTasks,
+    // Totals close the last table on the page
+    totalsSpan: lineItems.length > 0 ? lineColumnsCount - 1 : columnsCount - 1,
+    subtotal: money(netSubtotal),
+    vatRows: vat.breakdown.map((b) => ({
+      label: t('vat', { rate: b.rate }),
+      amount: b.rate > 0 ? money(b.vat) : '-'
+    })),
+    total: money(total),
+    paymentQr: paymentPayload ? qrSvgDataUrl(paymentPayload) : '',
+    vatNote: t(`vatNotes.${vat.treatment}`),
+    notes: user.invoiceNotes || '',
+    footer: buildInvoiceFooter({ user, decryptedIban }, t)
+  };
+}
+
+/**
+ * Invoice HTML through the user's template (or the built-in default).
+ * `template` is an invoice_templates row ({ html, css }); every value is
+ * escaped by the template engine.
+ */
+export function renderInvoiceHtml(params, { template } = {}) {
+  const html = renderTemplate(
+    template?.html || DEFAULT_INVOICE_TEMPLATE,
+    buildInvoiceView(params)
+  );
+  return injectCss(html, template?.css);
 }
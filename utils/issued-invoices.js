@@ -0,0 +1,639 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { toCamelCase } from './camel-case.js';
+import {
+  buildConsolidatedInvoiceData,
+  buildInvoiceData,
+  buildInvoiceFooter,
+  buildInvoiceTable,
+  buildRecurringInvoiceData,
+  formatISODate,
+  invoiceLocale,
+  parseDate,
+  renderInvoiceHtml,
+  resolveInvoiceDate
+} from './invoice.js';
+import { loadRenderOptions } from './invoice-templates.js';
+import { lineItemsTotal } from './line-items.js';
+import { taskAmount, taskHours } from './rates.js';
+import { roundMoney, sumMoney, toCents } from './money.js';
+import {
+  computeDueDate,
+  paymentTermsDays,
+  refreshPaymentStatus
+} from './payments.js';
+import { allocateNumber } from './sequences.js';
+import { decryptValue, encryptValue } from './encryption.js';
+import { ApiError, httpError } from './errors.js';
+import { translator } from './i18n.js';
+
+// Project columns that end up on an invoice and are frozen once it is issued
+export const LOCKED_PROJECT_FIELDS = [
+  'name',
+  'description',
+  'invoice_number',
+  'invoice_date',
+  'hourly_rate',
+  'pricing_type',
+  'fixed_price',
+  'vat_rate',
+  'currency',
+  'billing_basis',
+  'time_rounding_minutes',
+  'time_rounding_mode'
+];
+
+// Task columns that end up on an invoice and are frozen once it is issued
+export const LOCKED_TASK_FIELDS = [
+  'name',
+  'estimated_hours',
+  'date',
+  'vat_rate',
+  'billable',
+  'role',
+  'hourly_rate'
+];
+
+// Line item columns that end up on an invoice and are frozen once it is issued
+export const LOCKED_LINE_ITEM_FIELDS = [
+  'description',
+  'quantity',
+  'unit',
+  'unit_price',
+  'vat_rate',
+  'discount',
+  'discount_type'
+];
+
+// Invoices in these states no longer freeze their source rows
+const RELEASED_STATUSES = ['cancelled'];
+
+export class InvoiceLockedError extends ApiError {
+  constructor(code, { invoiceNumber, fields = [] } = {}) {
+    super(409, code, { invoiceNumber }, { invoiceNumber, fields });
+    this.name = 'InvoiceLockedError';
+    this.invoiceNumber = invoiceNumber;
+    this.fields = fields;
+  }
+}
+
+// Strip credentials and encrypted columns, keep everything the invoice shows
+function snapshotUser(user) {
+  const {
+    password,
+    bank_iban_cipher,
+    bank_iban_iv,
+    bank_iban_tag,
+    role,
+    active,
+    ...rest
+  } = user;
+  return rest;
+}
+
+/**
+ * Stored form of a document's data: the IBAN it was issued with is kept
+ * encrypted like the user's bank_iban_* columns. openSnapshot() reverses it.
+ */
+export function sealSnapshot({ decryptedIban, ...data }) {
+  return decryptedIban ? { ...data, iban: encryptValue(decryptedIban) } : data;
+}
+
+// Data of a stored snapshot with its IBAN decrypted again. Snapshots issued
+// before the IBAN was encrypted carry it as plain decryptedIban.
+export function openSnapshot({ iban, ...snapshot }) {
+  return iban ? { ...snapshot, decryptedIban: decryptValue(iban) } : snapshot;
+}
+
+export function snapshotInvoiceData(data) {
+  return {
+    user: snapshotUser(data.user),
+    customer: data.customer,
+    project: data.project,
+    groups: data.groups,
+    tasks: data.tasks,
+    lineItems: data.lineItems,
+    decryptedIban: data.decryptedIban,
+    isFixed: data.isFixed,
+    subtotal: data.subtotal,
+    currency: data.currency,
+    dueDate: data.dueDate
+  };
+}
+
+// Compare a stored value with an incoming one without tripping over pg's
+// NUMERIC-as-string and DATE-as-Date representations
+const sameValue = (a, b) => {
+  const norm = (v) => {
+    if (v == null || v === '') return '';
+    if (v instanceof Date) return formatISODate(v);
+    if (typeof v === 'number' || (typeof v === 'string' && v.trim() !== '')) {
+      const n = Number(v);
+      if (!isNaN(n)) return String(n);
+    }
+    return String(v);
+  };
+  return norm(a) === norm(b);
+};
+
+export const changedFields = (current, next, fields) =>
+  fields.filter(
+    (f) =>
+      Object.prototype.hasOwnProperty.call(next, f) &&
+      !sameValue(current[f], next[f])
+  );
+
+/**
+ * Latest finalized invoice that froze the given rows. `projectId` matches the
+ * project's own invoice (which freezes the project's fields); `billedProjectId`
+ * also matches consolidated invoices billing some of its tasks.
+ */
+export async function findLockingInvoice(
+  { userId, customerId, projectId, billedProjectId, taskId, lineItemId },
+  db = getDatabase()
+) {
+  const where = [
+    'user_id = $1',
+    "document_type = 'invoice'",
+    'NOT (status = ANY($2))'
+  ];
+  const params = [userId, RELEASED_STATUSES];
+  if (customerId) {
+    params.push(customerId);
+    where.push(`customer_id = $${params.length}`);
+  }
+  if (projectId) {
+    params.push(projectId);
+    where.push(`project_id = $${params.length}`);
+  }
+  if (billedProjectId) {
+    params.push(billedProjectId);
+    where.push(`$${params.length} = ANY(project_ids)`);
+  }
+  if (taskId) {
+    params.push(taskId);
+    where.push(`$${params.length} = ANY(task_ids)`);
+  }
+  if (lineItemId) {
+    params.push(lineItemId);
+    where.push(`$${params.length} = ANY(line_item_ids)`);
+  }
+  return (
+    await db.query(
+      `SELECT id, invoice_number FROM invoices WHERE ${where.join(
+        ' AND '
+      )} ORDER BY id DESC LIMIT 1`,
+      params
+    )
+  ).rows[0];
+}
+
+/**
+ * Throw InvoiceLockedError if `next` changes any of `fields` on a row that
+ * fed a finalized invoice. Pass `fields = null` to forbid any change (delete).
+ */
+export async function assertNotLocked(scope, current, next, fields) {
+  const invoice = await findLockingInvoice(scope);
+  if (!invoice) return;
+  const changed = fields ? changedFields(current, next, fields) : [];
+  if (fields && changed.length === 0) return;
+  throw new InvoiceLockedError('INVOICE_LOCKED', {
+    invoiceNumber: invoice.invoice_number,
+    fields: changed
+  });
+}
+
+/**
+ * Time entries of a task billed on a finalized invoice are frozen when its
+ * project bills logged time (`task` carries the project's billing_basis).
+ */
+export async function assertTimeNotLocked(userId, task) {
+  if (task.billing_basis !== 'logged') return;
+  await assertNotLocked({ userId, taskId: task.id }, task, {}, null);
+}
+
+const buyerFromCustomer = (c) => ({
+  name: c.name || '',
+  contactPerson: c.contact_person || '',
+  street: c.billing_street || '',
+  number: c.billing_number || '',
+  postalCode: c.billing_postal_code || '',
+  city: c.billing_city || '',
+  state: c.billing_state || '',
+  country: c.billing_country || '',
+  email: c.email || '',
+  vat: c.vat_number || ''
+});
+
+// Render and persist one document (invoice or credit note) inside `client`'s transaction
+async function insertDocument(
+  client,
+  {
+    userId,
+    customerId,
+    projectId,
+    data,
+    invoiceNo,
+    invoiceDate,
+    projectIds = [],
+    taskIds = [],
+    lineItemIds = [],
+    originalInvoiceId = null
+  }
+) {
+  const duplicate = (
+    await client.query(
+      'SELECT id FROM invoices WHERE user_id = $1 AND invoice_number = $2',
+      [userId, invoiceNo]
+    )
+  ).rows[0];
+  if (duplicate) {
+    throw httpError(409, 'INVOICE_NUMBER_USED', {
+      invoiceNumber: invoiceNo
+    });
+  }
+
+  const table = buildInvoiceTable(data);
+  const locale = invoiceLocale(data.user, data.customer);
+  const { template, logo } = await loadRenderOptions(userId, client);
+  const html = renderInvoiceHtml(
+    { ...toCamelCase(data), invoiceNo, invoiceDate, logo },
+    { template }
+  );
+
+  return (
+    await client.query(
+      `INSERT INTO invoices (
+    user_id, customer_id, project_id, invoice_number, invoice_date, locale,
+    task_ids, buyer, seller, items, subtotal, vat_percent, vat_amount, total,
+    snapshot, html, document_type, original_invoice_id, reason, currency,
+    due_date, line_item_ids, line_items, project_ids
+  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)
+  RETURNING *`,
+      [
+        userId,
+        customerId,
+        projectId,
+        invoiceNo,
+        invoiceDate,
+        locale,
+        taskIds,
+        JSON.stringify(buyerFromCustomer(data.customer)),
+        JSON.stringify(buildInvoiceFooter(data, translator(locale, 'invoice'))),
+        JSON.stringify(table.items),
+        table.subtotal,
+        table.vatPercent,
+        table.vatAmount,
+        table.total,
+        JSON.stringify(sealSnapshot({ ...data, invoiceNo, invoiceDate })),
+        html,
+        data.documentType || 'invoice',
+        originalInvoiceId,
+        data.reason || null,
+        table.currency,
+        data.dueDate || null,
+        lineItemIds,
+        JSON.stringify(table.lineItems),
+        projectIds
+      ]
+    )
+  ).rows[0];
+}
+
+// Tasks and line items on a finalized invoice count as billed, which keeps
+// them off later consolidated invoices
+async function markBilled(client, invoice) {
+  await client.query(
+    'UPDATE tasks SET invoice_id = $1 WHERE id = ANY($2) AND user_id = $3',
+    [invoice.id, invoice.task_ids, invoice.user_id]
+  );
+  await client.query(
+    'UPDATE line_items SET invoice_id = $1 WHERE id = ANY($2) AND user_id = $3',
+    [invoice.id, invoice.line_item_ids, invoice.user_id]
+  );
+}
+
+/**
+ * Freeze the current state of a project's invoice into the invoices table.
+ * Returns the inserted row.
+ */
+export async function issueInvoice({ userId, customerId, projectId }) {
+  const data = await buildInvoiceData({ userId, customerId, projectId });
+  const invoiceDate = await resolveInvoiceDate(data, {
+    userId,
+    customerId,
+    projectId
+  });
+  data.dueDate = computeDueDate(invoiceDate, paymentTermsDays(data));
+
+  return withTransaction(async (client) => {
+    // Serialize concurrent issue requests for the same project
+    await client.query(
+      'SELECT id FROM projects WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [projectId, userId]
+    );
+    // Also covers consolidated invoices that billed part of the project
+    const existing = await findLockingInvoice(
+      { userId, billedProjectId: projectId },
+      client
+    );
+    if (existing) {
+      throw new InvoiceLockedError('PROJECT_ALREADY_INVOICED', {
+        invoiceNumber: existing.invoice_number
+      });
+    }
+
+    // Numbers are drawn at issue time; a project only carries one up front
+    // if it was numbered manually or before sequences existed
+    let invoiceNo = data.project.invoice_number || '';
+    if (!invoiceNo) {
+      invoiceNo = await allocateNumber(
+        client,
+        userId,
+        'invoice',
+        parseDate(invoiceDate)
+      );
+      await client.query(
+        'UPDATE projects SET invoice_number = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3',
+        [invoiceNo, projectId, userId]
+      );
+      data.project.invoice_number = invoiceNo;
+    }
+
+    const invoice = await insertDocument(client, {
+      userId,
+      customerId,
+      projectId,
+      data: snapshotInvoiceData(data),
+      invoiceNo,
+      invoiceDate,
+      projectIds: [Number(projectId)],
+      taskIds: data.tasks.map((t) => t.id),
+      lineItemIds: data.lineItems.map((item) => item.id)
+    });
+    await markBilled(client, invoice);
+    return invoice;
+  });
+}
+
+/**
+ * Finalize one invoice over several projects of a customer: the unbilled
+ * tasks and line items picked by buildConsolidatedInvoiceData(), grouped by
+ * project. They are marked billed, so the next run starts where this one
+ * ended. `invoiceDate` (YYYY-MM-DD) defaults to today.
+ */
+export async function issueConsolidatedInvoice({
+  userId,
+  customerId,
+  projectIds,
+  from,
+  to,
+  title,
+  invoiceDate
+}) {
+  const date = invoiceDate ? parseDate(invoiceDate) : new Date();
+  if (isNaN(date)) throw httpError(400, 'INVOICE_DATE_INVALID');
+
+  return withTransaction(async (client) => {
+    // Serialize with other invoices over the customer's projects
+    await client.query(
+      'SELECT id FROM projects WHERE customer_id = $1 AND user_id = $2 ORDER BY id FOR UPDATE',
+      [customerId, userId]
+    );
+    const data = await buildConsolidatedInvoiceData(
+      { userId, customerId, projectIds, from, to, title },
+      client
+    );
+    data.dueDate = computeDueDate(formatISODate(date), paymentTermsDays(data));
+    const invoiceNo = await allocateNumber(client, userId, 'invoice', date);
+
+    const invoice = await insertDocument(client, {
+      userId,
+      customerId,
+      projectId: null,
+      data: snapshotInvoiceData(data),
+      invoiceNo,
+      invoiceDate: formatISODate(date),
+      projectIds: data.groups.map((group) => group.project_id),
+      taskIds: data.tasks.map((t) => t.id),
+      lineItemIds: data.lineItems.map((item) => item.id)
+    });
+    await markBilled(client, invoice);
+    return invoice;
+  });
+}
+
+/**
+ * Issue the invoice for one period (`from`..`to`, YYYY-MM-DD) of a recurring
+ * invoice inside the caller's transaction, dated `invoiceDate`. It has no
+ * project: the line items come from the recurring_invoices row.
+ */
+export async function issueRecurringInvoice(
+  client,
+  recurring,
+  { from, to, invoiceDate }
+) {
+  const data = await buildRecurringInvoiceData(recurring, { from, to }, client);
+  if (data.lineItems.length === 0) {
+    throw httpError(400, 'RECURRING_NO_LINE_ITEMS');
+  }
+  data.dueDate = computeDueDate(invoiceDate, paymentTermsDays(data));
+  const invoiceNo = await allocateNumber(
+    client,
+    recurring.user_id,
+    'invoice',
+    parseDate(invoiceDate)
+  );
+  return insertDocument(client, {
+    userId: recurring.user_id,
+    customerId: recurring.customer_id,
+    projectId: null,
+    data: snapshotInvoiceData(data),
+    invoiceNo,
+    invoiceDate
+  });
+}
+
+// Build the credited lines of a credit note from the original snapshot
+function creditNoteLines(snapshot, { items, lineItems, amount, description }) {
+  if (amount != null) {
+    const value = roundMoney(amount);
+    if (!(value > 0)) throw httpError(400, 'AMOUNT_INVALID');
+    const t = translator(
+      invoiceLocale(snapshot.user, snapshot.customer),
+      'invoice'
+    );
+    return {
+      isFixed: true,
+      tasks: [{ name: description || t('creditNote'), estimated_hours: null }],
+      lineItems: [],
+      subtotal: value
+    };
+  }
+  if (Array.isArray(items) || Array.isArray(lineItems)) {
+    if (snapshot.isFixed && items?.length) {
+      throw httpError(400, 'FIXED_CREDIT_BY_AMOUNT');
+    }
+    const tasks = (items || []).map(({ index, hours }) => {
+      const task = snapshot.tasks[index];
+      if (!task) throw httpError(400, 'INVOICE_LINE_MISSING', { index });
+      const billed = taskHours(task);
+      const credited = hours == null ? billed : Number(hours);
+      if (!(credited > 0) || credited > billed) {
+        throw httpError(400, 'CREDIT_HOURS_INVALID', { index });
+      }
+      return { ...task, estimated_hours: credited, billed_hours: credited };
+    });
+    const creditedItems = (lineItems || []).map(({ index, quantity }) => {
+      const item = (snapshot.lineItems || [])[index];
+      if (!item) throw httpError(400, 'INVOICE_LINE_ITEM_MISSING', { index });
+      const billed = Number(item.quantity || 0);
+      const credited = quantity == null ? billed : Number(quantity);
+      if (!(credited > 0) || credited > billed) {
+        throw httpError(400, 'CREDIT_QUANTITY_INVALID', { index });
+      }
+      // Fixed discounts are credited in proportion to the quantity
+      const discount =
+        item.discount_type === 'amount'
+          ? roundMoney((Number(item.discount) * credited) / billed)
+          : item.discount;
+      return { ...item, quantity: credited, discount };
+    });
+    if (tasks.length === 0 && creditedItems.length === 0) {
+      throw httpError(400, 'NOTHING_TO_CREDIT');
+    }
+    return {
+      isFixed: false,
+      tasks,
+      lineItems: creditedItems,
+      subtotal: sumMoney([
+        ...tasks.map((t) => taskAmount(t, snapshot.project)),
+        lineItemsTotal(creditedItems)
+      ])
+    };
+  }
+  // Full cancellation (Storno): every line of the original
+  return {
+    isFixed: snapshot.isFixed,
+    tasks: snapshot.tasks,
+    lineItems: snapshot.lineItems || [],
+    subtotal: Number(snapshot.subtotal || 0)
+  };
+}
+
+/**
+ * Issue a full (no `items`/`amount`) or partial credit note against an issued
+ * invoice. A credit note covering the whole remaining amount cancels the
+ * invoice, which releases the lock on its project and tasks and marks them
+ * unbilled again.
+ */
+export async function issueCreditNote({
+  userId,
+  invoiceId,
+  items,
+  lineItems,
+  amount,
+  description,
+  reason = ''
+}) {
+  return withTransaction(async (client) => {
+    const original = (
+      await client.query(
+        `SELECT * FROM invoices
+   WHERE id = $1 AND user_id = $2 AND document_type = 'invoice'
+   FOR UPDATE`,
+        [invoiceId, userId]
+      )
+    ).rows[0];
+    if (!original) {
+      throw httpError(404, 'INVOICE_NOT_FOUND');
+    }
+    if (original.status === 'cancelled') {
+      throw httpError(409, 'INVOICE_ALREADY_CANCELLED');
+    }
+
+    const previous = (
+      await client.query(
+        `SELECT COUNT(*)::int AS count, COALESCE(SUM(-subtotal), 0) AS credited
+   FROM invoices
+   WHERE original_invoice_id = $1 AND user_id = $2`,
+        [invoiceId, userId]
+      )
+    ).rows[0];
+    const credited = Number(previous.credited);
+    // Net amount of the original still open for crediting, in cents
+    const remaining = toCents(original.subtotal) - toCents(credited);
+    const isFull = items == null && lineItems == null && amount == null;
+    if (isFull && credited > 0) {
+      throw httpError(409, 'INVOICE_PARTIALLY_CREDITED');
+    }
+
+    const snapshot = openSnapshot(original.snapshot);
+    const lines = creditNoteLines(snapshot, {
+      items,
+      lineItems,
+      amount,
+      description
+    });
+    if (toCents(lines.subtotal) > remaining) {
+      throw httpError(400, 'CREDIT_EXCEEDS_INVOICE');
+    }
+
+    const data = {
+      ...snapshot,
+      ...lines,
+      documentType: 'credit_note',
+      referenceNo: original.invoice_number,
+      reason
+    };
+    delete data.invoiceNo;
+    delete data.invoiceDate;
+    delete data.dueDate;
+
+    const invoiceDate = formatISODate(new Date());
+    const invoiceNo = await allocateNumber(
+      client,
+      userId,
+      'credit_note',
+      parseDate(invoiceDate)
+    );
+    const creditNote = await insertDocument(client, {
+      userId,
+      customerId: original.customer_id,
+      projectId: original.project_id,
+      data,
+      invoiceNo,
+      invoiceDate,
+      projectIds: original.project_ids,
+      originalInvoiceId: original.id
+    });
+
+    if (toCents(lines.subtotal) >= remaining) {
+      await client.query(
+        `UPDATE invoices SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+   WHERE id = $1`,
+        [original.id]
+      );
+      // Cancelled invoices give their tasks and line items back for billing
+      await client.query(
+        'UPDATE tasks SET invoice_id = NULL WHERE invoice_id = $1',
+        [original.id]
+      );
+      await client.query(
+        'UPDATE line_items SET invoice_id = NULL WHERE invoice_id = $1',
+        [original.id]
+      );
+      // Its number and date stay with the cancelled invoice; re-issuing the
+      // project draws a new number, dated on the day of issue by default
+      await client.query(
+        `UPDATE projects
+   SET invoice_number = '', invoice_date = NULL, updated_at = CURRENT_TIMESTAMP
+   WHERE user_id = $1 AND invoice_number = $2`,
+        [userId, original.invoice_number]
+      );
+    } else {
+      await refreshPaymentStatus(client, original.id);
+    }
+
+    return creditNote;
+  });
+}
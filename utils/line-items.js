@@ -0,0 +1,91 @@
+import { toCamelCase } from './camel-case.js';
+import { httpError } from './errors.js';
+import { lineAmount, percentOf, roundMoney, sumMoney } from './money.js';
+
+// A line item discount is either a percentage of quantity × unit price or a
+// fixed amount taken off the line
+export const DISCOUNT_TYPES = ['percent', 'amount'];
+
+const MAX_UNIT_LENGTH = 20;
+
+/**
+ * Gross (quantity × unit price), discount and net amount of one line item
+ * row (snake or camel case), rounded to cents like the printed invoice.
+ */
+export function lineItemAmounts(item) {
+  const { quantity, unitPrice, discount, discountType } = toCamelCase(item);
+  const gross = lineAmount(quantity, unitPrice);
+  const discountAmount =
+    discountType === 'amount'
+      ? roundMoney(discount)
+      : percentOf(gross, discount);
+  return {
+    gross,
+    discount: discountAmount,
+    net: sumMoney([gross, -discountAmount])
+  };
+}
+
+export const lineItemsTotal = (items) =>
+  sumMoney((items || []).map((item) => lineItemAmounts(item).net));
+
+const isNumber = (v) =>
+  v !== null && v !== '' && typeof v !== 'boolean' && isFinite(Number(v));
+
+/**
+ * Validate a create/update body (camelCase) and map it to column values.
+ * Fields missing from `body` keep their value from `current` (a line_items
+ * row), or get the defaults for new items.
+ */
+export function parseLineItem(body, current = {}) {
+  const pick = (key, column, fallback) =>
+    body[key] !== undefined ? body[key] : current[column] ?? fallback;
+
+  const description = pick('description', 'description', '');
+  if (typeof description !== 'string' || !description.trim()) {
+    throw httpError(400, 'DESCRIPTION_REQUIRED');
+  }
+  const quantity = pick('quantity', 'quantity', 1);
+  if (!isNumber(quantity)) {
+    throw httpError(400, 'QUANTITY_INVALID');
+  }
+  const unit = pick('unit', 'unit', '') ?? '';
+  if (typeof unit !== 'string' || unit.length > MAX_UNIT_LENGTH) {
+    throw httpError(400, 'UNIT_INVALID', { count: MAX_UNIT_LENGTH });
+  }
+  // Negative unit prices are allowed for rebates and credits
+  const unitPrice = pick('unitPrice', 'unit_price', 0);
+  if (!isNumber(unitPrice)) {
+    throw httpError(400, 'UNIT_PRICE_INVALID');
+  }
+  // null falls back to the project/user rate, like tasks.vat_rate
+  let vatRate = pick('vatRate', 'vat_rate', null);
+  if (vatRate === '') vatRate = null;
+  if (
+    vatRate !== null &&
+    !(isNumber(vatRate) && vatRate >= 0 && vatRate <= 100)
+  ) {
+    throw httpError(400, 'VAT_RATE_INVALID');
+  }
+  const discountType = pick('discountType', 'discount_type', 'percent');
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw httpError(400, 'DISCOUNT_TYPE_INVALID', { types: DISCOUNT_TYPES });
+  }
+  const discount = pick('discount', 'discount', 0) || 0;
+  if (
+    !isNumber(discount) ||
+    discount < 0 ||
+    (discountType === 'percent' && discount > 100)
+  ) {
+    throw httpError(400, 'DISCOUNT_INVALID');
+  }
+  return {
+    description: description.trim(),
+    quantity: Number(quantity),
+    unit: unit.trim(),
+    unit_price: Number(unitPrice),
+    vat_rate: vatRate === null ? null : Number(vatRate),
+    discount: Number(discount),
+    discount_type: discountType
+  };
+}
@@ -0,0 +1,46 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+/**
+ * Build the transport from the environment:
+ * - MAIL_TRANSPORT=json: messages are serialized instead of sent (tests, dev)
+ * - otherwise SMTP via SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ */
+export function createTransportFromEnv(env = process.env) {
+  if (env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  const port = Number(env.SMTP_PORT || 587);
+  return nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER
+      ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' }
+      : undefined
+  });
+}
+
+export function getTransport() {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+}
+
+// Swap the transport, e.g. for a local SMTP stand-in; null restores the env one
+export function setTransport(next) {
+  transport = next;
+}
+
+// Sender address: MAIL_FROM, else the user's own address
+export const mailFrom = (name, email) => {
+  const address = process.env.MAIL_FROM || email;
+  return name ? { name, address } : address;
+};
+
+export async function sendMail(message) {
+  return getTransport().sendMail(message);
+}
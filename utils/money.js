@@ -0,0 +1,37 @@
+/**
+ * Money arithmetic in integer cents. Amounts enter and leave the billing code
+ * as decimal numbers (NUMERIC(…, 2) columns, API payloads), but every sum is
+ * taken over whole cents so line sums, VAT and totals reconcile exactly.
+ *
+ * Rounding, always half away from zero:
+ * - each line (hours × rate, quantity × unit price, its discount) is rounded
+ *   to the cent on its own;
+ * - VAT is computed once per rate on the sum of the rounded lines of that
+ *   rate (as EN 16931 requires);
+ * - subtotals and totals are exact sums of rounded amounts.
+ */
+
+// Decimal amount to whole cents. toPrecision(15) first drops the binary
+// noise of the multiplication (1.005 * 100 = 100.49999999999999).
+export function toCents(amount) {
+  const n = Number(amount || 0);
+  const cents = Math.round(Number((Math.abs(n) * 100).toPrecision(15)));
+  return Math.sign(n) * cents || 0;
+}
+
+export const fromCents = (cents) => cents / 100;
+
+// Amount rounded to the cent
+export const roundMoney = (amount) => fromCents(toCents(amount));
+
+// Exact sum of amounts, each rounded to the cent first
+export const sumMoney = (amounts) =>
+  fromCents((amounts || []).reduce((s, amount) => s + toCents(amount), 0));
+
+// Line amount: quantity × price (hours × rate), rounded to the cent
+export const lineAmount = (quantity, price) =>
+  roundMoney(Number(quantity || 0) * Number(price || 0));
+
+// `percent` of an amount (VAT, percentage discounts), rounded to the cent
+export const percentOf = (amount, percent) =>
+  roundMoney((Number(amount || 0) * Number(percent || 0)) / 100);
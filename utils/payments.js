@@ -0,0 +1,250 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { formatISODate, parseDate } from './invoice.js';
+import { httpError } from './errors.js';
+import { roundMoney, sumMoney } from './money.js';
+
+// Stored invoice states; 'overdue' is derived from due_date when reading
+export const INVOICE_STATUSES = [
+  'draft',
+  'sent',
+  'partially_paid',
+  'paid',
+  'overdue',
+  'cancelled'
+];
+
+export const PAYMENT_METHODS = [
+  'bank_transfer',
+  'direct_debit',
+  'card',
+  'paypal',
+  'cash',
+  'other'
+];
+
+export const DEFAULT_PAYMENT_TERMS_DAYS = 14;
+export const MAX_PAYMENT_TERMS_DAYS = 365;
+
+export const isValidPaymentTerms = (days) =>
+  Number.isInteger(Number(days)) &&
+  Number(days) >= 0 &&
+  Number(days) <= MAX_PAYMENT_TERMS_DAYS;
+
+// Customer terms override the user's default terms
+export function paymentTermsDays(data) {
+  const customerDays = data.customer?.payment_terms_days;
+  if (customerDays !== null && customerDays !== undefined) {
+    return Number(customerDays);
+  }
+  const userDays = data.user?.payment_terms_days;
+  return userDays !== null && userDays !== undefined
+    ? Number(userDays)
+    : DEFAULT_PAYMENT_TERMS_DAYS;
+}
+
+// Due date (YYYY-MM-DD) for an invoice dated `invoiceDate`
+export function computeDueDate(invoiceDate, days) {
+  const d = new Date(parseDate(invoiceDate));
+  d.setDate(d.getDate() + Number(days || 0));
+  return formatISODate(d);
+}
+
+// Amounts paid and credited so far, for queries on `invoices i`
+export const BALANCE_COLUMNS = `
+  COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.invoice_id = i.id), 0) AS amount_paid,
+  COALESCE((SELECT SUM(-c.total) FROM invoices c WHERE c.original_invoice_id = i.id), 0) AS amount_credited`;
+
+export const openBalance = (invoice) =>
+  sumMoney([
+    invoice.total,
+    -Number(invoice.amount_paid || 0),
+    -Number(invoice.amount_credited || 0)
+  ]);
+
+/**
+ * Status as shown to the user: unpaid invoices past their due date read as
+ * 'overdue'. Drafts have not reached the customer yet and never are.
+ */
+export function effectiveStatus(invoice, today = new Date()) {
+  if (
+    ['sent', 'partially_paid'].includes(invoice.status) &&
+    invoice.due_date &&
+    formatISODate(invoice.due_date) < formatISODate(today)
+  ) {
+    return 'overdue';
+  }
+  return invoice.status;
+}
+
+// Add balance, effective status and days overdue to an invoice row that was
+// selected with BALANCE_COLUMNS
+export function withBalance(invoice, today = new Date()) {
+  const status = effectiveStatus(invoice, today);
+  const daysOverdue =
+    status === 'overdue'
+      ? Math.floor(
+          (parseDate(formatISODate(today)) -
+            parseDate(formatISODate(invoice.due_date))) /
+            86400000
+        )
+      : 0;
+  return {
+    ...invoice,
+    status,
+    balance: invoice.document_type === 'invoice' ? openBalance(invoice) : 0,
+    days_overdue: daysOverdue
+  };
+}
+
+const selectInvoice = (client, userId, invoiceId) =>
+  client
+    .query(
+      `SELECT i.*, ${BALANCE_COLUMNS}
+   FROM invoices i
+   WHERE i.id = $1 AND i.user_id = $2 AND i.document_type = 'invoice'
+   FOR UPDATE OF i`,
+      [invoiceId, userId]
+    )
+    .then((r) => r.rows[0]);
+
+/**
+ * Recompute the stored status of an invoice from its payments and credit
+ * notes. Cancelled invoices stay cancelled.
+ */
+export async function refreshPaymentStatus(client, invoiceId) {
+  const invoice = (
+    await client.query(
+      `SELECT i.*, ${BALANCE_COLUMNS} FROM invoices i WHERE i.id = $1`,
+      [invoiceId]
+    )
+  ).rows[0];
+  if (!invoice || invoice.status === 'cancelled') return invoice;
+
+  let status = invoice.sent_at ? 'sent' : 'draft';
+  if (openBalance(invoice) <= 0) status = 'paid';
+  else if (Number(invoice.amount_paid) > 0) status = 'partially_paid';
+
+  if (status !== invoice.status) {
+    await client.query(
+      `UPDATE invoices SET status = $1, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $2`,
+      [status, invoiceId]
+    );
+  }
+  return { ...invoice, status };
+}
+
+// Mark an invoice as delivered to the customer (drafts become 'sent').
+// Credit notes have no payment lifecycle and are not found here
+export async function markInvoiceSent(userId, invoiceId, db = getDatabase()) {
+  const invoice = (
+    await db.query(
+      `UPDATE invoices
+   SET sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP),
+       status = CASE WHEN status = 'draft' THEN 'sent' ELSE status END,
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = $1 AND user_id = $2 AND document_type = 'invoice'
+   RETURNING *`,
+      [invoiceId, userId]
+    )
+  ).rows[0];
+  if (!invoice) throw httpError(404, 'INVOICE_NOT_FOUND');
+  return invoice;
+}
+
+/**
+ * Record a payment against an issued invoice. Payments may not exceed the
+ * open balance (total less earlier payments and credit notes).
+ */
+export async function recordPayment({
+  userId,
+  invoiceId,
+  amount,
+  paidOn,
+  method = 'bank_transfer',
+  reference
+}) {
+  const value = roundMoney(amount);
+  if (!(value > 0)) throw httpError(400, 'AMOUNT_INVALID');
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw httpError(400, 'PAYMENT_METHOD_INVALID', {
+      methods: PAYMENT_METHODS
+    });
+  }
+  const date = paidOn ? parseDate(paidOn) : new Date();
+  if (isNaN(date)) throw httpError(400, 'PAYMENT_DATE_INVALID');
+
+  return withTransaction(async (client) => {
+    const invoice = await selectInvoice(client, userId, invoiceId);
+    if (!invoice) throw httpError(404, 'INVOICE_NOT_FOUND');
+    if (invoice.status === 'cancelled') {
+      throw httpError(409, 'INVOICE_CANCELLED');
+    }
+    if (value > openBalance(invoice)) {
+      throw httpError(400, 'PAYMENT_EXCEEDS_BALANCE');
+    }
+
+    const payment = (
+      await client.query(
+        `INSERT INTO payments (user_id, invoice_id, amount, paid_on, method, reference)
+  VALUES ($1, $2, $3, $4, $5, $6)
+  RETURNING *`,
+        [
+          userId,
+          invoice.id,
+          value,
+          formatISODate(date),
+          method,
+          reference ?? ''
+        ]
+      )
+    ).rows[0];
+    const updated = await refreshPaymentStatus(client, invoice.id);
+    return { payment, invoice: withBalance(updated) };
+  });
+}
+
+export async function deletePayment({ userId, invoiceId, paymentId }) {
+  return withTransaction(async (client) => {
+    const invoice = await selectInvoice(client, userId, invoiceId);
+    if (!invoice) throw httpError(404, 'INVOICE_NOT_FOUND');
+    const deleted = (
+      await client.query(
+        'DELETE FROM payments WHERE id = $1 AND invoice_id = $2 AND user_id = $3 RETURNING id',
+        [paymentId, invoice.id, userId]
+      )
+    ).rows[0];
+    if (!deleted) throw httpError(404, 'PAYMENT_NOT_FOUND');
+    const updated = await refreshPaymentStatus(client, invoice.id);
+    return withBalance(updated);
+  });
+}
+
+/**
+ * Unpaid, uncancelled invoices with their remaining balance, oldest due
+ * first.
+ */
+export async function listOpenItems(userId, { customerId } = {}) {
+  const where = [
+    'i.user_id = $1',
+    "i.document_type = 'invoice'",
+    "i.status NOT IN ('paid', 'cancelled')"
+  ];
+  const params = [userId];
+  if (customerId) {
+    params.push(customerId);
+    where.push(`i.customer_id = $${params.length}`);
+  }
+  const rows = (
+    await getDatabase().query(
+      `SELECT i.id, i.customer_id, i.project_id, i.invoice_number, i.invoice_date,
+          i.due_date, i.buyer, i.total, i.currency, i.status, i.sent_at,
+          i.document_type, ${BALANCE_COLUMNS}
+   FROM invoices i
+   WHERE ${where.join(' AND ')}
+   ORDER BY i.due_date ASC NULLS LAST, i.id ASC`,
+      params
+    )
+  ).rows;
+  return rows.map((row) => withBalance(row)).filter((row) => row.balance > 0);
+}
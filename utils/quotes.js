@@ -0,0 +1,416 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { isValidCurrency, normalizeCurrency } from './currency.js';
+import { formatISODate, parseDate } from './invoice.js';
+import { lineItemsTotal, parseLineItem } from './line-items.js';
+import { ApiError, httpError } from './errors.js';
+import { sumMoney } from './money.js';
+import { taskAmount } from './rates.js';
+import { allocateNumber } from './sequences.js';
+
+// Stored quote states; 'expired' is derived from valid_until when reading
+export const QUOTE_STATUSES = [
+  'draft',
+  'sent',
+  'accepted',
+  'declined',
+  'expired'
+];
+
+export const PRICING_TYPES = ['HOURLY', 'FIXED'];
+
+// Validity when a quote is created without `validUntil`
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 30;
+
+const isISODate = (value) =>
+  typeof value === 'string' && formatISODate(parseDate(value)) === value;
+
+const isNumber = (v) =>
+  v !== null && v !== '' && typeof v !== 'boolean' && isFinite(Number(v));
+
+const isRate = (v) => isNumber(v) && Number(v) >= 0 && Number(v) <= 100;
+
+/**
+ * A sent quote past its validity date is 'expired' until the customer's
+ * answer is recorded. Drafts can still be edited and never are.
+ */
+export function effectiveQuoteStatus(quote, today = new Date()) {
+  if (
+    quote.status === 'sent' &&
+    formatISODate(quote.valid_until) < formatISODate(today)
+  ) {
+    return 'expired';
+  }
+  return quote.status;
+}
+
+// Net amount of a quote: fixed price or hours × rate, plus line items
+export function quoteSubtotal(quote) {
+  const project = { hourly_rate: quote.hourly_rate };
+  const services =
+    quote.pricing_type === 'FIXED'
+      ? [quote.fixed_price]
+      : (quote.tasks || []).map((task) => taskAmount(task, project));
+  return sumMoney([...services, lineItemsTotal(quote.line_items)]);
+}
+
+// Quote row with its effective status and net amount, as returned by the API
+export const quoteSummary = (quote, today = new Date()) => ({
+  ...quote,
+  status: effectiveQuoteStatus(quote, today),
+  subtotal: quoteSubtotal(quote)
+});
+
+const taskError = (i, code) =>
+  httpError(400, 'TASK_INVALID', {
+    index: i + 1,
+    reason: new ApiError(400, code)
+  });
+
+// Validate one quoted task ({ name, estimatedHours?, vatRate? })
+function parseQuoteTask(task, i) {
+  const { name, estimatedHours = 1 } = task || {};
+  const vatRate = task?.vatRate === '' ? null : task?.vatRate ?? null;
+  if (typeof name !== 'string' || !name.trim()) {
+    throw taskError(i, 'TASK_NAME_REQUIRED');
+  }
+  if (!isNumber(estimatedHours) || Number(estimatedHours) < 0) {
+    throw taskError(i, 'ESTIMATED_HOURS_INVALID');
+  }
+  if (vatRate !== null && !isRate(vatRate)) {
+    throw taskError(i, 'VAT_RATE_INVALID');
+  }
+  return {
+    name: name.trim(),
+    estimated_hours: Number(estimatedHours),
+    vat_rate: vatRate === null ? null : Number(vatRate)
+  };
+}
+
+/**
+ * Validate a create/update body (camelCase) and map it to column values.
+ * Fields missing from `body` keep their value from `current` (a quotes
+ * row). `quoteDate` defaults to today and `validUntil` to
+ * DEFAULT_QUOTE_VALIDITY_DAYS later.
+ */
+export function parseQuote(body, current = {}) {
+  const pick = (key, column, fallback) =>
+    body[key] !== undefined ? body[key] : current[column] ?? fallback;
+  const dateValue = (key, column) => {
+    const value = pick(key, column, null);
+    return value instanceof Date ? formatISODate(value) : value || null;
+  };
+
+  const title = pick('title', 'title', '');
+  if (typeof title !== 'string' || !title.trim()) {
+    throw httpError(400, 'TITLE_REQUIRED');
+  }
+  const description = pick('description', 'description', '') ?? '';
+  if (typeof description !== 'string') {
+    throw httpError(400, 'DESCRIPTION_NOT_TEXT');
+  }
+  const pricingType = pick('pricingType', 'pricing_type', 'HOURLY');
+  if (!PRICING_TYPES.includes(pricingType)) {
+    throw httpError(400, 'PRICING_TYPE_INVALID', {
+      types: PRICING_TYPES
+    });
+  }
+  const hourlyRate = pick('hourlyRate', 'hourly_rate', 0);
+  if (!isNumber(hourlyRate) || Number(hourlyRate) < 0) {
+    throw httpError(400, 'HOURLY_RATE_INVALID');
+  }
+  const fixedPrice = pick('fixedPrice', 'fixed_price', 0);
+  if (!isNumber(fixedPrice) || Number(fixedPrice) < 0) {
+    throw httpError(400, 'FIXED_PRICE_INVALID');
+  }
+  // null falls back to the user's rate, like projects.vat_rate
+  let vatRate = pick('vatRate', 'vat_rate', null);
+  if (vatRate === '') vatRate = null;
+  if (vatRate !== null && !isRate(vatRate)) {
+    throw httpError(400, 'VAT_RATE_INVALID');
+  }
+  const currency = normalizeCurrency(pick('currency', 'currency', '')) || null;
+  if (currency && !isValidCurrency(currency)) {
+    throw httpError(400, 'CURRENCY_INVALID');
+  }
+
+  // Stored tasks and line items are already validated column values
+  const tasks =
+    body.tasks === undefined
+      ? current.tasks || []
+      : Array.isArray(body.tasks)
+      ? body.tasks.map(parseQuoteTask)
+      : null;
+  if (!tasks) throw httpError(400, 'TASKS_NOT_ARRAY');
+  const lineItems =
+    body.lineItems === undefined
+      ? current.line_items || []
+      : Array.isArray(body.lineItems)
+      ? body.lineItems.map((item, i) => {
+          try {
+            return parseLineItem(item || {});
+          } catch (e) {
+            throw httpError(400, 'LINE_ITEM_INVALID', {
+              index: i + 1,
+              reason: e
+            });
+          }
+        })
+      : null;
+  if (!lineItems) throw httpError(400, 'LINE_ITEMS_NOT_ARRAY');
+  if (tasks.length === 0 && lineItems.length === 0) {
+    throw httpError(400, 'QUOTE_EMPTY');
+  }
+
+  const quoteDate =
+    dateValue('quoteDate', 'quote_date') || formatISODate(new Date());
+  if (!isISODate(quoteDate)) {
+    throw httpError(400, 'QUOTE_DATE_INVALID');
+  }
+  let validUntil = dateValue('validUntil', 'valid_until');
+  if (!validUntil) {
+    const d = parseDate(quoteDate);
+    d.setDate(d.getDate() + DEFAULT_QUOTE_VALIDITY_DAYS);
+    validUntil = formatISODate(d);
+  }
+  if (!isISODate(validUntil)) {
+    throw httpError(400, 'VALID_UNTIL_INVALID');
+  }
+  if (validUntil < quoteDate) {
+    throw httpError(400, 'VALID_UNTIL_BEFORE_QUOTE_DATE');
+  }
+
+  return {
+    title: title.trim(),
+    description: description.trim(),
+    pricing_type: pricingType,
+    hourly_rate: Number(hourlyRate),
+    fixed_price: Number(fixedPrice),
+    vat_rate: vatRate === null ? null : Number(vatRate),
+    currency,
+    tasks,
+    line_items: lineItems,
+    quote_date: quoteDate,
+    valid_until: validUntil
+  };
+}
+
+const QUOTE_COLUMNS = [
+  'title',
+  'description',
+  'pricing_type',
+  'hourly_rate',
+  'fixed_price',
+  'vat_rate',
+  'currency',
+  'tasks',
+  'line_items',
+  'quote_date',
+  'valid_until'
+];
+
+const columnValues = (values) =>
+  QUOTE_COLUMNS.map((column) =>
+    ['tasks', 'line_items'].includes(column)
+      ? JSON.stringify(values[column])
+      : values[column]
+  );
+
+export const findQuote = async (userId, quoteId, db = getDatabase()) =>
+  (
+    await db.query('SELECT * FROM quotes WHERE id = $1 AND user_id = $2', [
+      quoteId,
+      userId
+    ])
+  ).rows[0];
+
+const lockQuote = async (client, userId, quoteId) => {
+  const quote = (
+    await client.query(
+      'SELECT * FROM quotes WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [quoteId, userId]
+    )
+  ).rows[0];
+  if (!quote) throw httpError(404, 'QUOTE_NOT_FOUND');
+  return quote;
+};
+
+/**
+ * Create a draft quote for one of the user's customers. The number is drawn
+ * from the quote sequence right away; quotes need no gapless numbering.
+ */
+export async function createQuote(userId, body) {
+  const values = parseQuote(body);
+  return withTransaction(async (client) => {
+    const customer = (
+      await client.query(
+        'SELECT id FROM customers WHERE id = $1 AND user_id = $2',
+        [body.customerId, userId]
+      )
+    ).rows[0];
+    if (!customer) {
+      throw httpError(404, 'CUSTOMER_NOT_FOUND');
+    }
+    const quoteNo = await allocateNumber(
+      client,
+      userId,
+      'quote',
+      parseDate(values.quote_date)
+    );
+    const placeholders = QUOTE_COLUMNS.map((_, i) => `$${i + 4}`).join(', ');
+    return (
+      await client.query(
+        `INSERT INTO quotes (user_id, customer_id, quote_number, ${QUOTE_COLUMNS.join(
+          ', '
+        )})
+  VALUES ($1, $2, $3, ${placeholders})
+  RETURNING *`,
+        [userId, customer.id, quoteNo, ...columnValues(values)]
+      )
+    ).rows[0];
+  });
+}
+
+// Only drafts can be edited; what the customer has seen stays as it was
+export async function updateQuote(userId, quoteId, body) {
+  return withTransaction(async (client) => {
+    const current = await lockQuote(client, userId, quoteId);
+    if (current.status !== 'draft') {
+      throw httpError(409, 'QUOTE_NOT_DRAFT');
+    }
+    const values = parseQuote(body, current);
+    const assignments = QUOTE_COLUMNS.map(
+      (column, i) => `${column} = $${i + 1}`
+    ).join(', ');
+    return (
+      await client.query(
+        `UPDATE quotes SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $${QUOTE_COLUMNS.length + 1}
+   RETURNING *`,
+        [...columnValues(values), current.id]
+      )
+    ).rows[0];
+  });
+}
+
+// Status changes: the statuses each action may start from
+const TRANSITIONS = {
+  sent: { from: ['draft'], stamp: 'sent_at' },
+  accepted: { from: ['draft', 'sent'], stamp: 'decided_at' },
+  declined: { from: ['draft', 'sent'], stamp: 'decided_at' }
+};
+
+/**
+ * Mark a quote as sent, accepted or declined. Expired quotes cannot be
+ * accepted; extend `validUntil` on a new quote instead.
+ */
+export async function setQuoteStatus(
+  userId,
+  quoteId,
+  status,
+  { today = new Date() } = {}
+) {
+  const transition = TRANSITIONS[status];
+  return withTransaction(async (client) => {
+    const quote = await lockQuote(client, userId, quoteId);
+    const current = effectiveQuoteStatus(quote, today);
+    if (status === 'accepted' && current === 'expired') {
+      throw httpError(409, 'QUOTE_EXPIRED');
+    }
+    if (!transition.from.includes(quote.status)) {
+      throw httpError(
+        409,
+        quote.status === 'sent' ? 'QUOTE_ALREADY_SENT' : 'QUOTE_DECIDED'
+      );
+    }
+    return (
+      await client.query(
+        `UPDATE quotes SET status = $1, ${transition.stamp} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $2 RETURNING *`,
+        [status, quote.id]
+      )
+    ).rows[0];
+  });
+}
+
+/**
+ * Turn an accepted quote into a project of the same customer with the
+ * quoted tasks and line items. Returns { quote, project }.
+ */
+export async function convertQuote(userId, quoteId) {
+  return withTransaction(async (client) => {
+    const quote = await lockQuote(client, userId, quoteId);
+    if (quote.status !== 'accepted') {
+      throw httpError(409, 'QUOTE_NOT_ACCEPTED');
+    }
+    if (quote.project_id) {
+      throw httpError(409, 'QUOTE_CONVERTED');
+    }
+
+    const project = (
+      await client.query(
+        `INSERT INTO projects (
+    customer_id, name, description, invoice_number,
+    invoice_date, hourly_rate, pricing_type, fixed_price, user_id, vat_rate,
+    currency
+  )
+  VALUES ($1, $2, $3, '', NULL, $4, $5, $6, $7, $8, $9)
+  RETURNING *`,
+        [
+          quote.customer_id,
+          quote.title,
+          quote.description,
+          quote.hourly_rate,
+          quote.pricing_type,
+          quote.fixed_price,
+          userId,
+          quote.vat_rate,
+          quote.currency
+        ]
+      )
+    ).rows[0];
+    for (const [i, task] of (quote.tasks || []).entries()) {
+      await client.query(
+        `INSERT INTO tasks (
+    project_id, name, estimated_hours, completed, user_id, date, vat_rate, order_num
+  ) VALUES ($1, $2, $3, 0, $4, NULL, $5, $6)`,
+        [
+          project.id,
+          task.name,
+          task.estimated_hours,
+          userId,
+          task.vat_rate,
+          i + 1
+        ]
+      );
+    }
+    for (const [i, item] of (quote.line_items || []).entries()) {
+      await client.query(
+        `INSERT INTO line_items (
+    user_id, project_id, description, quantity, unit, unit_price, vat_rate,
+    discount, discount_type, order_num
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          userId,
+          project.id,
+          item.description,
+          item.quantity,
+          item.unit,
+          item.unit_price,
+          item.vat_rate,
+          item.discount,
+          item.discount_type,
+          i + 1
+        ]
+      );
+    }
+
+    const converted = (
+      await client.query(
+        `UPDATE quotes SET project_id = $1, converted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $2 RETURNING *`,
+        [project.id, quote.id]
+      )
+    ).rows[0];
+    return { quote: converted, project };
+  });
+}
@@ -0,0 +1,93 @@
+import { getDatabase } from '../config/database.js';
+import { httpError } from './errors.js';
+import { rateCardLevel, resolveTaskRate } from './rates.js';
+
+const MAX_ROLE_LENGTH = 100;
+
+const isNumber = (v) =>
+  v !== null && v !== '' && typeof v !== 'boolean' && isFinite(Number(v));
+
+const isRate = (v) => isNumber(v) && Number(v) >= 0;
+
+// A role name: non-empty text of at most MAX_ROLE_LENGTH characters
+const isRole = (v) =>
+  typeof v === 'string' &&
+  v.trim() !== '' &&
+  v.trim().length <= MAX_ROLE_LENGTH;
+
+export const rateCardSummary = (card) => ({
+  ...card,
+  level: rateCardLevel(card)
+});
+
+/**
+ * Validate a create/update body (camelCase) and map it to column values.
+ * Fields missing from `body` keep their value from `current` (a rate_cards
+ * row); the level (customerId / projectId) is set on create only.
+ */
+export function parseRateCard(body, current = {}) {
+  const pick = (key, column, fallback) =>
+    body[key] !== undefined ? body[key] : current[column] ?? fallback;
+
+  const role = pick('role', 'role', '');
+  if (!isRole(role)) {
+    throw httpError(400, 'RATE_ROLE_INVALID', { count: MAX_ROLE_LENGTH });
+  }
+  const hourlyRate = pick('hourlyRate', 'hourly_rate', null);
+  if (!isRate(hourlyRate)) {
+    throw httpError(400, 'HOURLY_RATE_INVALID');
+  }
+  return { role: role.trim(), hourly_rate: Number(hourlyRate) };
+}
+
+/**
+ * Validate the rate fields of a task body and map them to column values:
+ * `role` picks a rate card, `hourlyRate` overrides every card (null or ''
+ * clears either). Fields missing from `body` keep their value from `current`.
+ */
+export function parseTaskRate(body, current = {}) {
+  const pick = (key, column) =>
+    body[key] !== undefined ? body[key] : current[column] ?? null;
+
+  const role = pick('role', 'role');
+  if (role !== null && role !== '' && !isRole(role)) {
+    throw httpError(400, 'RATE_ROLE_INVALID', { count: MAX_ROLE_LENGTH });
+  }
+  const hourlyRate = pick('hourlyRate', 'hourly_rate');
+  if (hourlyRate !== null && hourlyRate !== '' && !isRate(hourlyRate)) {
+    throw httpError(400, 'HOURLY_RATE_INVALID');
+  }
+  return {
+    role: role ? role.trim() : null,
+    hourly_rate:
+      hourlyRate === null || hourlyRate === '' ? null : Number(hourlyRate)
+  };
+}
+
+// The user's rate cards that can apply to a customer's projects: the user's
+// own, the customer's and those of its projects
+export const loadRateCards = async (userId, customerId, db = getDatabase()) =>
+  (
+    await db.query(
+      `SELECT * FROM rate_cards
+   WHERE user_id = $1
+     AND (
+       (customer_id IS NULL AND project_id IS NULL)
+       OR customer_id = $2
+       OR project_id IN (SELECT id FROM projects WHERE customer_id = $2 AND user_id = $1)
+     )`,
+      [userId, customerId]
+    )
+  ).rows;
+
+// A task row with the rate it is billed at and where that rate comes from
+export function withAppliedRate(task, project, cards) {
+  const { rate, source } = resolveTaskRate(task, project, cards);
+  return { ...task, applied_rate: rate, rate_source: source };
+}
+
+// A task row as invoices bill it: `hourly_rate` holds the resolved rate
+export const withResolvedRate = (task, project, cards) => ({
+  ...task,
+  hourly_rate: resolveTaskRate(task, project, cards).rate
+});
@@ -0,0 +1,66 @@
+import { toCamelCase } from './camel-case.js';
+import { lineAmount } from './money.js';
+
+/**
+ * Hourly rate a task is billed at (snake or camel case rows): the rate
+ * resolved onto the task itself (see resolveTaskRate; invoice data carries
+ * it on every task), or else the project's hourly rate.
+ */
+export function taskRate(task, project) {
+  const own = toCamelCase(task)?.hourlyRate;
+  if (own !== null && own !== undefined && own !== '') return Number(own);
+  return Number(toCamelCase(project)?.hourlyRate || 0);
+}
+
+/**
+ * Hours a task line bills (snake or camel case rows): its rounded logged
+ * time when the project bills by logged time (`billed_hours`, see
+ * billedTask), or else its estimate.
+ */
+export function taskHours(task) {
+  const { billedHours, estimatedHours } = toCamelCase(task) || {};
+  const hours = billedHours ?? estimatedHours;
+  return Number(hours || 0);
+}
+
+// Net amount of a task line: hours × rate, rounded to the cent
+export const taskAmount = (task, project) =>
+  lineAmount(taskHours(task), taskRate(task, project));
+
+// Rate card levels from most to least specific (rate_cards rows)
+const RATE_CARD_LEVELS = [
+  ['project', (card, project) => card.project_id === project.id],
+  ['customer', (card, project) => card.customer_id === project.customer_id],
+  ['user', (card) => card.project_id === null && card.customer_id === null]
+];
+
+// Level of a rate card: 'user', 'customer' or 'project'
+export const rateCardLevel = (card) =>
+  card.project_id !== null
+    ? 'project'
+    : card.customer_id !== null
+    ? 'customer'
+    : 'user';
+
+/**
+ * Hourly rate of a task (snake case row) in `project`, most specific first:
+ * the task's own rate, the rate card for its role on the project, the
+ * customer or the user (`cards`, see loadRateCards), else the project's
+ * hourly rate. Returns { rate, source } with source 'task', 'project',
+ * 'customer', 'user' or 'default'.
+ */
+export function resolveTaskRate(task, project, cards = []) {
+  if (task.hourly_rate !== null && task.hourly_rate !== undefined) {
+    return { rate: Number(task.hourly_rate), source: 'task' };
+  }
+  const role = task.role?.trim().toLowerCase();
+  if (role) {
+    for (const [source, applies] of RATE_CARD_LEVELS) {
+      const card = cards.find(
+        (c) => applies(c, project) && c.role.toLowerCase() === role
+      );
+      if (card) return { rate: Number(card.hourly_rate), source };
+    }
+  }
+  return { rate: Number(project.hourly_rate || 0), source: 'default' };
+}
@@ -0,0 +1,387 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { isValidCurrency, normalizeCurrency } from './currency.js';
+import { formatISODate, parseDate } from './invoice.js';
+import { sendInvoiceEmail } from './invoice-email.js';
+import { issueRecurringInvoice } from './issued-invoices.js';
+import { lineItemsTotal, parseLineItem } from './line-items.js';
+import { httpError } from './errors.js';
+
+// Interval name -> months between two invoices
+export const RECURRING_INTERVALS = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12
+};
+
+const isISODate = (value) =>
+  typeof value === 'string' && formatISODate(parseDate(value)) === value;
+
+// `dayOfMonth` in the given month, moved to the month's last day if shorter
+function dateInMonth(year, month, dayOfMonth) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return formatISODate(new Date(year, month, Math.min(dayOfMonth, lastDay)));
+}
+
+// Run date one interval after `date` (YYYY-MM-DD)
+export function addInterval(date, interval, dayOfMonth) {
+  const d = parseDate(date);
+  return dateInMonth(
+    d.getFullYear(),
+    d.getMonth() + RECURRING_INTERVALS[interval],
+    dayOfMonth
+  );
+}
+
+// First run: the next `dayOfMonth` on or after the start date
+export function firstRunDate(startDate, dayOfMonth) {
+  const d = parseDate(startDate);
+  const date = dateInMonth(d.getFullYear(), d.getMonth(), dayOfMonth);
+  return date >= startDate
+    ? date
+    : dateInMonth(d.getFullYear(), d.getMonth() + 1, dayOfMonth);
+}
+
+// Each run bills the period from its run date up to the day before the next
+export function billingPeriod(recurring, runDate = recurring.next_run_date) {
+  const from = formatISODate(runDate);
+  const next = parseDate(
+    addInterval(from, recurring.interval, recurring.day_of_month)
+  );
+  next.setDate(next.getDate() - 1);
+  return { from, to: formatISODate(next) };
+}
+
+/**
+ * Periods of a definition that are due by `today`, each with the date its
+ * invoice gets. Periods caught up late (a start date in the past, scheduler
+ * downtime) are dated `today` rather than on their run date: a backdated
+ * invoice would be overdue as soon as it exists and could fall into a
+ * numbering year that is already closed. The service period still names the
+ * billed period.
+ */
+export function duePeriods(recurring, today) {
+  const todayISO = formatISODate(today);
+  const endDate = recurring.end_date ? formatISODate(recurring.end_date) : null;
+  const periods = [];
+  let runDate = formatISODate(recurring.next_run_date);
+  while (runDate <= todayISO && !(endDate && runDate > endDate)) {
+    periods.push({
+      ...billingPeriod(recurring, runDate),
+      invoiceDate: todayISO
+    });
+    runDate = addInterval(runDate, recurring.interval, recurring.day_of_month);
+  }
+  return periods;
+}
+
+export const hasEnded = (recurring) =>
+  !!recurring.end_date &&
+  formatISODate(recurring.next_run_date) > formatISODate(recurring.end_date);
+
+export const recurringStatus = (recurring) => {
+  if (hasEnded(recurring)) return 'ended';
+  return recurring.paused ? 'paused' : 'active';
+};
+
+// Definition with its state and the net amount billed per period
+export const recurringSummary = (recurring) => ({
+  ...recurring,
+  status: recurringStatus(recurring),
+  subtotal: lineItemsTotal(recurring.line_items)
+});
+
+/**
+ * Validate a create/update body (camelCase) and map it to column values.
+ * Fields missing from `body` keep their value from `current` (a
+ * recurring_invoices row). `dayOfMonth` defaults to the start date's day.
+ */
+export function parseRecurringInvoice(body, current = {}) {
+  const pick = (key, column, fallback) =>
+    body[key] !== undefined ? body[key] : current[column] ?? fallback;
+
+  const title = pick('title', 'title', '');
+  if (typeof title !== 'string' || !title.trim()) {
+    throw httpError(400, 'TITLE_REQUIRED');
+  }
+  // Stored items are already validated column values
+  const lineItems =
+    body.lineItems !== undefined ? body.lineItems : current.line_items;
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw httpError(400, 'LINE_ITEMS_REQUIRED');
+  }
+  const items =
+    body.lineItems === undefined
+      ? lineItems
+      : lineItems.map((item, i) => {
+          try {
+            return parseLineItem(item || {});
+          } catch (e) {
+            throw httpError(400, 'LINE_ITEM_INVALID', {
+              index: i + 1,
+              reason: e
+            });
+          }
+        });
+  const currency = normalizeCurrency(pick('currency', 'currency', '')) || null;
+  if (currency && !isValidCurrency(currency)) {
+    throw httpError(400, 'CURRENCY_INVALID');
+  }
+  const interval = pick('interval', 'interval', 'monthly');
+  if (!Object.hasOwn(RECURRING_INTERVALS, interval)) {
+    throw httpError(400, 'INTERVAL_INVALID', {
+      intervals: Object.keys(RECURRING_INTERVALS)
+    });
+  }
+  const dateValue = (key, column) => {
+    const value = pick(key, column, null);
+    return value instanceof Date ? formatISODate(value) : value || null;
+  };
+  const startDate = dateValue('startDate', 'start_date');
+  if (!isISODate(startDate)) {
+    throw httpError(400, 'START_DATE_INVALID');
+  }
+  const endDate = dateValue('endDate', 'end_date');
+  if (endDate !== null && !isISODate(endDate)) {
+    throw httpError(400, 'END_DATE_INVALID');
+  }
+  if (endDate && endDate < startDate) {
+    throw httpError(400, 'END_BEFORE_START');
+  }
+  const dayOfMonth = Number(
+    pick('dayOfMonth', 'day_of_month', parseDate(startDate).getDate())
+  );
+  if (!(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31)) {
+    throw httpError(400, 'DAY_OF_MONTH_INVALID');
+  }
+  const autoSend = pick('autoSend', 'auto_send', false);
+  if (typeof autoSend !== 'boolean') {
+    throw httpError(400, 'AUTO_SEND_INVALID');
+  }
+  return {
+    title: title.trim(),
+    line_items: items,
+    currency,
+    interval,
+    day_of_month: dayOfMonth,
+    start_date: startDate,
+    end_date: endDate,
+    auto_send: autoSend
+  };
+}
+
+/**
+ * Next run date for a definition's schedule: the first run date after the
+ * last logged period and, when `notBefore` is given, not before that date.
+ * Used after schedule changes and when a paused definition is resumed.
+ */
+export async function scheduleNextRun(
+  db,
+  recurringId,
+  { interval, day_of_month, start_date },
+  { notBefore } = {}
+) {
+  const last = recurringId
+    ? (
+        await db.query(
+          'SELECT MAX(period_start) AS period_start FROM recurring_invoice_runs WHERE recurring_invoice_id = $1',
+          [recurringId]
+        )
+      ).rows[0].period_start
+    : null;
+  let date = firstRunDate(formatISODate(start_date), day_of_month);
+  while (
+    (last && date <= formatISODate(last)) ||
+    (notBefore && date < formatISODate(notBefore))
+  ) {
+    date = addInterval(date, interval, day_of_month);
+  }
+  return date;
+}
+
+const lockRecurringInvoice = async (client, userId, recurringId) =>
+  (
+    await client.query(
+      'SELECT * FROM recurring_invoices WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [recurringId, userId]
+    )
+  ).rows[0];
+
+async function logRun(client, recurring, period, status, invoiceId = null) {
+  const run = (
+    await client.query(
+      `INSERT INTO recurring_invoice_runs (user_id, recurring_invoice_id, period_start, period_end, status, invoice_id)
+  VALUES ($1, $2, $3, $4, $5, $6)
+  RETURNING *`,
+      [
+        recurring.user_id,
+        recurring.id,
+        period.from,
+        period.to,
+        status,
+        invoiceId
+      ]
+    )
+  ).rows[0];
+  const next = addInterval(
+    period.from,
+    recurring.interval,
+    recurring.day_of_month
+  );
+  recurring.next_run_date = (
+    await client.query(
+      `UPDATE recurring_invoices SET next_run_date = $1, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $2 RETURNING next_run_date`,
+      [next, recurring.id]
+    )
+  ).rows[0].next_run_date;
+  return run;
+}
+
+/**
+ * Skip the next period of a recurring invoice: it is logged as skipped and
+ * the schedule moves on to the following period. Returns the updated row.
+ */
+export async function skipNextPeriod(userId, recurringId) {
+  return withTransaction(async (client) => {
+    const recurring = await lockRecurringInvoice(client, userId, recurringId);
+    if (!recurring) {
+      throw httpError(404, 'RECURRING_INVOICE_NOT_FOUND');
+    }
+    if (hasEnded(recurring)) {
+      throw httpError(409, 'RECURRING_INVOICE_ENDED');
+    }
+    await logRun(client, recurring, billingPeriod(recurring), 'skipped');
+    return (
+      await client.query('SELECT * FROM recurring_invoices WHERE id = $1', [
+        recurring.id
+      ])
+    ).rows[0];
+  });
+}
+
+/**
+ * Pause or resume a recurring invoice. Periods that come due while it is
+ * paused are not billed: resuming continues with the first run date from
+ * `today` on.
+ */
+export async function setPaused(
+  userId,
+  recurringId,
+  paused,
+  { today = new Date() } = {}
+) {
+  return withTransaction(async (client) => {
+    const recurring = await lockRecurringInvoice(client, userId, recurringId);
+    if (!recurring) {
+      throw httpError(404, 'RECURRING_INVOICE_NOT_FOUND');
+    }
+    const nextRunDate =
+      recurring.paused && !paused
+        ? await scheduleNextRun(client, recurring.id, recurring, {
+            notBefore: today
+          })
+        : recurring.next_run_date;
+    return (
+      await client.query(
+        `UPDATE recurring_invoices SET paused = $1, next_run_date = $2, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $3 RETURNING *`,
+        [paused, nextRunDate, recurring.id]
+      )
+    ).rows[0];
+  });
+}
+
+/**
+ * Issue every period of one definition that is due by `today` inside a
+ * transaction. The row is locked so the scheduler and a manual run cannot
+ * bill the same period twice.
+ */
+async function issueDuePeriods(client, recurringId, today) {
+  const recurring = (
+    await client.query(
+      'SELECT * FROM recurring_invoices WHERE id = $1 AND NOT paused FOR UPDATE',
+      [recurringId]
+    )
+  ).rows[0];
+  if (!recurring) return { recurring, runs: [] };
+  const runs = [];
+  for (const { invoiceDate, ...period } of duePeriods(recurring, today)) {
+    const invoice = await issueRecurringInvoice(client, recurring, {
+      ...period,
+      invoiceDate
+    });
+    const run = await logRun(client, recurring, period, 'issued', invoice.id);
+    runs.push({ ...run, invoice_number: invoice.invoice_number });
+  }
+  return { recurring, runs };
+}
+
+// Email an issued period's invoice and record the outcome on its run
+async function deliver(recurring, run) {
+  const db = getDatabase();
+  try {
+    await sendInvoiceEmail({
+      userId: recurring.user_id,
+      invoiceId: run.invoice_id
+    });
+    const row = (
+      await db.query(
+        `UPDATE recurring_invoice_runs SET emailed_at = CURRENT_TIMESTAMP, email_error = NULL
+   WHERE id = $1 RETURNING *`,
+        [run.id]
+      )
+    ).rows[0];
+    return { ...row, invoice_number: run.invoice_number };
+  } catch (e) {
+    console.error(`Failed to email recurring invoice ${run.invoice_number}`, e);
+    const row = (
+      await db.query(
+        'UPDATE recurring_invoice_runs SET email_error = $1 WHERE id = $2 RETURNING *',
+        [e.message, run.id]
+      )
+    ).rows[0];
+    return { ...row, invoice_number: run.invoice_number };
+  }
+}
+
+/**
+ * Scheduler entry point: issue the invoices of every active definition whose
+ * next run date has come, catching up on missed periods, and email them when
+ * the definition has `auto_send`. Limited to one user when `userId` is given.
+ * Returns the new runs.
+ */
+export async function runRecurringInvoices({
+  userId,
+  today = new Date()
+} = {}) {
+  const params = [formatISODate(today)];
+  let userFilter = '';
+  if (userId) {
+    params.push(userId);
+    userFilter = 'AND user_id = $2';
+  }
+  const candidates = (
+    await getDatabase().query(
+      `SELECT id FROM recurring_invoices
+   WHERE NOT paused AND next_run_date <= $1
+     AND (end_date IS NULL OR next_run_date <= end_date) ${userFilter}
+   ORDER BY next_run_date, id`,
+      params
+    )
+  ).rows;
+  const created = [];
+  for (const candidate of candidates) {
+    try {
+      const { recurring, runs } = await withTransaction((client) =>
+        issueDuePeriods(client, candidate.id, today)
+      );
+      for (const run of runs) {
+        created.push(recurring.auto_send ? await deliver(recurring, run) : run);
+      }
+    } catch (e) {
+      console.error(`Recurring invoice ${candidate.id} failed`, e);
+    }
+  }
+  return created;
+}
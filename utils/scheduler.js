@@ -0,0 +1,22 @@
+/**
+ * Run `task` every `minutes` inside the server process, starting shortly
+ * after boot. A run that is still busy when the next one is due is skipped.
+ */
+export function schedule(name, minutes, task) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (e) {
+      console.error(`${name} job failed`, e);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  setTimeout(tick, 5000).unref();
+  console.log(`${name} job scheduled every ${minutes} minutes`);
+  return timer;
+}
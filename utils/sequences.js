@@ -0,0 +1,232 @@
+import { getDatabase } from '../config/database.js';
+
+// Document types that draw numbers from their own sequence
+export const DOCUMENT_TYPES = ['invoice', 'credit_note', 'quote'];
+
+export const RESET_MODES = ['never', 'yearly'];
+
+const DEFAULT_PATTERNS = {
+  invoice: 'RE-{YYYY}-{####}',
+  credit_note: 'GS-{YYYY}-{####}',
+  quote: 'AN-{YYYY}-{####}'
+};
+
+const TOKEN = /\{(YYYY|YY|MM|#+)\}/g;
+
+// A pattern needs exactly one counter placeholder such as {####}
+export const isValidPattern = (pattern) =>
+  typeof pattern === 'string' && (pattern.match(/\{#+\}/g) || []).length === 1;
+
+export function formatNumber(pattern, value, date = new Date()) {
+  const year = String(date.getFullYear());
+  return pattern.replace(TOKEN, (match, token) => {
+    if (token === 'YYYY') return year;
+    if (token === 'YY') return year.slice(-2);
+    if (token === 'MM') return String(date.getMonth() + 1).padStart(2, '0');
+    return String(value).padStart(token.length, '0');
+  });
+}
+
+// Users numbered invoices with a free-text "next number" (users.invoice_number)
+// before sequences existed; carry that counter over instead of restarting at 1
+function initialSequence(documentType, legacyNumber) {
+  const match =
+    documentType === 'invoice' && legacyNumber
+      ? legacyNumber.match(/^([^{}]*?)(\d+)([^\d{}]*)$/)
+      : null;
+  if (match) {
+    const [, prefix, num, suffix] = match;
+    return {
+      pattern: `${prefix}{${'#'.repeat(num.length)}}${suffix}`,
+      nextValue: parseInt(num, 10),
+      reset: 'never'
+    };
+  }
+  return {
+    pattern: DEFAULT_PATTERNS[documentType],
+    nextValue: 1,
+    reset: 'yearly'
+  };
+}
+
+// Fetch (creating with defaults on first use) a user's sequence row
+export async function getSequence(
+  userId,
+  documentType,
+  { db = getDatabase(), forUpdate = false } = {}
+) {
+  const select = `SELECT * FROM number_sequences WHERE user_id = $1 AND document_type = $2${
+    forUpdate ? ' FOR UPDATE' : ''
+  }`;
+  let sequence = (await db.query(select, [userId, documentType])).rows[0];
+  if (sequence) return sequence;
+
+  const legacy = (
+    await db.query('SELECT invoice_number FROM users WHERE id = $1', [userId])
+  ).rows[0]?.invoice_number;
+  const initial = initialSequence(documentType, legacy);
+  await db.query(
+    `INSERT INTO number_sequences (user_id, document_type, pattern, next_value, reset)
+  VALUES ($1, $2, $3, $4, $5)
+  ON CONFLICT (user_id, document_type) DO NOTHING`,
+    [userId, documentType, initial.pattern, initial.nextValue, initial.reset]
+  );
+  return (await db.query(select, [userId, documentType])).rows[0];
+}
+
+// Matches the numbers `pattern` produces in the year of `date`, capturing
+// the counter
+function numberMatcher(pattern, date) {
+  const year = String(date.getFullYear());
+  const source = pattern
+    .split(TOKEN)
+    .map((part, i) => {
+      if (i % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (part === 'YYYY') return year;
+      if (part === 'YY') return year.slice(-2);
+      if (part === 'MM') return '\\d{2}';
+      return '(\\d+)';
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Highest counter among `numbers` that `pattern` produced in the year of `date`
+function highestIssued(pattern, numbers, date) {
+  const matcher = numberMatcher(pattern, date);
+  return numbers.reduce((highest, number) => {
+    const match = matcher.exec(number);
+    return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+  }, 0);
+}
+
+const isEarlierYear = (sequence, year) =>
+  sequence.reset === 'yearly' &&
+  !!sequence.period &&
+  Number(year) < Number(sequence.period);
+
+// Numbers already issued in the year of `date`, when an allocation there has
+// no stored counter to go on (see advanceSequence)
+async function issuedInEarlierYear(db, userId, documentType, sequence, date) {
+  const year = date.getFullYear();
+  if (
+    !isEarlierYear(sequence, String(year)) ||
+    sequence.period_values?.[year]
+  ) {
+    return [];
+  }
+  const { rows } =
+    documentType === 'quote'
+      ? await db.query(
+          `SELECT quote_number AS number FROM quotes
+     WHERE user_id = $1 AND EXTRACT(YEAR FROM quote_date) = $2`,
+          [userId, year]
+        )
+      : await db.query(
+          `SELECT invoice_number AS number FROM invoices
+     WHERE user_id = $1 AND document_type = $2
+       AND EXTRACT(YEAR FROM invoice_date) = $3`,
+          [userId, documentType, year]
+        );
+  return rows.map((row) => row.number);
+}
+
+/**
+ * Counter value an allocation on `date` uses, and the sequence columns after
+ * it. Yearly sequences keep one counter per year: `period`/`next_value` hold
+ * the latest year, `period_values` the years before it. A document dated in
+ * an earlier year (invoice date set in December, issued in January) numbers
+ * on in that year and leaves the current one alone. When no counter is stored
+ * for that year (the sequence left it behind before per-year counters were
+ * kept), it continues after the highest of the `issued` numbers of that year.
+ */
+export function advanceSequence(sequence, date, issued = []) {
+  const year = String(date.getFullYear());
+  const periodValues = { ...(sequence.period_values || {}) };
+  const current = sequence.period;
+
+  if (isEarlierYear(sequence, year)) {
+    const value =
+      periodValues[year] || highestIssued(sequence.pattern, issued, date) + 1;
+    periodValues[year] = value + 1;
+    return {
+      value,
+      nextValue: sequence.next_value,
+      period: current,
+      periodValues
+    };
+  }
+
+  let value = sequence.next_value;
+  if (sequence.reset === 'yearly' && current && current !== year) {
+    periodValues[current] = sequence.next_value;
+    value = periodValues[year] || 1;
+  }
+  // the year is current now; an explicit counter (period cleared by the
+  // sequences route) also wins over one stored for it
+  delete periodValues[year];
+  return {
+    value,
+    nextValue: value + 1,
+    period: current && Number(current) > Number(year) ? current : year,
+    periodValues
+  };
+}
+
+/**
+ * Preview the next number without consuming it.
+ */
+export async function previewNextNumber(
+  userId,
+  documentType,
+  date = new Date(),
+  db = getDatabase()
+) {
+  const sequence = await getSequence(userId, documentType, { db });
+  const issued = await issuedInEarlierYear(
+    db,
+    userId,
+    documentType,
+    sequence,
+    date
+  );
+  const { value } = advanceSequence(sequence, date, issued);
+  return formatNumber(sequence.pattern, value, date);
+}
+
+/**
+ * Allocate the next number. Must run inside a transaction (`client` from
+ * withTransaction): the sequence row stays locked until commit, and a
+ * rollback returns the number, so issued numbers have no gaps.
+ */
+export async function allocateNumber(
+  client,
+  userId,
+  documentType,
+  date = new Date()
+) {
+  const sequence = await getSequence(userId, documentType, {
+    db: client,
+    forUpdate: true
+  });
+  const issued = await issuedInEarlierYear(
+    client,
+    userId,
+    documentType,
+    sequence,
+    date
+  );
+  const { value, nextValue, period, periodValues } = advanceSequence(
+    sequence,
+    date,
+    issued
+  );
+  await client.query(
+    `UPDATE number_sequences
+   SET next_value = $1, period = $2, period_values = $3,
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = $4`,
+    [nextValue, period, JSON.stringify(periodValues), sequence.id]
+  );
+  return formatNumber(sequence.pattern, value, date);
+}
@@ -0,0 +1,188 @@
+import { getDatabase } from '../config/database.js';
+import { httpError } from './errors.js';
+
+// Task statuses; 'done' marks a task completed (tasks.completed follows it)
+export const TASK_STATUSES = [
+  'todo',
+  'in_progress',
+  'review',
+  'done',
+  'blocked'
+];
+
+// Workflow of projects without their own: every status, any move allowed
+export const DEFAULT_WORKFLOW = { statuses: TASK_STATUSES, transitions: null };
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+export const projectWorkflow = (project) =>
+  project?.task_workflow ?? DEFAULT_WORKFLOW;
+
+/**
+ * Validate a project's `taskWorkflow`: { statuses, transitions? }. The
+ * statuses are a subset of TASK_STATUSES with 'todo' (where new tasks start)
+ * and 'done'; transitions ([{ from, to }]) list the allowed moves between
+ * them, null or left out allows any. null resets to DEFAULT_WORKFLOW.
+ */
+export function parseWorkflow(value) {
+  if (value === null) return null;
+  const statuses = value?.statuses;
+  if (
+    !Array.isArray(statuses) ||
+    !statuses.every((s) => TASK_STATUSES.includes(s)) ||
+    new Set(statuses).size !== statuses.length ||
+    !statuses.includes('todo') ||
+    !statuses.includes('done')
+  ) {
+    throw httpError(400, 'TASK_WORKFLOW_INVALID', { statuses: TASK_STATUSES });
+  }
+  const transitions = value.transitions ?? null;
+  if (transitions === null) return { statuses, transitions };
+  if (!Array.isArray(transitions)) {
+    throw httpError(400, 'TASK_WORKFLOW_TRANSITIONS_INVALID');
+  }
+  const moves = new Map();
+  for (const move of transitions) {
+    const { from, to } = move ?? {};
+    if (!statuses.includes(from) || !statuses.includes(to) || from === to) {
+      throw httpError(400, 'TASK_WORKFLOW_TRANSITION_INVALID', {
+        from: String(from ?? ''),
+        to: String(to ?? '')
+      });
+    }
+    moves.set(`${from}>${to}`, { from, to });
+  }
+  return { statuses, transitions: [...moves.values()] };
+}
+
+export const canTransition = (workflow, from, to) =>
+  from === to ||
+  !workflow.transitions ||
+  workflow.transitions.some((move) => move.from === from && move.to === to);
+
+/**
+ * The status of a task body in its project's workflow, with `completed` to
+ * match. Without `status` a legacy `completed` flag moves the task to 'done'
+ * or back to 'todo'; with neither it keeps the status of `current` (a tasks
+ * row, or {} on create). Moves the workflow does not allow are 409.
+ */
+export function parseTaskStatus(body, current, workflow) {
+  let status = current.status ?? 'todo';
+  if (body.status !== undefined) {
+    status = body.status;
+  } else if (body.completed !== undefined) {
+    if (body.completed) status = 'done';
+    else if (status === 'done') status = 'todo';
+  }
+  if (!workflow.statuses.includes(status)) {
+    throw httpError(400, 'TASK_STATUS_INVALID', {
+      statuses: workflow.statuses
+    });
+  }
+  if (current.status && !canTransition(workflow, current.status, status)) {
+    throw httpError(409, 'TASK_TRANSITION_NOT_ALLOWED', {
+      from: current.status,
+      to: status
+    });
+  }
+  return { status, completed: status === 'done' ? 1 : 0 };
+}
+
+/**
+ * `dueDate` of a task body (YYYY-MM-DD, null or '' clears it); left out it
+ * keeps the value of `current`.
+ */
+export function parseDueDate(body, current = {}) {
+  const value =
+    body.dueDate !== undefined ? body.dueDate : current.due_date ?? null;
+  if (value === null || value === '') return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) {
+    throw httpError(400, 'DUE_DATE_INVALID');
+  }
+  return value;
+}
+
+/**
+ * Statuses of a `status` query (comma-separated, e.g. "todo,in_progress"),
+ * or null without one.
+ */
+export function parseStatusFilter(value) {
+  if (value === undefined || value === '') return null;
+  const statuses = String(value)
+    .split(',')
+    .map((s) => s.trim());
+  if (!statuses.every((s) => TASK_STATUSES.includes(s))) {
+    throw httpError(400, 'TASK_STATUS_INVALID', { statuses: TASK_STATUSES });
+  }
+  return statuses;
+}
+
+/**
+ * Task rows (with logged_hours / billable_hours, see withLoggedHours) with
+ * their subtasks rolled up: `subtask_count` and the total estimated, logged
+ * and billable hours of the task and its subtasks.
+ */
+export function withSubtaskTotals(tasks) {
+  const children = new Map();
+  for (const task of tasks) {
+    if (task.parent_id == null) continue;
+    if (!children.has(task.parent_id)) children.set(task.parent_id, []);
+    children.get(task.parent_id).push(task);
+  }
+  const total = (group, key) =>
+    roundHours(group.reduce((sum, task) => sum + Number(task[key] || 0), 0));
+  return tasks.map((task) => {
+    const group = [task, ...(children.get(task.id) ?? [])];
+    return {
+      ...task,
+      subtask_count: group.length - 1,
+      total_estimated_hours: total(group, 'estimated_hours'),
+      total_logged_hours: total(group, 'logged_hours'),
+      total_billable_hours: total(group, 'billable_hours')
+    };
+  });
+}
+
+/**
+ * `parentId` of a task body: a top-level task of the same project, or
+ * null (or '') for a top-level task; left out it keeps the parent of
+ * `current`. Subtasks have no subtasks of their own.
+ */
+export async function parseParentId(
+  body,
+  { userId, projectId, current = {} },
+  db = getDatabase()
+) {
+  const parentId =
+    body.parentId !== undefined ? body.parentId : current.parent_id ?? null;
+  if (parentId === null || parentId === '') return null;
+  if (Number(parentId) === current.parent_id) return current.parent_id;
+
+  const parent = /^\d+$/.test(String(parentId))
+    ? (
+        await db.query(
+          'SELECT id, parent_id FROM tasks WHERE id = $1 AND project_id = $2 AND user_id = $3',
+          [parentId, projectId, userId]
+        )
+      ).rows[0]
+    : null;
+  const hasSubtasks =
+    current.id !== undefined &&
+    (
+      await db.query('SELECT 1 FROM tasks WHERE parent_id = $1 LIMIT 1', [
+        current.id
+      ])
+    ).rows.length > 0;
+  if (
+    !parent ||
+    parent.parent_id !== null ||
+    parent.id === current.id ||
+    hasSubtasks
+  ) {
+    throw httpError(400, 'TASK_PARENT_INVALID');
+  }
+  return parent.id;
+}
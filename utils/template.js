@@ -0,0 +1,219 @@
+import { ApiError } from './errors.js';
+
+/**
+ * Minimal logic-less template engine for user-editable invoice templates.
+ *
+ *   {{ path.to.value }}            value, always HTML-escaped
+ *   {{#if path}} ... {{else}} ... {{/if}}
+ *   {{#unless path}} ... {{/unless}}
+ *   {{#each list}} {{name}} {{@number}} {{/each}}
+ *
+ * Inside #each, names resolve against the current item first and then the
+ * enclosing scopes; `this` is the item, `@index`/`@number` its 0/1-based
+ * position and `@first`/`@last` booleans. There is deliberately no syntax for
+ * unescaped output.
+ */
+
+export class TemplateError extends ApiError {
+  constructor(code, params) {
+    super(400, code, params);
+    this.name = 'TemplateError';
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+const MAX_TEMPLATE_LENGTH = 200000;
+const TAG = /\{\{(\{?)\s*([#/]?)\s*([^{}]*?)\s*\}?\}\}/g;
+const PATH = /^(this|@?[A-Za-z_][\w]*)(\.[A-Za-z_][\w]*)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+// Line number of an offset, for error messages
+const lineOf = (source, offset) => source.slice(0, offset).split('\n').length;
+
+function parse(source) {
+  if (typeof source !== 'string')
+    throw new TemplateError('TEMPLATE_NOT_STRING');
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    throw new TemplateError('TEMPLATE_TOO_LARGE');
+  }
+  const root = { children: [] };
+  const stack = [root];
+  let target = root.children;
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [raw, triple, sigil, body] = match;
+    const line = lineOf(source, match.index);
+    if (match.index > last) {
+      target.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = match.index + raw.length;
+    if (triple) {
+      throw new TemplateError('TEMPLATE_UNESCAPED_OUTPUT', { line });
+    }
+
+    if (sigil === '#') {
+      const [block, path, ...rest] = body.split(/\s+/);
+      if (!BLOCKS.includes(block) || !path || rest.length || !PATH.test(path)) {
+        throw new TemplateError('TEMPLATE_BLOCK_INVALID', {
+          line,
+          tag: `{{#${body}}}`
+        });
+      }
+      const node = { type: block, path, children: [], inverse: [], line };
+      target.push(node);
+      stack.push(node);
+      target = node.children;
+    } else if (sigil === '/') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.type !== body) {
+        throw new TemplateError('TEMPLATE_CLOSE_UNEXPECTED', {
+          line,
+          tag: `{{/${body}}}`
+        });
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      target = parent.inElse ? parent.inverse : parent.children;
+    } else if (body === 'else') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.inElse) {
+        throw new TemplateError('TEMPLATE_ELSE_UNEXPECTED', { line });
+      }
+      open.inElse = true;
+      target = open.inverse;
+    } else {
+      if (!PATH.test(body)) {
+        throw new TemplateError('TEMPLATE_PLACEHOLDER_INVALID', {
+          line,
+          tag: `{{${body}}}`
+        });
+      }
+      target.push({ type: 'value', path: body });
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError('TEMPLATE_BLOCK_NOT_CLOSED', {
+      line: open.line,
+      tag: `{{#${open.type} ${open.path}}}`
+    });
+  }
+  if (last < source.length) {
+    target.push({ type: 'text', value: source.slice(last) });
+  }
+  return root.children;
+}
+
+// scopes: innermost last; each is { value, meta } where meta holds @-vars
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  let value;
+  if (head === 'this') {
+    value = scopes[scopes.length - 1].value;
+  } else if (head.startsWith('@')) {
+    value = scopes[scopes.length - 1].meta?.[head.slice(1)];
+  } else {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const v = scopes[i].value;
+      if (v && typeof v === 'object' && Object.hasOwn(v, head)) {
+        value = v[head];
+        break;
+      }
+    }
+  }
+  for (const key of rest) {
+    if (
+      value == null ||
+      typeof value !== 'object' ||
+      !Object.hasOwn(value, key)
+    ) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : !!v);
+
+function renderNodes(nodes, scopes) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'value') {
+      const v = lookup(node.path, scopes);
+      if (v == null || typeof v === 'object' || typeof v === 'function')
+        continue;
+      out += escapeHtml(v);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const test = truthy(lookup(node.path, scopes));
+      const branch =
+        (node.type === 'if') === test ? node.children : node.inverse;
+      out += renderNodes(branch, scopes);
+    } else if (node.type === 'each') {
+      const list = lookup(node.path, scopes);
+      if (!Array.isArray(list) || list.length === 0) {
+        out += renderNodes(node.inverse, scopes);
+        continue;
+      }
+      list.forEach((item, index) => {
+        out += renderNodes(node.children, [
+          ...scopes,
+          {
+            value: item,
+            meta: {
+              index,
+              number: index + 1,
+              first: index === 0,
+              last: index === list.length - 1
+            }
+          }
+        ]);
+      });
+    }
+  }
+  return out;
+}
+
+const cache = new Map();
+
+// Parse once and reuse; throws TemplateError on syntax errors
+export function compileTemplate(source) {
+  if (!cache.has(source)) {
+    if (cache.size > 100) cache.clear();
+    const nodes = parse(source);
+    cache.set(source, (context) => renderNodes(nodes, [{ value: context }]));
+  }
+  return cache.get(source);
+}
+
+export const renderTemplate = (source, context) =>
+  compileTemplate(source)(context);
+
+/**
+ * Put template CSS into the document head. The CSS is the template author's
+ * own code rather than invoice data, so it is not escaped; it only must not
+ * close the style element.
+ */
+export function injectCss(html, css) {
+  if (!css) return html;
+  const style = `<style>${String(css).replace(
+    /<\/style/gi,
+    '<\\/style'
+  )}</style>`;
+  return /<\/head>/i.test(html)
+    ? html.replace(/<\/head>/i, `${style}</head>`)
+    : `${style}${html}`;
+}
@@ -0,0 +1,356 @@
+import { getDatabase, withTransaction } from '../config/database.js';
+import { httpError } from './errors.js';
+import { taskHours } from './rates.js';
+
+// Columns a create/update body maps to, in parameter order
+const TIME_ENTRY_COLUMNS = [
+  'started_at',
+  'ended_at',
+  'duration_seconds',
+  'note',
+  'billable'
+];
+
+// Logged and billable seconds of finished entries, for queries on `tasks t`
+// or `projects p` (running timers count once they are stopped)
+const loggedTimeColumns = (column, id) => `
+  COALESCE((SELECT SUM(te.duration_seconds) FROM time_entries te WHERE te.${column} = ${id}), 0)::int AS logged_seconds,
+  COALESCE((SELECT SUM(te.duration_seconds) FROM time_entries te WHERE te.${column} = ${id} AND te.billable), 0)::int AS billable_seconds`;
+
+export const TASK_TIME_COLUMNS = loggedTimeColumns('task_id', 't.id');
+export const PROJECT_TIME_COLUMNS = loggedTimeColumns('project_id', 'p.id');
+
+// How a project bills its tasks: estimated hours, or logged billable time
+export const BILLING_BASES = ['estimate', 'logged'];
+export const TIME_ROUNDING_MODES = ['up', 'nearest', 'down'];
+const MAX_TIME_ROUNDING_MINUTES = 60;
+
+// Hours with two decimals, like tasks.estimated_hours
+export const hoursFromSeconds = (seconds) =>
+  Math.round(Number(seconds || 0) / 36) / 100;
+
+const ROUNDING = { up: Math.ceil, nearest: Math.round, down: Math.floor };
+
+// Billed seconds of a task's logged time: its total rounded to the
+// project's step (time_rounding_minutes, 0 = exact) in its direction
+export function roundBilledSeconds(seconds, project) {
+  const step = Number(project.time_rounding_minutes || 0) * 60;
+  if (!step) return Number(seconds || 0);
+  const round = ROUNDING[project.time_rounding_mode] || Math.ceil;
+  return round(Number(seconds || 0) / step) * step;
+}
+
+/**
+ * A task row selected with TASK_TIME_COLUMNS as its project bills it. Under
+ * the 'logged' basis the task carries its rounded billable time as
+ * `billed_hours`, which invoices use instead of the estimate (see taskHours).
+ */
+export function billedTask(row, project) {
+  const { logged_seconds, billable_seconds, ...task } = row;
+  if (project.billing_basis !== 'logged') return task;
+  return {
+    ...task,
+    billed_hours: hoursFromSeconds(
+      roundBilledSeconds(billable_seconds, project)
+    )
+  };
+}
+
+// Tasks an invoice lists: billable ones, and under the 'logged' basis only
+// those with billed time
+export const isBilledTask = (task) =>
+  task.billable !== false && task.billed_hours !== 0;
+
+/**
+ * Validate the billing settings of a project body (camelCase) and map them
+ * to column values; fields missing from `body` keep their value from
+ * `current` (a projects row).
+ */
+export function parseBillingSettings(body, current = {}) {
+  const pick = (key, column, fallback) =>
+    body[key] !== undefined ? body[key] : current[column] ?? fallback;
+
+  const billingBasis = pick('billingBasis', 'billing_basis', 'estimate');
+  if (!BILLING_BASES.includes(billingBasis)) {
+    throw httpError(400, 'BILLING_BASIS_INVALID', { bases: BILLING_BASES });
+  }
+  const minutes = Number(
+    pick('timeRoundingMinutes', 'time_rounding_minutes', 0)
+  );
+  if (
+    !(
+      Number.isInteger(minutes) &&
+      minutes >= 0 &&
+      minutes <= MAX_TIME_ROUNDING_MINUTES
+    )
+  ) {
+    throw httpError(400, 'TIME_ROUNDING_INVALID', {
+      count: MAX_TIME_ROUNDING_MINUTES
+    });
+  }
+  const mode = pick('timeRoundingMode', 'time_rounding_mode', 'up');
+  if (!TIME_ROUNDING_MODES.includes(mode)) {
+    throw httpError(400, 'TIME_ROUNDING_MODE_INVALID', {
+      modes: TIME_ROUNDING_MODES
+    });
+  }
+  return {
+    billing_basis: billingBasis,
+    time_rounding_minutes: minutes,
+    time_rounding_mode: mode
+  };
+}
+
+// Difference of logged to estimated hours, absolute and in percent of the
+// estimate (null without an estimate)
+const variance = (estimated, logged) => ({
+  variance_hours: hoursFromSeconds((logged - estimated) * 3600),
+  variance_percent:
+    estimated > 0 ? Math.round(((logged - estimated) / estimated) * 100) : null
+});
+
+/**
+ * Estimated vs. logged time of a project and its tasks (rows selected with
+ * TASK_TIME_COLUMNS), with the hours an invoice would bill under the
+ * project's settings. Non-billable tasks bill nothing.
+ */
+export function timeComparison(project, rows) {
+  const tasks = rows.map((row) => {
+    const task = billedTask(row, project);
+    const estimated = Number(task.estimated_hours || 0);
+    const logged = hoursFromSeconds(row.logged_seconds);
+    const billed = task.billable === false ? 0 : taskHours(task);
+    return {
+      task_id: task.id,
+      name: task.name,
+      billable: task.billable !== false,
+      estimated_hours: estimated,
+      logged_hours: logged,
+      billable_hours: hoursFromSeconds(row.billable_seconds),
+      billed_hours: billed,
+      ...variance(estimated, logged)
+    };
+  });
+  const total = (key) =>
+    hoursFromSeconds(tasks.reduce((s, task) => s + task[key] * 3600, 0));
+  const estimated = total('estimated_hours');
+  const logged = total('logged_hours');
+  return {
+    project_id: project.id,
+    billing_basis: project.billing_basis,
+    time_rounding_minutes: project.time_rounding_minutes,
+    time_rounding_mode: project.time_rounding_mode,
+    tasks,
+    totals: {
+      estimated_hours: estimated,
+      logged_hours: logged,
+      billable_hours: total('billable_hours'),
+      billed_hours: total('billed_hours'),
+      ...variance(estimated, logged)
+    }
+  };
+}
+
+// Row selected with *_TIME_COLUMNS: the seconds become logged/billable hours
+export function withLoggedHours(row) {
+  const { logged_seconds, billable_seconds, ...rest } = row;
+  return {
+    ...rest,
+    logged_hours: hoursFromSeconds(logged_seconds),
+    billable_hours: hoursFromSeconds(billable_seconds)
+  };
+}
+
+// Entry as returned by the API
+export const timeEntrySummary = (entry) => ({
+  ...entry,
+  running: entry.ended_at === null
+});
+
+const toTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? undefined : date;
+};
+
+const secondsBetween = (from, to) => Math.round((to - from) / 1000);
+
+/**
+ * Validate a create/update body (camelCase) and map it to column values.
+ * Fields missing from `body` keep their value from `current` (a
+ * time_entries row). The end follows from `durationSeconds` when only that is
+ * given; a running entry (no `current` end) may stay running, a new entry
+ * needs an end or a duration.
+ */
+export function parseTimeEntry(body, current = {}) {
+  const pick = (key, column, fallback) =>
+    body[key] !== undefined ? body[key] : current[column] ?? fallback;
+
+  const startedAt = toTimestamp(pick('startedAt', 'started_at', null));
+  if (!startedAt) {
+    throw httpError(400, 'START_TIME_INVALID');
+  }
+  let duration = null;
+  if (body.durationSeconds !== undefined && body.durationSeconds !== null) {
+    duration = Number(body.durationSeconds);
+    if (!(Number.isInteger(duration) && duration > 0)) {
+      throw httpError(400, 'DURATION_INVALID');
+    }
+  }
+  // Moving the start of a finished entry keeps its duration
+  if (duration === null && body.endedAt === undefined && current.ended_at) {
+    duration = current.duration_seconds;
+  }
+  let endedAt = toTimestamp(body.endedAt);
+  if (endedAt === undefined || (endedAt && endedAt <= startedAt)) {
+    throw httpError(400, 'END_TIME_INVALID');
+  }
+  if (endedAt && duration !== null) {
+    if (secondsBetween(startedAt, endedAt) !== duration) {
+      throw httpError(400, 'DURATION_MISMATCH');
+    }
+  } else if (duration !== null) {
+    endedAt = new Date(startedAt.getTime() + duration * 1000);
+  }
+  // Only a running timer goes without an end
+  if (!endedAt && (!current.id || current.ended_at)) {
+    throw httpError(400, 'END_OR_DURATION_REQUIRED');
+  }
+  const note = pick('note', 'note', '') ?? '';
+  if (typeof note !== 'string') {
+    throw httpError(400, 'NOTE_INVALID');
+  }
+  const billable = pick('billable', 'billable', true);
+  if (typeof billable !== 'boolean') {
+    throw httpError(400, 'BILLABLE_INVALID');
+  }
+  return {
+    started_at: startedAt,
+    ended_at: endedAt,
+    duration_seconds: endedAt ? secondsBetween(startedAt, endedAt) : null,
+    note: note.trim(),
+    billable
+  };
+}
+
+const columnValues = (values) =>
+  TIME_ENTRY_COLUMNS.map((column) => values[column]);
+
+// One of the user's tasks with its project, customer and the project's
+// billing basis, or null
+export const findUserTask = async (userId, taskId, db = getDatabase()) =>
+  (
+    await db.query(
+      `SELECT t.id, t.project_id, t.name, p.customer_id, p.billing_basis
+   FROM tasks t
+   JOIN projects p ON t.project_id = p.id
+   WHERE t.id = $1 AND t.user_id = $2 AND p.user_id = $2`,
+      [taskId, userId]
+    )
+  ).rows[0] || null;
+
+// Running timer of a user with its task name and customer, or null
+export const findRunningTimer = async (userId, db = getDatabase()) =>
+  (
+    await db.query(
+      `SELECT te.*, t.name AS task_name, p.customer_id
+   FROM time_entries te
+   JOIN tasks t ON te.task_id = t.id
+   JOIN projects p ON te.project_id = p.id
+   WHERE te.user_id = $1 AND te.ended_at IS NULL`,
+      [userId]
+    )
+  ).rows[0] || null;
+
+// Manually logged time on one of the user's tasks
+export async function createTimeEntry(userId, task, body) {
+  const values = parseTimeEntry(body);
+  const placeholders = TIME_ENTRY_COLUMNS.map((_, i) => `$${i + 4}`).join(', ');
+  return (
+    await getDatabase().query(
+      `INSERT INTO time_entries (user_id, project_id, task_id, ${TIME_ENTRY_COLUMNS.join(
+        ', '
+      )})
+  VALUES ($1, $2, $3, ${placeholders})
+  RETURNING *`,
+      [userId, task.project_id, task.id, ...columnValues(values)]
+    )
+  ).rows[0];
+}
+
+export async function updateTimeEntry(current, body) {
+  const values = parseTimeEntry(body, current);
+  const assignments = TIME_ENTRY_COLUMNS.map(
+    (column, i) => `${column} = $${i + 1}`
+  ).join(', ');
+  return (
+    await getDatabase().query(
+      `UPDATE time_entries SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $${TIME_ENTRY_COLUMNS.length + 1}
+   RETURNING *`,
+      [...columnValues(values), current.id]
+    )
+  ).rows[0];
+}
+
+/**
+ * Start a timer on one of the user's tasks: { taskId, note?, billable? }.
+ * Only one timer runs at a time; a running one has to be stopped first.
+ */
+export async function startTimer(userId, { taskId, note = '', billable }) {
+  if (typeof note !== 'string') throw httpError(400, 'NOTE_INVALID');
+  if (billable !== undefined && typeof billable !== 'boolean') {
+    throw httpError(400, 'BILLABLE_INVALID');
+  }
+  return withTransaction(async (client) => {
+    const task = await findUserTask(userId, taskId, client);
+    if (!task) throw httpError(404, 'TASK_NOT_FOUND');
+    // Serializes concurrent starts of the same user
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [
+      userId
+    ]);
+    if (await findRunningTimer(userId, client)) {
+      throw httpError(409, 'TIMER_ALREADY_RUNNING');
+    }
+    await client.query(
+      `INSERT INTO time_entries (user_id, project_id, task_id, started_at, note, billable)
+  VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        userId,
+        task.project_id,
+        task.id,
+        new Date(),
+        note.trim(),
+        billable ?? true
+      ]
+    );
+    return findRunningTimer(userId, client);
+  });
+}
+
+// Stop the user's running timer at the current time
+export async function stopTimer(userId) {
+  return withTransaction(async (client) => {
+    const timer = (
+      await client.query(
+        'SELECT * FROM time_entries WHERE user_id = $1 AND ended_at IS NULL FOR UPDATE',
+        [userId]
+      )
+    ).rows[0];
+    if (!timer) throw httpError(409, 'TIMER_NOT_RUNNING');
+    const endedAt = new Date();
+    return (
+      await client.query(
+        `UPDATE time_entries
+   SET ended_at = $1, duration_seconds = $2, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $3
+   RETURNING *`,
+        [
+          endedAt,
+          Math.max(0, secondsBetween(timer.started_at, endedAt)),
+          timer.id
+        ]
+      )
+    ).rows[0];
+  });
+}
@@ -0,0 +1,541 @@
+import { createHash } from 'node:crypto';
+import { getDatabase, withTransaction } from '../config/database.js';
+import { parseCsvRecords } from './csv.js';
+import { httpError } from './errors.js';
+import { findLockingInvoice } from './issued-invoices.js';
+import { hoursFromSeconds } from './time-entries.js';
+
+export const IMPORT_FORMATS = ['csv', 'toggl', 'clockify', 'harvest'];
+export const IMPORT_DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Fields a row maps to; name, date and hours are required
+const IMPORT_FIELDS = [
+  'name',
+  'date',
+  'hours',
+  'project',
+  'start',
+  'note',
+  'billable',
+  'id'
+];
+const REQUIRED_FIELDS = ['name', 'date', 'hours'];
+
+// CSV columns of the trackers' detailed exports
+const CSV_MAPPINGS = {
+  csv: {},
+  toggl: {
+    name: 'Description',
+    project: 'Project',
+    date: 'Start date',
+    start: 'Start time',
+    hours: 'Duration',
+    billable: 'Billable'
+  },
+  clockify: {
+    name: 'Description',
+    project: 'Project',
+    date: 'Start Date',
+    start: 'Start Time',
+    hours: 'Duration (decimal)',
+    billable: 'Billable'
+  },
+  harvest: {
+    name: 'Task',
+    project: 'Project',
+    date: 'Date',
+    hours: 'Hours',
+    note: 'Notes',
+    billable: 'Billable?'
+  }
+};
+
+// ISO 8601 durations as Clockify's API writes them (PT1H30M)
+function isoDurationSeconds(value) {
+  const m =
+    /^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(
+      value
+    );
+  if (!m) return null;
+  const [h = 0, min = 0, s = 0] = m.slice(1).map((v) => Number(v || 0));
+  return h * 3600 + min * 60 + s;
+}
+
+// Records of the trackers' JSON exports and APIs in the shape of a mapped
+// CSV row; `startedAt` (a full timestamp) and `seconds` replace date, start
+// and hours where the source has them
+const JSON_RECORDS = {
+  // Toggl Track: API v9 time entries or detailed report (v2/v3) entries
+  toggl: (body) => body?.data ?? body?.time_entries ?? body,
+  // Clockify: API time entries or detailed report export
+  clockify: (body) => body?.timeentries ?? body?.timeEntries ?? body,
+  // Harvest: API v2 time entries
+  harvest: (body) => body?.time_entries ?? body
+};
+const JSON_ROWS = {
+  toggl: (e) => ({
+    id: e.id,
+    name: e.description,
+    project: e.project ?? e.project_name,
+    startedAt: e.start,
+    seconds:
+      e.dur !== undefined
+        ? Number(e.dur) / 1000
+        : e.duration ?? e.seconds ?? null,
+    billable: e.billable
+  }),
+  clockify: (e) => {
+    const interval = e.timeInterval || {};
+    const duration = interval.duration;
+    return {
+      id: e.id ?? e._id,
+      name: e.description || e.taskName || e.task?.name,
+      project: e.projectName ?? e.project?.name,
+      startedAt: interval.start,
+      seconds:
+        typeof duration === 'string'
+          ? isoDurationSeconds(duration)
+          : duration ?? null,
+      billable: e.billable
+    };
+  },
+  harvest: (e) => ({
+    id: e.id,
+    name: e.task?.name,
+    project: e.project?.name,
+    date: e.spent_date,
+    start: e.started_time || '',
+    hours: e.hours,
+    note: e.notes || '',
+    billable: e.billable
+  })
+};
+
+/**
+ * Raw rows of an import body: { format, content, mapping? }. `content` is
+ * CSV text for every format, or the JSON export (object, array or JSON text)
+ * of Toggl, Clockify or Harvest. `mapping` maps fields (name, date, hours,
+ * project, start, note, billable, id) to CSV columns; it is required for
+ * plain CSV and overrides a tracker's default columns.
+ */
+export function readImportRows({ format = 'csv', content, mapping = {} }) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw httpError(400, 'IMPORT_FORMAT_INVALID', { formats: IMPORT_FORMATS });
+  }
+  if (
+    mapping === null ||
+    typeof mapping !== 'object' ||
+    Object.entries(mapping).some(
+      ([field, column]) =>
+        !IMPORT_FIELDS.includes(field) ||
+        (column != null && typeof column !== 'string')
+    )
+  ) {
+    throw httpError(400, 'IMPORT_MAPPING_INVALID', { fields: IMPORT_FIELDS });
+  }
+  let json = typeof content === 'object' && content !== null ? content : null;
+  if (typeof content === 'string' && /^\s*[[{]/.test(content)) {
+    try {
+      json = JSON.parse(content);
+    } catch {
+      throw httpError(400, 'IMPORT_CONTENT_INVALID');
+    }
+  }
+  let rows;
+  if (json) {
+    const records = format === 'csv' ? null : JSON_RECORDS[format](json);
+    if (!Array.isArray(records)) {
+      throw httpError(400, 'IMPORT_CONTENT_INVALID');
+    }
+    rows = records.map((record) => JSON_ROWS[format](record || {}));
+  } else {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw httpError(400, 'IMPORT_CONTENT_INVALID');
+    }
+    let parsed;
+    try {
+      parsed = parseCsvRecords(content);
+    } catch {
+      throw httpError(400, 'IMPORT_CONTENT_INVALID');
+    }
+    const columns = { ...CSV_MAPPINGS[format], ...mapping };
+    for (const field of REQUIRED_FIELDS) {
+      if (!columns[field]) {
+        throw httpError(400, 'IMPORT_FIELD_UNMAPPED', { field });
+      }
+    }
+    // Columns match case-insensitively
+    const header = (column) =>
+      parsed.headers.find((h) => h.toLowerCase() === column.toLowerCase());
+    for (const column of Object.values(columns).filter(Boolean)) {
+      if (!header(column)) {
+        throw httpError(400, 'IMPORT_COLUMN_MISSING', { column });
+      }
+    }
+    rows = parsed.records.map((record) =>
+      Object.fromEntries(
+        Object.entries(columns)
+          .filter(([, column]) => column)
+          .map(([field, column]) => [field, record[header(column)]])
+      )
+    );
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, 'IMPORT_TOO_MANY_ROWS', { count: MAX_IMPORT_ROWS });
+  }
+  return rows;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// A date as YYYY-MM-DD: ISO, DD.MM.YYYY or with slashes in `dateFormat`
+export function parseImportDate(value, dateFormat) {
+  const text = String(value ?? '').trim();
+  let y, m, d;
+  let match;
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text))) {
+    [, y, m, d] = match;
+  } else if ((match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(text))) {
+    [, d, m, y] = match;
+  } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+    [, m, d, y] = match;
+    if (dateFormat === 'DD/MM/YYYY') [m, d] = [d, m];
+  } else {
+    return null;
+  }
+  const date = new Date(Number(y), Number(m) - 1, Number(d));
+  if (date.getMonth() !== Number(m) - 1 || date.getDate() !== Number(d)) {
+    return null;
+  }
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+// A clock time as HH:MM:SS: 9:05, 09:05:30, 9:05 PM, 9:05pm
+export function parseImportTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) return null;
+  let [, h, min, s = '0', meridiem] = match;
+  h = Number(h);
+  if (meridiem) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+  if (h > 23 || Number(min) > 59 || Number(s) > 59) return null;
+  return `${pad(h)}:${min}:${pad(s)}`;
+}
+
+// Hours as seconds: 1.5, 1,5 (decimal comma) or h:mm[:ss]
+export function parseImportHours(value) {
+  if (typeof value === 'number') return Math.round(value * 3600);
+  const text = String(value ?? '').trim();
+  const clock = /^(\d+):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (clock) {
+    const [, h, min, s = 0] = clock;
+    return Number(h) * 3600 + Number(min) * 60 + Number(s);
+  }
+  const hours = Number(text.includes('.') ? text : text.replace(',', '.'));
+  return text !== '' && isFinite(hours) ? Math.round(hours * 3600) : null;
+}
+
+// Yes/No, true/false, 1/0 as exports write them; empty means billable
+function parseImportBillable(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['yes', 'true', '1', 'y'].includes(text)) return true;
+  if (['no', 'false', '0', 'n'].includes(text)) return false;
+  return null;
+}
+
+// Validate one raw row; returns { values, errors }
+function parseImportRow(row, { dateFormat, projects, defaultProject }) {
+  const errors = [];
+  const error = (code, params) => errors.push({ code, params });
+
+  const name = String(row.name ?? '').trim();
+  if (!name) error('IMPORT_NAME_MISSING');
+
+  let startedAt = null;
+  let date = null;
+  if (row.startedAt !== undefined) {
+    startedAt = row.startedAt ? new Date(row.startedAt) : null;
+    if (!startedAt || isNaN(startedAt)) {
+      error('IMPORT_DATE_INVALID', { value: row.startedAt ?? '' });
+      startedAt = null;
+    }
+  } else {
+    date = parseImportDate(row.date, dateFormat);
+    const time = row.start ? parseImportTime(row.start) : '00:00:00';
+    if (!date) error('IMPORT_DATE_INVALID', { value: row.date ?? '' });
+    if (!time) error('IMPORT_START_INVALID', { value: row.start });
+    if (date && time) startedAt = new Date(`${date}T${time}`);
+  }
+  if (startedAt && !date) {
+    date = `${startedAt.getFullYear()}-${pad(startedAt.getMonth() + 1)}-${pad(
+      startedAt.getDate()
+    )}`;
+  }
+
+  const seconds =
+    row.seconds !== undefined
+      ? row.seconds === null
+        ? null
+        : Math.round(Number(row.seconds))
+      : parseImportHours(row.hours);
+  if (!(Number.isInteger(seconds) && seconds > 0)) {
+    error('IMPORT_HOURS_INVALID', { value: row.hours ?? row.seconds ?? '' });
+  }
+
+  const billable = parseImportBillable(row.billable);
+  if (billable === null) error('BILLABLE_INVALID');
+
+  const projectName = String(row.project ?? '').trim();
+  let project = defaultProject;
+  if (projectName) {
+    project = projects.find(
+      (p) => p.name.trim().toLowerCase() === projectName.toLowerCase()
+    );
+    if (!project) {
+      error('IMPORT_PROJECT_NOT_FOUND', { name: projectName });
+    }
+  } else if (!project) {
+    error('IMPORT_PROJECT_MISSING');
+  }
+
+  return {
+    errors,
+    values: {
+      id: row.id ?? null,
+      name,
+      date,
+      startedAt,
+      seconds,
+      note: String(row.note ?? '').trim(),
+      billable,
+      project: project || null
+    }
+  };
+}
+
+// Stable key of an imported entry: the tracker's id where the export has
+// one, else what the entry logs
+const importKey = (format, values) =>
+  createHash('sha256')
+    .update(
+      values.id != null && values.id !== ''
+        ? `${format}:${values.id}`
+        : [
+            values.project.id,
+            values.name.toLowerCase(),
+            values.startedAt.toISOString(),
+            values.seconds,
+            values.note
+          ].join('|')
+    )
+    .digest('hex');
+
+const taskKey = (projectId, name) => `${projectId}:${name.toLowerCase()}`;
+
+/**
+ * Validate an import for one of the user's customers without writing
+ * anything. Body: { format, content, mapping?, projectId?, dateFormat? };
+ * rows without a project column value go to `projectId`. Returns
+ * { rows, summary } with each row's status ('new', 'duplicate' or
+ * 'invalid'), its errors ({ code, params }) and the task it logs to.
+ */
+export async function planImport(userId, customerId, body, db = getDatabase()) {
+  const { dateFormat = 'MM/DD/YYYY', projectId = null } = body;
+  if (!IMPORT_DATE_FORMATS.includes(dateFormat)) {
+    throw httpError(400, 'IMPORT_DATE_FORMAT_INVALID', {
+      formats: IMPORT_DATE_FORMATS
+    });
+  }
+  const customer = (
+    await db.query('SELECT id FROM customers WHERE id = $1 AND user_id = $2', [
+      customerId,
+      userId
+    ])
+  ).rows[0];
+  if (!customer) throw httpError(404, 'CUSTOMER_NOT_FOUND');
+  const projects = (
+    await db.query(
+      'SELECT * FROM projects WHERE customer_id = $1 AND user_id = $2 ORDER BY id ASC',
+      [customerId, userId]
+    )
+  ).rows;
+  const defaultProject = projectId
+    ? projects.find((p) => p.id === Number(projectId))
+    : null;
+  if (projectId && !defaultProject) {
+    throw httpError(404, 'PROJECT_NOT_FOUND');
+  }
+  const rawRows = readImportRows(body);
+
+  const tasks = new Map();
+  for (const task of (
+    await db.query(
+      `SELECT * FROM tasks
+   WHERE project_id = ANY($1) AND user_id = $2
+   ORDER BY id DESC`,
+      [projects.map((p) => p.id), userId]
+    )
+  ).rows) {
+    tasks.set(taskKey(task.project_id, task.name.trim()), task);
+  }
+  const format = body.format || 'csv';
+  const parsed = rawRows.map((row) =>
+    parseImportRow(row, { dateFormat, projects, defaultProject })
+  );
+  const keys = parsed.flatMap(({ values, errors }) =>
+    errors.length === 0 ? [importKey(format, values)] : []
+  );
+  const existing = new Set(
+    (
+      await db.query(
+        'SELECT import_key FROM time_entries WHERE user_id = $1 AND import_key = ANY($2)',
+        [userId, keys]
+      )
+    ).rows.map((r) => r.import_key)
+  );
+
+  // Time on tasks of a finalized logged-time invoice stays as billed
+  const locked = new Map();
+  const lockingInvoice = async (task) => {
+    if (!locked.has(task.id)) {
+      locked.set(
+        task.id,
+        await findLockingInvoice({ userId, taskId: task.id }, db)
+      );
+    }
+    return locked.get(task.id);
+  };
+
+  const seen = new Set();
+  const rows = [];
+  for (const [i, { values, errors }] of parsed.entries()) {
+    const row = { row: i + 1, errors };
+    if (errors.length === 0) {
+      const key = importKey(format, values);
+      const task = tasks.get(taskKey(values.project.id, values.name));
+      if (task && values.project.billing_basis === 'logged') {
+        const invoice = await lockingInvoice(task);
+        if (invoice) {
+          errors.push({
+            code: 'INVOICE_LOCKED',
+            params: { invoiceNumber: invoice.invoice_number }
+          });
+        }
+      }
+      Object.assign(row, {
+        key,
+        projectId: values.project.id,
+        projectName: values.project.name,
+        taskId: task?.id ?? null,
+        taskName: task?.name ?? values.name,
+        date: values.date,
+        startedAt: values.startedAt.toISOString(),
+        hours: hoursFromSeconds(values.seconds),
+        seconds: values.seconds,
+        note: values.note,
+        billable: values.billable
+      });
+      if (errors.length === 0 && (existing.has(key) || seen.has(key))) {
+        row.status = 'duplicate';
+      }
+      seen.add(key);
+    }
+    row.status ??= errors.length > 0 ? 'invalid' : 'new';
+    rows.push(row);
+  }
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  const newTasks = new Set(
+    rows
+      .filter((r) => r.status === 'new' && !r.taskId)
+      .map((r) => taskKey(r.projectId, r.taskName))
+  );
+  return {
+    rows,
+    summary: {
+      rows: rows.length,
+      new: count('new'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      newTasks: newTasks.size
+    }
+  };
+}
+
+/**
+ * Import time entries in one transaction: rows logging to a task name not
+ * in their project create the task (its estimate the imported hours, its
+ * date the earliest row's), duplicates of earlier imports are skipped.
+ * Nothing is written if any row is invalid; returns the planImport()
+ * report with `imported` telling which happened.
+ */
+export async function importTimeEntries(userId, customerId, body) {
+  return withTransaction(async (client) => {
+    // Serializes concurrent imports of the same user
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [
+      userId
+    ]);
+    const report = await planImport(userId, customerId, body, client);
+    if (report.summary.invalid > 0) return { ...report, imported: false };
+
+    const rows = report.rows.filter((r) => r.status === 'new');
+    const created = new Map();
+    for (const row of rows.filter((r) => !r.taskId)) {
+      const key = taskKey(row.projectId, row.taskName);
+      const task = created.get(key) || { seconds: 0, date: row.date };
+      task.seconds += row.seconds;
+      if (row.date < task.date) task.date = row.date;
+      created.set(key, task);
+    }
+    for (const row of rows) {
+      let taskId = row.taskId;
+      if (!taskId) {
+        const task = created.get(taskKey(row.projectId, row.taskName));
+        task.id ??= (
+          await client.query(
+            `INSERT INTO tasks (
+    project_id, name, estimated_hours, completed, user_id, date
+  ) VALUES ($1, $2, $3, 0, $4, $5)
+  RETURNING id`,
+            [
+              row.projectId,
+              row.taskName,
+              hoursFromSeconds(task.seconds),
+              userId,
+              task.date
+            ]
+          )
+        ).rows[0].id;
+        taskId = row.taskId = task.id;
+      }
+      const startedAt = new Date(row.startedAt);
+      await client.query(
+        `INSERT INTO time_entries (
+    user_id, project_id, task_id, started_at, ended_at, duration_seconds,
+    note, billable, import_key
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          userId,
+          row.projectId,
+          taskId,
+          startedAt,
+          new Date(startedAt.getTime() + row.seconds * 1000),
+          row.seconds,
+          row.note,
+          row.billable,
+          row.key
+        ]
+      );
+    }
+    return {
+      ...report,
+      imported: true
+    };
+  });
+}
@@ -0,0 +1,299 @@
+import { getDatabase } from '../config/database.js';
+import { toCsv } from './csv.js';
+import { httpError } from './errors.js';
+import { formatDate, intlLocale, translator } from './i18n.js';
+import { formatISODate, invoiceLocale, parseDate } from './invoice.js';
+import { hoursFromSeconds } from './time-entries.js';
+import { buildXlsx } from './xlsx.js';
+
+export const TIMESHEET_FORMATS = ['json', 'csv', 'xlsx'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ISO 8601 week of a YYYY-MM-DD day (2025-W09): weeks start on Monday and
+// belong to the year of their Thursday
+function isoWeek(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const year = date.getUTCFullYear();
+  const week = Math.ceil(((date - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// Monday and Sunday of the week of a YYYY-MM-DD day
+function weekBounds(day) {
+  const monday = parseDate(day);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  const sunday = new Date(monday);
+  sunday.setDate(sunday.getDate() + 6);
+  return { from: formatISODate(monday), to: formatISODate(sunday) };
+}
+
+const groupBy = (entries, keyOf) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+};
+
+const sumSeconds = (entries, billableOnly = false) =>
+  entries.reduce(
+    (sum, e) => (billableOnly && !e.billable ? sum : sum + e.duration_seconds),
+    0
+  );
+
+// Hours per task (in order of first entry) and in total; summed in seconds
+// and rounded once, so totals match the time logged
+function summarize(entries) {
+  const tasks = [...groupBy(entries, (e) => e.task_id).values()].map(
+    (taskEntries) => ({
+      task_id: taskEntries[0].task_id,
+      task: taskEntries[0].task_name,
+      project_id: taskEntries[0].project_id,
+      project: taskEntries[0].project_name,
+      hours: hoursFromSeconds(sumSeconds(taskEntries)),
+      billable_hours: hoursFromSeconds(sumSeconds(taskEntries, true))
+    })
+  );
+  return {
+    tasks,
+    hours: hoursFromSeconds(sumSeconds(entries)),
+    billable_hours: hoursFromSeconds(sumSeconds(entries, true))
+  };
+}
+
+/**
+ * Timesheet of the time logged for one of the user's customers, optionally
+ * one project and a date range (YYYY-MM-DD, inclusive, by the day an entry
+ * starts): hours per task for each day, each ISO week and in total.
+ * Running timers are left out until they are stopped.
+ */
+export async function buildTimesheet(
+  userId,
+  customerId,
+  { projectId, from, to } = {},
+  db = getDatabase()
+) {
+  if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+    throw httpError(400, 'DATES_INVALID');
+  }
+  if (from && to && from > to) {
+    throw httpError(400, 'DATE_RANGE_INVALID');
+  }
+
+  const user = (await db.query('SELECT * FROM users WHERE id = $1', [userId]))
+    .rows[0];
+  if (!user) throw httpError(404, 'USER_NOT_FOUND');
+  const customer = (
+    await db.query('SELECT * FROM customers WHERE id = $1 AND user_id = $2', [
+      customerId,
+      userId
+    ])
+  ).rows[0];
+  if (!customer) throw httpError(404, 'CUSTOMER_NOT_FOUND');
+  let project = null;
+  if (projectId) {
+    project = (
+      await db.query(
+        'SELECT id, name FROM projects WHERE id = $1 AND customer_id = $2 AND user_id = $3',
+        [projectId, customer.id, userId]
+      )
+    ).rows[0];
+    if (!project) throw httpError(404, 'PROJECT_NOT_FOUND');
+  }
+
+  // Day bounds in server time, the time zone days are formatted in
+  const params = [userId, customer.id];
+  const filters = [];
+  if (project) {
+    params.push(project.id);
+    filters.push(`AND te.project_id = $${params.length}`);
+  }
+  if (from) {
+    params.push(parseDate(from));
+    filters.push(`AND te.started_at >= $${params.length}`);
+  }
+  if (to) {
+    const end = parseDate(to);
+    end.setDate(end.getDate() + 1);
+    params.push(end);
+    filters.push(`AND te.started_at < $${params.length}`);
+  }
+  const entries = (
+    await db.query(
+      `SELECT te.started_at, te.duration_seconds, te.billable,
+          t.id AS task_id, t.name AS task_name,
+          p.id AS project_id, p.name AS project_name
+   FROM time_entries te
+   JOIN tasks t ON t.id = te.task_id
+   JOIN projects p ON p.id = te.project_id
+   WHERE te.user_id = $1 AND p.customer_id = $2
+     AND te.ended_at IS NOT NULL ${filters.join(' ')}
+   ORDER BY te.started_at ASC, te.id ASC`,
+      params
+    )
+  ).rows.map((entry) => {
+    const day = formatISODate(entry.started_at);
+    return { ...entry, day, week: isoWeek(day) };
+  });
+
+  const days = [...groupBy(entries, (e) => e.day)].map(([date, group]) => ({
+    date,
+    week: group[0].week,
+    ...summarize(group)
+  }));
+  const weeks = [...groupBy(entries, (e) => e.week)].map(([week, group]) => ({
+    week,
+    ...weekBounds(group[0].day),
+    ...summarize(group)
+  }));
+  const { tasks, hours, billable_hours } = summarize(entries);
+
+  return {
+    locale: invoiceLocale(user, customer),
+    customer: { id: customer.id, name: customer.name },
+    project,
+    from: from || null,
+    to: to || null,
+    days,
+    weeks,
+    tasks,
+    totals: { hours, billable_hours, entries: entries.length }
+  };
+}
+
+/**
+ * The timesheet as a table with labels in its locale: a header row, one row
+ * per task and day, a total per week and a grand total ({ cells, bold },
+ * header and totals bold). Hours stay numbers; dates are formatted for the
+ * locale.
+ */
+export function timesheetTable(sheet) {
+  const t = translator(sheet.locale, 'timesheet');
+  const weekLabel = (key) => {
+    const [year, week] = key.split('-W').map(Number);
+    return t('weekLabel', { year, week });
+  };
+  const rows = [
+    {
+      cells: [
+        t('week'),
+        t('date'),
+        t('project'),
+        t('task'),
+        t('hours'),
+        t('billableHours')
+      ],
+      bold: true
+    }
+  ];
+  for (const week of sheet.weeks) {
+    for (const day of sheet.days.filter((d) => d.week === week.week)) {
+      for (const task of day.tasks) {
+        rows.push({
+          cells: [
+            weekLabel(day.week),
+            formatDate(parseDate(day.date), sheet.locale),
+            task.project,
+            task.task,
+            task.hours,
+            task.billable_hours
+          ]
+        });
+      }
+    }
+    rows.push({
+      cells: [
+        t('weekTotal', { week: weekLabel(week.week) }),
+        '',
+        '',
+        '',
+        week.hours,
+        week.billable_hours
+      ],
+      bold: true
+    });
+  }
+  rows.push({
+    cells: [
+      t('total'),
+      '',
+      '',
+      '',
+      sheet.totals.hours,
+      sheet.totals.billable_hours
+    ],
+    bold: true
+  });
+  return rows;
+}
+
+// Title and period lines above the table
+function timesheetHeading(sheet) {
+  const t = translator(sheet.locale, 'timesheet');
+  const name = sheet.project
+    ? `${sheet.customer.name} – ${sheet.project.name}`
+    : sheet.customer.name;
+  const period =
+    sheet.from || sheet.to
+      ? t('period', {
+          from: sheet.from
+            ? formatDate(parseDate(sheet.from), sheet.locale)
+            : '',
+          to: sheet.to ? formatDate(parseDate(sheet.to), sheet.locale) : ''
+        })
+      : '';
+  return { title: `${t('title')}: ${name}`, period };
+}
+
+// Text cells spreadsheet programs would run as a formula get a leading
+// apostrophe, so names typed by users cannot inject one into the export
+const FORMULA_START = /^[=+\-@\t\r]/;
+const textCell = (value) => (FORMULA_START.test(value) ? `'${value}` : value);
+
+/**
+ * CSV of timesheetTable. Locales writing decimal commas get semicolons as
+ * delimiter, as spreadsheet programs there expect; a BOM marks it as UTF-8.
+ */
+export function timesheetCsv(sheet) {
+  const decimal = new Intl.NumberFormat(intlLocale(sheet.locale))
+    .formatToParts(1.5)
+    .find((part) => part.type === 'decimal').value;
+  const rows = timesheetTable(sheet).map(({ cells }) =>
+    cells.map((value) =>
+      typeof value === 'number'
+        ? value.toFixed(2).replace('.', decimal)
+        : textCell(String(value ?? ''))
+    )
+  );
+  return '\uFEFF' + toCsv(rows, decimal === ',' ? ';' : ',');
+}
+
+// XLSX of timesheetTable below its title and period
+export function timesheetXlsx(sheet) {
+  const t = translator(sheet.locale, 'timesheet');
+  const { title, period } = timesheetHeading(sheet);
+  const rows = [
+    { cells: [title], bold: true },
+    ...(period ? [{ cells: [period] }] : []),
+    { cells: [] },
+    ...timesheetTable(sheet)
+  ];
+  return buildXlsx({
+    sheetName: t('title'),
+    rows,
+    widths: [18, 12, 24, 36, 10, 14]
+  });
+}
+
+// File name of an export: timesheet-<customer>[-<from>][-<to>].<ext>
+export const timesheetFileName = (sheet, extension) =>
+  `${['timesheet', sheet.customer.name, sheet.from, sheet.to]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^\w.-]+/g, '_')}.${extension}`;
@@ -0,0 +1,190 @@
+import { toCamelCase } from './camel-case.js';
+import { SUPPORTED_LOCALES } from './i18n.js';
+import { lineItemAmounts } from './line-items.js';
+import { fromCents, percentOf, sumMoney, toCents } from './money.js';
+import { taskAmount } from './rates.js';
+
+// ISO 3166-1 alpha-2 country codes
+const COUNTRY_CODES =
+  `AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI
+BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR
+CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA
+GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE
+IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC
+LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU
+MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM
+PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO
+SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM
+US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW`.split(/\s+/);
+
+// EU member states
+const EU_COUNTRIES =
+  `AT BE BG HR CY CZ DK EE FI FR DE GR HU IE IT LV LT LU MT NL
+PL PT RO SK SI ES SE`.split(/\s+/);
+
+// Lowercased, without accents, dots and extra spaces: "U.S.A." -> "usa"
+const normalizeName = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’`]/g, "'")
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+// Names users type into free-text country fields (billing_country /
+// company_country) besides the country names of the supported locales
+const COUNTRY_ALIASES = {
+  CZ: ['czech republic', 'tschechische republik'],
+  GB: [
+    'uk',
+    'great britain',
+    'britain',
+    'england',
+    'scotland',
+    'wales',
+    'northern ireland',
+    'grossbritannien',
+    'großbritannien'
+  ],
+  NL: ['holland'],
+  US: [
+    'usa',
+    'united states of america',
+    'america',
+    'vereinigte staaten von amerika'
+  ]
+};
+
+// Country name (normalized) -> ISO code, in every supported locale
+const COUNTRY_NAMES = new Map();
+for (const locale of SUPPORTED_LOCALES) {
+  const names = new Intl.DisplayNames(locale, {
+    type: 'region',
+    fallback: 'none'
+  });
+  for (const code of COUNTRY_CODES) {
+    const name = names.of(code);
+    if (name) COUNTRY_NAMES.set(normalizeName(name), code);
+  }
+}
+for (const [code, aliases] of Object.entries(COUNTRY_ALIASES)) {
+  for (const alias of aliases) COUNTRY_NAMES.set(normalizeName(alias), code);
+}
+
+// Sellers without a recognizable country are treated as German businesses
+const DEFAULT_SELLER_COUNTRY = 'DE';
+
+export const VAT_TREATMENTS = ['standard', 'reverse_charge', 'exempt'];
+
+// Normalize a country field (ISO code or name) to an ISO code; '' if unknown.
+// EL (the Greek VAT prefix) and UK are accepted for GR and GB
+export function countryCode(value) {
+  const v = normalizeName(value);
+  if (!v) return '';
+  if (v === 'el') return 'GR';
+  if (v.length === 2 && COUNTRY_CODES.includes(v.toUpperCase())) {
+    return v.toUpperCase();
+  }
+  return COUNTRY_NAMES.get(v) ?? '';
+}
+
+// VAT IDs start with the member state prefix (Greece uses EL)
+const vatIdCountry = (vatId) => countryCode(String(vatId || '').slice(0, 2));
+
+export const isEuCountry = (code) => EU_COUNTRIES.includes(code);
+
+const toRate = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(n) ? fallback : n;
+};
+
+/**
+ * Determine how VAT applies to an invoice:
+ * - exempt: small business under §19 UStG (users.vat_exempt)
+ * - reverse_charge: B2B customer with a VAT ID in another EU member state
+ * - standard: per-line rates (tasks.vat_rate, else projects.vat_rate, else
+ *   users.vat_percent)
+ */
+export function vatTreatment(data) {
+  const { user = {}, customer = {} } = toCamelCase(data);
+  if (user.vatExempt) return 'exempt';
+  const sellerCountry =
+    countryCode(user.companyCountry) ||
+    vatIdCountry(user.companyVatId) ||
+    DEFAULT_SELLER_COUNTRY;
+  const buyerCountry =
+    countryCode(customer.billingCountry) || vatIdCountry(customer.vatNumber);
+  if (
+    customer.vatNumber &&
+    isEuCountry(buyerCountry) &&
+    buyerCountry !== sellerCountry
+  ) {
+    return 'reverse_charge';
+  }
+  return 'standard';
+}
+
+/**
+ * VAT per line and per rate for a buildInvoiceData()-shaped object (snake or
+ * camel case). Amounts are signed like the document (negative for credit
+ * notes via `sign`). Line items carry their own rate like tasks do.
+ */
+export function computeVat(data, { sign = 1 } = {}) {
+  const {
+    user = {},
+    customer = {},
+    project = {},
+    tasks = [],
+    lineItems = []
+  } = toCamelCase(data);
+  const treatment = vatTreatment(data);
+  const defaultRate = toRate(project.vatRate, toRate(user.vatPercent));
+  const fallbackRate = treatment === 'standard' ? defaultRate : 0;
+  const rateOf = (line) =>
+    treatment === 'standard' ? toRate(line?.vatRate, defaultRate) : 0;
+
+  const lineRates = (tasks || []).map(rateOf);
+  const lineItemRates = (lineItems || []).map(rateOf);
+  const itemNets = (lineItems || []).map((item) => lineItemAmounts(item).net);
+  // Net per rate in cents; VAT is computed once per rate on that sum
+  const groups = new Map();
+  const add = (rate, net) =>
+    groups.set(rate, (groups.get(rate) || 0) + toCents(net));
+  if (data.isFixed) {
+    // The subtotal of a fixed-price invoice is the fixed price plus its items
+    const itemsNet = sumMoney(itemNets);
+    add(fallbackRate, sign * sumMoney([data.subtotal, -itemsNet]));
+  } else {
+    (tasks || []).forEach((task, i) =>
+      add(lineRates[i], sign * taskAmount(task, project))
+    );
+  }
+  itemNets.forEach((net, i) => add(lineItemRates[i], sign * net));
+  if (groups.size === 0) add(fallbackRate, 0);
+
+  const breakdown = [...groups.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([rate, cents]) => {
+      const net = fromCents(cents);
+      return { rate, net, vat: percentOf(net, rate) };
+    });
+  const vatAmount = sumMoney(breakdown.map((b) => b.vat));
+
+  return {
+    treatment,
+    lineRates,
+    lineItemRates,
+    // Rate of the fixed price and of lines without their own rate
+    defaultRate: fallbackRate,
+    breakdown,
+    vatAmount,
+    // Single rate for the whole invoice, or null when lines differ
+    vatPercent: breakdown.length === 1 ? breakdown[0].rate : null,
+    mixedRates: breakdown.length > 1,
+    sellerVatId: user.companyVatId || '',
+    buyerVatId: customer.vatNumber || ''
+  };
+}